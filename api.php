@@ -24,11 +24,15 @@ require_once(__DIR__ . '/classes/ai/class.AIChatPageComponentLLMRegistry.php');
 require_once(__DIR__ . '/src/Model/ChatConfig.php');
 require_once(__DIR__ . '/src/Model/ChatSession.php');
 require_once(__DIR__ . '/src/Model/ChatMessage.php');
+require_once(__DIR__ . '/src/Model/ChatStream.php');
+require_once(__DIR__ . '/src/Model/ChunkedUpload.php');
 require_once(__DIR__ . '/src/Model/Attachment.php');
 
 use ILIAS\Plugin\pcaic\Model\ChatConfig;
 use ILIAS\Plugin\pcaic\Model\ChatSession;
 use ILIAS\Plugin\pcaic\Model\ChatMessage;
+use ILIAS\Plugin\pcaic\Model\ChatStream;
+use ILIAS\Plugin\pcaic\Model\ChunkedUpload;
 use ILIAS\Plugin\pcaic\Model\Attachment;
 
 // Restrict CORS to the ILIAS installation's own origin
@@ -77,6 +81,14 @@ $chat_id = $data['chat_id'] ?? '';
 $user_id = (int) ($DIC->user()->getId() ?? 0);
 $is_anonymous = $DIC->user()->isAnonymous();
 $allow_anonymous = (\platform\AIChatPageComponentConfig::get('allow_anonymous_access') === '1');
+$stream = null;
+
+// Number of messages per page when loading chat history
+const HISTORY_PAGE_SIZE = 50;
+
+// Upper bounds for importing an exported conversation
+const IMPORT_MAX_MESSAGES = 500;
+const IMPORT_MAX_MESSAGE_LENGTH = 100000;
 
 // Block all access for anonymous users when globally disabled
 if ($is_anonymous && !$allow_anonymous) {
@@ -110,6 +122,11 @@ try {
                 $attachment_ids = [];
             }
 
+            // Regenerate an existing user message (creates a sibling response)
+            $regenerate_message_id = !empty($data['regenerate_message_id']) ? (int)$data['regenerate_message_id'] : null;
+            // Edit an existing user message (creates a sibling question)
+            $edit_message_id = !empty($data['edit_message_id']) ? (int)$data['edit_message_id'] : null;
+
             if (empty($chat_id) || empty($message)) {
                 echo json_encode(['error' => 'Missing required parameters']);
                 exit;
@@ -138,6 +155,17 @@ try {
                 }
             }
 
+            // Post into the conversation the client displays
+            $session = null;
+            if (!$is_anonymous) {
+                $session = resolveRequestSession($data, $user_id, $chat_id);
+                if (!$session) {
+                    http_response_code(404);
+                    echo json_encode(['error' => 'Conversation not found']);
+                    exit;
+                }
+            }
+
             // Create LLM instance and delegate (respect force default service)
             $llm = createLLMInstance(getEffectiveAiService($chatConfig));
             $llm->setStreaming(false);
@@ -151,7 +179,7 @@ try {
                 $conversation_history = sanitizeConversationHistory($conversation_history);
                 $response = $llm->handleStatelessMessage($chat_id, $conversation_history, $message);
             } else {
-                $response = $llm->handleSendMessage($chat_id, $user_id, $message, $attachment_ids);
+                $response = $llm->handleSendMessage($chat_id, $user_id, $message, $attachment_ids, $regenerate_message_id, $edit_message_id, $session);
             }
 
             // Strip sources from response text when show_sources is disabled
@@ -165,6 +193,12 @@ try {
                 'message' => $response
             ];
 
+            // Message tree IDs (persistent sessions only)
+            if ($llm->getLastAssistantMessageId() !== null) {
+                $jsonResponse['message_id'] = $llm->getLastAssistantMessageId();
+                $jsonResponse['user_message_id'] = $llm->getLastUserMessageId();
+            }
+
             // Include RAG sources if enabled for this chat
             if ($chatConfig->isShowSources()) {
                 $metadata = $llm->getLastResponseMetadata();
@@ -191,6 +225,12 @@ try {
                 $jsonResponse['usage'] = $usage;
             }
 
+            // Suggested follow-up questions, shown as chips below the answer
+            $followUps = $llm->getLastFollowUps();
+            if (!empty($followUps)) {
+                $jsonResponse['follow_ups'] = $followUps;
+            }
+
             echo json_encode($jsonResponse);
             break;
 
@@ -201,6 +241,16 @@ try {
             header('Content-Type: text/event-stream');
             header('Cache-Control: no-cache');
             header('Connection: keep-alive');
+            header('X-Accel-Buffering: no');
+
+            // Prompts and conversation history must travel in the request body,
+            // never in the query string (URL length limits, access logs).
+            if ($method !== 'POST') {
+                http_response_code(405);
+                header('Allow: POST');
+                echo "data: " . json_encode(['type' => 'error', 'error' => 'Method not allowed']) . "\n\n";
+                exit;
+            }
 
             $message = $data['message'] ?? '';
             $attachment_ids = $data['attachment_ids'] ?? [];
@@ -213,6 +263,11 @@ try {
                 $attachment_ids = [];
             }
 
+            // Regenerate an existing user message (creates a sibling response)
+            $regenerate_message_id = !empty($data['regenerate_message_id']) ? (int)$data['regenerate_message_id'] : null;
+            // Edit an existing user message (creates a sibling question)
+            $edit_message_id = !empty($data['edit_message_id']) ? (int)$data['edit_message_id'] : null;
+
             if (empty($chat_id) || empty($message)) {
                 echo "data: " . json_encode(['error' => 'Missing required parameters']) . "\n\n";
                 exit;
@@ -232,7 +287,7 @@ try {
             }
 
             // Daily message rate limit (authenticated users only)
-            // Note: EventSource uses HTTP 200 always – errors must be sent as SSE events.
+            // Note: errors are sent as SSE events so the client handles them in-stream.
             if (!$is_anonymous) {
                 $limit_error = checkDailyMessageLimit($chat_id, $user_id);
                 if ($limit_error !== null) {
@@ -242,22 +297,39 @@ try {
                 }
             }
 
+            // Post into the conversation the client displays
+            $session = null;
+            if (!$is_anonymous) {
+                $session = resolveRequestSession($data, $user_id, $chat_id);
+                if (!$session) {
+                    http_response_code(404);
+                    echo "data: " . json_encode(['type' => 'error', 'error' => 'Conversation not found']) . "\n\n";
+                    exit;
+                }
+            }
+
             // Get effective AI service (respects force default)
             $aiService = getEffectiveAiService($chatConfig);
 
             // Check hierarchical streaming settings (central → LLM → chat)
             $streamingEnabled = isStreamingEnabledForChat($chatConfig, $aiService);
 
+            // Buffer the stream server-side so a dropped client can resume it.
+            // Generation continues after a disconnect and the answer is still saved.
+            ChatStream::cleanupExpired();
+            $stream = ChatStream::createForUserAndChat($chat_id, $user_id);
+            ignore_user_abort(true);
+
             // Flush start event BEFORE creating the LLM instance so that headers_sent()
-            // is true when createLLMInstance() throws (e.g. no_service_available).
-            // EventSource only fires onmessage for HTTP 200 responses; a 503 would only
-            // trigger onerror where the body is inaccessible.
-            echo "data: " . json_encode(['type' => 'start']) . "\n\n";
+            // is true when createLLMInstance() throws (e.g. no_service_available) and
+            // the global handler reports the error as an SSE event on the open stream.
+            echo "data: " . json_encode(['type' => 'start', 'stream_id' => $stream->getStreamId()]) . "\n\n";
             flush();
 
             // Create LLM instance and delegate
             $llm = createLLMInstance($aiService);
             $llm->setStreaming($streamingEnabled);
+            $llm->setStreamBuffer($stream);
 
             if ($is_anonymous) {
                 // Stateless mode: no DB session, history comes from frontend
@@ -268,7 +340,7 @@ try {
                 $conversation_history = sanitizeConversationHistory($conversation_history);
                 $response = $llm->handleStatelessMessage($chat_id, $conversation_history, $message);
             } else {
-                $response = $llm->handleSendMessage($chat_id, $user_id, $message, $attachment_ids);
+                $response = $llm->handleSendMessage($chat_id, $user_id, $message, $attachment_ids, $regenerate_message_id, $edit_message_id, $session);
             }
 
             // Strip sources from response text when show_sources is disabled
@@ -279,6 +351,12 @@ try {
             // Build complete response with optional metadata
             $completeData = ['type' => 'complete', 'message' => $response];
 
+            // Message tree IDs (persistent sessions only)
+            if ($llm->getLastAssistantMessageId() !== null) {
+                $completeData['message_id'] = $llm->getLastAssistantMessageId();
+                $completeData['user_message_id'] = $llm->getLastUserMessageId();
+            }
+
             // Include RAG sources if enabled for this chat
             if ($chatConfig->isShowSources()) {
                 $metadata = $llm->getLastResponseMetadata();
@@ -305,10 +383,131 @@ try {
                 $completeData['usage'] = $usage;
             }
 
+            // Suggested follow-up questions, shown as chips below the answer
+            $followUps = $llm->getLastFollowUps();
+            if (!empty($followUps)) {
+                $completeData['follow_ups'] = $followUps;
+            }
+
+            $completeData['stream_id'] = $stream->getStreamId();
+            $completeData['seq'] = $stream->getLastSeq();
+            $stream->complete($completeData);
+
             echo "data: " . json_encode($completeData) . "\n\n";
             flush();
             break;
 
+        // ========================================
+        // Resume Stream (after dropped connection)
+        // ========================================
+        case 'resume_stream':
+            header('Content-Type: text/event-stream');
+            header('Cache-Control: no-cache');
+            header('Connection: keep-alive');
+            header('X-Accel-Buffering: no');
+
+            $stream_id = (string)($data['stream_id'] ?? '');
+            $last_seq = max(0, (int)($data['last_seq'] ?? 0));
+
+            if (empty($chat_id) || $stream_id === '') {
+                echo "data: " . json_encode(['type' => 'error', 'error' => 'Missing required parameters']) . "\n\n";
+                exit;
+            }
+
+            $chatConfig = new ChatConfig($chat_id);
+            if (!$chatConfig->exists() || !checkChatAccess($chatConfig)) {
+                http_response_code(403);
+                echo "data: " . json_encode(['type' => 'error', 'error' => 'Access denied']) . "\n\n";
+                exit;
+            }
+
+            // Streams can only be resumed by their owner within the same chat
+            $resumeStream = new ChatStream($stream_id);
+            if (!$resumeStream->exists()
+                || $resumeStream->getChatId() !== $chat_id
+                || $resumeStream->getUserId() !== $user_id) {
+                echo "data: " . json_encode(['type' => 'error', 'error' => 'stream_expired']) . "\n\n";
+                exit;
+            }
+
+            echo "data: " . json_encode(['type' => 'start', 'stream_id' => $stream_id, 'resumed' => true]) . "\n\n";
+            flush();
+
+            // Replay buffered chunks, then follow the stream until it ends. The poll
+            // is bounded; the client reconnects again if the answer is still running.
+            $deadline = time() + 120;
+            while (true) {
+                foreach ($resumeStream->getChunksAfter($last_seq) as $seq => $content) {
+                    echo "data: " . json_encode(['type' => 'chunk', 'seq' => $seq, 'content' => $content]) . "\n\n";
+                    $last_seq = $seq;
+                }
+                flush();
+
+                if (!$resumeStream->isRunning()) {
+                    echo "data: " . json_encode($resumeStream->getPayload()) . "\n\n";
+                    flush();
+                    break;
+                }
+
+                // Writer process died without completing (no heartbeat)
+                if ($resumeStream->isStale()) {
+                    echo "data: " . json_encode(['type' => 'error', 'error' => 'stream_expired']) . "\n\n";
+                    flush();
+                    break;
+                }
+
+                if (connection_aborted() || time() >= $deadline) {
+                    break;
+                }
+
+                usleep(250000);
+                if (!$resumeStream->refresh()) {
+                    echo "data: " . json_encode(['type' => 'error', 'error' => 'stream_expired']) . "\n\n";
+                    flush();
+                    break;
+                }
+            }
+            exit;
+
+        // ========================================
+        // Cancel Stream (user stopped generation)
+        // ========================================
+        case 'cancel_stream':
+            header('Content-Type: application/json');
+
+            $stream_id = (string)($data['stream_id'] ?? '');
+
+            if (empty($chat_id) || $stream_id === '') {
+                http_response_code(400);
+                echo json_encode(['error' => 'Missing required parameters']);
+                exit;
+            }
+
+            $chatConfig = new ChatConfig($chat_id);
+            if (!$chatConfig->exists() || !checkChatAccess($chatConfig)) {
+                http_response_code(403);
+                echo json_encode(['error' => 'Access denied']);
+                exit;
+            }
+
+            // Streams can only be cancelled by their owner within the same chat
+            $cancelStream = new ChatStream($stream_id);
+            if (!$cancelStream->exists()
+                || $cancelStream->getChatId() !== $chat_id
+                || $cancelStream->getUserId() !== $user_id) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Stream not found']);
+                exit;
+            }
+
+            // The writing process picks this up with its next heartbeat
+            if ($cancelStream->isRunning()) {
+                $cancelStream->cancel();
+            }
+
+            echo json_encode(['success' => true]);
+            break;
+
         // ========================================
         // Upload File
         // ========================================
@@ -328,7 +527,625 @@ try {
                 exit;
             }
 
-            // Load chat config
+            // Load chat config
+            $chatConfig = new ChatConfig($chat_id);
+            if (!$chatConfig->exists()) {
+                echo json_encode(['error' => 'Chat not found']);
+                exit;
+            }
+
+            if (!checkChatAccess($chatConfig)) {
+                http_response_code(403);
+                echo json_encode(['error' => 'Access denied']);
+                exit;
+            }
+
+            // Check hierarchical file handling (global → service)
+            $aiService = getEffectiveAiService($chatConfig);
+            if (!isFileHandlingEnabledForService($aiService)) {
+                echo json_encode(['error' => 'File handling is disabled for this AI service']);
+                exit;
+            }
+
+            // Validate file upload
+            $upload_info = $_FILES['file'];
+            if ($upload_info['error'] !== UPLOAD_ERR_OK) {
+                echo json_encode(['error' => 'File upload failed']);
+                exit;
+            }
+
+            // Uploads belong to the conversation the client displays (RAG collection)
+            $session = resolveRequestSession($data, $user_id, $chat_id);
+            if (!$session) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Conversation not found']);
+                exit;
+            }
+
+            // Get LLM instance and check if RAG is enabled (service + global + chat)
+            $llm = createLLMInstance(getEffectiveAiService($chatConfig));
+            $rag_enabled = isRagEnabledForChat($chatConfig, $llm);
+
+            // Validate file type based on RAG mode
+            $type_error = validateUploadFileType($upload_info['name'], $llm, $rag_enabled);
+            if ($type_error !== null) {
+                echo json_encode(['error' => $type_error]);
+                exit;
+            }
+
+            try {
+                // Store file using ILIAS Resource Storage
+                $resource_storage = $DIC->resourceStorage();
+                $stakeholder = new \ILIAS\Plugin\pcaic\Storage\ResourceStakeholder();
+
+                // Use ILIAS FileUpload service
+                $upload_service = $DIC->upload();
+                $upload_service->process();
+
+                if (!$upload_service->hasUploads()) {
+                    throw new \Exception('No valid uploads found');
+                }
+
+                $upload_results = $upload_service->getResults();
+                $upload_result = $upload_results[array_keys($upload_results)[0]];
+
+                if (!$upload_result->isOK()) {
+                    throw new \Exception('Upload validation failed');
+                }
+
+                // Store in IRSS
+                $resource_id = $resource_storage->manage()->upload($upload_result, $stakeholder);
+
+                $attachment = createChatAttachment($resource_id, $chatConfig, $session);
+
+                // Return attachment info
+                echo json_encode([
+                    'success' => true,
+                    'attachment' => $attachment->toArray()
+                ]);
+
+            } catch (\Exception $e) {
+                $logger->error("File upload failed", [
+                    'error' => $e->getMessage()
+                ]);
+                echo json_encode(['error' => 'File upload failed. Please try again.']);
+            }
+            break;
+
+        // ========================================
+        // Chunked Upload (init / chunk / finalize)
+        // ========================================
+        // Files larger than PHP's upload_max_filesize are sent in chunks.
+        // upload_init returns an existing upload for the same file (matched by
+        // content hash) so the client can continue after a page reload.
+        case 'upload_init':
+        case 'upload_chunk':
+        case 'upload_finalize':
+            header('Content-Type: application/json');
+
+            if ($is_anonymous) {
+                http_response_code(403);
+                echo json_encode(['error' => 'File uploads are not available for anonymous users']);
+                exit;
+            }
+
+            $chatConfig = new ChatConfig($chat_id);
+            if (!$chatConfig->exists()) {
+                echo json_encode(['error' => 'Chat not found']);
+                exit;
+            }
+
+            if (!checkChatAccess($chatConfig)) {
+                http_response_code(403);
+                echo json_encode(['error' => 'Access denied']);
+                exit;
+            }
+
+            $aiService = getEffectiveAiService($chatConfig);
+            if (!isFileHandlingEnabledForService($aiService)) {
+                echo json_encode(['error' => 'File handling is disabled for this AI service']);
+                exit;
+            }
+
+            if ($action === 'upload_init') {
+                $file_name = basename(trim((string)($data['file_name'] ?? '')));
+                $file_size = (int)($data['file_size'] ?? 0);
+                $file_hash = strtolower((string)($data['file_hash'] ?? ''));
+                $mime_type = substr((string)($data['mime_type'] ?? ''), 0, 128);
+
+                if ($file_name === '' || $file_size <= 0 || !preg_match('/^[a-f0-9]{64}$/', $file_hash)) {
+                    http_response_code(400);
+                    echo json_encode(['error' => 'Invalid upload parameters']);
+                    exit;
+                }
+
+                $llm = createLLMInstance($aiService);
+                $type_error = validateUploadFileType($file_name, $llm, isRagEnabledForChat($chatConfig, $llm));
+                if ($type_error !== null) {
+                    echo json_encode(['error' => $type_error]);
+                    exit;
+                }
+
+                $max_file_size_mb = (int)(\platform\AIChatPageComponentConfig::get('max_file_size_mb') ?: 5);
+                if ($file_size > $max_file_size_mb * 1024 * 1024) {
+                    echo json_encode(['error' => "File too large. Maximum size is {$max_file_size_mb}MB."]);
+                    exit;
+                }
+
+                ChunkedUpload::cleanupExpired();
+                $upload = ChunkedUpload::findOrCreate($chat_id, $user_id, $file_name, $mime_type, $file_size, $file_hash);
+
+                echo json_encode([
+                    'success' => true,
+                    'upload_id' => $upload->getUploadId(),
+                    'received_bytes' => $upload->getReceivedBytes()
+                ]);
+                break;
+            }
+
+            $upload = new ChunkedUpload((string)($data['upload_id'] ?? ''));
+            if (!$upload->exists() || $upload->getUserId() !== $user_id || $upload->getChatId() !== $chat_id) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Upload not found']);
+                exit;
+            }
+
+            if ($action === 'upload_chunk') {
+                $chunk_info = $_FILES['chunk'] ?? null;
+                if (!$chunk_info || $chunk_info['error'] !== UPLOAD_ERR_OK || !is_uploaded_file($chunk_info['tmp_name'])) {
+                    echo json_encode(['error' => 'File upload failed']);
+                    exit;
+                }
+
+                try {
+                    $upload->appendChunk($chunk_info['tmp_name'], (int)($data['offset'] ?? -1));
+                } catch (\RuntimeException $e) {
+                    // Client and server disagree on the progress – tell the client where to continue
+                    http_response_code(409);
+                    echo json_encode([
+                        'error' => $e->getMessage(),
+                        'received_bytes' => $upload->getReceivedBytes()
+                    ]);
+                    exit;
+                }
+
+                echo json_encode([
+                    'success' => true,
+                    'received_bytes' => $upload->getReceivedBytes()
+                ]);
+                break;
+            }
+
+            // upload_finalize
+            $session = resolveRequestSession($data, $user_id, $chat_id);
+            if (!$session) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Conversation not found']);
+                exit;
+            }
+
+            if ($upload->getReceivedBytes() < $upload->getFileSize()) {
+                http_response_code(409);
+                echo json_encode([
+                    'error' => 'Upload incomplete',
+                    'received_bytes' => $upload->getReceivedBytes()
+                ]);
+                exit;
+            }
+
+            if (!$upload->isCompleteAndValid()) {
+                $logger->warning("Chunked upload failed checksum verification", [
+                    'upload_id' => $upload->getUploadId(),
+                    'chat_id' => $chat_id
+                ]);
+                $upload->delete();
+                echo json_encode(['error' => 'File upload failed. Please try again.']);
+                exit;
+            }
+
+            try {
+                $metadata = new \ILIAS\FileUpload\DTO\Metadata($upload->getFileName(), $upload->getFileSize(), $upload->getMimeType());
+                $status = preprocessChunkedUpload($upload, $metadata);
+                if ($status->getCode() !== \ILIAS\FileUpload\DTO\ProcessingStatus::OK) {
+                    $logger->warning("Chunked upload rejected by upload preprocessors", [
+                        'upload_id' => $upload->getUploadId(),
+                        'chat_id' => $chat_id,
+                        'reason' => $status->getMessage()
+                    ]);
+                    $upload->delete();
+                    echo json_encode(['error' => $status->getMessage() ?: 'File upload was rejected']);
+                    exit;
+                }
+
+                $stakeholder = new \ILIAS\Plugin\pcaic\Storage\ResourceStakeholder();
+                $file_stream = \ILIAS\Filesystem\Stream\Streams::ofResource(fopen($upload->getPartPath(), 'rb'));
+                $resource_id = $DIC->resourceStorage()->manage()->stream($file_stream, $stakeholder, $metadata->getFilename());
+
+                $attachment = createChatAttachment($resource_id, $chatConfig, $session);
+                $upload->delete();
+
+                echo json_encode([
+                    'success' => true,
+                    'attachment' => $attachment->toArray()
+                ]);
+
+            } catch (\Exception $e) {
+                $logger->error("Chunked file upload failed", [
+                    'upload_id' => $upload->getUploadId(),
+                    'error' => $e->getMessage()
+                ]);
+                echo json_encode(['error' => 'File upload failed. Please try again.']);
+            }
+            break;
+
+        // ========================================
+        // Load Chat History
+        // ========================================
+        case 'load_chat':
+            header('Content-Type: application/json');
+
+            // Anonymous sessions are stateless – no server-side history exists
+            if ($is_anonymous) {
+                echo json_encode(['success' => true, 'messages' => [], 'session' => null, 'config' => []]);
+                exit;
+            }
+
+            if (empty($chat_id)) {
+                echo json_encode(['error' => 'Missing chat_id']);
+                exit;
+            }
+
+            // Load chat configuration
+            $chatConfig = new ChatConfig($chat_id);
+            if (!$chatConfig->exists()) {
+                echo json_encode(['error' => 'Chat configuration not found']);
+                exit;
+            }
+
+            if (!checkChatAccess($chatConfig)) {
+                http_response_code(403);
+                echo json_encode(['error' => 'Access denied']);
+                exit;
+            }
+
+            // Cursor pagination: before_id is the oldest message the client already shows
+            $before_id = !empty($data['before_id']) ? (int)$data['before_id'] : null;
+            $limit = min(max((int)($data['limit'] ?? HISTORY_PAGE_SIZE), 1), 100);
+
+            // The displayed conversation, or the current one on first load
+            $session = resolveRequestSession($data, $user_id, $chat_id);
+            if (!$session) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Conversation not found']);
+                exit;
+            }
+
+            // Get one page of the selected branch
+            $tree = $session->getMessageTree();
+            $page = $session->getActivePathPage($limit, $before_id, $tree);
+            $formatted_messages = formatMessagesForClient($page['messages'], $chatConfig, $tree);
+
+            echo json_encode([
+                'success' => true,
+                'config' => $chatConfig->toArray(),
+                'session' => $session->toArray(),
+                'messages' => $formatted_messages,
+                'has_more' => $page['has_more']
+            ]);
+
+            // Lazy session cleanup: run with ~5% probability, restricted to users with
+            // write access on the parent object so it never runs in a plain user context.
+            // Not when paging through older messages, which a user does many times in a row.
+            if ($before_id === null && mt_rand(1, 20) === 1 && checkChatAccess($chatConfig, 'write')) {
+                $cleanup_days = (int)(\platform\AIChatPageComponentConfig::get('session_cleanup_days') ?? 90);
+                if ($cleanup_days > 0) {
+                    try {
+                        $plugin = ilAIChatPageComponentPlugin::getInstance();
+                        $plugin->cleanupInactiveSessions($cleanup_days);
+                    } catch (\Exception $e) {
+                        $logger->warning("Lazy session cleanup failed", ['error' => $e->getMessage()]);
+                    }
+                }
+            }
+            break;
+
+        // ========================================
+        // Select Conversation Branch
+        // ========================================
+        case 'select_branch':
+            header('Content-Type: application/json');
+
+            // Anonymous sessions keep their message tree in the browser only
+            if ($is_anonymous) {
+                echo json_encode(['success' => true, 'messages' => []]);
+                exit;
+            }
+
+            $message_id = (int)($data['message_id'] ?? 0);
+            if (empty($chat_id) || $message_id <= 0) {
+                echo json_encode(['error' => 'Missing required parameters']);
+                exit;
+            }
+
+            $chatConfig = new ChatConfig($chat_id);
+            if (!$chatConfig->exists()) {
+                echo json_encode(['error' => 'Chat not found']);
+                exit;
+            }
+
+            if (!checkChatAccess($chatConfig)) {
+                http_response_code(403);
+                echo json_encode(['error' => 'Access denied']);
+                exit;
+            }
+
+            $session = resolveRequestSession($data, $user_id, $chat_id, false);
+            if (!$session || !$session->selectBranch($message_id)) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Message not found']);
+                exit;
+            }
+
+            // Return the newest page of the selected branch so the client can render it
+            $tree = $session->getMessageTree();
+            $page = $session->getActivePathPage(HISTORY_PAGE_SIZE, null, $tree);
+            echo json_encode([
+                'success' => true,
+                'active_message_id' => $session->getActiveMessageId(),
+                'messages' => formatMessagesForClient($page['messages'], $chatConfig, $tree),
+                'has_more' => $page['has_more']
+            ]);
+            break;
+
+        // ========================================
+        // Search Chat History
+        // ========================================
+        case 'search_messages':
+            header('Content-Type: application/json');
+
+            // Anonymous sessions are stateless – the client searches its own history
+            if ($is_anonymous) {
+                echo json_encode(['success' => true, 'results' => []]);
+                exit;
+            }
+
+            $query = trim((string)($data['query'] ?? ''));
+            if (empty($chat_id) || mb_strlen($query) < 2) {
+                echo json_encode(['error' => 'Missing required parameters']);
+                exit;
+            }
+
+            $chatConfig = new ChatConfig($chat_id);
+            if (!$chatConfig->exists()) {
+                echo json_encode(['error' => 'Chat not found']);
+                exit;
+            }
+
+            if (!checkChatAccess($chatConfig)) {
+                http_response_code(403);
+                echo json_encode(['error' => 'Access denied']);
+                exit;
+            }
+
+            $session = resolveRequestSession($data, $user_id, $chat_id, false);
+            if (!$session) {
+                echo json_encode(['success' => true, 'results' => []]);
+                exit;
+            }
+
+            $results = [];
+            foreach ($session->searchActivePath(mb_substr($query, 0, 200)) as $msg) {
+                $results[] = [
+                    'message_id' => $msg->getMessageId(),
+                    'role' => $msg->getRole(),
+                    'snippet' => buildSearchSnippet($msg->getMessage(), $query)
+                ];
+            }
+
+            echo json_encode(['success' => true, 'results' => $results]);
+            break;
+
+        // ========================================
+        // List Conversations
+        // ========================================
+        case 'list_sessions':
+            header('Content-Type: application/json');
+
+            // Anonymous sessions are stateless – there are no stored conversations
+            if ($is_anonymous) {
+                echo json_encode(['success' => true, 'sessions' => []]);
+                exit;
+            }
+
+            if (empty($chat_id)) {
+                echo json_encode(['error' => 'Missing chat_id']);
+                exit;
+            }
+
+            $chatConfig = new ChatConfig($chat_id);
+            if (!$chatConfig->exists()) {
+                echo json_encode(['error' => 'Chat not found']);
+                exit;
+            }
+
+            if (!checkChatAccess($chatConfig)) {
+                http_response_code(403);
+                echo json_encode(['error' => 'Access denied']);
+                exit;
+            }
+
+            // Most recently active conversation first; that one is the current one
+            $sessions = [];
+            foreach (ChatSession::findAllForUserAndChat($user_id, $chat_id) as $index => $session) {
+                $sessions[] = formatSessionForClient($session, $index === 0);
+            }
+
+            echo json_encode(['success' => true, 'sessions' => $sessions]);
+            break;
+
+        // ========================================
+        // Load (Switch To) Conversation
+        // ========================================
+        case 'load_session':
+            header('Content-Type: application/json');
+
+            if ($is_anonymous) {
+                http_response_code(403);
+                echo json_encode(['error' => 'Conversations are not available for anonymous users']);
+                exit;
+            }
+
+            $session_id = (string)($data['session_id'] ?? '');
+            if (empty($chat_id) || $session_id === '') {
+                echo json_encode(['error' => 'Missing required parameters']);
+                exit;
+            }
+
+            $chatConfig = new ChatConfig($chat_id);
+            if (!$chatConfig->exists()) {
+                echo json_encode(['error' => 'Chat not found']);
+                exit;
+            }
+
+            if (!checkChatAccess($chatConfig)) {
+                http_response_code(403);
+                echo json_encode(['error' => 'Access denied']);
+                exit;
+            }
+
+            $session = ChatSession::findByIdForUserAndChat($session_id, $user_id, $chat_id);
+            if (!$session) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Conversation not found']);
+                exit;
+            }
+
+            // Touching the session makes it the current conversation for new messages
+            $session->touch();
+
+            $tree = $session->getMessageTree();
+            $page = $session->getActivePathPage(HISTORY_PAGE_SIZE, null, $tree);
+            echo json_encode([
+                'success' => true,
+                'config' => $chatConfig->toArray(),
+                'session' => formatSessionForClient($session, true),
+                'messages' => formatMessagesForClient($page['messages'], $chatConfig, $tree),
+                'has_more' => $page['has_more']
+            ]);
+            break;
+
+        // ========================================
+        // Create Conversation
+        // ========================================
+        case 'create_session':
+            header('Content-Type: application/json');
+
+            if ($is_anonymous) {
+                http_response_code(403);
+                echo json_encode(['error' => 'Conversations are not available for anonymous users']);
+                exit;
+            }
+
+            if (empty($chat_id)) {
+                echo json_encode(['error' => 'Missing chat_id']);
+                exit;
+            }
+
+            $chatConfig = new ChatConfig($chat_id);
+            if (!$chatConfig->exists()) {
+                echo json_encode(['error' => 'Chat not found']);
+                exit;
+            }
+
+            if (!checkChatAccess($chatConfig)) {
+                http_response_code(403);
+                echo json_encode(['error' => 'Access denied']);
+                exit;
+            }
+
+            $session_name = mb_substr(trim((string)($data['name'] ?? '')), 0, 255);
+
+            // Reuse the displayed conversation if it is still empty instead of piling up blank ones
+            $session = resolveRequestSession($data, $user_id, $chat_id, false);
+            if ($session && $session->getMessageCount() === 0) {
+                if ($session_name !== '') {
+                    $session->setSessionName($session_name);
+                }
+                $session->touch();
+            } else {
+                $session = ChatSession::createForUserAndChat($user_id, $chat_id, $session_name);
+                $session->save();
+            }
+
+            echo json_encode(['success' => true, 'session' => formatSessionForClient($session, true)]);
+            break;
+
+        // ========================================
+        // Rename Conversation
+        // ========================================
+        case 'rename_session':
+            header('Content-Type: application/json');
+
+            if ($is_anonymous) {
+                http_response_code(403);
+                echo json_encode(['error' => 'Conversations are not available for anonymous users']);
+                exit;
+            }
+
+            $session_id = (string)($data['session_id'] ?? '');
+            $session_name = mb_substr(trim((string)($data['name'] ?? '')), 0, 255);
+            if (empty($chat_id) || $session_id === '') {
+                echo json_encode(['error' => 'Missing required parameters']);
+                exit;
+            }
+
+            $chatConfig = new ChatConfig($chat_id);
+            if (!$chatConfig->exists()) {
+                echo json_encode(['error' => 'Chat not found']);
+                exit;
+            }
+
+            if (!checkChatAccess($chatConfig)) {
+                http_response_code(403);
+                echo json_encode(['error' => 'Access denied']);
+                exit;
+            }
+
+            $session = ChatSession::findByIdForUserAndChat($session_id, $user_id, $chat_id);
+            if (!$session) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Conversation not found']);
+                exit;
+            }
+
+            // Renaming must not change which conversation is current, so last_activity stays untouched
+            $session->setSessionName($session_name);
+            $session->save();
+
+            $current = ChatSession::findForUserAndChat($user_id, $chat_id);
+            $is_current = $current && $current->getSessionId() === $session->getSessionId();
+
+            echo json_encode(['success' => true, 'session' => formatSessionForClient($session, $is_current)]);
+            break;
+
+        // ========================================
+        // Delete Conversation
+        // ========================================
+        case 'delete_session':
+            header('Content-Type: application/json');
+
+            if ($is_anonymous) {
+                http_response_code(403);
+                echo json_encode(['error' => 'Conversations are not available for anonymous users']);
+                exit;
+            }
+
+            $session_id = (string)($data['session_id'] ?? '');
+            if (empty($chat_id) || $session_id === '') {
+                echo json_encode(['error' => 'Missing required parameters']);
+                exit;
+            }
+
             $chatConfig = new ChatConfig($chat_id);
             if (!$chatConfig->exists()) {
                 echo json_encode(['error' => 'Chat not found']);
@@ -341,152 +1158,33 @@ try {
                 exit;
             }
 
-            // Check hierarchical file handling (global → service)
-            $aiService = getEffectiveAiService($chatConfig);
-            if (!isFileHandlingEnabledForService($aiService)) {
-                echo json_encode(['error' => 'File handling is disabled for this AI service']);
-                exit;
-            }
-
-            // Validate file upload
-            $upload_info = $_FILES['file'];
-            if ($upload_info['error'] !== UPLOAD_ERR_OK) {
-                echo json_encode(['error' => 'File upload failed']);
-                exit;
-            }
-
-            // Get LLM instance and check if RAG is enabled (service + global + chat)
-            $llm = createLLMInstance(getEffectiveAiService($chatConfig));
-            $rag_enabled = isRagEnabledForChat($chatConfig, $llm);
-
-            // Validate file type based on RAG mode
-            $file_extension = strtolower(pathinfo($upload_info['name'], PATHINFO_EXTENSION));
-            if (!$llm->isFileTypeAllowed($file_extension, $rag_enabled)) {
-                $mode = $rag_enabled ? 'RAG' : 'Multimodal';
-                $allowed = $llm->getAllowedFileTypesDescription($rag_enabled);
-                echo json_encode([
-                    'error' => "File type .{$file_extension} not allowed in {$mode} mode. Allowed: {$allowed}"
-                ]);
+            $session = ChatSession::findByIdForUserAndChat($session_id, $user_id, $chat_id);
+            if (!$session) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Conversation not found']);
                 exit;
             }
 
-            try {
-                // Store file using ILIAS Resource Storage
-                $resource_storage = $DIC->resourceStorage();
-                $stakeholder = new \ILIAS\Plugin\pcaic\Storage\ResourceStakeholder();
-
-                // Use ILIAS FileUpload service
-                $upload_service = $DIC->upload();
-                $upload_service->process();
-
-                if (!$upload_service->hasUploads()) {
-                    throw new \Exception('No valid uploads found');
-                }
-
-                $upload_results = $upload_service->getResults();
-                $upload_result = $upload_results[array_keys($upload_results)[0]];
-
-                if (!$upload_result->isOK()) {
-                    throw new \Exception('Upload validation failed');
-                }
-
-                // Store in IRSS
-                $resource_id = $resource_storage->manage()->upload($upload_result, $stakeholder);
-
-                // Create attachment record
-                $attachment = new Attachment();
-                $attachment->setChatId($chat_id);
-                $attachment->setUserId($user_id);
-                $attachment->setResourceId($resource_id->serialize());
-                $attachment->setMessageId(null); // Unbound until sent with message
-                $attachment->setTimestamp(date('Y-m-d H:i:s'));
-                $attachment->save();
-
-                // Check if we should upload to RAG (use chat-specific setting)
-                $llm = createLLMInstance(getEffectiveAiService($chatConfig));
-                $enable_rag = $chatConfig->isEnableRag() && $llm->supportsRAG();
-
-                // Get file info
-                $revision = $resource_storage->manage()->getCurrentRevision($resource_id);
-                $suffix = strtolower($revision->getInformation()->getSuffix());
-
-                // CRITICAL: If RAG is active, ALL chat uploads must go to RAG
-                // Mixing RAG + Base64 in same chat is not supported by RAMSES
-                // File type validation already done by FileUpload service
-                if ($enable_rag) {
-                    try {
-                        // Download file from IRSS to temp location
-                        $stream = $resource_storage->consume()->stream($resource_id);
-                        $content = $stream->getStream()->getContents();
-
-                        // Use original filename for RAMSES validation (signature check needs correct filename)
-                        $original_filename = $revision->getTitle();
-                        $safe_filename = preg_replace('/[^a-zA-Z0-9_.-]/', '_', $original_filename);
-                        // Add unique prefix to avoid collisions
-                        $temp_file = sys_get_temp_dir() . '/' . uniqid() . '_' . $safe_filename;
-                        file_put_contents($temp_file, $content);
-
-                        $logger->debug("Prepared temp file for RAG upload", [
-                            'temp_file' => $temp_file,
-                            'original_filename' => $original_filename,
-                            'size' => strlen($content),
-                            'suffix' => $suffix
-                        ]);
-
-                        // Get or create session for this upload
-                        // IMPORTANT: Each session gets its own RAG collection to separate user uploads from background files
-                        $session = ChatSession::getOrCreateForUserAndChat($user_id, $chat_id);
-                        $session_id = $session->getSessionId();
-
-                        // Upload to RAG using session_id as entityId (not chat_id!)
-                        // This ensures user uploads are isolated from background files
-                        $rag_response = $llm->uploadFileToRAG($temp_file, $session_id);
-
-                        // Update attachment with RAG info
-                        $attachment->setRAGCollectionId($rag_response['collection_id']);
-                        $attachment->setRAGRemoteFileId($rag_response['remote_file_id']);
-                        $attachment->setRAGUploadedAt(date('Y-m-d H:i:s'));
-                        $attachment->save();
-
-                        // Cleanup
-                        @unlink($temp_file);
-
-                    } catch (\Exception $e) {
-                        $logger->error("RAG upload failed for chat upload", [
-                            'attachment_id' => $attachment->getId(),
-                            'chat_id' => $chat_id,
-                            'suffix' => $suffix,
-                            'error' => $e->getMessage()
-                        ]);
-                        // RAG upload failed - this is critical because RAG mode is active
-                        // File will NOT be available as base64 fallback to avoid mixing RAG + Base64
-                        throw new \Exception('RAG upload failed: ' . $e->getMessage());
-                    }
-                }
+            $session->deleteWithMessages();
 
-                // Return attachment info
-                echo json_encode([
-                    'success' => true,
-                    'attachment' => $attachment->toArray()
-                ]);
+            // Report which conversation is current now (null if none is left)
+            $current = ChatSession::findForUserAndChat($user_id, $chat_id);
 
-            } catch (\Exception $e) {
-                $logger->error("File upload failed", [
-                    'error' => $e->getMessage()
-                ]);
-                echo json_encode(['error' => 'File upload failed. Please try again.']);
-            }
+            echo json_encode([
+                'success' => true,
+                'current_session_id' => $current ? $current->getSessionId() : null
+            ]);
             break;
 
         // ========================================
-        // Load Chat History
+        // Import Conversation (JSON export format)
         // ========================================
-        case 'load_chat':
+        case 'import_conversation':
             header('Content-Type: application/json');
 
-            // Anonymous sessions are stateless – no server-side history exists
             if ($is_anonymous) {
-                echo json_encode(['success' => true, 'messages' => [], 'session' => null, 'config' => []]);
+                http_response_code(403);
+                echo json_encode(['error' => 'Conversations are not available for anonymous users']);
                 exit;
             }
 
@@ -495,10 +1193,9 @@ try {
                 exit;
             }
 
-            // Load chat configuration
             $chatConfig = new ChatConfig($chat_id);
             if (!$chatConfig->exists()) {
-                echo json_encode(['error' => 'Chat configuration not found']);
+                echo json_encode(['error' => 'Chat not found']);
                 exit;
             }
 
@@ -508,80 +1205,49 @@ try {
                 exit;
             }
 
-            // Get or create session
-            $session = ChatSession::getOrCreateForUserAndChat($user_id, $chat_id);
-
-            // Get recent messages
-            $messages = $session->getRecentMessages(50);
-
-            // Format messages for frontend
-            $formatted_messages = [];
-            foreach ($messages as $msg) {
-                $attachments = $msg->getAttachments();
-                $formatted_attachments = [];
-
-                foreach ($attachments as $att) {
-                    $formatted_attachments[] = $att->toArray();
-                }
-
-                $msgText = $msg->getMessage();
-                $showSources = $chatConfig->isShowSources();
-
-                // Strip sources from assistant messages when show_sources is disabled
-                if ($msg->getRole() === 'assistant' && !$showSources) {
-                    $msgText = stripSourcesFromResponse($msgText);
-                }
-
-                $formatted_msg = [
-                    'role' => $msg->getRole(),
-                    'message' => $msgText,
-                    'timestamp' => $msg->getTimestamp(),
-                    'attachments' => $formatted_attachments
-                ];
-
-                // Include sources for assistant messages (RAG citations)
-                if ($msg->getRole() === 'assistant' && $showSources && $msg->hasSources()) {
-                    $bgUrls = $chatConfig->isAllowSourceDownloads()
-                        ? getBackgroundFileDownloadUrls($chat_id)
-                        : [];
-                    $formatted_msg['sources'] = array_map(function($source) use ($bgUrls, $chat_id) {
-                        $filename = $source['filename'] ?? 'Unknown';
-                        $attachmentId = $bgUrls[$filename] ?? null;
-                        return array_merge($source, [
-                            'download_url' => $attachmentId ? buildSecureDownloadUrl($chat_id, $attachmentId) : null,
-                        ]);
-                    }, $msg->getFormattedSources());
-                }
+            $imported_messages = parseImportedMessages($data['messages'] ?? null);
+            if ($imported_messages === null) {
+                http_response_code(400);
+                echo json_encode(['error' => 'Invalid conversation data']);
+                exit;
+            }
 
-                // Include usage data if available
-                $usage = $msg->getUsage();
-                if ($usage !== null) {
-                    $formatted_msg['usage'] = $usage;
+            $session_name = mb_substr(trim((string)($data['title'] ?? '')), 0, 255);
+
+            // Always import into a fresh conversation so existing ones stay untouched
+            $session = ChatSession::createForUserAndChat($user_id, $chat_id, $session_name);
+            $session->save();
+
+            // Only role, text and timestamp are imported; attachments, sources and
+            // usage belong to the original conversation and are not recreated
+            $parent_id = 0;
+            foreach ($imported_messages as $imported) {
+                $message = new ChatMessage();
+                $message->setSessionId($session->getSessionId());
+                $message->setParentId($parent_id);
+                $message->setRole($imported['role']);
+                $message->setMessage($imported['content']);
+                $message->setImported(true);
+                if ($imported['timestamp'] !== null) {
+                    $message->setTimestamp($imported['timestamp']);
                 }
-
-                $formatted_messages[] = $formatted_msg;
+                $message->save();
+                $parent_id = $message->getMessageId();
             }
 
+            // Touching the session makes it the current conversation, so the
+            // imported messages are the context for the next send_message call
+            $session->setActiveMessageId($parent_id);
+            $session->touch();
+
+            $tree = $session->getMessageTree();
+            $page = $session->getActivePathPage(HISTORY_PAGE_SIZE, null, $tree);
             echo json_encode([
                 'success' => true,
-                'config' => $chatConfig->toArray(),
-                'session' => $session->toArray(),
-                'messages' => $formatted_messages
+                'session' => formatSessionForClient($session, true),
+                'messages' => formatMessagesForClient($page['messages'], $chatConfig, $tree),
+                'has_more' => $page['has_more']
             ]);
-
-            // Lazy session cleanup: run with ~5% probability, restricted to users with
-            // write access on the parent object so it never runs in a plain user context.
-            if (mt_rand(1, 20) === 1 && checkChatAccess($chatConfig, 'write')) {
-                $cleanup_days = (int)(\platform\AIChatPageComponentConfig::get('session_cleanup_days') ?? 90);
-                if ($cleanup_days > 0) {
-                    try {
-                        $plugin = ilAIChatPageComponentPlugin::getInstance();
-                        $plugin->cleanupInactiveSessions($cleanup_days);
-                    } catch (\Exception $e) {
-                        $logger->warning("Lazy session cleanup failed", ['error' => $e->getMessage()]);
-                    }
-                }
-            }
             break;
 
         // ========================================
@@ -613,44 +1279,22 @@ try {
                 exit;
             }
 
-            // Delete user session for this chat
-            $db = $DIC->database();
-
-            // Get session ID
-            $query = "SELECT session_id FROM pcaic_sessions " .
-                     "WHERE user_id = " . $db->quote($user_id, 'integer') . " " .
-                     "AND chat_id = " . $db->quote($chat_id, 'text');
-
-            $result = $db->query($query);
-            if ($row = $db->fetchAssoc($result)) {
-                $session_id = $row['session_id'];
-
-                // First, explicitly delete all attachments (triggers RAG cleanup)
-                $attachments_query = "SELECT a.id FROM pcaic_attachments a " .
-                                    "INNER JOIN pcaic_messages m ON a.message_id = m.message_id " .
-                                    "WHERE m.session_id = " . $db->quote($session_id, 'text');
-                $attachments_result = $db->query($attachments_query);
-
-                while ($attachment_row = $db->fetchAssoc($attachments_result)) {
-                    try {
-                        $attachment = new Attachment((int)$attachment_row['id']);
-                        $attachment->delete(); // This triggers RAG cleanup
-                    } catch (\Exception $e) {
-                        $logger->warning("Failed to delete attachment during clear_chat", [
-                            'attachment_id' => $attachment_row['id'],
-                            'error' => $e->getMessage()
-                        ]);
-                    }
-                }
-
-                // Delete messages
-                $db->manipulate("DELETE FROM pcaic_messages WHERE session_id = " . $db->quote($session_id, 'text'));
-
-                // Delete session
-                $db->manipulate("DELETE FROM pcaic_sessions WHERE session_id = " . $db->quote($session_id, 'text'));
+            // Delete the displayed conversation (attachments first, triggers RAG cleanup)
+            $session = resolveRequestSession($data, $user_id, $chat_id, false);
+            if ($session) {
+                $session->deleteWithMessages();
+            } elseif (!empty($data['session_id'])) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Conversation not found']);
+                exit;
             }
 
-            echo json_encode(['success' => true]);
+            // Continue in an empty conversation, so the next message does not
+            // end up in whichever other conversation was active last
+            $session = ChatSession::createForUserAndChat($user_id, $chat_id);
+            $session->save();
+
+            echo json_encode(['success' => true, 'session' => formatSessionForClient($session, true)]);
             break;
 
         // ========================================
@@ -696,7 +1340,8 @@ try {
                     'max_file_size_mb' => 0,
                     'max_attachments_per_message' => 0,
                     'max_char_limit' => (int)(\platform\AIChatPageComponentConfig::get('characters_limit') ?: 2000),
-                    'max_memory_limit' => (int)(\platform\AIChatPageComponentConfig::get('max_memory_messages') ?: 10)
+                    'max_memory_limit' => (int)(\platform\AIChatPageComponentConfig::get('max_memory_messages') ?: 10),
+                    'slash_commands' => getSlashCommands()
                 ]);
                 exit;
             }
@@ -763,7 +1408,8 @@ try {
                 'max_file_size_mb' => (int)(\platform\AIChatPageComponentConfig::get('max_upload_size_mb') ?: 10),
                 'max_attachments_per_message' => (int)(\platform\AIChatPageComponentConfig::get('max_attachments_per_message') ?: 5),
                 'max_char_limit' => (int)(\platform\AIChatPageComponentConfig::get('characters_limit') ?: 2000),
-                'max_memory_limit' => (int)(\platform\AIChatPageComponentConfig::get('max_memory_messages') ?: 10)
+                'max_memory_limit' => (int)(\platform\AIChatPageComponentConfig::get('max_memory_messages') ?: 10),
+                'slash_commands' => getSlashCommands()
             ]);
             break;
 
@@ -836,17 +1482,38 @@ try {
 
 } catch (\Exception $e) {
     $is_no_service = ($e->getMessage() === 'no_service_available');
+    $is_cancelled = ($stream instanceof ChatStream && $stream->isCancelled());
+
+    if ($is_cancelled) {
+        $logger->info("Stream cancelled by user", [
+            'chat_id' => $chat_id,
+            'stream_id' => $stream->getStreamId()
+        ]);
+    } else {
+        $logger->error("API Error", [
+            'action' => $action,
+            'chat_id' => $chat_id,
+            'error' => $e->getMessage(),
+            'trace' => $is_no_service ? '' : $e->getTraceAsString()
+        ]);
+    }
 
-    $logger->error("API Error", [
-        'action' => $action,
-        'chat_id' => $chat_id,
-        'error' => $e->getMessage(),
-        'trace' => $is_no_service ? '' : $e->getTraceAsString()
-    ]);
+    if ($is_cancelled) {
+        $client_message = 'cancelled';
+    } else {
+        $client_message = $is_no_service
+            ? 'no_service_available'
+            : 'An internal error occurred. Please try again.';
+    }
 
-    $client_message = $is_no_service
-        ? 'no_service_available'
-        : 'An internal error occurred. Please try again.';
+    // Let resuming clients see the failure instead of waiting for the stream to expire
+    if ($stream instanceof ChatStream) {
+        try {
+            $stream->fail($client_message);
+        } catch (\Exception $bufferException) {
+            // Buffer is best effort; the client still receives the error below
+        }
+    }
 
     if (!headers_sent()) {
         header('Content-Type: application/json');
@@ -861,7 +1528,9 @@ try {
 /**
  * Check whether the authenticated user has exceeded their daily message limit.
  *
- * Counts 'user' role messages sent today (UTC) for this user+chat combination.
+ * Counts answers ('assistant' role messages) generated today (UTC) for this
+ * user+chat combination, so regenerating an answer counts like sending a message.
+ * Imported messages were not generated here and are not counted.
  * Returns null when within limits, or a translated error string when exceeded.
  *
  * @param string $chat_id  Chat identifier
@@ -886,7 +1555,8 @@ function checkDailyMessageLimit(string $chat_id, int $user_id): ?string
         "INNER JOIN pcaic_sessions s ON m.session_id = s.session_id " .
         "WHERE s.user_id = " . $db->quote($user_id, 'integer') . " " .
         "AND s.chat_id = "  . $db->quote($chat_id, 'text')    . " " .
-        "AND m.role = 'user' " .
+        "AND m.role = 'assistant' " .
+        "AND m.imported = 0 " .
         "AND DATE(m.timestamp) = " . $db->quote($today, 'text')
     );
 
@@ -1212,3 +1882,426 @@ function buildSecureDownloadUrl(string $chat_id, int $attachment_id): string
         . '&chat_id=' . urlencode($chat_id)
         . '&attachment_id=' . (int)$attachment_id;
 }
+
+/**
+ * Format stored messages for the frontend.
+ *
+ * Adds message tree information (message_id, parent_id, sibling_ids) so the
+ * client can render version switchers for regenerated or edited messages.
+ * Sources are stripped or enriched with download URLs according to the chat settings.
+ *
+ * @param ChatMessage[] $messages   Messages of the selected branch
+ * @param ChatConfig    $chatConfig Chat configuration
+ * @param array         $tree       Result of ChatSession::getMessageTree()
+ * @return array                    Messages ready for json_encode
+ */
+function formatMessagesForClient(array $messages, ChatConfig $chatConfig, array $tree): array
+{
+    $chat_id = $chatConfig->getChatId();
+    $showSources = $chatConfig->isShowSources();
+    $bgUrls = null;
+
+    $formatted_messages = [];
+    foreach ($messages as $msg) {
+        $formatted_attachments = [];
+        foreach ($msg->getAttachments() as $att) {
+            $formatted_attachments[] = $att->toArray();
+        }
+
+        $msgText = $msg->getMessage();
+
+        // Strip sources from assistant messages when show_sources is disabled
+        if ($msg->getRole() === 'assistant' && !$showSources) {
+            $msgText = stripSourcesFromResponse($msgText);
+        }
+
+        $message_id = $msg->getMessageId();
+        $parent_id = $tree['parents'][$message_id] ?? 0;
+
+        $formatted_msg = [
+            'message_id' => $message_id,
+            'parent_id' => $parent_id,
+            'sibling_ids' => $tree['children'][$parent_id] ?? [$message_id],
+            'role' => $msg->getRole(),
+            'message' => $msgText,
+            'timestamp' => $msg->getTimestamp(),
+            'attachments' => $formatted_attachments
+        ];
+
+        // Include sources for assistant messages (RAG citations)
+        if ($msg->getRole() === 'assistant' && $showSources && $msg->hasSources()) {
+            if ($bgUrls === null) {
+                $bgUrls = $chatConfig->isAllowSourceDownloads()
+                    ? getBackgroundFileDownloadUrls($chat_id)
+                    : [];
+            }
+            $formatted_msg['sources'] = array_map(function($source) use ($bgUrls, $chat_id) {
+                $filename = $source['filename'] ?? 'Unknown';
+                $attachmentId = $bgUrls[$filename] ?? null;
+                return array_merge($source, [
+                    'download_url' => $attachmentId ? buildSecureDownloadUrl($chat_id, $attachmentId) : null,
+                ]);
+            }, $msg->getFormattedSources());
+        }
+
+        // Include usage data if available
+        $usage = $msg->getUsage();
+        if ($usage !== null) {
+            $formatted_msg['usage'] = $usage;
+        }
+
+        $formatted_messages[] = $formatted_msg;
+    }
+
+    return $formatted_messages;
+}
+
+/**
+ * Format a conversation for the client-side conversation list
+ *
+ * @param ChatSession $session Conversation to format
+ * @param bool $is_current Whether this is the conversation new messages go to
+ * @return array Session data with title, preview and message count
+ */
+function formatSessionForClient(ChatSession $session, bool $is_current): array
+{
+    return [
+        'session_id' => $session->getSessionId(),
+        'title' => $session->getSessionName(),
+        'preview' => $session->getPreview(),
+        'message_count' => $session->getMessageCount(),
+        'created_at' => $session->getCreatedAt()?->format('Y-m-d H:i:s'),
+        'last_activity' => $session->getLastActivity()?->format('Y-m-d H:i:s'),
+        'is_current' => $is_current
+    ];
+}
+
+/**
+ * Build a short text excerpt around the first occurrence of a search term
+ *
+ * @param string $text Full message text
+ * @param string $query Search term
+ * @param int $radius Characters to keep on each side of the match
+ * @return string Excerpt with ellipses where text was cut
+ */
+function buildSearchSnippet(string $text, string $query, int $radius = 60): string
+{
+    $text = trim(preg_replace('/\s+/', ' ', $text));
+    $position = mb_stripos($text, $query);
+    if ($position === false) {
+        return mb_substr($text, 0, $radius * 2);
+    }
+
+    $start = max(0, $position - $radius);
+    $snippet = mb_substr($text, $start, mb_strlen($query) + $radius * 2);
+
+    return ($start > 0 ? '…' : '') . $snippet . ($start + mb_strlen($snippet) < mb_strlen($text) ? '…' : '');
+}
+
+/**
+ * Validate and normalise the messages of an imported conversation
+ *
+ * Accepts the "messages" array of the JSON export. Every entry needs a
+ * "user" or "assistant" role and a non-empty text; timestamps are optional
+ * and only kept when they are valid dates in the past.
+ *
+ * @param mixed $messages Raw messages from the request
+ * @return array|null List of ['role', 'content', 'timestamp' => ?DateTime] or null if invalid
+ */
+function parseImportedMessages(mixed $messages): ?array
+{
+    if (!is_array($messages) || $messages === [] || count($messages) > IMPORT_MAX_MESSAGES) {
+        return null;
+    }
+
+    $now = new \DateTime();
+    $parsed = [];
+    foreach ($messages as $message) {
+        if (!is_array($message)) {
+            return null;
+        }
+
+        $role = $message['role'] ?? null;
+        $content = $message['content'] ?? null;
+        if (!in_array($role, ['user', 'assistant'], true) || !is_string($content)) {
+            return null;
+        }
+
+        $content = trim($content);
+        if ($content === '' || mb_strlen($content) > IMPORT_MAX_MESSAGE_LENGTH) {
+            return null;
+        }
+
+        $timestamp = null;
+        if (is_string($message['timestamp'] ?? null)) {
+            try {
+                $timestamp = new \DateTime($message['timestamp']);
+                $timestamp->setTimezone($now->getTimezone());
+                if ($timestamp > $now) {
+                    $timestamp = null;
+                }
+            } catch (\Exception $e) {
+                $timestamp = null;
+            }
+        }
+
+        $parsed[] = ['role' => $role, 'content' => $content, 'timestamp' => $timestamp];
+    }
+
+    return $parsed;
+}
+
+/**
+ * Validate the extension of an uploaded file against the allowed types of the current mode
+ *
+ * @param string $filename Original file name
+ * @param \ai\AIChatPageComponentLLM $llm LLM instance
+ * @param bool $rag_enabled Whether the chat runs in RAG mode
+ * @return string|null Error message, or null if the file type is allowed
+ */
+function validateUploadFileType(string $filename, \ai\AIChatPageComponentLLM $llm, bool $rag_enabled): ?string
+{
+    $file_extension = strtolower(pathinfo($filename, PATHINFO_EXTENSION));
+    if ($llm->isFileTypeAllowed($file_extension, $rag_enabled)) {
+        return null;
+    }
+
+    $mode = $rag_enabled ? 'RAG' : 'Multimodal';
+    $allowed = $llm->getAllowedFileTypesDescription($rag_enabled);
+    return "File type .{$file_extension} not allowed in {$mode} mode. Allowed: {$allowed}";
+}
+
+/**
+ * Run an assembled chunked upload through the preprocessors of the ILIAS upload service
+ *
+ * Chunks are stored without $DIC->upload()->process(), so the checks ILIAS
+ * applies to regular uploads (virus scan, filename sanitizing, blacklist,
+ * SVG check) are applied to the assembled file here. Preprocessors may
+ * change the file name in $metadata.
+ *
+ * @param ChunkedUpload $upload Complete and verified upload
+ * @param \ILIAS\FileUpload\DTO\Metadata $metadata File name, size and MIME type of the upload
+ * @return \ILIAS\FileUpload\DTO\ProcessingStatus Result of the preprocessors
+ */
+function preprocessChunkedUpload(ChunkedUpload $upload, \ILIAS\FileUpload\DTO\Metadata $metadata): \ILIAS\FileUpload\DTO\ProcessingStatus
+{
+    global $DIC;
+
+    // The preprocessors are registered when the upload service is created
+    $DIC->upload();
+
+    $file_stream = \ILIAS\Filesystem\Stream\Streams::ofResource(fopen($upload->getPartPath(), 'rb'));
+    try {
+        return $DIC['upload.processor-manager']->process($file_stream, $metadata);
+    } finally {
+        $file_stream->close();
+    }
+}
+
+/**
+ * Resolve the conversation a request refers to
+ *
+ * The client sends the ID of the conversation it displays (session_id), so a
+ * second tab or a conversation created in the same second never receives
+ * messages meant for another one. Without session_id the user's current
+ * conversation is used.
+ *
+ * @param array $data Request data
+ * @param int $user_id User ID
+ * @param string $chat_id Chat ID
+ * @param bool $create Create a conversation if none is given and none exists
+ * @return ChatSession|null Null if session_id is not a conversation of the user in this chat
+ *                          (or, without $create, if the user has no conversation)
+ */
+function resolveRequestSession(array $data, int $user_id, string $chat_id, bool $create = true): ?ChatSession
+{
+    $session_id = (string)($data['session_id'] ?? '');
+    if ($session_id !== '') {
+        return ChatSession::findByIdForUserAndChat($session_id, $user_id, $chat_id);
+    }
+
+    return $create
+        ? ChatSession::getOrCreateForUserAndChat($user_id, $chat_id)
+        : ChatSession::findForUserAndChat($user_id, $chat_id);
+}
+
+/**
+ * Create the attachment record for a file stored in IRSS
+ *
+ * Used by single-request and chunked uploads. If RAG is active for the chat,
+ * the file is also uploaded to the RAG collection of the user's session.
+ *
+ * @param \ILIAS\ResourceStorage\Identification\ResourceIdentification $resource_id Stored resource
+ * @param ChatConfig $chatConfig Chat configuration
+ * @param ChatSession $session Conversation the file is uploaded into
+ * @return Attachment Saved attachment (not yet bound to a message)
+ * @throws \Exception If the RAG upload fails
+ */
+function createChatAttachment(
+    \ILIAS\ResourceStorage\Identification\ResourceIdentification $resource_id,
+    ChatConfig $chatConfig,
+    ChatSession $session
+): Attachment {
+    global $DIC;
+    $chat_id = $session->getChatId();
+    $user_id = $session->getUserId();
+    $logger = $DIC->logger()->root();
+    $resource_storage = $DIC->resourceStorage();
+
+    // Create attachment record
+    $attachment = new Attachment();
+    $attachment->setChatId($chat_id);
+    $attachment->setUserId($user_id);
+    $attachment->setResourceId($resource_id->serialize());
+    $attachment->setMessageId(null); // Unbound until sent with message
+    $attachment->setTimestamp(date('Y-m-d H:i:s'));
+    $attachment->save();
+
+    // Check if we should upload to RAG (use chat-specific setting)
+    $llm = createLLMInstance(getEffectiveAiService($chatConfig));
+    $enable_rag = $chatConfig->isEnableRag() && $llm->supportsRAG();
+
+    // Get file info
+    $revision = $resource_storage->manage()->getCurrentRevision($resource_id);
+    $suffix = strtolower($revision->getInformation()->getSuffix());
+
+    // CRITICAL: If RAG is active, ALL chat uploads must go to RAG
+    // Mixing RAG + Base64 in same chat is not supported by RAMSES
+    // File type validation already done by FileUpload service
+    if ($enable_rag) {
+        try {
+            // Download file from IRSS to temp location
+            $stream = $resource_storage->consume()->stream($resource_id);
+            $content = $stream->getStream()->getContents();
+
+            // Use original filename for RAMSES validation (signature check needs correct filename)
+            $original_filename = $revision->getTitle();
+            $safe_filename = preg_replace('/[^a-zA-Z0-9_.-]/', '_', $original_filename);
+            // Add unique prefix to avoid collisions
+            $temp_file = sys_get_temp_dir() . '/' . uniqid() . '_' . $safe_filename;
+            file_put_contents($temp_file, $content);
+
+            $logger->debug("Prepared temp file for RAG upload", [
+                'temp_file' => $temp_file,
+                'original_filename' => $original_filename,
+                'size' => strlen($content),
+                'suffix' => $suffix
+            ]);
+
+            // IMPORTANT: Each session gets its own RAG collection to separate user uploads from background files
+            $session_id = $session->getSessionId();
+
+            // Upload to RAG using session_id as entityId (not chat_id!)
+            // This ensures user uploads are isolated from background files
+            $rag_response = $llm->uploadFileToRAG($temp_file, $session_id);
+
+            // Update attachment with RAG info
+            $attachment->setRAGCollectionId($rag_response['collection_id']);
+            $attachment->setRAGRemoteFileId($rag_response['remote_file_id']);
+            $attachment->setRAGUploadedAt(date('Y-m-d H:i:s'));
+            $attachment->save();
+
+            // Cleanup
+            @unlink($temp_file);
+
+        } catch (\Exception $e) {
+            $logger->error("RAG upload failed for chat upload", [
+                'attachment_id' => $attachment->getId(),
+                'chat_id' => $chat_id,
+                'suffix' => $suffix,
+                'error' => $e->getMessage()
+            ]);
+            // RAG upload failed - this is critical because RAG mode is active
+            // File will NOT be available as base64 fallback to avoid mixing RAG + Base64
+            throw new \Exception('RAG upload failed: ' . $e->getMessage());
+        }
+    }
+
+    return $attachment;
+}
+
+/**
+ * Slash commands offered in the chat input
+ *
+ * Built-in commands either run a client action (action) or expand into a
+ * prompt (prompt, with {input} replaced by the text after the command).
+ * Administrators can add commands in the plugin configuration, one per line
+ * as "/name | description | prompt"; a custom command replaces a built-in
+ * one of the same name.
+ *
+ * input is "none", "optional" or "required"; argument names the expected
+ * input in the autocomplete popup.
+ *
+ * @return array List of command definitions for the client
+ */
+function getSlashCommands(): array
+{
+    $plugin = ilAIChatPageComponentPlugin::getInstance();
+
+    $commands = [
+        'clear' => [
+            'description' => $plugin->txt('slash_cmd_clear'),
+            'action' => 'clear',
+            'input' => 'none'
+        ],
+        'new' => [
+            'description' => $plugin->txt('slash_cmd_new'),
+            'action' => 'new',
+            'input' => 'none'
+        ],
+        'export' => [
+            'description' => $plugin->txt('slash_cmd_export'),
+            'action' => 'export',
+            'input' => 'optional',
+            'argument' => 'markdown|html|json|print'
+        ],
+        'summarize' => [
+            'description' => $plugin->txt('slash_cmd_summarize'),
+            'prompt' => $plugin->txt('slash_prompt_summarize'),
+            'input' => 'none'
+        ],
+        'explain' => [
+            'description' => $plugin->txt('slash_cmd_explain'),
+            'prompt' => $plugin->txt('slash_prompt_explain'),
+            'prompt_without_input' => $plugin->txt('slash_prompt_explain_last'),
+            'input' => 'optional',
+            'argument' => $plugin->txt('slash_arg_text')
+        ],
+        'quiz' => [
+            'description' => $plugin->txt('slash_cmd_quiz'),
+            'prompt' => $plugin->txt('slash_prompt_quiz_topic'),
+            'prompt_without_input' => $plugin->txt('slash_prompt_quiz'),
+            'input' => 'optional',
+            'argument' => $plugin->txt('slash_arg_topic')
+        ],
+        'translate' => [
+            'description' => $plugin->txt('slash_cmd_translate'),
+            'prompt' => $plugin->txt('slash_prompt_translate'),
+            'input' => 'required',
+            'argument' => $plugin->txt('slash_arg_language')
+        ]
+    ];
+
+    $custom = (string)(\platform\AIChatPageComponentConfig::get('slash_commands') ?? '');
+    foreach (preg_split('/\R/', $custom) as $line) {
+        $parts = array_map('trim', explode('|', $line, 3));
+        if (count($parts) < 3 || !preg_match('/^\/([a-z0-9_-]{1,32})$/i', $parts[0], $matches) || $parts[2] === '') {
+            continue;
+        }
+
+        $takes_input = strpos($parts[2], '{input}') !== false;
+        $commands[strtolower($matches[1])] = [
+            'description' => $parts[1],
+            'prompt' => $parts[2],
+            'input' => $takes_input ? 'required' : 'none',
+            'argument' => $takes_input ? $plugin->txt('slash_arg_text') : ''
+        ];
+    }
+
+    $list = [];
+    foreach ($commands as $name => $command) {
+        $list[] = ['name' => $name] + $command;
+    }
+
+    return $list;
+}
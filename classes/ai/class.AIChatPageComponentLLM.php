@@ -6,6 +6,7 @@ use ILIAS\Plugin\pcaic\Model\ChatConfig;
 use ILIAS\Plugin\pcaic\Model\ChatSession;
 use ILIAS\Plugin\pcaic\Model\ChatMessage;
 use ILIAS\Plugin\pcaic\Model\Attachment;
+use ILIAS\Plugin\pcaic\Model\ChatStream;
 use platform\AIChatPageComponentException;
 
 /**
@@ -24,6 +25,12 @@ use platform\AIChatPageComponentException;
  */
 abstract class AIChatPageComponentLLM
 {
+    /** Maximum number of follow-up questions suggested after an answer */
+    public const MAX_FOLLOW_UPS = 3;
+
+    /** Language tag of the code block the follow-up questions are appended in */
+    public const FOLLOW_UPS_FENCE = 'followups';
+
     protected ?int $max_memory_messages = null;
     protected ?string $prompt = null;
     protected bool $streaming = false;
@@ -33,6 +40,17 @@ abstract class AIChatPageComponentLLM
     protected ?array $lastResponseMetadata = null;
     // Last response token usage
     protected ?array $lastResponseUsage = null;
+    // Follow-up questions suggested for the last response
+    protected ?array $lastFollowUps = null;
+
+    // IDs of the messages stored by the last handleSendMessage() call
+    protected ?int $lastUserMessageId = null;
+    protected ?int $lastAssistantMessageId = null;
+
+    // Server-side buffer of the current stream (enables client resumption)
+    protected ?ChatStream $streamBuffer = null;
+    // Sequence number of the last emitted stream chunk
+    protected int $streamSeq = 0;
 
     public function __construct()
     {
@@ -161,6 +179,135 @@ abstract class AIChatPageComponentLLM
         $this->streaming = $streaming;
     }
 
+    /**
+     * Set the buffer that records emitted stream chunks
+     *
+     * @param ChatStream|null $streamBuffer Stream buffer or null to disable buffering
+     */
+    public function setStreamBuffer(?ChatStream $streamBuffer): void
+    {
+        $this->streamBuffer = $streamBuffer;
+        $this->streamSeq = $streamBuffer !== null ? $streamBuffer->getLastSeq() : 0;
+    }
+
+    /**
+     * Emit a content chunk as Server-Sent Event
+     *
+     * Numbers the chunk and records it in the stream buffer (if set) so that
+     * a client can resume from the last sequence number it received.
+     *
+     * @param string $content Chunk text
+     * @return void
+     */
+    protected function emitStreamChunk(string $content): void
+    {
+        // The provider request is aborted shortly; nobody is listening anymore
+        if ($this->streamBuffer !== null && $this->streamBuffer->isCancelled()) {
+            return;
+        }
+
+        $this->streamSeq = $this->streamBuffer !== null
+            ? $this->streamBuffer->appendChunk($content)
+            : $this->streamSeq + 1;
+
+        echo "data: " . json_encode(['type' => 'chunk', 'seq' => $this->streamSeq, 'content' => $content]) . "\n\n";
+        ob_flush();
+        flush();
+    }
+
+    /**
+     * Emit a control event (no content) as Server-Sent Event
+     *
+     * Control events are not buffered; a resuming client gets the same
+     * information from the final payload.
+     *
+     * @param array $event Event data including its type
+     * @return void
+     */
+    protected function emitStreamEvent(array $event): void
+    {
+        echo "data: " . json_encode($event) . "\n\n";
+        ob_flush();
+        flush();
+    }
+
+    /**
+     * Keep the stream buffer alive during a request to the AI service
+     *
+     * cURL calls the progress function about once per second, also while the
+     * service sends nothing (reasoning, long prompts). It sends the heartbeat
+     * and aborts the transfer when the user stopped the generation, so the
+     * answer is neither billed further nor saved.
+     *
+     * @param \CurlHandle $curlSession cURL handle of the request
+     * @return void
+     */
+    protected function applyStreamControl(\CurlHandle $curlSession): void
+    {
+        if ($this->streamBuffer === null) {
+            return;
+        }
+
+        curl_setopt($curlSession, CURLOPT_NOPROGRESS, false);
+        curl_setopt($curlSession, CURLOPT_PROGRESSFUNCTION, function () {
+            // A non-zero return value aborts the transfer
+            return $this->streamBuffer !== null && $this->streamBuffer->heartbeat() ? 1 : 0;
+        });
+    }
+
+    /**
+     * Convert a completion delta (or message) into output text
+     *
+     * Reasoning models either write their chain of thought inline in <think>
+     * tags or deliver it in a separate reasoning_content / reasoning field.
+     * The latter is wrapped in <think> tags here, so streamed chunks, the
+     * stream buffer and the stored message all use one format.
+     *
+     * @param array $delta Delta or message object of a completion choice
+     * @param bool $reasoningOpen Whether a wrapped reasoning segment is open (updated)
+     * @return string Text to append (may be empty)
+     */
+    protected function formatCompletionText(array $delta, bool &$reasoningOpen): string
+    {
+        $text = '';
+
+        $reasoning = $delta['reasoning_content'] ?? $delta['reasoning'] ?? null;
+        if (is_string($reasoning) && $reasoning !== '') {
+            if (!$reasoningOpen) {
+                $text .= '<think>';
+                $reasoningOpen = true;
+            }
+            $text .= $reasoning;
+        }
+
+        $content = $delta['content'] ?? null;
+        if (is_string($content) && $content !== '') {
+            if ($reasoningOpen) {
+                $text .= "</think>\n\n";
+                $reasoningOpen = false;
+            }
+            $text .= $content;
+        }
+
+        return $text;
+    }
+
+    /**
+     * Remove the reasoning block (<think> / <thinking>) from a message
+     *
+     * Reasoning is shown to the user but never sent back to the model. Only a
+     * block at the start of the message is reasoning; tags later in the answer
+     * are content.
+     *
+     * @param string $text Message text
+     * @return string Text without reasoning
+     */
+    public static function stripReasoning(string $text): string
+    {
+        $stripped = preg_replace('/^\s*<(think|thinking)>.*?(?:<\/\1>|\z)/is', '', $text, 1);
+        return $stripped === null || $stripped === $text ? $text : ltrim($stripped);
+    }
+
     /**
      * Get last response metadata (RAG sources)
      *
@@ -181,6 +328,36 @@ abstract class AIChatPageComponentLLM
         return $this->lastResponseUsage;
     }
 
+    /**
+     * Get the ID of the user message the last response answers
+     *
+     * @return int|null Message ID or null if nothing was stored (stateless mode)
+     */
+    public function getLastUserMessageId(): ?int
+    {
+        return $this->lastUserMessageId;
+    }
+
+    /**
+     * Get the ID of the stored assistant message of the last response
+     *
+     * @return int|null Message ID or null if nothing was stored (stateless mode)
+     */
+    public function getLastAssistantMessageId(): ?int
+    {
+        return $this->lastAssistantMessageId;
+    }
+
+    /**
+     * Get follow-up questions suggested for the last response
+     *
+     * @return array|null List of question strings or null if none were generated
+     */
+    public function getLastFollowUps(): ?array
+    {
+        return $this->lastFollowUps;
+    }
+
     /**
      * Clear last response data
      */
@@ -188,6 +365,7 @@ abstract class AIChatPageComponentLLM
     {
         $this->lastResponseMetadata = null;
         $this->lastResponseUsage = null;
+        $this->lastFollowUps = null;
     }
 
     /**
@@ -230,10 +408,16 @@ abstract class AIChatPageComponentLLM
      * @param int $user_id User identifier
      * @param string $message User message text
      * @param array $attachment_ids Optional attachment IDs to bind to message
+     * @param int|null $regenerate_message_id Existing user message to answer again (creates a sibling response)
+     * @param int|null $edit_message_id Existing user message the new message replaces (creates a sibling question)
+     * @param ChatSession|null $session Conversation to post into (defaults to the user's current one)
      * @return string AI response
      */
-    public function handleSendMessage(string $chat_id, int $user_id, string $message, array $attachment_ids = []): string
+    public function handleSendMessage(string $chat_id, int $user_id, string $message, array $attachment_ids = [], ?int $regenerate_message_id = null, ?int $edit_message_id = null, ?ChatSession $session = null): string
     {
+        $this->lastUserMessageId = null;
+        $this->lastAssistantMessageId = null;
+
         try {
             // Load chat configuration
             $chatConfig = new ChatConfig($chat_id);
@@ -242,22 +426,58 @@ abstract class AIChatPageComponentLLM
             }
 
             // Get or create session
-            $session = ChatSession::getOrCreateForUserAndChat($user_id, $chat_id);
-
-            // Add user message to session
-            $userMessage = $session->addMessage('user', $message);
+            $session ??= ChatSession::getOrCreateForUserAndChat($user_id, $chat_id);
+
+            if ($regenerate_message_id !== null) {
+                // Regenerate: answer an existing user message again. Its branch becomes
+                // the context and the new response is stored as a sibling version.
+                $userMessage = new ChatMessage($regenerate_message_id);
+                if (!$userMessage->exists()
+                    || $userMessage->getSessionId() !== $session->getSessionId()
+                    || $userMessage->getRole() !== 'user') {
+                    throw new AIChatPageComponentException('Message to regenerate not found');
+                }
+                $session->setActiveMessageId($regenerate_message_id);
+                $session->save();
+            } elseif ($edit_message_id !== null) {
+                // Edit: store the new text as a sibling of the original user message,
+                // so the original question and its answers stay available as a branch
+                $originalMessage = new ChatMessage($edit_message_id);
+                if (!$originalMessage->exists()
+                    || $originalMessage->getSessionId() !== $session->getSessionId()
+                    || $originalMessage->getRole() !== 'user') {
+                    throw new AIChatPageComponentException('Message to edit not found');
+                }
+                $tree = $session->getMessageTree();
+                $userMessage = $session->addMessage('user', $message, $tree['parents'][$edit_message_id] ?? 0);
 
-            // Bind attachments to message if provided
-            if (!empty($attachment_ids)) {
-                foreach ($attachment_ids as $attachment_id) {
-                    if (is_numeric($attachment_id)) {
-                        $userMessage->addAttachment($attachment_id);
+                // Keep the original attachments with the edited message
+                foreach ($originalMessage->getAttachments() as $attachment) {
+                    $attachment->copyToMessage($userMessage->getMessageId());
+                }
+            } else {
+                // Add user message to session
+                $userMessage = $session->addMessage('user', $message);
+
+                // Bind attachments to message if provided
+                if (!empty($attachment_ids)) {
+                    foreach ($attachment_ids as $attachment_id) {
+                        if (is_numeric($attachment_id)) {
+                            $userMessage->addAttachment($attachment_id);
+                        }
                     }
                 }
             }
+            $this->lastUserMessageId = $userMessage->getMessageId();
+
+            // The message is stored; the client can drop its draft and edit the message
+            if ($this->isStreaming()) {
+                $this->emitStreamEvent(['type' => 'user_message', 'user_message_id' => $this->lastUserMessageId]);
+            }
 
             // Set configuration from chat
             $this->setPrompt($chatConfig->getSystemPrompt());
+            $this->requestFollowUps();
             $this->setMaxMemoryMessages($chatConfig->getMaxMemory());
 
             // Check hierarchical file handling (global → service)
@@ -324,8 +544,11 @@ abstract class AIChatPageComponentLLM
                 $aiResponse = $this->sendMessagesArray($aiMessages, $contextResources);
             }
 
+            $aiResponse = $this->extractFollowUps($aiResponse);
+
             // Add AI response to session with metadata and usage
             $assistantMessage = $session->addMessage('assistant', $aiResponse);
+            $this->lastAssistantMessageId = $assistantMessage->getMessageId();
 
             // Store metadata (RAG sources) if available
             if ($this->lastResponseMetadata !== null) {
@@ -378,6 +601,7 @@ abstract class AIChatPageComponentLLM
             }
 
             $this->setPrompt($chatConfig->getSystemPrompt());
+            $this->requestFollowUps();
             $this->setMaxMemoryMessages($chatConfig->getMaxMemory());
 
             $ai_service = $chatConfig->getAiService();
@@ -416,6 +640,9 @@ abstract class AIChatPageComponentLLM
             foreach ($historySlice as $entry) {
                 $role = $entry['role'] ?? '';
                 $text = $entry['message'] ?? '';
+                if ($role === 'assistant' && is_string($text)) {
+                    $text = self::stripReasoning($text);
+                }
                 if (!empty($text) && in_array($role, ['user', 'assistant'], true)) {
                     $aiMessages[] = ['role' => $role, 'content' => $text];
                 }
@@ -424,10 +651,11 @@ abstract class AIChatPageComponentLLM
 
             $this->clearLastResponseData();
 
-            if ($useRAG) {
-                return $this->sendRagChat($aiMessages, $collectionIds, $contextResources);
-            }
-            return $this->sendMessagesArray($aiMessages, $contextResources);
+            $aiResponse = $useRAG
+                ? $this->sendRagChat($aiMessages, $collectionIds, $contextResources)
+                : $this->sendMessagesArray($aiMessages, $contextResources);
+
+            return $this->extractFollowUps($aiResponse);
 
         } catch (\Exception $e) {
             $this->logger->error("handleStatelessMessage failed", [
@@ -438,6 +666,88 @@ abstract class AIChatPageComponentLLM
         }
     }
 
+    /**
+     * Ask the model to append follow-up questions to its answer
+     *
+     * The questions come with the answer itself (a trailing fenced JSON block,
+     * see extractFollowUps()), so no additional request is needed. Must be
+     * called after the chat's system prompt has been set.
+     *
+     * @return void
+     */
+    protected function requestFollowUps(): void
+    {
+        if ((\platform\AIChatPageComponentConfig::get('enable_follow_ups') ?? '0') !== '1') {
+            return;
+        }
+
+        $instruction = 'After your answer, suggest up to ' . self::MAX_FOLLOW_UPS . ' short follow-up questions '
+            . 'the user could ask next, written from the user\'s perspective and in the language of the '
+            . 'conversation. Append them at the very end as a code block with the language "'
+            . self::FOLLOW_UPS_FENCE . '" that contains only a JSON array of strings, for example:' . "\n"
+            . '```' . self::FOLLOW_UPS_FENCE . "\n" . '["First question?", "Second question?"]' . "\n" . '```';
+
+        $this->setPrompt(trim(($this->prompt ?? '') . "\n\n" . $instruction));
+    }
+
+    /**
+     * Remove the follow-up block from a response and remember its questions
+     *
+     * Only a block that ends the response counts. The answer or the reasoning
+     * may mention the format as well; such text is left unchanged.
+     *
+     * @param string $response AI response, possibly ending with the follow-up block
+     * @return string Response without the block
+     */
+    protected function extractFollowUps(string $response): string
+    {
+        $this->lastFollowUps = null;
+
+        $fence = '```' . self::FOLLOW_UPS_FENCE;
+        $position = strrpos($response, $fence);
+        if ($position === false) {
+            return $response;
+        }
+
+        // A JSON array without backticks, optionally closed by a fence, up to the end
+        $block = substr($response, $position + strlen($fence));
+        if (!preg_match('/^[ \t]*\n\s*(\[[^`]*\])\s*(?:```)?\s*$/', $block, $matches)) {
+            return $response;
+        }
+        $this->lastFollowUps = $this->parseFollowUps($matches[1]);
+
+        return rtrim(substr($response, 0, $position));
+    }
+
+    /**
+     * Extract follow-up questions from the model's JSON reply
+     *
+     * Tolerates text around the array.
+     *
+     * @param string $reply Content of the follow-up block
+     * @return array|null Up to MAX_FOLLOW_UPS questions or null if none were found
+     */
+    protected function parseFollowUps(string $reply): ?array
+    {
+        if (!preg_match('/\[.*\]/s', $reply, $matches)) {
+            return null;
+        }
+
+        $decoded = json_decode($matches[0], true);
+        if (!is_array($decoded)) {
+            return null;
+        }
+
+        $followUps = [];
+        foreach ($decoded as $entry) {
+            if (is_string($entry) && trim($entry) !== '') {
+                $followUps[] = mb_substr(trim($entry), 0, 200);
+            }
+        }
+
+        return empty($followUps) ? null : array_slice(array_values(array_unique($followUps)), 0, self::MAX_FOLLOW_UPS);
+    }
+
     /**
      * Process background files using Attachment class (with Flavour caching!)
      *
@@ -583,6 +893,9 @@ abstract class AIChatPageComponentLLM
 
             foreach ($recentMessages as $msg) {
                 $content = $msg->getMessage();
+                if ($msg->getRole() === 'assistant') {
+                    $content = self::stripReasoning($content);
+                }
                 $attachments = $msg->getAttachments();
 
                 // Skip attachment processing if file handling is disabled
@@ -421,9 +421,12 @@ class AIChatPageComponentOpenAI extends AIChatPageComponentLLM
         }
 
         $responseContent = '';
+        $streamReasoningOpen = false;
+
+        $this->applyStreamControl($curlSession);
 
         if ($this->isStreaming()) {
-            curl_setopt($curlSession, CURLOPT_WRITEFUNCTION, function ($curlSession, $chunk) use (&$responseContent) {
+            curl_setopt($curlSession, CURLOPT_WRITEFUNCTION, function ($curlSession, $chunk) use (&$responseContent, &$streamReasoningOpen) {
                 $responseContent .= $chunk;
 
                 // Parse and reformat the chunk for Server-Sent Events
@@ -439,12 +442,12 @@ class AIChatPageComponentOpenAI extends AIChatPageComponentLLM
                         }
 
                         $json = json_decode($jsonData, true);
-                        if ($json && isset($json['choices'][0]['delta']['content'])) {
-                            $content = $json['choices'][0]['delta']['content'];
-                            // Output as Server-Sent Event format
-                            echo "data: " . json_encode(['type' => 'chunk', 'content' => $content]) . "\n\n";
-                            ob_flush();
-                            flush();
+                        if ($json && isset($json['choices'][0]['delta']) && is_array($json['choices'][0]['delta'])) {
+                            $content = $this->formatCompletionText($json['choices'][0]['delta'], $streamReasoningOpen);
+                            // Output as numbered Server-Sent Event
+                            if ($content !== '') {
+                                $this->emitStreamChunk($content);
+                            }
                         }
                     }
                 }
@@ -463,6 +466,9 @@ class AIChatPageComponentOpenAI extends AIChatPageComponentLLM
 
         // Handle curl_exec returning false on failure
         if ($response === false || $errNo) {
+            if ($errNo === CURLE_ABORTED_BY_CALLBACK) {
+                throw new AIChatPageComponentException("Generation cancelled by user", $errNo);
+            }
             if ($this->logger) {
                 $this->logger->error("OpenAI cURL execution failed", [
                     'curl_error' => $errMsg,
@@ -528,7 +534,11 @@ class AIChatPageComponentOpenAI extends AIChatPageComponentLLM
             }
 
             // Log complete response for debugging
-            $content = $decodedResponse['choices'][0]['message']['content'];
+            $reasoningOpen = false;
+            $content = $this->formatCompletionText($decodedResponse['choices'][0]['message'], $reasoningOpen);
+            if ($reasoningOpen) {
+                $content .= '</think>';
+            }
             $usage = $decodedResponse['usage'] ?? [];
             if ($this->logger) {
                 $this->logger->debug("OpenAI Chat Response: HTTP " . $httpcode .
@@ -543,6 +553,7 @@ class AIChatPageComponentOpenAI extends AIChatPageComponentLLM
         // Process streaming response
         $messages = explode("\n", $responseContent);
         $completeMessage = '';
+        $reasoningOpen = false;
 
         foreach ($messages as $message) {
             if (trim($message) !== '' && strpos($message, 'data: ') === 0) {
@@ -554,11 +565,14 @@ class AIChatPageComponentOpenAI extends AIChatPageComponentLLM
                 if ($json === null && json_last_error() !== JSON_ERROR_NONE) {
                     continue; // Skip invalid JSON chunks
                 }
-                if (is_array($json) && isset($json['choices'][0]['delta']['content'])) {
-                    $completeMessage .= $json['choices'][0]['delta']['content'];
+                if (is_array($json) && isset($json['choices'][0]['delta']) && is_array($json['choices'][0]['delta'])) {
+                    $completeMessage .= $this->formatCompletionText($json['choices'][0]['delta'], $reasoningOpen);
                 }
             }
         }
+        if ($reasoningOpen) {
+            $completeMessage .= '</think>';
+        }
 
         // Log complete streaming response
         if ($this->logger) {
@@ -922,9 +922,12 @@ class AIChatPageComponentRAMSES extends AIChatPageComponentLLM
         }
 
         $responseContent = '';
+        $streamReasoningOpen = false;
+
+        $this->applyStreamControl($curlSession);
 
         if ($this->isStreaming()) {
-            curl_setopt($curlSession, CURLOPT_WRITEFUNCTION, function ($curlSession, $chunk) use (&$responseContent) {
+            curl_setopt($curlSession, CURLOPT_WRITEFUNCTION, function ($curlSession, $chunk) use (&$responseContent, &$streamReasoningOpen) {
                 $responseContent .= $chunk;
 
                 // Parse and reformat the chunk for Server-Sent Events
@@ -940,12 +943,12 @@ class AIChatPageComponentRAMSES extends AIChatPageComponentLLM
                         }
 
                         $json = json_decode($jsonData, true);
-                        if ($json && isset($json['choices'][0]['delta']['content'])) {
-                            $content = $json['choices'][0]['delta']['content'];
-                            // Output as Server-Sent Event format
-                            echo "data: " . json_encode(['type' => 'chunk', 'content' => $content]) . "\n\n";
-                            ob_flush();
-                            flush();
+                        if ($json && isset($json['choices'][0]['delta']) && is_array($json['choices'][0]['delta'])) {
+                            $content = $this->formatCompletionText($json['choices'][0]['delta'], $streamReasoningOpen);
+                            // Output as numbered Server-Sent Event
+                            if ($content !== '') {
+                                $this->emitStreamChunk($content);
+                            }
                         }
                     }
                 }
@@ -964,6 +967,9 @@ class AIChatPageComponentRAMSES extends AIChatPageComponentLLM
 
         // Handle curl_exec returning false on failure
         if ($response === false || $errNo) {
+            if ($errNo === CURLE_ABORTED_BY_CALLBACK) {
+                throw new AIChatPageComponentException("Generation cancelled by user", $errNo);
+            }
             $this->logger->error("RAMSES API cURL execution failed", [
                 'curl_error' => $errMsg,
                 'curl_errno' => $errNo,
@@ -1012,8 +1018,12 @@ class AIChatPageComponentRAMSES extends AIChatPageComponentLLM
                 throw new AIChatPageComponentException("Unexpected API response structure from RAMSES" . $response);
             }
 
-            // Extract content
-            $content = $decodedResponse['choices'][0]['message']['content'];
+            // Extract content (reasoning wrapped in <think> tags)
+            $reasoningOpen = false;
+            $content = $this->formatCompletionText($decodedResponse['choices'][0]['message'], $reasoningOpen);
+            if ($reasoningOpen) {
+                $content .= '</think>';
+            }
 
             // Store metadata (RAG sources) in parent class property
             if (isset($decodedResponse['metadata']) && is_array($decodedResponse['metadata'])) {
@@ -1049,6 +1059,7 @@ class AIChatPageComponentRAMSES extends AIChatPageComponentLLM
         // Process streaming response – extract text, metadata and usage from all chunks
         $lines          = explode("\n", $responseContent);
         $completeMessage = '';
+        $reasoningOpen = false;
 
         foreach ($lines as $line) {
             $line = trim($line);
@@ -1064,9 +1075,9 @@ class AIChatPageComponentRAMSES extends AIChatPageComponentLLM
                 continue;
             }
 
-            // Text delta
-            if (isset($json['choices'][0]['delta']['content'])) {
-                $completeMessage .= $json['choices'][0]['delta']['content'];
+            // Text delta (reasoning wrapped in <think> tags)
+            if (isset($json['choices'][0]['delta']) && is_array($json['choices'][0]['delta'])) {
+                $completeMessage .= $this->formatCompletionText($json['choices'][0]['delta'], $reasoningOpen);
             }
 
             // RAG sources / metadata (may appear in any chunk, typically the last)
@@ -1080,6 +1091,10 @@ class AIChatPageComponentRAMSES extends AIChatPageComponentLLM
             }
         }
 
+        if ($reasoningOpen) {
+            $completeMessage .= '</think>';
+        }
+
         $sourceCount = $this->lastResponseMetadata ? count($this->lastResponseMetadata) : 0;
 
         $this->logger->debug("RAMSES Chat Response (Streaming): HTTP " . $httpcode .
@@ -253,7 +253,7 @@ class ilAIChatPageComponentConfigGUI extends ilPluginConfigGUI
 
     /**
      * Build default values input fields for new chat instances
-     * Contains system prompt and disclaimer only
+     * Contains system prompt, disclaimer and custom slash commands
      *
      * @return array UI input components for default configuration
      */
@@ -276,6 +276,13 @@ class ilAIChatPageComponentConfigGUI extends ilPluginConfigGUI
             $this->plugin->txt('config_default_disclaimer_info')
         )->withMaxLimit(4000)->withValue($disclaimer ?: '');
 
+        // Custom slash commands offered in the chat input (one per line)
+        $slash_commands = \platform\AIChatPageComponentConfig::get('slash_commands');
+        $inputs['slash_commands'] = $ui_factory->input()->field()->textarea(
+            $this->plugin->txt('config_slash_commands'),
+            $this->plugin->txt('config_slash_commands_info')
+        )->withMaxLimit(10000)->withValue($slash_commands ?: '');
+
         return $inputs;
     }
 
@@ -325,6 +332,13 @@ class ilAIChatPageComponentConfigGUI extends ilPluginConfigGUI
             $this->plugin->txt('config_enable_streaming_info')
         )->withValue(($streaming_enabled ?? '1') === '1');
 
+        // Suggest follow-up questions after each answer (opt-in: appends an instruction to the system prompt)
+        $follow_ups_enabled = \platform\AIChatPageComponentConfig::get('enable_follow_ups');
+        $inputs['enable_follow_ups'] = $ui_factory->input()->field()->checkbox(
+            $this->plugin->txt('config_enable_follow_ups'),
+            $this->plugin->txt('config_enable_follow_ups_info')
+        )->withValue(($follow_ups_enabled ?? '0') === '1');
+
         // Daily message limit per user per chat (0 = unlimited)
         $max_msg_day = \platform\AIChatPageComponentConfig::get('max_messages_per_day');
         $inputs['max_messages_per_day'] = $ui_factory->input()->field()->numeric(
@@ -440,6 +454,13 @@ class ilAIChatPageComponentConfigGUI extends ilPluginConfigGUI
             $this->plugin->txt('config_max_upload_size_info')
         )->withValue($max_upload_size ? (int)$max_upload_size : 25);
 
+        // Longest image edge after client-side downscaling (0 = upload unchanged)
+        $image_max_edge = \platform\AIChatPageComponentConfig::get('upload_image_max_edge');
+        $inputs['upload_image_max_edge'] = $ui_factory->input()->field()->numeric(
+            $this->plugin->txt('config_upload_image_max_edge'),
+            $this->plugin->txt('config_upload_image_max_edge_info')
+        )->withValue($image_max_edge !== null ? (int)$image_max_edge : 2048);
+
         return $inputs;
     }
 
@@ -648,6 +669,9 @@ class ilAIChatPageComponentConfigGUI extends ilPluginConfigGUI
                 if (isset($defaults_data['default_disclaimer'])) {
                     \platform\AIChatPageComponentConfig::set('default_disclaimer', $defaults_data['default_disclaimer']);
                 }
+                if (isset($defaults_data['slash_commands'])) {
+                    \platform\AIChatPageComponentConfig::set('slash_commands', $defaults_data['slash_commands']);
+                }
 
                 // Save processing limits
                 if (isset($processing_data['default_char_limit'])) {
@@ -665,6 +689,9 @@ class ilAIChatPageComponentConfigGUI extends ilPluginConfigGUI
                 if (isset($processing_data['enable_streaming'])) {
                     \platform\AIChatPageComponentConfig::set('enable_streaming', $processing_data['enable_streaming'] ? '1' : '0');
                 }
+                if (isset($processing_data['enable_follow_ups'])) {
+                    \platform\AIChatPageComponentConfig::set('enable_follow_ups', $processing_data['enable_follow_ups'] ? '1' : '0');
+                }
                 if (isset($processing_data['max_messages_per_day'])) {
                     \platform\AIChatPageComponentConfig::set('max_messages_per_day', (int)$processing_data['max_messages_per_day']);
                 }
@@ -696,6 +723,9 @@ class ilAIChatPageComponentConfigGUI extends ilPluginConfigGUI
                 if (isset($constraints_data['max_total_upload_size_mb'])) {
                     \platform\AIChatPageComponentConfig::set('max_total_upload_size_mb', (int)$constraints_data['max_total_upload_size_mb']);
                 }
+                if (isset($constraints_data['upload_image_max_edge'])) {
+                    \platform\AIChatPageComponentConfig::set('upload_image_max_edge', max(0, (int)$constraints_data['upload_image_max_edge']));
+                }
 
                 // Save file upload restrictions (OptionalGroup structure)
                 // Note: Transformation returns array with 'enabled' key
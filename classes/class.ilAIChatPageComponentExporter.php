@@ -145,6 +145,18 @@ class ilAIChatPageComponentExporter extends ilPageComponentPluginExporter
             $configElement->appendChild($disclaimerElement);
         }
 
+        // Optional starter prompts
+        if ($chatConfig->getStarterPrompts()) {
+            $startersElement = $xml->createElement('starter_prompts');
+            foreach ($chatConfig->getStarterPrompts() as $starter) {
+                $starterElement = $xml->createElement('starter');
+                $starterElement->setAttribute('title', $starter['title']);
+                $starterElement->appendChild($xml->createCDATASection($starter['prompt']));
+                $startersElement->appendChild($starterElement);
+            }
+            $configElement->appendChild($startersElement);
+        }
+
         // Background files from pcaic_attachments table
         $this->addBackgroundFiles($xml, $configElement, $chatConfig);
     }
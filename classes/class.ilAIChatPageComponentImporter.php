@@ -217,6 +217,18 @@ class ilAIChatPageComponentImporter extends ilPageComponentPluginImporter
             $newChat->setDisclaimer((string)$cfg->disclaimer);
         }
 
+        // Optional starter prompts
+        if (isset($cfg->starter_prompts->starter)) {
+            $starters = [];
+            foreach ($cfg->starter_prompts->starter as $starter) {
+                $starters[] = [
+                    'title' => (string)$starter['title'],
+                    'prompt' => (string)$starter
+                ];
+            }
+            $newChat->setStarterPrompts($starters);
+        }
+
         $newChat->save();
 
         $backgroundFilesCount = $this->createBackgroundFileAttachments($newChatId, $xml, $a_mapping);
@@ -300,6 +300,7 @@ class ilAIChatPageComponentPlugin extends ilPageComponentPlugin
                         $newConfig->setEnableRag($oldConfig->isEnableRag());
                         $newConfig->setIsOnline($oldConfig->isOnline());
                         $newConfig->setDisclaimer($oldConfig->getDisclaimer());
+                        $newConfig->setStarterPrompts($oldConfig->getStarterPrompts());
                         $newConfig->save();
 
                         $a_properties['chat_id'] = $new_chat_id;
@@ -386,6 +387,7 @@ class ilAIChatPageComponentPlugin extends ilPageComponentPlugin
             $newConfig->setEnableRag($oldConfig->isEnableRag());
             $newConfig->setIsOnline($oldConfig->isOnline());
             $newConfig->setDisclaimer($oldConfig->getDisclaimer());
+            $newConfig->setStarterPrompts($oldConfig->getStarterPrompts());
             $newConfig->save();
 
             $a_properties['chat_id'] = $new_chat_id;
@@ -844,7 +846,7 @@ class ilAIChatPageComponentPlugin extends ilPageComponentPlugin
             $logger->info("All plugin data and files cleaned up successfully");
 
             // Step 2: Drop database tables
-            $tables = ['pcaic_attachments', 'pcaic_messages', 'pcaic_sessions', 'pcaic_chats', 'pcaic_config', 'pcaic_data'];
+            $tables = ['pcaic_attachments', 'pcaic_messages', 'pcaic_sessions', 'pcaic_streams', 'pcaic_stream_chunks', 'pcaic_uploads', 'pcaic_chats', 'pcaic_config', 'pcaic_data'];
             $dropped_tables = [];
 
             foreach ($tables as $table) {
@@ -1273,6 +1275,15 @@ class ilAIChatPageComponentPlugin extends ilPageComponentPlugin
                 }
             }
 
+            // Remove unfinished chunked uploads and their part files
+            if ($db->tableExists('pcaic_uploads')) {
+                try {
+                    \ILIAS\Plugin\pcaic\Model\ChunkedUpload::cleanupExpired(0);
+                } catch (Exception $e) {
+                    $logger->warning("Failed to cleanup chunked uploads during uninstall", ['error' => $e->getMessage()]);
+                }
+            }
+
             // Cleanup any remaining IRSS resources associated with this plugin
             try {
                 $stakeholder = new \ILIAS\Plugin\pcaic\Storage\ResourceStakeholder();
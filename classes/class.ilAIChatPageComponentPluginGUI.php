@@ -30,6 +30,9 @@ use ILIAS\Plugin\pcaic\Validation\FileUploadValidator;
  */
 class ilAIChatPageComponentPluginGUI extends ilPageComponentPluginGUI
 {
+    /** @var int Upper bound for the chunk size of chunked uploads (bytes) */
+    private const MAX_UPLOAD_CHUNK_SIZE = 4 * 1024 * 1024;
+
     /** @var ilLanguage Language service for localization */
     protected ilLanguage $lng;
 
@@ -307,6 +310,7 @@ class ilAIChatPageComponentPluginGUI extends ilPageComponentPluginGUI
                             'allow_source_downloads' => $chatConfig->isAllowSourceDownloads(),
                             'is_online' => $chatConfig->isOnline(),
                             'disclaimer' => $chatConfig->getDisclaimer(),
+                            'starter_prompts' => $this->formatStarterPrompts($chatConfig->getStarterPrompts()),
                             'background_files' => json_encode($chatConfig->getBackgroundFiles())
                         ];
                     } else {
@@ -533,6 +537,18 @@ class ilAIChatPageComponentPluginGUI extends ilPageComponentPluginGUI
             $this->plugin->txt('legal_disclaimer_info')
         )->withDedicatedName('disclaimer')->withMaxLimit(4000)->withValue($prop['disclaimer'] ?? $defaults['disclaimer']);
 
+        // Starter prompts shown in the welcome state, one "Title | Prompt" per line;
+        // more than the model keeps are rejected instead of being dropped on save
+        $max_starters = \ILIAS\Plugin\pcaic\Model\ChatConfig::MAX_STARTER_PROMPTS;
+        $starter_prompts = $ui_factory->input()->field()->textarea(
+            $this->plugin->txt('starter_prompts_label'),
+            $this->plugin->txt('starter_prompts_info')
+        )->withDedicatedName('starter_prompts')->withMaxLimit(8000)->withValue($prop['starter_prompts'] ?? '')
+            ->withAdditionalTransformation($DIC->refinery()->custom()->constraint(
+                fn($value) => count($this->parseStarterPrompts((string)$value)) <= $max_starters,
+                sprintf($this->plugin->txt('starter_prompts_too_many'), $max_starters)
+            ));
+
         // Create the complete UI form with all fields
         $form_action = $a_create ? $this->ctrl->getFormAction($this, 'create') : $this->ctrl->getFormAction($this, 'update');
 
@@ -571,6 +587,7 @@ class ilAIChatPageComponentPluginGUI extends ilPageComponentPluginGUI
         $form_fields['show_sources'] = $show_sources;
         $form_fields['allow_source_downloads'] = $allow_source_downloads;
         $form_fields['disclaimer'] = $disclaimer;
+        $form_fields['starter_prompts'] = $starter_prompts;
 
         // Only show background files field if file handling is enabled (hierarchical) AND background files are allowed
         if ($file_handling_enabled_for_service && $background_files_enabled) {
@@ -705,6 +722,7 @@ class ilAIChatPageComponentPluginGUI extends ilPageComponentPluginGUI
             $chatConfig->setShowSources((bool) ($form_data['show_sources'] ?? true));
             $chatConfig->setAllowSourceDownloads((bool) ($form_data['allow_source_downloads'] ?? true));
             $chatConfig->setDisclaimer($form_data['disclaimer'] ?? '');
+            $chatConfig->setStarterPrompts($this->parseStarterPrompts($form_data['starter_prompts'] ?? ''));
 
             // Save to database
             $result = $chatConfig->save();
@@ -1056,6 +1074,7 @@ class ilAIChatPageComponentPluginGUI extends ilPageComponentPluginGUI
                     'enable_chat_uploads' => $chatConfig->isEnableChatUploads(),
                     'enable_streaming' => $chatConfig->isEnableStreaming(),
                     'disclaimer' => $chatConfig->getDisclaimer(),
+                    'starter_prompts' => $chatConfig->getStarterPrompts(),
                     'background_files' => json_encode($chatConfig->getBackgroundFiles()),
                     // Preserve runtime flags passed by the caller
                     'show_offline_banner' => $properties['show_offline_banner'] ?? false,
@@ -1139,6 +1158,12 @@ class ilAIChatPageComponentPluginGUI extends ilPageComponentPluginGUI
         $max_attachments = $max_attachments_config ? (int)$max_attachments_config : 5;
         $tpl->setVariable("MAX_ATTACHMENTS_PER_MESSAGE", $max_attachments);
 
+        $image_max_edge_config = \platform\AIChatPageComponentConfig::get('upload_image_max_edge');
+        $tpl->setVariable("UPLOAD_IMAGE_MAX_EDGE", $image_max_edge_config !== null ? (int)$image_max_edge_config : 2048);
+
+        // Larger files are uploaded in chunks of this size (see api.php upload_init)
+        $tpl->setVariable("UPLOAD_CHUNK_SIZE", $this->getUploadChunkSize());
+
         // Error messages for file upload validation - format with sprintf
         $error_max_attachments_template = $this->plugin->txt('error_max_attachments');
         $error_file_too_large_template = $this->plugin->txt('error_file_too_large');
@@ -1195,9 +1220,93 @@ class ilAIChatPageComponentPluginGUI extends ilPageComponentPluginGUI
         $tpl->setVariable("REGENERATE_FAILED", htmlspecialchars($this->plugin->txt('regenerate_failed')));
         $tpl->setVariable("WELCOME_MESSAGE", htmlspecialchars($this->plugin->txt('welcome_message')));
         $tpl->setVariable("STOP_GENERATION", htmlspecialchars($this->plugin->txt('stop_generation')));
+        $tpl->setVariable("STREAM_RECONNECTING", htmlspecialchars($this->plugin->txt('stream_reconnecting')));
+        $tpl->setVariable("STREAM_EXPIRED", htmlspecialchars($this->plugin->txt('stream_expired')));
+        $tpl->setVariable("BRANCH_PREVIOUS", htmlspecialchars($this->plugin->txt('branch_previous')));
+        $tpl->setVariable("BRANCH_NEXT", htmlspecialchars($this->plugin->txt('branch_next')));
+        $tpl->setVariable("BRANCH_POSITION", htmlspecialchars($this->plugin->txt('branch_position')));
+        $tpl->setVariable("EDIT_MESSAGE_TITLE", htmlspecialchars($this->plugin->txt('edit_message_title')));
+        $tpl->setVariable("EDIT_MESSAGE_SAVE", htmlspecialchars($this->plugin->txt('edit_message_save')));
+        $tpl->setVariable("EDIT_MESSAGE_CANCEL", htmlspecialchars($this->plugin->txt('edit_message_cancel')));
+
+        // Conversation drawer
+        $tpl->setVariable("SESSIONS_TITLE", htmlspecialchars($this->plugin->txt('sessions_title')));
+        $tpl->setVariable("SESSIONS_TOGGLE_TITLE", htmlspecialchars($this->plugin->txt('sessions_toggle_title')));
+        $tpl->setVariable("SESSION_NEW", htmlspecialchars($this->plugin->txt('session_new')));
+        $tpl->setVariable("SESSION_UNTITLED", htmlspecialchars($this->plugin->txt('session_untitled')));
+        $tpl->setVariable("SESSION_RENAME", htmlspecialchars($this->plugin->txt('session_rename')));
+        $tpl->setVariable("SESSION_DELETE", htmlspecialchars($this->plugin->txt('session_delete')));
+        $tpl->setVariable("SESSION_DELETE_CONFIRM", htmlspecialchars($this->plugin->txt('session_delete_confirm')));
+        $tpl->setVariable("SESSION_LOAD_FAILED", htmlspecialchars($this->plugin->txt('session_load_failed')));
+        $tpl->setVariable("LOAD_EARLIER_MESSAGES", htmlspecialchars($this->plugin->txt('load_earlier_messages')));
+
+        // Search bar
+        $tpl->setVariable("SEARCH_TITLE", htmlspecialchars($this->plugin->txt('search_title')));
+        $tpl->setVariable("SEARCH_PLACEHOLDER", htmlspecialchars($this->plugin->txt('search_placeholder')));
+        $tpl->setVariable("SEARCH_PREVIOUS", htmlspecialchars($this->plugin->txt('search_previous')));
+        $tpl->setVariable("SEARCH_NEXT", htmlspecialchars($this->plugin->txt('search_next')));
+        $tpl->setVariable("SEARCH_CLOSE", htmlspecialchars($this->plugin->txt('search_close')));
+        $tpl->setVariable("SEARCH_NO_RESULTS", htmlspecialchars($this->plugin->txt('search_no_results')));
+
+        // Code blocks
+        $tpl->setVariable("CODE_COPY", htmlspecialchars($this->plugin->txt('code_copy')));
+        $tpl->setVariable("CODE_DOWNLOAD", htmlspecialchars($this->plugin->txt('code_download')));
+        $tpl->setVariable("DIAGRAM_SHOW_SOURCE", htmlspecialchars($this->plugin->txt('diagram_show_source')));
+        $tpl->setVariable("DIAGRAM_SHOW_DIAGRAM", htmlspecialchars($this->plugin->txt('diagram_show_diagram')));
+        $tpl->setVariable("DIAGRAM_DOWNLOAD_SVG", htmlspecialchars($this->plugin->txt('diagram_download_svg')));
+        $tpl->setVariable("DIAGRAM_DOWNLOAD_PNG", htmlspecialchars($this->plugin->txt('diagram_download_png')));
+        $tpl->setVariable("DIAGRAM_RENDER_FAILED", htmlspecialchars($this->plugin->txt('diagram_render_failed')));
+        $tpl->setVariable("DIAGRAM_DOWNLOAD_FAILED", htmlspecialchars($this->plugin->txt('diagram_download_failed')));
+
+        // Reasoning disclosure
+        $tpl->setVariable("REASONING_RUNNING", htmlspecialchars($this->plugin->txt('reasoning_running')));
+        $tpl->setVariable("REASONING_DONE", htmlspecialchars($this->plugin->txt('reasoning_done')));
+
+        // Interactive tables
+        $tpl->setVariable("TABLE_FILTER", htmlspecialchars($this->plugin->txt('table_filter')));
+        $tpl->setVariable("TABLE_COPY_TSV", htmlspecialchars($this->plugin->txt('table_copy_tsv')));
+        $tpl->setVariable("TABLE_COPY_CSV", htmlspecialchars($this->plugin->txt('table_copy_csv')));
+        $tpl->setVariable("TABLE_DOWNLOAD_CSV", htmlspecialchars($this->plugin->txt('table_download_csv')));
+        $tpl->setVariable("TABLE_REGION", htmlspecialchars($this->plugin->txt('table_region')));
+
+        // Upload queue
+        $tpl->setVariable("UPLOAD_CANCEL", htmlspecialchars($this->plugin->txt('upload_cancel')));
+        $tpl->setVariable("UPLOAD_RETRYING", htmlspecialchars($this->plugin->txt('upload_retrying')));
+        $tpl->setVariable("UPLOAD_IN_PROGRESS", htmlspecialchars($this->plugin->txt('upload_in_progress')));
+
+        // Slash commands
+        $tpl->setVariable("SLASH_COMMANDS_LABEL", htmlspecialchars($this->plugin->txt('slash_commands_label')));
+        $tpl->setVariable("SLASH_COMMAND_USAGE", htmlspecialchars($this->plugin->txt('slash_command_usage')));
+
+        // Starter prompts
+        $tpl->setVariable("STARTER_PROMPTS_GROUP", htmlspecialchars($this->plugin->txt('starter_prompts_group')));
+        $tpl->setVariable("STARTER_PROMPT_INSERT", htmlspecialchars($this->plugin->txt('starter_prompt_insert')));
+        $tpl->setVariable("STARTER_PROMPT_SEND", htmlspecialchars($this->plugin->txt('starter_prompt_send')));
+        $tpl->setVariable("STARTER_PROMPT_CANCEL", htmlspecialchars($this->plugin->txt('starter_prompt_cancel')));
+
+        // Follow-up questions
+        $tpl->setVariable("FOLLOW_UPS_GROUP", htmlspecialchars($this->plugin->txt('follow_ups_group')));
+
+        // Export menu
+        $tpl->setVariable("EXPORT_TITLE", htmlspecialchars($this->plugin->txt('export_title')));
+        $tpl->setVariable("EXPORT_MARKDOWN", htmlspecialchars($this->plugin->txt('export_markdown')));
+        $tpl->setVariable("EXPORT_HTML", htmlspecialchars($this->plugin->txt('export_html')));
+        $tpl->setVariable("EXPORT_JSON", htmlspecialchars($this->plugin->txt('export_json')));
+        $tpl->setVariable("EXPORT_PRINT", htmlspecialchars($this->plugin->txt('export_print')));
+        $tpl->setVariable("EXPORT_ROLE_USER", htmlspecialchars($this->plugin->txt('export_role_user')));
+        $tpl->setVariable("EXPORT_ROLE_ASSISTANT", htmlspecialchars($this->plugin->txt('export_role_assistant')));
+        $tpl->setVariable("EXPORT_ATTACHMENTS", htmlspecialchars($this->plugin->txt('export_attachments')));
+        $tpl->setVariable("EXPORT_USAGE", htmlspecialchars($this->plugin->txt('export_usage')));
+        $tpl->setVariable("EXPORT_EMPTY", htmlspecialchars($this->plugin->txt('export_empty')));
+        $tpl->setVariable("EXPORT_FAILED", htmlspecialchars($this->plugin->txt('export_failed')));
+        $tpl->setVariable("IMPORT_TITLE", htmlspecialchars($this->plugin->txt('import_title')));
+        $tpl->setVariable("IMPORT_INVALID", htmlspecialchars($this->plugin->txt('import_invalid')));
+        $tpl->setVariable("IMPORT_FAILED", htmlspecialchars($this->plugin->txt('import_failed')));
+        $tpl->setVariable("IMPORT_REPLACE_CONFIRM", htmlspecialchars($this->plugin->txt('import_replace_confirm')));
 
         // Set data attributes for JavaScript configuration
         $tpl->setVariable("API_URL", htmlspecialchars($this->getAIChatApiUrl()));
+        $tpl->setVariable("VENDOR_URL", htmlspecialchars($this->plugin->getDirectory() . "/js/vendor"));
         $tpl->setVariable("SYSTEM_PROMPT", htmlspecialchars($config_properties['system_prompt'] ?? 'You are a helpful AI assistant.'));
         $tpl->setVariable("MAX_MEMORY", (int)($config_properties['max_memory'] ?? 10));
         // Fix persistent data attribute for JavaScript
@@ -1222,6 +1331,8 @@ class ilAIChatPageComponentPluginGUI extends ilPageComponentPluginGUI
         $effective_chat_uploads_enabled = $is_chat_uploads_enabled && $chat_uploads_globally_enabled && !$is_anonymous;
         $tpl->setVariable("ENABLE_CHAT_UPLOADS", $effective_chat_uploads_enabled ? 'true' : 'false');
         $tpl->setVariable("IS_ANONYMOUS", $is_anonymous ? 'true' : 'false');
+        // Drafts in the browser storage are kept per user
+        $tpl->setVariable("USER_ID", (int)$DIC->user()->getId());
         $tpl->setVariable("SERVICE_UNAVAILABLE", $service_unavailable ? 'true' : 'false');
         $tpl->setVariable("NO_SERVICE_AVAILABLE", htmlspecialchars($this->plugin->txt('no_service_available')));
 
@@ -1248,6 +1359,9 @@ class ilAIChatPageComponentPluginGUI extends ilPageComponentPluginGUI
         }
         $tpl->setVariable("BACKGROUND_FILES", htmlspecialchars($background_files));
 
+        // Starter prompts for the welcome state
+        $tpl->setVariable("STARTER_PROMPTS", htmlspecialchars(json_encode($config_properties['starter_prompts'] ?? [])));
+
         // Offline badge for editors when chat is set offline
         if (!empty($config_properties['show_offline_banner'])) {
             $tpl->setCurrentBlock("chat_offline_badge");
@@ -1272,6 +1386,10 @@ class ilAIChatPageComponentPluginGUI extends ilPageComponentPluginGUI
 
             $tpl->setCurrentBlock("chat_file_input");
             $tpl->parseCurrentBlock();
+
+            $tpl->setCurrentBlock("chat_drop_overlay");
+            $tpl->setVariable("DROP_FILES_HINT", htmlspecialchars($this->plugin->txt('drop_files_hint')));
+            $tpl->parseCurrentBlock();
         }
 
         // Clear session management (old clear chat button removed - now in header)
@@ -1628,10 +1746,16 @@ class ilAIChatPageComponentPluginGUI extends ilPageComponentPluginGUI
         $tpl = $DIC['tpl'];
 
         // Add CSS
+        $tpl->addCss($this->plugin->getDirectory() . "/js/vendor/katex/katex.min.css");
         $tpl->addCss($this->plugin->getDirectory() . "/css/ai_chat.css");
 
         // Add JavaScript - marked.js for markdown parsing (local version)
         $tpl->addJavaScript($this->plugin->getDirectory() . "/js/vendor/marked.min.js");
+        // Prism for offline syntax highlighting of code blocks (local version), in manual mode
+        $tpl->addJavaScript($this->plugin->getDirectory() . "/js/prism_config.js");
+        $tpl->addJavaScript($this->plugin->getDirectory() . "/js/vendor/prism.min.js");
+        // KaTeX for offline math typesetting (local version)
+        $tpl->addJavaScript($this->plugin->getDirectory() . "/js/vendor/katex/katex.min.js");
         $tpl->addJavaScript($this->plugin->getDirectory() . "/js/ai_chat.js");
     }
 
@@ -2059,6 +2183,39 @@ class ilAIChatPageComponentPluginGUI extends ilPageComponentPluginGUI
         return $allowed_extensions;
     }
 
+    /**
+     * Parse the starter prompts field of the settings form
+     * One starter per line as "Title | Prompt"; a line without "|" is used as both
+     */
+    private function parseStarterPrompts(string $text): array
+    {
+        $starters = [];
+        foreach (preg_split('/\R/', $text) as $line) {
+            $line = trim($line);
+            if ($line === '') {
+                continue;
+            }
+            $parts = array_map('trim', explode('|', $line, 2));
+            $starters[] = [
+                'title' => $parts[0],
+                'prompt' => $parts[1] ?? $parts[0]
+            ];
+        }
+
+        return $starters;
+    }
+
+    /**
+     * Format starter prompts for the settings form (inverse of parseStarterPrompts())
+     */
+    private function formatStarterPrompts(array $starters): string
+    {
+        return implode("\n", array_map(
+            fn($starter) => $starter['title'] . ' | ' . $starter['prompt'],
+            $starters
+        ));
+    }
+
     /**
      * Convert property value to boolean
      * Handles various string representations of booleans
@@ -2076,4 +2233,47 @@ class ilAIChatPageComponentPluginGUI extends ilPageComponentPluginGUI
 
         return (bool)$value;
     }
+
+    /**
+     * Chunk size for chunked uploads
+     * Stays below PHP's upload_max_filesize and post_max_size so each chunk
+     * fits into a single request, with headroom for the multipart envelope.
+     */
+    private function getUploadChunkSize(): int
+    {
+        $limit = self::MAX_UPLOAD_CHUNK_SIZE;
+        foreach (['upload_max_filesize', 'post_max_size'] as $setting) {
+            $bytes = $this->parseIniSize((string)ini_get($setting));
+            if ($bytes > 0) {
+                $limit = min($limit, (int)($bytes * 0.8));
+            }
+        }
+
+        return max($limit, 256 * 1024);
+    }
+
+    /**
+     * Convert a php.ini size value (e.g. "8M") to bytes
+     * Returns 0 for "unlimited" or unparseable values
+     */
+    private function parseIniSize(string $value): int
+    {
+        if (!preg_match('/^\s*(\d+)\s*([kmg]?)/i', $value, $matches)) {
+            return 0;
+        }
+
+        $bytes = (int)$matches[1];
+        switch (strtolower($matches[2])) {
+            case 'g':
+                $bytes *= 1024;
+                // no break
+            case 'm':
+                $bytes *= 1024;
+                // no break
+            case 'k':
+                $bytes *= 1024;
+        }
+
+        return $bytes;
+    }
 }
@@ -27,6 +27,8 @@ class AIChatPageComponentConfig
             'max_memory_messages' => 10,
             'default_disclaimer' => '',
             'disclaimer' => '',
+            'slash_commands' => '',
+            'enable_follow_ups' => '0',
             'available_services' => [
                 'ramses' => '1',
                 'openai' => '1'
@@ -35,6 +37,7 @@ class AIChatPageComponentConfig
             'max_file_size_mb' => 5,
             'max_attachments_per_message' => 5,
             'max_total_upload_size_mb' => 25,
+            'upload_image_max_edge' => 2048,
             'pdf_pages_processed' => 20,
             'max_image_data_mb' => 15,
             'max_page_context_chars' => 50000,
@@ -48,6 +48,171 @@ const debug = AICHAT_DEBUG ? console.log.bind(console) : () => {};
  */
 const debugError = AICHAT_DEBUG ? console.error.bind(console) : () => {};
 
+// ============================================================================
+// Lazy-loaded Vendor Libraries
+// ============================================================================
+
+/**
+ * Pending load of the vendored mermaid bundle, shared by all chats on the page
+ * @type {Promise|null}
+ */
+let mermaidLoader = null;
+
+/**
+ * Chain of diagram renders - mermaid must not render concurrently
+ * @type {Promise}
+ */
+let mermaidQueue = Promise.resolve();
+
+// ============================================================================
+// Incremental SHA-256
+// ============================================================================
+
+/**
+ * SHA-256 over data fed in pieces
+ *
+ * Web Crypto only hashes complete buffers, which would mean reading a whole
+ * upload into memory. Used to fingerprint chunked uploads (the server checks
+ * the assembled file against this hash).
+ *
+ * @class AIChatSha256
+ */
+class AIChatSha256 {
+    /** Round constants */
+    static get K() {
+        return new Uint32Array([
+            0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+            0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+            0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+            0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+            0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+            0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+            0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+            0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+        ]);
+    }
+
+    constructor() {
+        this.state = new Uint32Array([
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ]);
+        this.k = AIChatSha256.K;
+        this.words = new Uint32Array(64);
+        this.buffer = new Uint8Array(64);
+        this.bufferLength = 0;
+        this.bytesHashed = 0;
+    }
+
+    /**
+     * Add data to the hash
+     *
+     * @param {Uint8Array} data - Next piece of the input
+     * @returns {AIChatSha256} This instance
+     */
+    update(data) {
+        let offset = 0;
+        this.bytesHashed += data.length;
+
+        // Complete a block left over from the previous piece
+        if (this.bufferLength > 0) {
+            const take = Math.min(64 - this.bufferLength, data.length);
+            this.buffer.set(data.subarray(0, take), this.bufferLength);
+            this.bufferLength += take;
+            offset = take;
+            if (this.bufferLength < 64) {
+                return this;
+            }
+            this.processBlock(this.buffer, 0);
+            this.bufferLength = 0;
+        }
+
+        while (offset + 64 <= data.length) {
+            this.processBlock(data, offset);
+            offset += 64;
+        }
+
+        this.buffer.set(data.subarray(offset), 0);
+        this.bufferLength = data.length - offset;
+        return this;
+    }
+
+    /**
+     * Finish the hash
+     *
+     * @returns {string} Lower-case hex digest
+     */
+    digestHex() {
+        const buffer = this.buffer;
+        buffer[this.bufferLength++] = 0x80;
+        if (this.bufferLength > 56) {
+            buffer.fill(0, this.bufferLength);
+            this.processBlock(buffer, 0);
+            this.bufferLength = 0;
+        }
+        buffer.fill(0, this.bufferLength);
+
+        // Message length in bits as 64-bit big-endian number
+        const view = new DataView(buffer.buffer);
+        view.setUint32(56, Math.floor(this.bytesHashed / 0x20000000));
+        view.setUint32(60, (this.bytesHashed % 0x20000000) * 8);
+        this.processBlock(buffer, 0);
+
+        return Array.from(this.state, word => word.toString(16).padStart(8, '0')).join('');
+    }
+
+    /**
+     * Apply the compression function to one 64-byte block
+     *
+     * @private
+     * @param {Uint8Array} data - Input
+     * @param {number} offset - Start of the block in data
+     */
+    processBlock(data, offset) {
+        const w = this.words;
+        const k = this.k;
+        const s = this.state;
+
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            w[i] = (data[j] << 24) | (data[j + 1] << 16) | (data[j + 2] << 8) | data[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const a = w[i - 15];
+            const b = w[i - 2];
+            const s0 = ((a >>> 7) | (a << 25)) ^ ((a >>> 18) | (a << 14)) ^ (a >>> 3);
+            const s1 = ((b >>> 17) | (b << 15)) ^ ((b >>> 19) | (b << 13)) ^ (b >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = s;
+        for (let i = 0; i < 64; i++) {
+            const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const ch = (e & f) ^ (~e & g);
+            const t1 = (h + S1 + ch + k[i] + w[i]) | 0;
+            const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const t2 = (S0 + maj) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+
+        s[0] += a;
+        s[1] += b;
+        s[2] += c;
+        s[3] += d;
+        s[4] += e;
+        s[5] += f;
+        s[6] += g;
+        s[7] += h;
+    }
+}
+
 // ============================================================================
 // Main AIChatPageComponent Class
 // ============================================================================
@@ -78,7 +243,25 @@ class AIChatPageComponent {
         this.isLoading = false;
         this.messageHistory = [];
         this.attachments = [];
+        // Uploads waiting or running, see enqueueUpload()
+        this.uploadQueue = [];
+        this.activeUploads = 0;
         this.currentRequest = null;
+        this.currentStreamController = null;
+        // Server-side id of the running stream, used to cancel it on the server
+        this.currentStreamId = null;
+
+        // Message tree: all versions of all messages, keyed by message id.
+        // messageHistory always mirrors the currently selected branch.
+        this.messageNodes = new Map();
+        this.activeLeafId = null;
+        this.localNodeSeq = 0;
+        this.pendingRegenerateId = null;
+        this.pendingEditId = null;
+
+        // Older messages of persistent chats are loaded page by page
+        this.hasOlderMessages = false;
+        this.loadingOlderMessages = false;
         
         if (!this.container) {
             debugError('AIChatPageComponent: Container not found with ID:', containerId);
@@ -127,6 +310,7 @@ class AIChatPageComponent {
         
         this.attachmentsList = this.attachmentsArea; // Direct reference for thumbnails
         this.clearAttachmentsBtn = this.container.querySelector('.ai-chat-clear-attachments');
+        this.dropOverlay = this.container.querySelector('.ai-chat-drop-overlay');
         
         // Debug DOM element initialization
         debug('AIChatPageComponent: DOM elements initialized', {
@@ -143,10 +327,59 @@ class AIChatPageComponent {
         
         // Initialize clear chat functionality
         this.clearChatBtn = this.container.querySelector('.ai-chat-clear-btn');
+
+        // Conversation drawer (multiple conversations per chat)
+        this.sessionsToggle = this.container.querySelector('.ai-chat-sessions-toggle');
+        this.sessionsDrawer = this.container.querySelector('.ai-chat-sessions');
+        this.sessionsList = this.container.querySelector('.ai-chat-sessions-list');
+        this.sessions = [];
+        this.currentSessionId = null;
+
+        // Search bar
+        this.searchToggle = this.container.querySelector('.ai-chat-search-toggle');
+        this.searchBar = this.container.querySelector('.ai-chat-search');
+        this.searchInput = this.container.querySelector('.ai-chat-search-input');
+        this.searchCount = this.container.querySelector('.ai-chat-search-count');
+        this.searchTerm = '';
+        this.searchHits = [];
+        this.searchIndex = -1;
+        this.searchRequestSeq = 0;
+
+        // Export menu
+        this.exportToggle = this.container.querySelector('.ai-chat-export-toggle');
+        this.exportMenu = this.container.querySelector('.ai-chat-export-menu');
+        this.importInput = this.container.querySelector('.ai-chat-import-input');
+
+        // Slash commands, delivered with get_global_config
+        this.slashMenu = this.container.querySelector('.ai-chat-slash-menu');
+        this.slashCommands = [];
+        this.slashMatches = [];
+        this.slashIndex = 0;
+
+        // Starter prompts configured for this chat
+        try {
+            const starters = JSON.parse(this.container.dataset.starterPrompts || '[]');
+            this.starterPrompts = Array.isArray(starters) ? starters : [];
+        } catch (e) {
+            debugError('AIChatPageComponent: Invalid starter prompts', e);
+            this.starterPrompts = [];
+        }
+
+        // Follow-up questions suggested for the latest answer
+        this.followUps = [];
+
+        // Pending debounced draft save
+        this.draftSaveTimer = null;
+
+        // Browsing sent messages with the arrow keys (-1 = not browsing)
+        this.inputHistoryIndex = -1;
+        this.inputHistoryDraft = '';
         
         // Extract configuration from DOM data attributes
         this.chatId = this.container.dataset.chatId;
         this.apiUrl = this.container.dataset.apiUrl;
+        this.vendorUrl = this.container.dataset.vendorUrl || '';
+        this.diagramSeq = 0;
         this.systemPrompt = this.container.dataset.systemPrompt;
         this.maxMemory = parseInt(this.container.dataset.maxMemory) || 10;
         this.charLimit = parseInt(this.container.dataset.charLimit) || 2000;
@@ -155,13 +388,10 @@ class AIChatPageComponent {
         this.enableChatUploads = this.container.dataset.enableChatUploads === 'true';
         this.enableStreaming = this.container.dataset.enableStreaming === 'true';
         this.isAnonymous = this.container.dataset.isAnonymous === 'true';
+        this.userId = this.container.dataset.userId || '';
         this.serviceUnavailable = this.container.dataset.serviceUnavailable === 'true';
         this.isAdmin = this.container.dataset.isAdmin === 'true';
 
-        // In-memory conversation history for stateless anonymous sessions.
-        // Never persisted to DB or localStorage; resets on every page load by design.
-        this.anonymousHistory = [];
-
         // Initialize upload configuration (updated via API call)
         this.globalChatUploadsEnabled = true; // Default assumption until API check
         this.allowedFileTypes = []; // Populated from server configuration
@@ -174,7 +404,7 @@ class AIChatPageComponent {
             dislikeResponseTitle: this.container.dataset.dislikeResponseTitle || 'Poor response',
             messageCopied: this.container.dataset.messageCopied || 'Copied!',
             messageCopyFailed: this.container.dataset.messageCopyFailed || 'Failed to copy',
-            thinkingHeader: this.container.dataset.thinkingHeader || 'Thinking...',
+            thinkingHeader: this.container.dataset.thinkingHeader || 'Thought process',
             generationStopped: this.container.dataset.generationStopped || 'Generation stopped by user.',
             regenerateFailed: this.container.dataset.regenerateFailed || 'Failed to regenerate response. Please try again.',
             welcomeMessage: this.container.dataset.welcomeMessage || 'Start a conversation...',
@@ -182,7 +412,55 @@ class AIChatPageComponent {
             newMessageAria: this.container.dataset.newMessageAria || 'New message received',
             sourcesLabel: this.container.dataset.sourcesLabel || 'Quellen',
             pageLabel: this.container.dataset.pageLabel || 'Seite',
-            pagesLabel: this.container.dataset.pagesLabel || 'Seiten'
+            pagesLabel: this.container.dataset.pagesLabel || 'Seiten',
+            streamReconnecting: this.container.dataset.streamReconnecting || 'Connection lost – reconnecting…',
+            streamExpired: this.container.dataset.streamExpired || 'The connection was lost and the answer could not be recovered. Please try again.',
+            branchPrevious: this.container.dataset.branchPrevious || 'Previous version',
+            branchNext: this.container.dataset.branchNext || 'Next version',
+            branchPosition: this.container.dataset.branchPosition || 'Version %s of %s',
+            editMessageTitle: this.container.dataset.editMessageTitle || 'Edit message',
+            editMessageSave: this.container.dataset.editMessageSave || 'Send',
+            editMessageCancel: this.container.dataset.editMessageCancel || 'Cancel',
+            sessionUntitled: this.container.dataset.sessionUntitled || 'Untitled conversation',
+            sessionRename: this.container.dataset.sessionRename || 'Rename conversation',
+            sessionDelete: this.container.dataset.sessionDelete || 'Delete conversation',
+            sessionDeleteConfirm: this.container.dataset.sessionDeleteConfirm || 'Are you sure you want to delete this conversation? This action cannot be undone.',
+            sessionLoadFailed: this.container.dataset.sessionLoadFailed || 'The conversation could not be loaded. Please try again.',
+            loadEarlierMessages: this.container.dataset.loadEarlierMessages || 'Load earlier messages',
+            searchNoResults: this.container.dataset.searchNoResults || 'No matches',
+            codeCopy: this.container.dataset.codeCopy || 'Copy code',
+            codeDownload: this.container.dataset.codeDownload || 'Download as file',
+            diagramShowSource: this.container.dataset.diagramShowSource || 'Show source',
+            diagramShowDiagram: this.container.dataset.diagramShowDiagram || 'Show diagram',
+            diagramDownloadSvg: this.container.dataset.diagramDownloadSvg || 'Download as SVG',
+            diagramDownloadPng: this.container.dataset.diagramDownloadPng || 'Download as PNG',
+            diagramRenderFailed: this.container.dataset.diagramRenderFailed || 'The diagram could not be rendered. Its source is shown instead.',
+            diagramDownloadFailed: this.container.dataset.diagramDownloadFailed || 'The diagram could not be downloaded.',
+            reasoningRunning: this.container.dataset.reasoningRunning || 'Thinking… (%s s)',
+            reasoningDone: this.container.dataset.reasoningDone || 'Thought for %s s',
+            tableFilter: this.container.dataset.tableFilter || 'Filter rows',
+            tableCopyTsv: this.container.dataset.tableCopyTsv || 'Copy for spreadsheets (TSV)',
+            tableCopyCsv: this.container.dataset.tableCopyCsv || 'Copy as CSV',
+            tableDownloadCsv: this.container.dataset.tableDownloadCsv || 'Download as CSV',
+            tableRegion: this.container.dataset.tableRegion || 'Table, scrollable',
+            uploadCancel: this.container.dataset.uploadCancel || 'Cancel upload',
+            uploadRetrying: this.container.dataset.uploadRetrying || 'Upload interrupted, retrying…',
+            uploadInProgress: this.container.dataset.uploadInProgress || 'Please wait until all attachments are uploaded.',
+            slashCommandUsage: this.container.dataset.slashCommandUsage || 'Usage: %s',
+            starterPromptsGroup: this.container.dataset.starterPromptsGroup || 'Suggested prompts',
+            starterPromptInsert: this.container.dataset.starterPromptInsert || 'Insert into input',
+            starterPromptSend: this.container.dataset.starterPromptSend || 'Send',
+            starterPromptCancel: this.container.dataset.starterPromptCancel || 'Cancel',
+            followUpsGroup: this.container.dataset.followUpsGroup || 'Suggested follow-up questions',
+            exportRoleUser: this.container.dataset.exportRoleUser || 'You',
+            exportRoleAssistant: this.container.dataset.exportRoleAssistant || 'Assistant',
+            exportAttachments: this.container.dataset.exportAttachments || 'Attachments',
+            exportUsage: this.container.dataset.exportUsage || 'Tokens: %s prompt, %s completion, %s total',
+            exportEmpty: this.container.dataset.exportEmpty || 'There are no messages to export yet.',
+            exportFailed: this.container.dataset.exportFailed || 'The conversation could not be exported. Please try again.',
+            importInvalid: this.container.dataset.importInvalid || 'The file is not a valid conversation export.',
+            importFailed: this.container.dataset.importFailed || 'The conversation could not be imported. Please try again.',
+            importReplaceConfirm: this.container.dataset.importReplaceConfirm || 'Importing replaces the current conversation. Continue?'
         };
         
         // Initialize ILIAS page context integration
@@ -213,11 +491,39 @@ class AIChatPageComponent {
             this.disableInputForUnavailableService();
         } else {
             this.checkUploadConfiguration();
+            this.restoreDraft();
         }
 
         this.loadChatHistory();
     }
 
+    /** Maximum reconnect attempts without progress before a stream is given up */
+    static get STREAM_RESUME_ATTEMPTS() { return 4; }
+
+    /** Attachments uploaded at the same time */
+    static get UPLOAD_CONCURRENCY() { return 2; }
+
+    /** Retries of an upload after transient failures (network, 5xx, 429) */
+    static get UPLOAD_RETRY_ATTEMPTS() { return 3; }
+
+    /** Delay before the first retry; doubles with each further attempt */
+    static get UPLOAD_RETRY_DELAY_MS() { return 1000; }
+
+    /** Bytes read at once when hashing a file for a chunked upload */
+    static get HASH_SLICE_SIZE() { return 4 * 1024 * 1024; }
+
+    /** Idle time after typing before the draft is stored */
+    static get DRAFT_SAVE_DELAY_MS() { return 500; }
+
+    /** Prefix of the draft keys in the local storage */
+    static get DRAFT_STORAGE_PREFIX() { return 'ai_chat_draft_'; }
+
+    /** Local storage key of the user the stored drafts belong to */
+    static get DRAFT_OWNER_KEY() { return 'ai_chat_draft_owner'; }
+
+    /** Code block the server asks the model to append follow-up questions in (removed before saving) */
+    static get FOLLOW_UPS_FENCE() { return '```followups'; }
+
     // ── Theme switching ──────────────────────────────────────────────────────
 
     static get THEME_STORAGE_KEY() { return 'ai_chat_theme'; }
@@ -329,6 +635,8 @@ class AIChatPageComponent {
                 // Apply global limits that override local PageComponent settings
                 this.applyGlobalLimits(data);
 
+                this.setSlashCommands(data.slash_commands || []);
+
                 // Update file input restrictions based on server configuration
                 this.updateFileInputAcceptAttribute();
                 
@@ -545,6 +853,12 @@ class AIChatPageComponent {
         
         // Handle Enter key for message sending (Shift+Enter for new line)
         this.inputArea.addEventListener('keydown', (e) => {
+            if (this.handleSlashMenuKeydown(e)) {
+                return;
+            }
+            if (this.handleInputHistoryKeydown(e)) {
+                return;
+            }
             if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
                 this.sendMessage();
@@ -555,7 +869,33 @@ class AIChatPageComponent {
         this.inputArea.addEventListener('input', (e) => {
             this.updateCharacterCounter();
             this.resizeComposer();
+            this.updateSlashMenu();
+            this.scheduleDraftSave();
+            // An edited entry becomes the new input
+            this.inputHistoryIndex = -1;
+        });
+
+        // Store a draft that is still waiting for the debounce when leaving the page
+        window.addEventListener('pagehide', () => this.flushDraftSave());
+
+        // Logging out removes the drafts, the next user of the browser must not see them
+        document.addEventListener('click', (e) => {
+            if (e.target.closest && e.target.closest('a[href*="logout.php"]')) {
+                this.clearAllDrafts();
+            }
         });
+
+        if (this.slashMenu) {
+            // Keep the focus in the input while an entry is clicked
+            this.slashMenu.addEventListener('mousedown', (e) => e.preventDefault());
+            this.slashMenu.addEventListener('click', (e) => {
+                const option = e.target.closest('[role="option"]');
+                if (option) {
+                    this.applySlashOption(parseInt(option.dataset.index, 10), true);
+                }
+            });
+            this.inputArea.addEventListener('blur', () => this.hideSlashMenu());
+        }
         
         // Initialize file upload event handlers (if enabled by configuration)
         if (this.enableChatUploads) {
@@ -571,10 +911,13 @@ class AIChatPageComponent {
                     this.handleFileSelection(e.target.files);
                 });
             }
+
+            this.bindDropEvents();
             
             if (this.clearAttachmentsBtn) {
                 this.clearAttachmentsBtn.addEventListener('click', (e) => {
                     e.preventDefault();
+                    this.cancelAllUploads();
                     this.clearAttachments();
                 });
             }
@@ -602,6 +945,78 @@ class AIChatPageComponent {
                 this.toggleTheme();
             });
         }
+
+        this.bindSessionEvents();
+        this.bindSearchEvents();
+        this.bindExportEvents();
+        this.bindImportEvents();
+
+        // Code block buttons are rendered from sanitised markup without inline handlers
+        this.messagesArea.addEventListener('click', (e) => {
+            const copyBtn = e.target.closest('.ai-chat-code-copy');
+            if (copyBtn) {
+                e.preventDefault();
+                copyCodeToClipboard(copyBtn);
+                return;
+            }
+            const downloadBtn = e.target.closest('.ai-chat-code-download');
+            if (downloadBtn) {
+                e.preventDefault();
+                downloadCodeBlock(downloadBtn);
+                return;
+            }
+            const sortBtn = e.target.closest('.ai-chat-table-sort');
+            if (sortBtn) {
+                e.preventDefault();
+                this.sortTable(sortBtn);
+                return;
+            }
+            const tableBtn = e.target.closest('[data-table-action]');
+            if (tableBtn) {
+                e.preventDefault();
+                this.handleTableAction(tableBtn);
+                return;
+            }
+            const starterBtn = e.target.closest('[data-starter-index]');
+            if (starterBtn) {
+                e.preventDefault();
+                this.useStarterPrompt(parseInt(starterBtn.dataset.starterIndex, 10), starterBtn.classList.contains('ai-chat-starter-insert'));
+                return;
+            }
+            const followUpBtn = e.target.closest('[data-follow-up-index]');
+            if (followUpBtn) {
+                e.preventDefault();
+                this.sendFollowUp(parseInt(followUpBtn.dataset.followUpIndex, 10));
+                return;
+            }
+            const starterFormBtn = e.target.closest('[data-starter-action]');
+            if (starterFormBtn && starterFormBtn.dataset.starterAction !== 'send') {
+                e.preventDefault();
+                this.handleStarterFormAction(starterFormBtn.closest('.ai-chat-starter-form'), starterFormBtn.dataset.starterAction);
+            }
+        });
+
+        // Placeholder forms of starter prompts; "send" is the submit button
+        this.messagesArea.addEventListener('submit', (e) => {
+            const form = e.target.closest('.ai-chat-starter-form');
+            if (form) {
+                e.preventDefault();
+                this.handleStarterFormAction(form, 'send');
+            }
+        });
+
+        this.messagesArea.addEventListener('input', (e) => {
+            if (e.target.classList.contains('ai-chat-table-filter')) {
+                this.filterTable(e.target);
+            }
+        });
+
+        // Infinite scroll: fetch older messages when reaching the top
+        this.messagesArea.addEventListener('scroll', () => {
+            if (this.messagesArea.scrollTop < 40 && this.hasOlderMessages) {
+                this.loadOlderMessages();
+            }
+        });
     }
     
     /**
@@ -610,6 +1025,7 @@ class AIChatPageComponent {
      * Validates the message, adds it to the chat history, shows loading state,
      * and makes an API request. Handles both streaming and non-streaming responses.
      * Includes file attachments if any are selected.
+     * Slash commands are run or expanded into their prompt first.
      * 
      * @public
      * @async
@@ -626,13 +1042,29 @@ class AIChatPageComponent {
             debug('AIChatPageComponent: Request already in progress, skipping');
             return;
         }
-        
+
         // Validate message content
-        const message = this.inputArea.value.trim();
+        let message = this.inputArea.value.trim();
         if (!message) {
             this.inputArea.focus();
             return;
         }
+
+        // Slash commands run a client action or expand into a prompt
+        this.hideSlashMenu();
+        const slashCommand = this.parseSlashCommand(message);
+        if (slashCommand) {
+            message = this.runSlashCommand(slashCommand.command, slashCommand.input);
+            if (message === null) {
+                return;
+            }
+        }
+
+        // Attachments still uploading would silently be missing from the message
+        if (this.uploadQueue.length > 0) {
+            this.showAlert(this.lang.uploadInProgress);
+            return;
+        }
         
         // Validate message length (using potentially overridden global limit)
         if (message.length > this.charLimit) {
@@ -667,10 +1099,15 @@ class AIChatPageComponent {
         if (welcomeMsg) {
             welcomeMsg.remove();
         }
+        this.clearFollowUps();
         
+        // Keep the draft until the server has stored the message, in case the request fails
+        this.saveDraft();
+
         // Add user message to display (with attachments if any)
         this.addMessageToDisplay('user', message, currentAttachments);
         this.inputArea.value = '';
+        this.inputHistoryIndex = -1;
         
         // Reset composer size and state after sending
         this.resizeComposer();
@@ -730,9 +1167,7 @@ class AIChatPageComponent {
                 message: message
             };
 
-            if (this.isAnonymous) {
-                requestBody.conversation_history = this.anonymousHistory;
-            }
+            this.applyConversationParams(requestBody);
 
             // Send the message to AIChatPageComponent API v2.0
             debug('AIChatPageComponent: About to fetch:', this.apiUrl);
@@ -809,11 +1244,10 @@ class AIChatPageComponent {
             const usage = data.usage || null;
 
             if (aiResponse) {
-                if (this.isAnonymous) {
-                    this.anonymousHistory.push({role: 'user', message: message});
-                    this.anonymousHistory.push({role: 'assistant', message: aiResponse});
-                }
-                this.addMessageToDisplay('assistant', aiResponse, [], sources, usage);
+                this.confirmUserMessageId(data.user_message_id);
+                this.addMessageToDisplay('assistant', aiResponse, [], sources, usage, data.message_id);
+                this.showFollowUps(data.follow_ups);
+                this.saveDraft();
             } else {
                 debugError('AIChatPageComponent: Unexpected response structure:', data);
                 throw new Error('No AI response received');
@@ -879,9 +1313,7 @@ class AIChatPageComponent {
                 attachment_ids: (attachments || this.attachments).map(att => att.id)
             };
 
-            if (this.isAnonymous) {
-                requestBody.conversation_history = this.anonymousHistory;
-            }
+            this.applyConversationParams(requestBody);
             
             const response = await fetch(this.apiUrl, {
                 method: 'POST',
@@ -948,11 +1380,10 @@ class AIChatPageComponent {
             const aiResponse = data.message;
 
             if (aiResponse) {
-                if (this.isAnonymous) {
-                    this.anonymousHistory.push({role: 'user', message: message});
-                    this.anonymousHistory.push({role: 'assistant', message: aiResponse});
-                }
-                this.addMessageToDisplay('assistant', aiResponse);
+                this.confirmUserMessageId(data.user_message_id);
+                this.addMessageToDisplay('assistant', aiResponse, [], data.sources || null, data.usage || null, data.message_id);
+                this.showFollowUps(data.follow_ups);
+                this.saveDraft();
             } else {
                 debugError('AIChatPageComponent: Unexpected response structure:', data);
                 throw new Error('No AI response received');
@@ -988,11 +1419,12 @@ class AIChatPageComponent {
     }
     
     /**
-     * Send message to AI service using Server-Sent Events streaming
+     * Send message to AI service using a streamed POST request
      * 
-     * Uses EventSource to establish a streaming connection with the server,
-     * receiving AI response chunks in real-time. Provides better user experience
-     * for long responses by showing partial results as they arrive.
+     * POSTs the same JSON payload as sendMessageToAI and reads the Server-Sent
+     * Events response incrementally via fetch and response.body.getReader().
+     * Unlike EventSource this keeps prompts and conversation history out of the
+     * URL and supports cancellation through an AbortController.
      * 
      * @async
      * @private
@@ -1002,6 +1434,8 @@ class AIChatPageComponent {
      * @throws {Error} When streaming connection fails or receives error response
      */
     async sendMessageToAIStream(message, attachments = null) {
+        let messageElement = null;
+
         try {
             if (!this.apiUrl || this.apiUrl === '') {
                 throw new Error('API URL not configured. Please ensure the plugin is properly installed.');
@@ -1021,171 +1455,572 @@ class AIChatPageComponent {
                 requestBody.attachment_ids = attachments.map(att => att.id);
             }
             
-            if (this.isAnonymous) {
-                requestBody.conversation_history = this.anonymousHistory;
-            }
+            this.applyConversationParams(requestBody);
 
-            // EventSource only supports GET, so we need to pass data as URL parameters
-            const params = new URLSearchParams();
-            params.append('action', requestBody.action);
-            params.append('chat_id', requestBody.chat_id);
-            params.append('message', requestBody.message);
-            if (requestBody.attachment_ids) {
-                params.append('attachment_ids', JSON.stringify(requestBody.attachment_ids));
+            // Store controller for abort capability
+            const controller = new AbortController();
+            this.currentStreamController = controller;
+            this.currentStreamId = null;
+
+            const response = await fetch(this.apiUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'text/event-stream'
+                },
+                body: JSON.stringify(requestBody),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                // Check for session expiration (redirect to login)
+                if (response.status === 302 || response.status === 401) {
+                    debug('AIChatPageComponent: Session expired in streaming request (HTTP ' + response.status + ')');
+                    this.currentStreamController = null;
+                    this.setLoading(false);
+                    this.handleSessionExpired();
+                    return;
+                }
+
+                // Error bodies may be SSE frames or plain JSON
+                const errorText = await response.text();
+                debugError('HTTP Error Response:', errorText);
+                const errorData = this.parseStreamErrorBody(errorText);
+                this.currentStreamController = null;
+                this.setLoading(false);
+                this.addMessageToDisplay('system', (errorData && errorData.error) || 'Communication with server failed');
+                return;
             }
-            if (requestBody.conversation_history) {
-                params.append('conversation_history', JSON.stringify(requestBody.conversation_history));
+
+            if (!response.body || typeof response.body.getReader !== 'function') {
+                throw new Error('Streaming is not supported by this browser');
             }
             
-            const eventSource = new EventSource(this.apiUrl + '?' + params.toString());
-            
-            // Store reference for abort capability
-            this.currentEventSource = eventSource;
-            
             // Create placeholder message for streaming content
-            const messageElement = this.createStreamingMessageElement();
-            let streamedContent = '';
-            
-            eventSource.onmessage = (event) => {
-                try {
-                    const data = JSON.parse(event.data);
-                    debug('AIChatPageComponent: Streaming data received:', data);
-                    
-                    if (data.type === 'start') {
-                        // Stream started
-                        debug('AIChatPageComponent: Streaming started');
-                    } else if (data.type === 'complete') {
-                        // Stream completed
-                        debug('AIChatPageComponent: Streaming completed');
-                        const sources = data.sources || null;
-                        const usage = data.usage || null;
-                        const finalContent = data.message || streamedContent;
-                        if (this.isAnonymous && finalContent) {
-                            this.anonymousHistory.push({role: 'user', message: message});
-                            this.anonymousHistory.push({role: 'assistant', message: finalContent});
-                        }
-                        this.finalizeStreamedMessage(messageElement, finalContent, sources, usage);
-                        eventSource.close();
-                        this.currentEventSource = null;
-                        this.setLoading(false);
-                        this.saveChatHistory();
-                    } else if (data.error || data.type === 'error') {
-                        // Server-provided error: let cleanupStreaming() handle everything
-                        // (close + null + setLoading + cursor/class removal) – do NOT
-                        // null out currentEventSource beforehand or the cleanup is skipped.
-                        const serverError = data.error || 'An error occurred.';
-                        this.cleanupStreaming(false);
-                        if (serverError === 'no_service_available') {
-                            const notice = this.container.dataset.noServiceAvailable
-                                || 'No AI service is currently available.';
-                            this.addMessageToDisplay('system', notice);
-                            this.disableInputForUnavailableService(false);
-                        } else {
-                            this.addMessageToDisplay('system', serverError);
+            messageElement = this.createStreamingMessageElement();
+            const streamState = {
+                streamId: null,
+                lastSeq: 0,
+                content: '',
+                finished: false
+            };
+
+            const handleEvent = (data) => {
+                debug('AIChatPageComponent: Streaming data received:', data);
+
+                if (data.type === 'user_message') {
+                    // The server stored the message; the draft is no longer needed
+                    this.confirmUserMessageId(data.user_message_id);
+                    this.saveDraft();
+                } else if (data.type === 'start') {
+                    // Stream started (or resumed); remember the id for reconnects
+                    debug('AIChatPageComponent: Streaming started', data.resumed ? '(resumed)' : '');
+                    if (data.stream_id) {
+                        streamState.streamId = data.stream_id;
+                        if (this.currentStreamController === controller) {
+                            this.currentStreamId = data.stream_id;
                         }
-                        return;
-                    } else if (data.type === 'chunk' && data.content) {
-                        // Streaming chunk
-                        const chunk = data.content;
-                        streamedContent += chunk;
-                        this.appendToStreamingMessage(messageElement, chunk);
                     }
-                } catch (error) {
-                    debugError('AIChatPageComponent: Error parsing streaming data:', {
-                        error: error.message,
-                        eventData: event.data,
-                        chatId: this.chatId
-                    });
-                    
-                    // Clean up streaming state without "stopped by user" message
+                } else if (data.type === 'complete') {
+                    // Stream completed
+                    debug('AIChatPageComponent: Streaming completed');
+                    streamState.finished = true;
+                    this.setStreamReconnecting(messageElement, false);
+                    const sources = data.sources || null;
+                    const usage = data.usage || null;
+                    const finalContent = data.message || streamState.content;
+                    this.confirmUserMessageId(data.user_message_id);
+                    this.finalizeStreamedMessage(messageElement, finalContent, sources, usage, data.message_id);
+                    this.showFollowUps(data.follow_ups);
+                    this.saveDraft();
+                    this.currentStreamController = null;
+                    this.setLoading(false);
+                    this.saveChatHistory();
+                    return false;
+                } else if (data.error || data.type === 'error') {
+                    // Server-provided error: let cleanupStreaming() handle everything
+                    // (abort + null + setLoading + cursor/class removal) – do NOT
+                    // null out currentStreamController beforehand or the cleanup is skipped.
+                    streamState.finished = true;
+                    this.setStreamReconnecting(messageElement, false);
+                    const serverError = data.error || 'An error occurred.';
                     this.cleanupStreaming(false);
-                    this.addMessageToDisplay('system', 'Streaming error: Unable to process AI response. Please try again.');
+                    if (serverError === 'no_service_available') {
+                        const notice = this.container.dataset.noServiceAvailable
+                            || 'No AI service is currently available.';
+                        this.addMessageToDisplay('system', notice);
+                        this.disableInputForUnavailableService(false);
+                    } else if (serverError === 'stream_expired') {
+                        this.addMessageToDisplay('system', this.lang.streamExpired);
+                    } else {
+                        this.addMessageToDisplay('system', serverError);
+                    }
+                    return false;
+                } else if (data.type === 'chunk' && data.content) {
+                    // Skip chunks that were already received before a reconnect
+                    if (typeof data.seq === 'number') {
+                        if (data.seq <= streamState.lastSeq) {
+                            return true;
+                        }
+                        streamState.lastSeq = data.seq;
+                    }
+                    this.setStreamReconnecting(messageElement, false);
+                    const chunk = data.content;
+                    streamState.content += chunk;
+                    this.appendToStreamingMessage(messageElement, chunk);
                 }
+                return true;
             };
-            
-            eventSource.onerror = (error) => {
-                debugError('AIChatPageComponent: EventSource error:', error);
-                
-                // Clean up streaming state without "stopped by user" message
-                this.cleanupStreaming(false);
-                
-                // Check if this might be a session expiration (common with streaming)
-                if (!this.isSessionValid()) {
-                    this.handleSessionExpired();
-                } else {
+
+            let body = response.body;
+            let attempt = 0;
+
+            while (true) {
+                const seqBefore = streamState.lastSeq;
+
+                if (body) {
+                    try {
+                        await this.readEventStream(body, handleEvent);
+                    } catch (error) {
+                        // Without a stream id there is nothing to resume
+                        if (error.name === 'AbortError' || error.name === 'StreamParseError' || !streamState.streamId) {
+                            throw error;
+                        }
+                        debugError('AIChatPageComponent: Stream interrupted:', error.message);
+                    }
+                }
+
+                if (streamState.finished || this.currentStreamController !== controller) {
+                    break;
+                }
+
+                // Only give up after repeated reconnects that made no progress
+                if (streamState.lastSeq > seqBefore) {
+                    attempt = 0;
+                }
+                if (!streamState.streamId || attempt >= AIChatPageComponent.STREAM_RESUME_ATTEMPTS) {
+                    debugError('AIChatPageComponent: Stream ended without completion event');
+                    this.setStreamReconnecting(messageElement, false);
+                    this.cleanupStreaming(false);
                     this.addMessageToDisplay('system', 'Streaming connection error. Please try again.');
+                    break;
                 }
-            };
+
+                attempt++;
+                this.setStreamReconnecting(messageElement, true);
+                await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempt - 1)));
+                if (this.currentStreamController !== controller) {
+                    break;
+                }
+
+                body = await this.requestStreamResume(streamState, controller.signal);
+                if (body === false) {
+                    // Session expired while reconnecting
+                    this.setStreamReconnecting(messageElement, false);
+                    this.cleanupStreaming(false);
+                    this.handleSessionExpired();
+                    break;
+                }
+            }
             
         } catch (error) {
-            debugError('AIChatPageComponent: Streaming setup failed:', {
+            // Handle user-initiated cancellation gracefully (cleanupStreaming already ran)
+            if (error.name === 'AbortError') {
+                debug('AIChatPageComponent: Streaming request was aborted by user');
+                return;
+            }
+
+            debugError('AIChatPageComponent: Streaming failed:', {
                 error: error.message,
                 apiUrl: this.apiUrl,
                 chatId: this.chatId
             });
-            this.setLoading(false);
-            
-            const userMessage = this.getErrorMessage(error);
-            this.addMessageToDisplay('system', userMessage);
+
+            // Clean up streaming state without "stopped by user" message
+            if (this.currentStreamController) {
+                this.cleanupStreaming(false);
+            } else {
+                this.setLoading(false);
+            }
+
+            // Check if this might be a session expiration (common with streaming)
+            if (!this.isSessionValid()) {
+                this.handleSessionExpired();
+            } else if (error.name === 'StreamParseError') {
+                this.addMessageToDisplay('system', error.message);
+            } else if (messageElement) {
+                this.addMessageToDisplay('system', 'Streaming connection error. Please try again.');
+            } else {
+                const userMessage = this.getErrorMessage(error);
+                this.addMessageToDisplay('system', userMessage);
+            }
         }
+
+        this.scrollToBottom();
     }
-    
+
     /**
-     * Create a placeholder message element for streaming content
+     * Read a Server-Sent Events body and dispatch each parsed event
      * 
-     * Creates a new message element in the chat area with streaming styles
-     * and a cursor indicator. Returns references to both the message container
-     * and content area for use during streaming.
+     * Decodes the stream incrementally, splits it on blank-line frame
+     * boundaries and joins multi-line "data:" fields before JSON parsing.
+     * Comment lines and other SSE fields are ignored. Reading stops early
+     * when the handler returns false.
      * 
+     * @async
      * @private
-     * @returns {{messageEl: HTMLElement, contentEl: HTMLElement}} References to message and content elements
+     * @param {ReadableStream<Uint8Array>} body - The fetch response body
+     * @param {function(Object): boolean} onEvent - Handler for each parsed event payload
+     * @returns {Promise<void>}
      */
-    createStreamingMessageElement() {
-        const messageEl = document.createElement('div');
-        messageEl.className = 'ai-chat-message assistant streaming';
-        
-        const contentEl = document.createElement('div');
-        contentEl.className = 'ai-chat-message-content';
-        contentEl.innerHTML = '<div class="streaming-cursor">|</div>';
-        
-        messageEl.appendChild(contentEl);
-        this.messagesArea.appendChild(messageEl);
-        this.scrollToBottom();
-        
-        return { messageEl, contentEl };
+    async readEventStream(body, onEvent) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder('utf-8');
+        let buffer = '';
+
+        const dispatchFrame = (frame) => {
+            const dataLines = [];
+            frame.split(/\r\n|\r|\n/).forEach(line => {
+                if (line.startsWith('data:')) {
+                    dataLines.push(line.slice(5).replace(/^ /, ''));
+                }
+            });
+            if (dataLines.length === 0) {
+                return true;
+            }
+
+            const payload = dataLines.join('\n');
+            let data;
+            try {
+                data = JSON.parse(payload);
+            } catch (error) {
+                debugError('AIChatPageComponent: Error parsing streaming data:', {
+                    error: error.message,
+                    eventData: payload,
+                    chatId: this.chatId
+                });
+                const parseError = new Error('Streaming error: Unable to process AI response. Please try again.');
+                parseError.name = 'StreamParseError';
+                throw parseError;
+            }
+            return onEvent(data) !== false;
+        };
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+                // Dispatch every complete frame currently in the buffer
+                let boundary;
+                while ((boundary = buffer.search(/\r\n\r\n|\n\n|\r\r/)) !== -1) {
+                    const frame = buffer.slice(0, boundary);
+                    buffer = buffer.slice(boundary).replace(/^(\r\n\r\n|\n\n|\r\r)/, '');
+                    if (!dispatchFrame(frame)) {
+                        return;
+                    }
+                }
+
+                if (done) {
+                    // Flush a trailing frame that was not terminated by a blank line
+                    if (buffer.trim() !== '') {
+                        dispatchFrame(buffer);
+                    }
+                    return;
+                }
+            }
+        } finally {
+            reader.cancel().catch(() => {});
+        }
     }
-    
+
     /**
-     * Append a text chunk to the streaming message element
+     * Extract an error payload from a failed streaming response body
      * 
-     * Updates the streaming message with new content chunk, maintaining
-     * the raw content for final markdown processing and showing escaped
-     * HTML with line breaks during streaming.
+     * The streaming endpoint reports early failures as SSE frames, while the
+     * generic error handling in api.php answers with plain JSON.
      * 
      * @private
-     * @param {{messageEl: HTMLElement, contentEl: HTMLElement}} messageElement - Message element references
-     * @param {string} chunk - New text content to append
+     * @param {string} text - Raw response body
+     * @returns {Object|null} Parsed error object or null if none could be found
+     */
+    parseStreamErrorBody(text) {
+        const candidates = text.split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trim());
+        candidates.push(text.trim());
+
+        for (const candidate of candidates) {
+            try {
+                const parsed = JSON.parse(candidate);
+                if (parsed && parsed.error) {
+                    return parsed;
+                }
+            } catch (e) {
+                // Not JSON, try next candidate
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Request the remainder of an interrupted stream
+     * 
+     * Asks the server to replay all chunks after the last received sequence
+     * number and to follow the stream until it completes. Network errors are
+     * swallowed so the caller can retry with backoff.
+     * 
+     * @async
+     * @private
+     * @param {Object} streamState - Current stream state with streamId and lastSeq
+     * @param {AbortSignal} signal - Abort signal of the streaming request
+     * @returns {Promise<ReadableStream|null|false>} Response body, null on failure, false if the session expired
+     * @throws {Error} AbortError when the user stopped the generation
+     */
+    async requestStreamResume(streamState, signal) {
+        debug('AIChatPageComponent: Resuming stream', streamState.streamId, 'after seq', streamState.lastSeq);
+
+        try {
+            const response = await fetch(this.apiUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'text/event-stream'
+                },
+                body: JSON.stringify({
+                    action: 'resume_stream',
+                    chat_id: this.chatId,
+                    stream_id: streamState.streamId,
+                    last_seq: streamState.lastSeq
+                }),
+                signal: signal
+            });
+
+            if (response.status === 302 || response.status === 401) {
+                return false;
+            }
+            if (!response.ok || !response.body) {
+                debugError('AIChatPageComponent: Stream resume failed (HTTP ' + response.status + ')');
+                return null;
+            }
+            return response.body;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            debugError('AIChatPageComponent: Stream resume request failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Toggle the "reconnecting" indicator on a streaming message
+     * 
+     * @private
+     * @param {Object} messageElement - Streaming message element container
+     * @param {boolean} reconnecting - Whether a reconnect is in progress
+     */
+    setStreamReconnecting(messageElement, reconnecting) {
+        const { messageEl } = messageElement;
+        let statusEl = messageEl.querySelector('.ai-chat-stream-status');
+
+        if (!reconnecting) {
+            if (statusEl) {
+                statusEl.remove();
+                messageEl.classList.remove('reconnecting');
+            }
+            return;
+        }
+
+        if (!statusEl) {
+            statusEl = document.createElement('div');
+            statusEl.className = 'ai-chat-stream-status';
+            statusEl.textContent = this.lang.streamReconnecting;
+            messageEl.appendChild(statusEl);
+            messageEl.classList.add('reconnecting');
+            this.announceToScreenReader(this.lang.streamReconnecting);
+        }
+    }
+    
+    /**
+     * Create a placeholder message element for streaming content
+     * 
+     * Creates a new message element in the chat area with streaming styles
+     * and a cursor indicator. Returns references to both the message container
+     * and content area together with the incremental rendering state used
+     * while chunks arrive.
+     * 
+     * @private
+     * @returns {{messageEl: HTMLElement, contentEl: HTMLElement, rawContent: string, renderedLength: number, tailEl: HTMLElement|null, tailText: Text|null}} Message element references and render state
+     */
+    createStreamingMessageElement() {
+        const messageEl = document.createElement('div');
+        messageEl.className = 'ai-chat-message assistant streaming';
+        
+        const contentEl = document.createElement('div');
+        contentEl.className = 'ai-chat-message-content';
+        contentEl.innerHTML = '<div class="streaming-cursor">|</div>';
+        
+        messageEl.appendChild(contentEl);
+        this.messagesArea.appendChild(messageEl);
+        this.scrollToBottom();
+        
+        return { messageEl, contentEl, rawContent: '', renderedLength: 0, tailEl: null, tailText: null };
+    }
+    
+    /**
+     * Append a text chunk to the streaming message element
+     * 
+     * Renders markdown incrementally: every block that is complete (terminated
+     * by a blank line or a closing code fence) is rendered once and appended as
+     * its own element, while only the trailing open block is shown as plain
+     * text. Already rendered blocks are never touched again, so the cost per
+     * chunk stays proportional to the open block instead of the whole answer.
+     * 
+     * @private
+     * @param {Object} messageElement - Streaming message element and render state
+     * @param {string} chunk - New text content to append
      */
     appendToStreamingMessage(messageElement, chunk) {
         const { contentEl } = messageElement;
-        
-        // Store raw content during streaming (without markdown processing)
-        if (!contentEl.dataset.rawContent) {
-            contentEl.dataset.rawContent = '';
+        messageElement.rawContent += chunk;
+
+        // First chunk replaces the placeholder cursor with the open-block tail
+        if (!messageElement.tailEl) {
+            contentEl.innerHTML = '';
+            const tailEl = document.createElement('div');
+            tailEl.className = 'ai-chat-stream-tail';
+            const tailText = document.createTextNode('');
+            const cursor = document.createElement('span');
+            cursor.className = 'streaming-cursor';
+            cursor.textContent = '|';
+            tailEl.append(tailText, cursor);
+            contentEl.appendChild(tailEl);
+            messageElement.tailEl = tailEl;
+            messageElement.tailText = tailText;
         }
-        contentEl.dataset.rawContent += chunk;
-        
-        // Remove cursor and add chunk as plain text (no markdown processing during streaming)
-        const cursor = contentEl.querySelector('.streaming-cursor');
-        if (cursor) {
-            cursor.remove();
+
+        // Reasoning goes to its own disclosure; only the answer is streamed as blocks
+        const { reasoning, answer: fullAnswer, open } = this.splitReasoning(messageElement.rawContent);
+        if (reasoning) {
+            this.updateStreamingReasoning(messageElement, reasoning, open);
         }
-        
-        // Show plain text with line breaks during streaming, add cursor
-        const rawContent = contentEl.dataset.rawContent;
-        contentEl.innerHTML = this.escapeHtml(rawContent).replace(/\n/g, '<br>') + '<span class="streaming-cursor">|</span>';
+
+        // Follow-up questions arrive at the end of the answer and become chips on completion
+        const answer = this.stripFollowUpsBlock(fullAnswer);
+
+        // Render all blocks that were closed by this chunk
+        const pending = answer.slice(messageElement.renderedLength);
+        const boundary = this.findStreamBlockBoundary(pending);
+        if (boundary > 0) {
+            const blockEl = document.createElement('div');
+            blockEl.className = 'ai-chat-stream-block';
+            blockEl.innerHTML = this.formatMessage(pending.slice(0, boundary));
+            contentEl.insertBefore(blockEl, messageElement.tailEl);
+            messageElement.renderedLength += boundary;
+        }
+
+        // A half-received tag or code fence stays hidden until it is known to be
+        // reasoning or the follow-up block
+        messageElement.tailText.nodeValue = answer
+            .slice(messageElement.renderedLength)
+            .replace(/^\n+/, '')
+            .replace(/<\/?[a-z]*$/i, '')
+            .replace(/(^|\n)`{1,3}[a-z]*$/i, '$1');
         this.scrollToBottom();
     }
+
+    /**
+     * Find the end of the last complete markdown block in streamed text
+     * 
+     * A block ends at a blank line or after a closing code fence, but is only
+     * complete once the next line shows that it does not go on: an indented
+     * line or a new item continues a list, an indented line continues an
+     * indented code block. Blank lines inside open code fences and display
+     * math ($$, \[) do not count, so these constructs are always rendered as
+     * a whole. Reference-style links need their definitions, which usually
+     * follow at the end, so nothing from the first block using one is
+     * rendered before the message is complete. Reasoning is split off
+     * before, see splitReasoning().
+     * 
+     * @private
+     * @param {string} text - Not yet rendered part of the streamed content
+     * @returns {number} Length of the renderable prefix (0 if no block is complete)
+     */
+    findStreamBlockBoundary(text) {
+        const lines = text.split('\n');
+        let boundary = 0;
+        let candidate = 0;
+        let offset = 0;
+        let blockType = null;
+        let fence = null;
+        let mathOpen = false;
+        let bracketMathOpen = false;
+
+        // The last entry is an unfinished line without a trailing newline yet
+        for (let i = 0; i < lines.length - 1; i++) {
+            const line = lines[i];
+            offset += line.length + 1;
+
+            if (fence) {
+                const closing = line.match(/^\s{0,3}(`{3,}|~{3,})\s*$/);
+                if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length) {
+                    fence = null;
+                    if (!mathOpen && !bracketMathOpen) {
+                        candidate = offset;
+                    }
+                }
+                continue;
+            }
+
+            if (line.trim() === '') {
+                if (!mathOpen && !bracketMathOpen) {
+                    candidate = offset;
+                }
+                continue;
+            }
+
+            if (/^\s{0,3}\[[^\]]+\]:\s*\S/.test(line) || /\]\[[^\]]*\]/.test(line)) {
+                return boundary;
+            }
+
+            const indented = /^( {4}|\t)/.test(line);
+            const listItem = /^\s*([*+-]|\d{1,9}[.)])(\s|$)/.test(line);
+
+            // The next block starts here unless this line continues the previous one
+            if (candidate) {
+                const continues = (blockType === 'list' && (listItem || /^\s/.test(line)))
+                    || (blockType === 'indented' && indented);
+                if (!continues) {
+                    boundary = candidate;
+                    blockType = null;
+                }
+                candidate = 0;
+            }
+            if (listItem && !(blockType === 'indented' && indented)) {
+                blockType = 'list';
+            } else if (blockType === null) {
+                blockType = indented ? 'indented' : 'other';
+            }
+
+            const opening = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+            if (opening) {
+                fence = opening[1];
+                continue;
+            }
+
+            if (((line.match(/\$\$/g) || []).length) % 2 === 1) {
+                mathOpen = !mathOpen;
+            }
+            if (/\\\[/.test(line) && !/\\\]/.test(line)) {
+                bracketMathOpen = true;
+            } else if (/\\\]/.test(line) && !/\\\[/.test(line)) {
+                bracketMathOpen = false;
+            }
+        }
+
+        return boundary;
+    }
     
     /**
      * Finalize the streamed message with full formatting
@@ -1198,8 +2033,9 @@ class AIChatPageComponent {
      * @param {string} finalContent - Complete message content for formatting
      * @param {Array|null} sources - RAG source citations if available
      * @param {Object|null} usage - Token usage data if available
+     * @param {number|string|null} [messageId=null] - Server message id of the stored answer
      */
-    finalizeStreamedMessage(messageElement, finalContent, sources = null, usage = null) {
+    finalizeStreamedMessage(messageElement, finalContent, sources = null, usage = null, messageId = null) {
         const { messageEl, contentEl } = messageElement;
 
         // Remove streaming class and cursor
@@ -1209,8 +2045,9 @@ class AIChatPageComponent {
             cursor.remove();
         }
 
-        // Use stored raw content if available, otherwise use finalContent
-        let contentToFormat = contentEl.dataset.rawContent || finalContent;
+        // Use streamed raw content if available, otherwise use finalContent
+        messageElement.rawContent = this.stripFollowUpsBlock(messageElement.rawContent || '', true);
+        let contentToFormat = messageElement.rawContent || finalContent;
 
         // Strip inline sources and collect any web links the AI embedded in them
         let effectiveSources = sources;
@@ -1222,11 +2059,25 @@ class AIChatPageComponent {
             }
         }
 
-        // Set final content with markdown formatting
-        contentEl.innerHTML = this.formatMessage(contentToFormat);
-
-        // Clear the raw content data
-        delete contentEl.dataset.rawContent;
+        // Replace the incrementally rendered blocks with the full formatting,
+        // keeping the reasoning disclosure expanded if the user opened it
+        const reasoningExpanded = messageElement.reasoningEl ? messageElement.reasoningEl.open : false;
+        if (messageElement.reasoningEl && !messageElement.reasoningEnd) {
+            messageElement.reasoningEnd = Date.now();
+        }
+        this.stopReasoningTimer(messageElement);
+        contentEl.innerHTML = this.formatMessage(contentToFormat, this.getReasoningSeconds(messageElement));
+        if (reasoningExpanded) {
+            const reasoningEl = contentEl.querySelector('.ai-chat-thinking-block');
+            if (reasoningEl) {
+                reasoningEl.open = true;
+            }
+        }
+        messageElement.reasoningEl = null;
+        this.renderDiagrams(contentEl);
+        this.enhanceTables(contentEl);
+        messageElement.tailEl = null;
+        messageElement.tailText = null;
 
         // Add sources row if sources are available
         if (effectiveSources && effectiveSources.length > 0) {
@@ -1237,7 +2088,7 @@ class AIChatPageComponent {
         }
 
         // Add message action buttons
-        const actionsEl = this.createMessageActions();
+        const actionsEl = this.createMessageActions(messageElement.rawContent || finalContent);
 
         // Admin raw data button
         if (this.isAdmin) {
@@ -1254,14 +2105,9 @@ class AIChatPageComponent {
 
         messageEl.appendChild(actionsEl);
 
-        // Add to message history (include sources and usage for persistence)
-        this.messageHistory.push({
-            role: 'assistant',
-            content: contentToFormat,
-            timestamp: Date.now(),
-            sources: sources,
-            usage: usage
-        });
+        // Add to the message tree (include sources and usage for persistence)
+        const node = this.addMessageNode('assistant', contentToFormat, [], sources, usage, messageId);
+        this.decorateMessageNode(messageEl, node);
 
         this.scrollToBottom();
     }
@@ -1269,7 +2115,7 @@ class AIChatPageComponent {
     /**
      * Stop current streaming operation if active
      * 
-     * Closes the EventSource connection, cleans up streaming state,
+     * Aborts the streaming request, cleans up streaming state,
      * and adds a "stopped by user" indicator to any active streaming messages.
      * 
      * @public
@@ -1278,6 +2124,36 @@ class AIChatPageComponent {
         this.cleanupStreaming(true);
     }
     
+    /**
+     * Tell the server to stop generating the current answer
+     *
+     * Aborting the request alone is not enough: the server keeps generating
+     * so that dropped connections can be resumed. Fire-and-forget; keepalive
+     * lets the request outlive a page unload.
+     *
+     * @private
+     */
+    cancelServerStream() {
+        if (!this.currentStreamId) {
+            return;
+        }
+
+        fetch(this.apiUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                action: 'cancel_stream',
+                chat_id: this.chatId,
+                stream_id: this.currentStreamId
+            }),
+            keepalive: true
+        }).catch(error => {
+            debugError('AIChatPageComponent: Failed to cancel stream on server', error);
+        });
+    }
+
     /**
      * Clean up streaming state and UI elements
      * 
@@ -1285,9 +2161,13 @@ class AIChatPageComponent {
      * @param {boolean} userStopped - Whether the user manually stopped streaming
      */
     cleanupStreaming(userStopped = false) {
-        if (this.currentEventSource) {
-            this.currentEventSource.close();
-            this.currentEventSource = null;
+        if (this.currentStreamController) {
+            if (userStopped) {
+                this.cancelServerStream();
+            }
+            this.currentStreamId = null;
+            this.currentStreamController.abort();
+            this.currentStreamController = null;
             this.setLoading(false);
             
             // Clean up streaming UI elements
@@ -1323,23 +2203,19 @@ class AIChatPageComponent {
      * @param {Array<Object>} [attachments=[]] - Array of attachment objects to display
      * @param {Array<Object>} [sources=null] - Array of RAG source citations
      * @param {Object} [usage=null] - Token usage data
+     * @param {number|string|null} [messageId=null] - Server message id, if already stored
      */
-    addMessageToDisplay(role, content, attachments = [], sources = null, usage = null) {
-        this.displayMessageOnly(role, content, attachments, sources, usage);
-
-        // Add to history
-        this.messageHistory.push({
-            role: role,
-            content: content,
-            timestamp: Date.now(),
-            sources: sources,
-            usage: usage
-        });
+    addMessageToDisplay(role, content, attachments = [], sources = null, usage = null, messageId = null) {
+        const messageDiv = this.displayMessageOnly(role, content, attachments, sources, usage);
 
-        // Limit history size
-        if (this.messageHistory.length > this.maxMemory * 2) {
-            this.messageHistory = this.messageHistory.slice(-this.maxMemory * 2);
+        // System notices are shown only; they are not part of the conversation
+        if (role === 'system') {
+            return;
         }
+
+        // Add to the message tree below the current branch
+        const node = this.addMessageNode(role, content, attachments, sources, usage, messageId);
+        this.decorateMessageNode(messageDiv, node);
     }
     
     /**
@@ -1355,6 +2231,7 @@ class AIChatPageComponent {
      * @param {Array<Object>} [attachments=[]] - Array of attachment objects to display
      * @param {Array<Object>} [sources=null] - Array of RAG source citations
      * @param {Object} [usage=null] - Token usage data
+     * @returns {HTMLElement} The rendered message element
      */
     displayMessageOnly(role, content, attachments = [], sources = null, usage = null) {
         debug('AIChatPageComponent: displayMessageOnly called with attachments:', attachments, 'sources:', sources);
@@ -1380,7 +2257,9 @@ class AIChatPageComponent {
                 displayContent = stripped;
                 if (webLinks.length > 0) effectiveSources = [...sources, ...webLinks];
             }
-            contentWrapper.innerHTML = this.renderMarkdown(displayContent);
+            contentWrapper.innerHTML = this.formatMessage(displayContent);
+            this.renderDiagrams(contentWrapper);
+            this.enhanceTables(contentWrapper);
             // Re-assign sources so the block below uses the merged list
             sources = effectiveSources;
         } else {
@@ -1424,6 +2303,11 @@ class AIChatPageComponent {
             messageDiv.appendChild(contentWrapper);
         }
         
+        // Copy and edit actions for user messages
+        if (role === 'user') {
+            messageDiv.appendChild(this.createUserMessageActions(content));
+        }
+
         // Add sources row and action buttons for assistant messages
         if (role === 'assistant') {
             // Add sources row FIRST if sources are available
@@ -1528,6 +2412,8 @@ class AIChatPageComponent {
         if (role === 'assistant') {
             this.announceToScreenReader(this.lang.newMessageAria);
         }
+
+        return messageDiv;
     }
 
     /**
@@ -1538,7 +2424,7 @@ class AIChatPageComponent {
      * 
      * Uses marked.js library if available, falls back to custom implementation.
      * Supports code blocks, inline code, headers, bold/italic, links, lists,
-     * tables, blockquotes, and Mistral-specific thinking blocks.
+     * tables, blockquotes, and Mistral-specific status blocks.
      * 
      * @public
      * @param {string} text - Raw markdown text to render
@@ -1547,6 +2433,23 @@ class AIChatPageComponent {
     renderMarkdown(text) {
         if (!text) return '';
 
+        // Math is cut out before markdown parsing so "_", "*" and "\\" inside
+        // formulas are not mistaken for markdown, and typeset afterwards
+        const math = this.extractMath(text);
+
+        // Model output is untrusted: everything rendered goes through the allow-list.
+        // Formulas are inserted after that, so model HTML cannot pass as KaTeX output.
+        return this.restoreMath(this.sanitizeHtml(this.renderMarkdownText(math.text)), math.formulas);
+    }
+
+    /**
+     * Render markdown text to HTML (math already replaced by placeholders)
+     *
+     * @private
+     * @param {string} text - Raw markdown text to render
+     * @returns {string} HTML-formatted string
+     */
+    renderMarkdownText(text) {
         // Use marked.js for proper markdown parsing
         if (typeof marked !== 'undefined') {
             // Configure marked options
@@ -1559,6 +2462,9 @@ class AIChatPageComponent {
 
             const renderer = new marked.Renderer();
 
+            // Fenced code: highlighted block with language badge, line numbers and actions
+            renderer.code = (code, infostring) => this.buildCodeBlockHtml(code, infostring);
+
             // ── Citation marker pre-processing ──────────────────────────────────
             // CommonMark closing-delimiter rule 2b: a run closing ** must be followed
             // by whitespace or punctuation when preceded by punctuation (e.g. ')').
@@ -1639,1634 +2545,1842 @@ class AIChatPageComponent {
         return div.innerHTML;
     }
     
+    /**
+     * Escape text for use inside a double-quoted HTML attribute
+     *
+     * @private
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(String(text)).replace(/"/g, '&quot;');
+    }
+
+    // ── HTML sanitising ──
+
+    /** Elements kept by sanitizeHtml (HTML, plus the SVG and MathML subsets KaTeX emits) */
+    static get SANITIZE_TAGS() {
+        return new Set([
+            'a', 'abbr', 'b', 'blockquote', 'br', 'button', 'caption', 'code', 'col', 'colgroup',
+            'dd', 'del', 'details', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+            'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'ins', 'kbd',
+            'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'samp', 'small', 'span', 'strong',
+            'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr',
+            'u', 'ul', 'var',
+            'svg', 'path', 'line', 'g', 'rect', 'circle',
+            'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'ms', 'mtext',
+            'mspace', 'msup', 'msub', 'msubsup', 'mfrac', 'msqrt', 'mroot', 'mover',
+            'munder', 'munderover', 'mtable', 'mtr', 'mtd', 'mstyle', 'mpadded',
+            'mphantom', 'menclose', 'merror'
+        ]);
+    }
+
+    /**
+     * Elements removed together with their content
+     *
+     * Everything else that is not allowed is unwrapped, keeping its text.
+     * The raw-text elements are listed because they enable mutation XSS.
+     */
+    static get SANITIZE_DROP_TAGS() {
+        return new Set([
+            'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+            'noscript', 'noembed', 'noframes', 'template', 'textarea', 'select', 'option',
+            'title', 'xmp', 'plaintext', 'listing', 'link', 'meta', 'base', 'form',
+            'foreignobject', 'audio', 'video', 'source', 'track', 'canvas', 'portal'
+        ]);
+    }
+
+    /** Attributes allowed on every kept element (plus aria-*; style only in KaTeX output) */
+    static get SANITIZE_GLOBAL_ATTRIBUTES() {
+        return new Set(['class', 'title', 'hidden', 'lang', 'dir', 'role']);
+    }
+
+    /**
+     * data-* attributes the markdown renderer emits itself
+     *
+     * Others are removed, so model output cannot carry the attributes the
+     * chat's click handlers act on (table actions, starter prompts, follow-ups).
+     */
+    static get SANITIZE_DATA_ATTRIBUTES() {
+        return new Set(['data-language', 'data-extension', 'data-diagram', 'data-diagram-action']);
+    }
+
+    /** Additional attributes allowed per element */
+    static get SANITIZE_ATTRIBUTES() {
+        return {
+            a: ['href', 'target', 'rel'],
+            img: ['src', 'alt', 'width', 'height', 'loading'],
+            ol: ['start', 'type'],
+            td: ['colspan', 'rowspan', 'align'],
+            th: ['colspan', 'rowspan', 'align', 'scope'],
+            col: ['span'],
+            input: ['type', 'checked', 'disabled'],
+            button: ['type'],
+            details: ['open'],
+            svg: ['xmlns', 'width', 'height', 'viewbox', 'preserveaspectratio', 'fill', 'focusable'],
+            path: ['d', 'fill', 'fill-rule', 'clip-rule', 'stroke', 'stroke-width'],
+            line: ['x1', 'y1', 'x2', 'y2', 'stroke', 'stroke-width'],
+            rect: ['x', 'y', 'width', 'height', 'rx', 'ry', 'fill', 'stroke', 'stroke-width'],
+            circle: ['cx', 'cy', 'r', 'fill', 'stroke', 'stroke-width'],
+            g: ['fill', 'stroke', 'stroke-width'],
+            math: ['xmlns', 'display'],
+            annotation: ['encoding'],
+            mi: ['mathvariant'],
+            mo: ['stretchy', 'fence', 'separator', 'lspace', 'rspace', 'minsize', 'maxsize', 'movablelimits', 'accent'],
+            mstyle: ['scriptlevel', 'displaystyle', 'mathcolor', 'mathsize'],
+            mspace: ['width', 'height', 'depth'],
+            mpadded: ['width', 'height', 'depth', 'lspace', 'voffset'],
+            mtable: ['rowspacing', 'columnalign', 'columnspacing', 'rowlines', 'columnlines'],
+            mtd: ['columnalign', 'rowspan', 'columnspan'],
+            mover: ['accent'],
+            munder: ['accentunder'],
+            munderover: ['accent', 'accentunder'],
+            menclose: ['notation'],
+            mfrac: ['linethickness']
+        };
+    }
+
+    /**
+     * Reduce an HTML string to the allow-listed elements and attributes
+     *
+     * Applied to everything rendered from model output. Event handler
+     * attributes are never allowed, URLs must use http(s) or mailto (images
+     * may also be raster data URLs). Inline styles are removed; only the
+     * KaTeX output inserted by restoreMath() keeps them.
+     *
+     * @public
+     * @param {string} html - Untrusted HTML
+     * @returns {string} Sanitised HTML
+     */
+    sanitizeHtml(html) {
+        if (!html) return '';
+
+        // Template content is inert: no scripts run and no images load while parsing
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        this.sanitizeChildren(template.content);
+        return template.innerHTML;
+    }
+
+    /**
+     * Sanitise the children of a node in place
+     *
+     * @private
+     * @param {Node} parent - Element or document fragment
+     * @param {boolean} [allowStyle=false] - Keep inline styles (KaTeX output only)
+     */
+    sanitizeChildren(parent, allowStyle = false) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove();
+                return;
+            }
+
+            const tag = node.localName.toLowerCase();
+            if (AIChatPageComponent.SANITIZE_DROP_TAGS.has(tag)) {
+                node.remove();
+                return;
+            }
+
+            this.sanitizeChildren(node, allowStyle);
+
+            if (!AIChatPageComponent.SANITIZE_TAGS.has(tag) || (tag === 'input' && node.getAttribute('type') !== 'checkbox')) {
+                node.replaceWith(...node.childNodes);
+                return;
+            }
+
+            Array.from(node.attributes).forEach(attribute => {
+                if (!this.isAllowedAttribute(tag, attribute.name.toLowerCase(), attribute.value, allowStyle)) {
+                    node.removeAttribute(attribute.name);
+                }
+            });
+
+            if (tag === 'a' && node.hasAttribute('target')) {
+                node.setAttribute('target', '_blank');
+                node.setAttribute('rel', 'noopener noreferrer');
+            }
+        });
+    }
+
+    /**
+     * Check a single attribute against the allow-list
+     *
+     * @private
+     * @param {string} tag - Lower-case element name
+     * @param {string} name - Lower-case attribute name
+     * @param {string} value - Attribute value
+     * @param {boolean} [allowStyle=false] - Keep inline styles (KaTeX output only)
+     * @returns {boolean} Whether the attribute may stay
+     */
+    isAllowedAttribute(tag, name, value, allowStyle = false) {
+        if (name.startsWith('on')) {
+            return false;
+        }
+        if (name === 'href') {
+            return tag === 'a' && this.isSafeUrl(value);
+        }
+        if (name === 'src') {
+            return tag === 'img' && this.isSafeUrl(value, true);
+        }
+        if (name === 'style') {
+            return allowStyle && !/url\s*\(|expression\s*\(|javascript:|@import|behavior\s*:|-moz-binding|position\s*:\s*(fixed|sticky)/i.test(value);
+        }
+        if (/^aria-[\w-]+$/.test(name)) {
+            return true;
+        }
+        if (name.startsWith('data-')) {
+            return AIChatPageComponent.SANITIZE_DATA_ATTRIBUTES.has(name);
+        }
+
+        return AIChatPageComponent.SANITIZE_GLOBAL_ATTRIBUTES.has(name)
+            || (AIChatPageComponent.SANITIZE_ATTRIBUTES[tag] || []).includes(name);
+    }
+
+    /**
+     * Check whether a URL is safe to use in a link or image
+     *
+     * Relative URLs and fragments are allowed, absolute URLs only with
+     * http(s) or mailto. Whitespace and control characters are ignored the
+     * way browsers do, so "java\tscript:" is caught as well.
+     *
+     * @public
+     * @param {string} url - URL to check
+     * @param {boolean} allowDataImage - Allow base64 raster image data URLs
+     * @returns {boolean} Whether the URL is safe
+     */
+    isSafeUrl(url, allowDataImage = false) {
+        const value = String(url || '').replace(/[\u0000-\u0020\u007F]+/g, '');
+        const scheme = value.match(/^([a-z][a-z0-9+.-]*):/i);
+        if (!scheme) {
+            return true;
+        }
+
+        const name = scheme[1].toLowerCase();
+        if (name === 'http' || name === 'https' || name === 'mailto') {
+            return true;
+        }
+
+        return allowDataImage && /^data:image\/(png|jpe?g|gif|webp);base64,/i.test(value);
+    }
+
     /**
      * Render code blocks with syntax highlighting support
      * 
-     * Converts markdown code blocks (```language\ncode\n```) to HTML
-     * with proper CSS classes for syntax highlighting.
+     * Converts markdown code blocks (```language\ncode\n```) to the same
+     * highlighted block markup marked.js produces via buildCodeBlockHtml.
      * 
      * @private
-     * @param {string} text - Text containing code block markdown
+     * @param {string} text - HTML-escaped text containing code block markdown
      * @returns {string} Text with code blocks converted to HTML
      */
     renderCodeBlocks(text) {
         // Multi-line code blocks with language
         text = text.replace(/```(\w+)?\n([\s\S]*?)\n```/g, (match, language, code) => {
-            const lang = language || 'text';
-            return `<div class="ai-chat-code-block">
-                <div class="ai-chat-code-header">
-                    <span class="ai-chat-code-language">${lang}</span>
-                    <button class="ai-chat-code-copy" onclick="copyCodeToClipboard(this)" title="Copy code">
-                        <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true" focusable="false">
-                            <path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"/>
-                        </svg>
-                    </button>
-                </div>
-                <pre class="ai-chat-code-content language-${lang}"><code>${code}</code></pre>
-            </div>`;
+            // The fallback renderer escapes the whole text first; the highlighter needs the raw code
+            return this.buildCodeBlockHtml(this.decodeHtmlEntities(code), language);
         });
         
         return text;
     }
-    
-    renderInlineCode(text) {
-        return text.replace(/`([^`]+)`/g, '<code class="ai-chat-inline-code">$1</code>');
-    }
-    
-    renderHeaders(text) {
-        text = text.replace(/^###### (.*)$/gm, '<h6>$1</h6>');
-        text = text.replace(/^##### (.*)$/gm, '<h5>$1</h5>');
-        text = text.replace(/^#### (.*)$/gm, '<h4>$1</h4>');
-        text = text.replace(/^### (.*)$/gm, '<h3>$1</h3>');
-        text = text.replace(/^## (.*)$/gm, '<h2>$1</h2>');
-        text = text.replace(/^# (.*)$/gm, '<h1>$1</h1>');
-        return text;
-    }
-    
-    renderBold(text) {
-        text = text.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-        text = text.replace(/__(.*?)__/g, '<strong>$1</strong>');
-        return text;
-    }
-    
-    renderItalic(text) {
-        text = text.replace(/(?<!\*)\*([^*]+)\*(?!\*)/g, '<em>$1</em>');
-        text = text.replace(/(?<!_)_([^_]+)_(?!_)/g, '<em>$1</em>');
-        return text;
-    }
-    
-    renderLinks(text) {
-        // [text](url) links
-        text = text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" class="ai-chat-link" target="_blank" rel="noopener noreferrer">$1</a>');
-        
-        // Auto-link URLs
-        text = text.replace(/(https?:\/\/[^\s<>"]+)/g, '<a href="$1" class="ai-chat-link" target="_blank" rel="noopener noreferrer">$1</a>');
-        
-        return text;
-    }
-    
-    renderLists(text) {
-        // First, convert numbered items to list items with a marker
-        text = text.replace(/^\d+\.\s+(.+)$/gm, '___ORDERED___<li class="ai-chat-list-item">$1</li>');
-        
-        // Find all consecutive ordered list items and wrap them in one <ol>
-        let orderedListRegex = /(___ORDERED___<li class="ai-chat-list-item">.*?<\/li>(?:\s*___ORDERED___<li class="ai-chat-list-item">.*?<\/li>)*)/gs;
-        text = text.replace(orderedListRegex, (match) => {
-            // Remove the markers and wrap in <ol>
-            const cleanMatch = match.replace(/___ORDERED___/g, '');
-            return `<ol class="ai-chat-ordered-list">${cleanMatch}</ol>`;
-        });
-        
-        // Clean up any remaining markers
-        text = text.replace(/___ORDERED___/g, '');
-        
-        // Handle unordered lists
-        text = text.replace(/^[-*+]\s+(.+)$/gm, '<li class="ai-chat-list-item">$1</li>');
-        
-        // Wrap consecutive unordered list items
-        text = text.replace(/(<li class="ai-chat-list-item">.*?<\/li>(?:\s*<li class="ai-chat-list-item">.*?<\/li>)*)/gs, 
-            '<ul class="ai-chat-list">$1</ul>');
-        
-        return text;
-    }
-    
-    renderTables(text) {
-        return text.replace(/^\|(.+)\|\s*\n\|[-\s:|]+\|\s*\n(\|.+\|\s*(?:\n|$))+/gm, (match) => {
-            const lines = match.trim().split('\n');
-            let html = '<table class="ai-chat-table">';
-            
-            // Header
-            if (lines[0]) {
-                const headerCells = lines[0].split('|').slice(1, -1);
-                html += '<thead><tr class="ai-chat-table-header-row">';
-                headerCells.forEach(cell => {
-                    html += `<th class="ai-chat-table-header">${cell.trim()}</th>`;
-                });
-                html += '</tr></thead>';
-            }
-            
-            // Body
-            html += '<tbody>';
-            for (let i = 2; i < lines.length; i++) {
-                if (!lines[i].trim()) continue;
-                const cells = lines[i].split('|').slice(1, -1);
-                html += '<tr class="ai-chat-table-row">';
-                cells.forEach(cell => {
-                    html += `<td class="ai-chat-table-cell">${cell.trim()}</td>`;
-                });
-                html += '</tr>';
-            }
-            html += '</tbody></table>';
-            
-            return html;
-        });
-    }
-    
-    renderBlockquotes(text) {
-        return text.replace(/^>\s*(.+(?:\n>\s*.+)*)/gm, (match) => {
-            const content = match.replace(/^>\s*/gm, '');
-            return `<div class="ai-chat-blockquote">${content}</div>`;
-        });
-    }
-    
-    renderMistralSpecialFormatting(text) {
-        // Thinking blocks
-        text = text.replace(/&lt;thinking&gt;([\s\S]*?)&lt;\/thinking&gt;/g, 
-            `<div class="ai-chat-thinking-block"><div class="ai-chat-thinking-header">${this.lang.thinkingHeader}</div><div class="ai-chat-thinking-content">$1</div></div>`);
-        
-        // Math expressions
-        text = text.replace(/\$\$([^$]+)\$\$/g, '<div class="ai-chat-math-block">$1</div>');
-        text = text.replace(/\$([^$]+)\$/g, '<span class="ai-chat-math-inline">$1</span>');
-        
-        // Status blocks
-        text = text.replace(/^⚠️\s*(.+)$/gm, '<div class="ai-chat-warning">⚠️ $1</div>');
-        text = text.replace(/^ℹ️\s*(.+)$/gm, '<div class="ai-chat-info">ℹ️ $1</div>');
-        text = text.replace(/^✅\s*(.+)$/gm, '<div class="ai-chat-success">✅ $1</div>');
-        text = text.replace(/^❌\s*(.+)$/gm, '<div class="ai-chat-error">❌ $1</div>');
-        
-        // Step blocks
-        text = text.replace(/^(Step \d+[:.]\s*.+)$/gm, '<div class="ai-chat-step">$1</div>');
-        
-        // Task lists
-        text = text.replace(/^- \[ \]\s*(.+)$/gm, '<div class="ai-chat-task"><input type="checkbox" disabled> $1</div>');
-        text = text.replace(/^- \[x\]\s*(.+)$/gm, '<div class="ai-chat-task"><input type="checkbox" checked disabled> $1</div>');
-        
-        return text;
-    }
-    
-    renderLineBreaks(text) {
-        // Convert double line breaks to paragraph breaks
-        const paragraphs = text.split(/\n\s*\n/);
-        let html = '';
-        
-        paragraphs.forEach(paragraph => {
-            paragraph = paragraph.trim();
-            if (!paragraph) return;
-            
-            // Don't wrap formatted blocks in paragraphs
-            if (paragraph.match(/^<(div|ul|ol|table|blockquote|h[1-6])/)) {
-                html += paragraph + '\n';
-            } else {
-                // Convert single line breaks to <br>
-                paragraph = paragraph.replace(/\n/g, '<br>');
-                html += `<p class="ai-chat-paragraph">${paragraph}</p>\n`;
-            }
-        });
-        
-        return html;
+
+    /**
+     * Languages known to the code block renderer, keyed by fence name
+     *
+     * "prism" names the bundled grammar (null = no highlighting), "ext" the
+     * file extension used by the download button.
+     */
+    static get CODE_LANGUAGES() {
+        return {
+            python:     { label: 'Python',     prism: 'python',     ext: 'py' },
+            py:         { label: 'Python',     prism: 'python',     ext: 'py' },
+            java:       { label: 'Java',       prism: 'java',       ext: 'java' },
+            javascript: { label: 'JavaScript', prism: 'javascript', ext: 'js' },
+            js:         { label: 'JavaScript', prism: 'javascript', ext: 'js' },
+            sql:        { label: 'SQL',        prism: 'sql',        ext: 'sql' },
+            c:          { label: 'C',          prism: 'c',          ext: 'c' },
+            cpp:        { label: 'C++',        prism: 'cpp',        ext: 'cpp' },
+            'c++':      { label: 'C++',        prism: 'cpp',        ext: 'cpp' },
+            r:          { label: 'R',          prism: 'r',          ext: 'r' },
+            html:       { label: 'HTML',       prism: 'markup',     ext: 'html' },
+            xml:        { label: 'XML',        prism: 'markup',     ext: 'xml' },
+            css:        { label: 'CSS',        prism: 'css',        ext: 'css' },
+            json:       { label: 'JSON',       prism: 'json',       ext: 'json' },
+            bash:       { label: 'Bash',       prism: 'bash',       ext: 'sh' },
+            sh:         { label: 'Shell',      prism: 'bash',       ext: 'sh' },
+            shell:      { label: 'Shell',      prism: 'bash',       ext: 'sh' },
+            text:       { label: 'Text',       prism: null,         ext: 'txt' }
+        };
     }
 
     /**
-     * Render RAG source citations as a collapsible list
+     * Build the markup of a fenced code block
      *
-     * Creates an expandable section showing document sources that the AI
-     * used to generate its response. Each source shows filename and page numbers.
-     * Sources have IDs for linking from footnote markers in the text.
+     * Highlights the code with the bundled Prism grammars (if the language
+     * is known), and adds a language badge, a line number gutter and the
+     * download and copy buttons. Mermaid fences become diagram placeholders.
      *
-     * @param {Array} sources - Array of source objects with filename, pages, excerpt
-     * @param {string} messageId - Unique ID for this message to namespace source IDs
-     * @returns {HTMLElement} Container element with rendered sources
+     * @private
+     * @param {string} code - Raw (unescaped) code
+     * @param {string} language - Fence info string, e.g. "python"
+     * @returns {string} Code block HTML
      */
-    renderSourcesCitation(sources, messageId = null) {
-        const container = document.createElement('div');
-        container.className = 'ai-chat-sources';
-
-        // Generate unique ID for this sources section
-        const sourcesId = messageId || 'src-' + Date.now();
-        container.dataset.sourcesId = sourcesId;
+    buildCodeBlockHtml(code, language) {
+        // Only the first word of the info string names the language ("python title=x")
+        const id = String(language || '').trim().split(/\s+/)[0].toLowerCase().replace(/[^a-z0-9+#_-]/g, '') || 'text';
+        const info = AIChatPageComponent.CODE_LANGUAGES[id] || { label: id, prism: null, ext: 'txt' };
+
+        code = code.replace(/\n$/, '');
+        if (id === 'mermaid') {
+            return this.buildDiagramHtml(code);
+        }
 
-        // Create collapsible header
-        const header = document.createElement('button');
-        header.className = 'ai-chat-sources-header';
-        header.setAttribute('aria-expanded', 'false');
-        header.innerHTML = `
-            <span class="ai-chat-sources-icon" style="display:inline-flex;width:16px;height:16px;flex-shrink:0;">
-                <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true" style="display:block;">
-                    <path d="M4.5 0A2.5 2.5 0 0 0 2 2.5V14a2 2 0 0 0 2 2h8a2 2 0 0 0 2-2V4.5L9.5 0h-5zM9.5 3A1.5 1.5 0 0 0 11 4.5H14V14a1 1 0 0 1-1 1H4a1 1 0 0 1-1-1V2.5A1.5 1.5 0 0 1 4.5 1H9v2.5z"/>
-                    <path d="M4.5 12.5a.5.5 0 0 1 .5-.5h6a.5.5 0 0 1 0 1H5a.5.5 0 0 1-.5-.5zm0-2a.5.5 0 0 1 .5-.5h6a.5.5 0 0 1 0 1H5a.5.5 0 0 1-.5-.5zm0-2a.5.5 0 0 1 .5-.5h6a.5.5 0 0 1 0 1H5a.5.5 0 0 1-.5-.5z"/>
-                </svg>
-            </span>
-            <span class="ai-chat-sources-label">${this.lang.sourcesLabel || 'Quellen'} (${sources.length})</span>
-            <svg class="ai-chat-sources-chevron" width="12" height="12" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true">
-                <path fill-rule="evenodd" d="M4.646 1.646a.5.5 0 0 1 .708 0l6 6a.5.5 0 0 1 0 .708l-6 6a.5.5 0 0 1-.708-.708L10.293 8 4.646 2.354a.5.5 0 0 1 0-.708z"/>
-            </svg>
-        `;
+        const grammar = info.prism && typeof Prism !== 'undefined' ? Prism.languages[info.prism] : null;
+        const highlighted = grammar ? Prism.highlight(code, grammar, info.prism) : this.escapeHtml(code);
 
-        // Create sources list
-        const list = document.createElement('div');
-        list.className = 'ai-chat-sources-list';
-        list.style.display = 'none';
+        const lineNumbers = code.split('\n').map((_, i) => i + 1).join('\n');
+        const copyTitle = this.escapeAttribute(this.lang.codeCopy);
+        const downloadTitle = this.escapeAttribute(this.lang.codeDownload);
 
-        sources.forEach((source, index) => {
-            const item = document.createElement('div');
-            item.className = 'ai-chat-source-item';
-            item.id = `${sourcesId}-source-${index + 1}`;
-            item.dataset.sourceIndex = index + 1;
+        return `<div class="ai-chat-code-block" data-language="${id}" data-extension="${info.ext}">
+                <div class="ai-chat-code-header">
+                    <span class="ai-chat-code-language">${this.escapeHtml(info.label)}</span>
+                    <div class="ai-chat-code-actions">
+                        <button type="button" class="ai-chat-code-download" title="${downloadTitle}" aria-label="${downloadTitle}">
+                            <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true" focusable="false">
+                                <path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/>
+                                <path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/>
+                            </svg>
+                        </button>
+                        <button type="button" class="ai-chat-code-copy" title="${copyTitle}" aria-label="${copyTitle}">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true" focusable="false">
+                                <path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"/>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+                <div class="ai-chat-code-body">
+                    <div class="ai-chat-code-lines" aria-hidden="true">${lineNumbers}</div>
+                    <pre class="ai-chat-code-content language-${info.prism || 'none'}"><code>${highlighted}</code></pre>
+                </div>
+            </div>`;
+    }
 
-            // Build page info string
-            let pageInfo = '';
-            if (source.pages && source.pages.length > 0) {
-                const pageLabel = source.pages.length === 1 ?
-                    (this.lang.pageLabel || 'Seite') :
-                    (this.lang.pagesLabel || 'Seiten');
-                pageInfo = `, ${pageLabel} ${source.pages.join(', ')}`;
-            }
+    // ── Diagrams ──
 
-            item.innerHTML = `
-                <span class="ai-chat-source-number">[${index + 1}]</span>
-                <span class="ai-chat-source-filename">${this.escapeHtml(source.filename)}${pageInfo}</span>
-            `;
+    /**
+     * Build the placeholder of a mermaid diagram
+     *
+     * The source stays visible until renderDiagrams has replaced it with
+     * the SVG, so streaming, failed renders and exports still show it.
+     *
+     * @private
+     * @param {string} source - Mermaid source
+     * @returns {string} Diagram block HTML
+     */
+    buildDiagramHtml(source) {
+        const title = (text) => this.escapeAttribute(text);
 
-            // Add excerpt tooltip if available
-            if (source.excerpt) {
-                item.dataset.excerpt = source.excerpt;
-                this.addExcerptTooltip(item, source.excerpt);
-            }
+        return `<div class="ai-chat-code-block ai-chat-diagram" data-diagram="mermaid">
+                <div class="ai-chat-code-header">
+                    <span class="ai-chat-code-language">Mermaid</span>
+                    <div class="ai-chat-code-actions" hidden>
+                        <button type="button" class="ai-chat-diagram-action" data-diagram-action="toggle" title="${title(this.lang.diagramShowSource)}" aria-label="${title(this.lang.diagramShowSource)}" aria-pressed="false">
+                            <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true" focusable="false">
+                                <path d="M10.478 1.647a.5.5 0 1 0-.956-.294l-4 13a.5.5 0 0 0 .956.294l4-13zM4.854 4.146a.5.5 0 0 1 0 .708L1.707 8l3.147 3.146a.5.5 0 0 1-.708.708l-3.5-3.5a.5.5 0 0 1 0-.708l3.5-3.5a.5.5 0 0 1 .708 0zm6.292 0a.5.5 0 0 0 0 .708L14.293 8l-3.147 3.146a.5.5 0 0 0 .708.708l3.5-3.5a.5.5 0 0 0 0-.708l-3.5-3.5a.5.5 0 0 0-.708 0z"/>
+                            </svg>
+                        </button>
+                        <button type="button" class="ai-chat-diagram-action" data-diagram-action="svg" title="${title(this.lang.diagramDownloadSvg)}" aria-label="${title(this.lang.diagramDownloadSvg)}">SVG</button>
+                        <button type="button" class="ai-chat-diagram-action" data-diagram-action="png" title="${title(this.lang.diagramDownloadPng)}" aria-label="${title(this.lang.diagramDownloadPng)}">PNG</button>
+                    </div>
+                </div>
+                <div class="ai-chat-diagram-view" hidden></div>
+                <pre class="ai-chat-code-content ai-chat-diagram-source"><code>${this.escapeHtml(source)}</code></pre>
+            </div>`;
+    }
 
-            list.appendChild(item);
-        });
+    /**
+     * Render all not yet rendered diagrams below an element
+     *
+     * mermaid is loaded on first use only, as it is by far the largest
+     * vendored library.
+     *
+     * @private
+     * @param {HTMLElement} root - Element containing rendered markdown
+     */
+    renderDiagrams(root) {
+        const diagrams = Array.from(root.querySelectorAll('.ai-chat-diagram:not([data-state])'));
+        if (diagrams.length === 0) {
+            return;
+        }
+        diagrams.forEach(diagram => { diagram.dataset.state = 'pending'; });
 
-        // Toggle functionality
-        header.addEventListener('click', () => {
-            const isExpanded = header.getAttribute('aria-expanded') === 'true';
-            header.setAttribute('aria-expanded', !isExpanded);
-            list.style.display = isExpanded ? 'none' : 'block';
-            container.classList.toggle('expanded', !isExpanded);
-        });
+        this.loadMermaid()
+            .then(() => {
+                diagrams.forEach(diagram => {
+                    mermaidQueue = mermaidQueue.then(() => this.renderDiagram(diagram));
+                });
+            })
+            .catch(error => {
+                debugError('AIChatPageComponent: Failed to load mermaid:', error);
+                diagrams.forEach(diagram => this.markDiagramFailed(diagram));
+            });
+    }
 
-        container.appendChild(header);
-        container.appendChild(list);
+    /**
+     * Load the vendored mermaid bundle once per page
+     *
+     * @private
+     * @returns {Promise<Object>} Resolves with the mermaid API
+     */
+    loadMermaid() {
+        if (window.mermaid) {
+            return Promise.resolve(window.mermaid);
+        }
 
-        // Store sources data for footnote linking
-        container.sourcesData = sources;
+        if (!mermaidLoader) {
+            mermaidLoader = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = `${this.vendorUrl}/mermaid.min.js`;
+                script.onload = () => window.mermaid ? resolve(window.mermaid) : reject(new Error('mermaid not available'));
+                script.onerror = () => {
+                    mermaidLoader = null;
+                    reject(new Error('Failed to load ' + script.src));
+                };
+                document.head.appendChild(script);
+            });
+        }
 
-        return container;
+        return mermaidLoader;
     }
 
     /**
-     * Add hover tooltip with excerpt to an element
+     * Replace a diagram's source with the rendered SVG
      *
-     * @param {HTMLElement} element - Element to add tooltip to
-     * @param {string} excerpt - Text excerpt to show in tooltip
+     * @private
+     * @async
+     * @param {HTMLElement} diagram - .ai-chat-diagram element
      */
-    addExcerptTooltip(element, excerpt) {
-        let tooltip = null;
-
-        element.addEventListener('mouseenter', (e) => {
-            tooltip = document.createElement('div');
-            tooltip.className = 'ai-chat-source-tooltip';
+    async renderDiagram(diagram) {
+        const source = diagram.querySelector('.ai-chat-diagram-source code').textContent;
+        const renderId = `${this.container.id}-diagram-${++this.diagramSeq}`;
 
-            // Render markdown in excerpt for proper formatting
-            tooltip.innerHTML = this.renderMarkdown(excerpt);
-            this.container.appendChild(tooltip);
+        try {
+            window.mermaid.initialize({
+                startOnLoad: false,
+                securityLevel: 'strict',
+                theme: this.container.dataset.theme === 'light' ? 'default' : 'dark',
+                // Plain SVG text instead of HTML labels keeps the PNG export canvas-safe
+                htmlLabels: false,
+                flowchart: { htmlLabels: false }
+            });
 
-            // Position tooltip
-            const rect = element.getBoundingClientRect();
-            const tooltipRect = tooltip.getBoundingClientRect();
+            const { svg } = await window.mermaid.render(renderId, source);
 
-            // Position below element, but flip above if near bottom of viewport
-            let top = rect.bottom + 5;
-            if (top + tooltipRect.height > window.innerHeight - 20) {
-                top = rect.top - tooltipRect.height - 5;
-            }
+            const view = diagram.querySelector('.ai-chat-diagram-view');
+            view.innerHTML = svg;
+            view.hidden = false;
+            diagram.querySelector('.ai-chat-diagram-source').hidden = true;
+            diagram.querySelector('.ai-chat-code-actions').hidden = false;
+            diagram.dataset.state = 'rendered';
 
-            // Ensure tooltip stays within viewport horizontally
-            let left = rect.left;
-            const maxWidth = Math.min(400, window.innerWidth - 40);
-            if (left + maxWidth > window.innerWidth - 20) {
-                left = window.innerWidth - maxWidth - 20;
-            }
+            diagram.querySelectorAll('[data-diagram-action]').forEach(button => {
+                button.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.handleDiagramAction(diagram, button);
+                });
+            });
+        } catch (error) {
+            debugError('AIChatPageComponent: Failed to render diagram:', error);
+            // mermaid leaves its temporary render container behind on syntax errors
+            const leftover = document.getElementById('d' + renderId);
+            if (leftover) leftover.remove();
+            this.markDiagramFailed(diagram);
+        }
+    }
 
-            tooltip.style.left = `${Math.max(10, left)}px`;
-            tooltip.style.top = `${top}px`;
-            tooltip.style.maxWidth = `${maxWidth}px`;
-        });
+    /**
+     * Keep the source of a diagram visible and explain why
+     *
+     * @private
+     * @param {HTMLElement} diagram - .ai-chat-diagram element
+     */
+    markDiagramFailed(diagram) {
+        diagram.dataset.state = 'failed';
 
-        element.addEventListener('mouseleave', () => {
-            if (tooltip) {
-                tooltip.remove();
-                tooltip = null;
-            }
-        });
+        const note = document.createElement('div');
+        note.className = 'ai-chat-diagram-error';
+        note.textContent = this.lang.diagramRenderFailed;
+        diagram.insertBefore(note, diagram.querySelector('.ai-chat-diagram-source'));
     }
 
     /**
-     * Toggle raw data panel for admin debugging.
-     * Shows original message text, RAG sources and token usage.
+     * Run a diagram toolbar action (toggle source, SVG or PNG download)
+     *
+     * @private
+     * @async
+     * @param {HTMLElement} diagram - .ai-chat-diagram element
+     * @param {HTMLElement} button - Clicked toolbar button
      */
-    toggleRawPanel(messageEl, rawText, sources, usage) {
-        let panel = messageEl.querySelector('.ai-chat-raw-panel');
-        if (panel) {
-            panel.remove();
+    async handleDiagramAction(diagram, button) {
+        const view = diagram.querySelector('.ai-chat-diagram-view');
+        const source = diagram.querySelector('.ai-chat-diagram-source');
+
+        if (button.dataset.diagramAction === 'toggle') {
+            const showSource = source.hidden;
+            source.hidden = !showSource;
+            view.hidden = showSource;
+            const label = showSource ? this.lang.diagramShowDiagram : this.lang.diagramShowSource;
+            button.title = label;
+            button.setAttribute('aria-label', label);
+            button.setAttribute('aria-pressed', showSource ? 'true' : 'false');
             return;
         }
 
-        const data = {
-            message: rawText || '',
-            sources: sources || [],
-            usage:   usage   || {}
-        };
+        const svgEl = view.querySelector('svg');
+        if (!svgEl) {
+            return;
+        }
 
-        panel = document.createElement('details');
-        panel.className = 'ai-chat-raw-panel';
-        panel.open = true;
-        panel.innerHTML = `<summary>Raw Data</summary><pre class="ai-chat-raw-pre">${this.escapeHtml(JSON.stringify(data, null, 2))}</pre>`;
-        messageEl.appendChild(panel);
+        const clone = svgEl.cloneNode(true);
+        clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        const svgText = new XMLSerializer().serializeToString(clone);
+
+        try {
+            if (button.dataset.diagramAction === 'svg') {
+                this.downloadBlob('diagram.svg', new Blob([svgText], { type: 'image/svg+xml;charset=utf-8' }));
+            } else if (button.dataset.diagramAction === 'png') {
+                this.downloadBlob('diagram.png', await this.rasterizeSvg(svgEl, svgText));
+            }
+        } catch (error) {
+            debugError('AIChatPageComponent: Diagram download failed:', error);
+            await this.showAlert(this.lang.diagramDownloadFailed);
+        }
     }
 
     /**
-     * Hover tooltip for source chips: shows full filename, pages and excerpt.
-     * Uses position:fixed so it is never clipped by overflow:hidden parents.
+     * Draw an SVG onto a canvas and return it as PNG
+     *
+     * @private
+     * @param {SVGSVGElement} svgEl - Rendered SVG (for its dimensions and background)
+     * @param {string} svgText - Serialised SVG
+     * @returns {Promise<Blob>} PNG image at twice the displayed size
      */
-    addSourceInfoTooltip(element, sourceData) {
-        let tooltip   = null;
-        let closeTimer = null;
+    rasterizeSvg(svgEl, svgText) {
+        const viewBox = svgEl.viewBox && svgEl.viewBox.baseVal;
+        const width = (viewBox && viewBox.width) || svgEl.getBoundingClientRect().width || 800;
+        const height = (viewBox && viewBox.height) || svgEl.getBoundingClientRect().height || 600;
+        const scale = 2;
+
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.ceil(width * scale);
+                canvas.height = Math.ceil(height * scale);
+
+                const context = canvas.getContext('2d');
+                context.fillStyle = getComputedStyle(this.container).getPropertyValue('--chat-bg-primary').trim() || '#ffffff';
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+            };
+            image.onerror = () => reject(new Error('SVG could not be loaded as image'));
+            image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svgText);
+        });
+    }
 
-        const cancelClose = () => {
-            if (closeTimer) { clearTimeout(closeTimer); closeTimer = null; }
-        };
+    // ── Tables ──
 
-        const scheduleClose = () => {
-            cancelClose();
-            closeTimer = setTimeout(() => {
-                if (tooltip) { tooltip.remove(); tooltip = null; }
-            }, 120);
-        };
+    /**
+     * Make all not yet enhanced tables below an element interactive
+     *
+     * Each table gets a toolbar (row filter, copy as TSV/CSV, CSV download),
+     * sortable column headers and a horizontally scrollable wrapper. Runs on
+     * rendered DOM, so it works for marked and the fallback renderer alike.
+     *
+     * @private
+     * @param {HTMLElement} root - Element containing rendered markdown
+     */
+    enhanceTables(root) {
+        root.querySelectorAll('table').forEach(table => {
+            if (table.closest('.ai-chat-table-block') || !table.tBodies.length) {
+                return;
+            }
 
-        element.addEventListener('mouseenter', () => {
-            cancelClose();
+            // marked emits bare tables; give them the same classes as the fallback renderer
+            table.classList.add('ai-chat-table');
+            if (table.tHead) {
+                Array.from(table.tHead.rows).forEach(row => row.classList.add('ai-chat-table-header-row'));
+            }
+            table.querySelectorAll('th').forEach(th => th.classList.add('ai-chat-table-header'));
+            Array.from(table.tBodies[0].rows).forEach((row, index) => {
+                row.classList.add('ai-chat-table-row');
+                row.dataset.index = String(index);
+                Array.from(row.cells).forEach(cell => cell.classList.add('ai-chat-table-cell'));
+            });
 
-            if (tooltip) return; // already open
+            // Header content moves into a button so sorting works by keyboard
+            const headerRow = table.tHead && table.tHead.rows[0];
+            if (headerRow) {
+                Array.from(headerRow.cells).forEach((th, column) => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'ai-chat-table-sort';
+                    button.dataset.column = String(column);
+                    button.append(...Array.from(th.childNodes));
+                    th.appendChild(button);
+                    th.setAttribute('aria-sort', 'none');
+                });
+            }
 
-            tooltip = document.createElement('div');
-            tooltip.className = 'ai-chat-source-tooltip ai-chat-source-info-tooltip';
+            const block = document.createElement('div');
+            block.className = 'ai-chat-table-block';
+            block.innerHTML = this.buildTableToolbarHtml();
 
-            let html = `<div class="ai-chat-tooltip-filename">${this.escapeHtml(sourceData.filename)}</div>`;
+            const scroll = document.createElement('div');
+            scroll.className = 'ai-chat-table-scroll';
+            scroll.tabIndex = 0;
+            scroll.setAttribute('role', 'region');
+            scroll.setAttribute('aria-label', this.lang.tableRegion);
 
-            if (sourceData.pages && sourceData.pages.length > 0) {
-                const pageLabel = sourceData.pages.length === 1
-                    ? (this.container.dataset.pageLabel  || 'S.')
-                    : (this.container.dataset.pagesLabel || 'S.');
-                html += `<div class="ai-chat-tooltip-pages">${pageLabel} ${sourceData.pages.join(', ')}</div>`;
-            }
+            table.parentNode.insertBefore(block, table);
+            scroll.appendChild(table);
+            block.appendChild(scroll);
+        });
+    }
 
-            if (sourceData.excerpt) {
-                html += `<div class="ai-chat-tooltip-excerpt">${this.renderMarkdown(sourceData.excerpt)}</div>`;
+    /**
+     * Build the toolbar markup of an interactive table
+     *
+     * @private
+     * @returns {string} Toolbar HTML
+     */
+    buildTableToolbarHtml() {
+        const title = (text) => this.escapeAttribute(text);
+
+        return `<div class="ai-chat-table-toolbar">
+                <input type="search" class="ai-chat-table-filter" placeholder="${title(this.lang.tableFilter)}" aria-label="${title(this.lang.tableFilter)}">
+                <div class="ai-chat-table-actions">
+                    <button type="button" class="ai-chat-table-action" data-table-action="copy-tsv" title="${title(this.lang.tableCopyTsv)}" aria-label="${title(this.lang.tableCopyTsv)}">TSV</button>
+                    <button type="button" class="ai-chat-table-action" data-table-action="copy-csv" title="${title(this.lang.tableCopyCsv)}" aria-label="${title(this.lang.tableCopyCsv)}">CSV</button>
+                    <button type="button" class="ai-chat-table-action" data-table-action="download-csv" title="${title(this.lang.tableDownloadCsv)}" aria-label="${title(this.lang.tableDownloadCsv)}">
+                        <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true" focusable="false">
+                            <path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/>
+                            <path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/>
+                        </svg>
+                    </button>
+                </div>
+            </div>`;
+    }
+
+    /**
+     * Sort a table by a column, cycling ascending → descending → original order
+     *
+     * @private
+     * @param {HTMLButtonElement} button - Sort button of the column header
+     */
+    sortTable(button) {
+        const table = button.closest('table');
+        const th = button.closest('th');
+        const column = parseInt(button.dataset.column, 10);
+        const current = th.getAttribute('aria-sort');
+        const next = current === 'ascending' ? 'descending' : (current === 'descending' ? 'none' : 'ascending');
+
+        table.querySelectorAll('th[aria-sort]').forEach(cell => cell.setAttribute('aria-sort', 'none'));
+        th.setAttribute('aria-sort', next);
+
+        const tbody = table.tBodies[0];
+        const rows = Array.from(tbody.rows);
+        const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+        const cellText = (row) => (row.cells[column] ? row.cells[column].textContent.trim() : '');
+
+        rows.sort((a, b) => {
+            if (next === 'none') {
+                return parseInt(a.dataset.index, 10) - parseInt(b.dataset.index, 10);
             }
+            const textA = cellText(a);
+            const textB = cellText(b);
+            const numberA = this.parseTableNumber(textA);
+            const numberB = this.parseTableNumber(textB);
+            const result = numberA !== null && numberB !== null
+                ? numberA - numberB
+                : collator.compare(textA, textB);
+            return next === 'ascending' ? result : -result;
+        });
+        tbody.append(...rows);
+    }
 
-            tooltip.innerHTML = html;
-            this.container.appendChild(tooltip);
+    /**
+     * Read a table cell as number ("1,234.5", "3,5", "-12 %", "€ 20")
+     *
+     * @private
+     * @param {string} text - Cell text
+     * @returns {number|null} The number, or null if the cell is not numeric
+     */
+    parseTableNumber(text) {
+        let value = text.replace(/[\s\u00a0'%€$£]/g, '');
+        // A comma before exactly three digits is read as thousands separator
+        if (/^[-+]?\d+,(\d{1,2}|\d{4,})$/.test(value)) {
+            value = value.replace(',', '.');
+        } else {
+            value = value.replace(/,(?=\d{3}(\D|$))/g, '');
+        }
+        if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(value)) {
+            return null;
+        }
+        return parseFloat(value);
+    }
 
-            // Keep tooltip open when the mouse moves into it
-            tooltip.addEventListener('mouseenter', cancelClose);
-            tooltip.addEventListener('mouseleave', scheduleClose);
+    /**
+     * Show only the rows of a table that contain the filter text
+     *
+     * @private
+     * @param {HTMLInputElement} input - Filter input of the table toolbar
+     */
+    filterTable(input) {
+        const table = input.closest('.ai-chat-table-block').querySelector('table');
+        const query = input.value.trim().toLowerCase();
 
-            const rect     = element.getBoundingClientRect();
-            const maxWidth = Math.min(380, window.innerWidth - 40);
-            let left = rect.left;
-            let top  = rect.bottom + 6;
+        Array.from(table.tBodies[0].rows).forEach(row => {
+            row.hidden = query !== '' && !row.textContent.toLowerCase().includes(query);
+        });
+    }
 
-            if (left + maxWidth > window.innerWidth - 20) {
-                left = window.innerWidth - maxWidth - 20;
-            }
-            const tipHeight = tooltip.getBoundingClientRect().height;
-            if (top + tipHeight > window.innerHeight - 20) {
-                top = rect.top - tipHeight - 6;
-            }
+    /**
+     * Read the visible rows of a table in their current order
+     *
+     * @private
+     * @param {HTMLTableElement} table - Enhanced table
+     * @returns {Array<Array<string>>} Header row (if any) followed by the body rows
+     */
+    getTableData(table) {
+        const rows = [];
+        const readRow = (row) => Array.from(row.cells).map(cell => cell.textContent.replace(/\s+/g, ' ').trim());
 
-            tooltip.style.left     = `${Math.max(10, left)}px`;
-            tooltip.style.top      = `${top}px`;
-            tooltip.style.maxWidth = `${maxWidth}px`;
-        });
+        if (table.tHead && table.tHead.rows[0]) {
+            rows.push(readRow(table.tHead.rows[0]));
+        }
+        Array.from(table.tBodies[0].rows)
+            .filter(row => !row.hidden)
+            .forEach(row => rows.push(readRow(row)));
+        return rows;
+    }
 
-        element.addEventListener('mouseleave', scheduleClose);
+    /**
+     * Make a table cell safe for pasting into a spreadsheet
+     *
+     * Cells that a spreadsheet would evaluate as formula are prefixed with an
+     * apostrophe, as the content comes from the model.
+     *
+     * @private
+     * @param {string} cell - Cell text
+     * @returns {string} Cell text that is not evaluated
+     */
+    spreadsheetCell(cell) {
+        return /^[=+@\t\r]/.test(cell) || /^-[^\d.]/.test(cell) ? "'" + cell : cell;
     }
 
     /**
-     * Convert footnote markers in text to clickable links
+     * Serialise table data as CSV (RFC 4180)
      *
-     * Finds superscript numbers (¹²³) in the content and converts them to
-     * clickable links that expand the sources section and highlight the source.
+     * @private
+     * @param {Array<Array<string>>} rows - Table data
+     * @returns {string} CSV text with CRLF line endings
+     */
+    tableToCsv(rows) {
+        const quote = (cell) => {
+            cell = this.spreadsheetCell(cell);
+            return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+        };
+        return rows.map(row => row.map(quote).join(',')).join('\r\n');
+    }
+
+    /**
+     * Run a table toolbar action (copy as TSV/CSV, download CSV)
      *
-     * @param {HTMLElement} contentEl - Content element containing the rendered text
-     * @param {HTMLElement} sourcesContainer - Sources container element
-     * @param {Array} sources - Array of source objects with excerpts
+     * @private
+     * @param {HTMLElement} button - Clicked toolbar button
      */
-    linkFootnotesToSources(contentEl, sourcesContainer, sources) {
-        if (!contentEl || !sourcesContainer || !sources || sources.length === 0) return;
+    handleTableAction(button) {
+        const table = button.closest('.ai-chat-table-block').querySelector('table');
+        const rows = this.getTableData(table);
+
+        switch (button.dataset.tableAction) {
+            case 'copy-tsv':
+                // Spreadsheets split pasted text at tabs and newlines
+                this.copyTableText(rows.map(row => row.map(cell => this.spreadsheetCell(cell)).join('\t')).join('\n'), button);
+                break;
+            case 'copy-csv':
+                this.copyTableText(this.tableToCsv(rows), button);
+                break;
+            case 'download-csv':
+                // The byte order mark makes Excel read the file as UTF-8
+                this.downloadBlob('table.csv', new Blob(['\uFEFF' + this.tableToCsv(rows)], { type: 'text/csv;charset=utf-8' }));
+                break;
+        }
+    }
 
-        const sourcesId = sourcesContainer.dataset.sourcesId;
+    /**
+     * Copy table text to the clipboard and confirm on the button
+     *
+     * @private
+     * @param {string} text - Text to copy
+     * @param {HTMLElement} button - Toolbar button for the feedback
+     */
+    copyTableText(text, button) {
+        if (navigator.clipboard && window.isSecureContext) {
+            navigator.clipboard.writeText(text).then(() => {
+                showCodeCopyFeedback(button, this.lang.messageCopied);
+            }).catch(() => {
+                fallbackCopyToClipboard(text, button);
+            });
+        } else {
+            fallbackCopyToClipboard(text, button);
+        }
+    }
 
-        // Map superscript numbers to regular numbers
-        const superscriptMap = {
-            '¹': 1, '²': 2, '³': 3, '⁴': 4, '⁵': 5,
-            '⁶': 6, '⁷': 7, '⁸': 8, '⁹': 9, '⁰': 0
+    /**
+     * Turn HTML entities back into plain text
+     *
+     * @private
+     * @param {string} html - HTML-escaped text
+     * @returns {string} Unescaped text
+     */
+    decodeHtmlEntities(html) {
+        const textarea = document.createElement('textarea');
+        textarea.innerHTML = html;
+        return textarea.value;
+    }
+    
+    // ── Math typesetting ──
+
+    /**
+     * Replace math in markdown text with placeholders
+     *
+     * Recognises display math ($$...$$, \[...\]) and inline math
+     * (\(...\), $...$). Code spans and fences are left alone. A single
+     * dollar only opens math when followed by a non-space character and only
+     * closes it when preceded by one and not followed by a digit, so prices
+     * like "$5 and $10" stay plain text.
+     *
+     * @private
+     * @param {string} text - Raw markdown text
+     * @returns {{text: string, formulas: Array<{tex: string, display: boolean}>}} Text with placeholders and the cut-out formulas
+     */
+    extractMath(text) {
+        const formulas = [];
+        const placeholder = (tex, display) => {
+            formulas.push({ tex: tex.trim(), display });
+            return `\uE000${formulas.length - 1}\uE001`;
         };
 
-        // Walk through text nodes and replace footnote markers
-        const walker = document.createTreeWalker(contentEl, NodeFilter.SHOW_TEXT, null, false);
-        const nodesToProcess = [];
+        // Odd entries of the split are code fences / code spans
+        const parts = text.split(/(```[\s\S]*?(?:```|$)|~~~[\s\S]*?(?:~~~|$)|`[^`\n]+`)/);
+        for (let i = 0; i < parts.length; i += 2) {
+            parts[i] = parts[i]
+                .replace(/\$\$([\s\S]+?)\$\$/g, (_, tex) => placeholder(tex, true))
+                .replace(/\\\[([\s\S]+?)\\\]/g, (_, tex) => placeholder(tex, true))
+                .replace(/\\\(([\s\S]+?)\\\)/g, (_, tex) => placeholder(tex, false))
+                .replace(/(?<![\\$\w])\$(?![\s$])((?:\\\$|[^$\n])+?)(?<![\s\\])\$(?![\d$])/g, (match, tex) => {
+                    // "$5 to 10$" is more likely prose than math
+                    return /^\d[\d.,]*\s/.test(tex) ? match : placeholder(tex, false);
+                });
+        }
 
+        return { text: parts.join(''), formulas };
+    }
+
+    /**
+     * Replace math placeholders in sanitised HTML with typeset formulas
+     *
+     * Only placeholders in text content are replaced, never inside attribute
+     * values. The KaTeX output is sanitised on its own with inline styles
+     * allowed, which it needs to position glyphs.
+     *
+     * @private
+     * @param {string} html - Sanitised markdown HTML containing placeholders
+     * @param {Array<{tex: string, display: boolean}>} formulas - Formulas from extractMath
+     * @returns {string} HTML with typeset math
+     */
+    restoreMath(html, formulas) {
+        if (formulas.length === 0) {
+            return html;
+        }
+
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
         while (walker.nextNode()) {
-            if (/[¹²³⁴⁵⁶⁷⁸⁹⁰]+/.test(walker.currentNode.textContent)) {
-                nodesToProcess.push(walker.currentNode);
+            if (walker.currentNode.nodeValue.includes('\uE000')) {
+                textNodes.push(walker.currentNode);
             }
         }
 
-        nodesToProcess.forEach(textNode => {
+        textNodes.forEach(textNode => {
+            // Odd entries of the split are formula indexes
+            const parts = textNode.nodeValue.split(/\uE000(\d+)\uE001/);
             const fragment = document.createDocumentFragment();
-            const text = textNode.textContent;
-            let lastIndex = 0;
-
-            // Match one or more superscript digits
-            const regex = /[¹²³⁴⁵⁶⁷⁸⁹⁰]+/g;
-            let match;
-
-            while ((match = regex.exec(text)) !== null) {
-                // Add text before match
-                if (match.index > lastIndex) {
-                    fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
-                }
-
-                // Parse the superscript number
-                let num = 0;
-                for (const char of match[0]) {
-                    num = num * 10 + (superscriptMap[char] || 0);
+            parts.forEach((part, i) => {
+                const formula = i % 2 === 1 ? formulas[part] : null;
+                if (i % 2 === 0) {
+                    fragment.append(part);
+                } else if (formula) {
+                    const typeset = document.createElement('template');
+                    typeset.innerHTML = this.typesetMath(formula.tex, formula.display);
+                    this.sanitizeChildren(typeset.content, true);
+                    fragment.append(typeset.content);
+                } else {
+                    fragment.append(`\uE000${part}\uE001`);
                 }
+            });
+            textNode.replaceWith(fragment);
+        });
 
-                // Create clickable footnote link
-                const link = document.createElement('a');
-                link.href = '#' + sourcesId + '-source-' + num;
-                link.className = 'ai-chat-footnote-link';
-                link.style.cssText = 'color: #19c37d !important; text-decoration: none !important; cursor: pointer; font-weight: 600;';
-                link.textContent = match[0];
-                link.dataset.sourceIndex = num;
-
-                // Get excerpt for this source
-                const sourceData = sources[num - 1];
-                if (sourceData && sourceData.excerpt) {
-                    this.addExcerptTooltip(link, sourceData.excerpt);
-                }
-
-                // Click handler to open sources section and highlight item
-                link.addEventListener('click', (e) => {
-                    e.preventDefault();
-
-                    // Open sources section
-                    sourcesContainer.style.display = 'block';
-                    // Also activate the button in action bar
-                    const messageEl = sourcesContainer.closest('.ai-chat-message');
-                    const btn = messageEl?.querySelector('.ai-chat-sources-btn');
-                    if (btn) {
-                        btn.classList.add('active');
-                    }
-
-                    // Find and highlight the source item
-                    const targetId = sourcesId + '-source-' + num;
-                    const targetItem = document.getElementById(targetId);
-                    if (targetItem) {
-                        targetItem.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-                        targetItem.classList.add('highlighted');
-                        setTimeout(() => targetItem.classList.remove('highlighted'), 2000);
-                    }
-                });
-
-                fragment.appendChild(link);
-                lastIndex = regex.lastIndex;
-            }
-
-            // Add remaining text
-            if (lastIndex < text.length) {
-                fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
-            }
-
-            textNode.parentNode.replaceChild(fragment, textNode);
-        });
-    }
+        return template.innerHTML;
+    }
 
     /**
-     * Strip the "Quellen:"/"Sources:" section from message text
+     * Typeset a single formula with the bundled KaTeX
      *
-     * Removes only the sources list at the end of the message since we display
-     * sources separately. Keeps footnote markers (¹²³) in the text for reference.
+     * Falls back to the LaTeX source in a styled span when KaTeX is missing
+     * or the formula does not parse (e.g. incomplete while streaming).
      *
-     * @param {string} text - Message text potentially containing inline sources
-     * @returns {string} Cleaned text without the sources section at the end
+     * @private
+     * @param {string} tex - LaTeX source
+     * @param {boolean} display - Display (block) instead of inline math
+     * @returns {string} HTML of the formula
      */
-    stripInlineSources(text) {
-        if (!text) return '';
-
-        // Keywords to detect AI-generated source sections
-        const kw = '(Quellen|Sources|Quellenangaben|Quellenverzeichnis|Referenzen|References|Literatur)';
-
-        // Patterns ordered from most specific to least specific.
-        // Optional leading --- separator, optional bold markers around the keyword.
-        const patterns = [
-            // ### **Quellen**: or --- \n ### **Quellen**:
-            new RegExp('\\n?---\\s*\\n+#{1,6}\\s*\\*{0,2}' + kw + '\\*{0,2}\\s*:?[\\s\\S]*$', 'i'),
-            // ### **Quellen**: (no preceding hr)
-            new RegExp('\\n#{1,6}\\s*\\*{0,2}' + kw + '\\*{0,2}\\s*:?[\\s\\S]*$', 'i'),
-            // **Quellen:** standalone bold line
-            new RegExp('\\n\\s*\\*{1,2}' + kw + '\\*{1,2}\\s*:?[\\s\\S]*$', 'i'),
-            // __Quellen:__ standalone
-            new RegExp('\\n\\s*_{1,2}' + kw + '_{1,2}\\s*:?[\\s\\S]*$', 'i'),
-            // Plain "Quellen:" line
-            new RegExp('\\n\\s*' + kw + '\\s*:[\\s\\S]*$', 'i'),
-        ];
-
-        for (const pattern of patterns) {
-            const match = text.match(pattern);
-            // Only strip if found in the last ~60% of the text to avoid false positives
-            if (match && match.index > text.length * 0.4) {
-                text = text.substring(0, match.index);
-                break;
+    typesetMath(tex, display) {
+        if (typeof katex !== 'undefined') {
+            try {
+                return katex.renderToString(tex, {
+                    displayMode: display,
+                    throwOnError: true,
+                    trust: false,
+                    strict: 'ignore'
+                });
+            } catch (error) {
+                debug('AIChatPageComponent: Math could not be typeset:', error.message);
             }
         }
 
-        // Also handle bullet-point source lists without header at the end
-        text = text.replace(/\n\n\s*(-\s+[^\n]+\.(pdf|doc|docx|txt|md|csv)[^\n]*\n?)+$/i, '');
-
-        // Also handle numbered source lists without the header
-        text = text.replace(/\n\n\s*(\d+\.\s+[^\n]+\.(pdf|doc|docx|txt|md|csv)[^\n]*\n?)+$/i, '');
-
-        // Handle indented source lists with page references
-        text = text.replace(/\n\n?\s*([\t ]*[^\n]+,\s*(page|pages|Seite|Seiten)\s+[\d,\s]+\n?)+$/i, '');
-
-        // Clean up any trailing whitespace
-        text = text.trimEnd();
-
+        const source = this.escapeHtml(tex);
+        return display
+            ? `<span class="ai-chat-math-block">${source}</span>`
+            : `<span class="ai-chat-math-inline">${source}</span>`;
+    }
+    
+    renderInlineCode(text) {
+        return text.replace(/`([^`]+)`/g, '<code class="ai-chat-inline-code">$1</code>');
+    }
+    
+    renderHeaders(text) {
+        text = text.replace(/^###### (.*)$/gm, '<h6>$1</h6>');
+        text = text.replace(/^##### (.*)$/gm, '<h5>$1</h5>');
+        text = text.replace(/^#### (.*)$/gm, '<h4>$1</h4>');
+        text = text.replace(/^### (.*)$/gm, '<h3>$1</h3>');
+        text = text.replace(/^## (.*)$/gm, '<h2>$1</h2>');
+        text = text.replace(/^# (.*)$/gm, '<h1>$1</h1>');
         return text;
     }
-
-    /**
-     * Strip AI-generated sources section and return any web links found in it.
-     * @param {string} text
-     * @param {Array} ragSources - existing RAG sources (used to avoid duplicates)
-     * @returns {{ text: string, webLinks: Array<{filename:string,url:string}> }}
-     */
-    stripInlineSourcesWithLinks(text, ragSources = []) {
-        const ragFilenames = new Set((ragSources || []).map(s => s.filename));
-
-        // Find where the sources section starts
-        const kw = '(Quellen|Sources|Quellenangaben|Quellenverzeichnis|Referenzen|References|Literatur)';
-        const sectionRegex = new RegExp(
-            '(?:\\n?---\\s*\\n+|\\n)#{1,6}\\s*\\*{0,2}' + kw + '\\*{0,2}\\s*:?[\\s\\S]*$', 'i'
-        );
-        const match = text.match(sectionRegex);
-        const webLinks = [];
-
-        if (match && match.index > text.length * 0.4) {
-            const section = match[0];
-            // Extract markdown links [label](url) from the section
-            const linkRegex = /\[([^\]]+)\]\((https?:\/\/[^)]+)\)/g;
-            let m;
-            while ((m = linkRegex.exec(section)) !== null) {
-                const label = m[1].trim();
-                const url   = m[2].trim();
-                if (!ragFilenames.has(label) && !ragFilenames.has(url)) {
-                    webLinks.push({ filename: label, url, pages: [] });
-                }
-            }
-        }
-
-        return { text: this.stripInlineSources(text), webLinks };
+    
+    renderBold(text) {
+        text = text.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
+        text = text.replace(/__(.*?)__/g, '<strong>$1</strong>');
+        return text;
     }
-
-    // Attachment rendering methods for different file types
-    createImageAttachment(attachment, container) {
-        const imgDiv = document.createElement('div');
-        imgDiv.className = 'ai-chat-message-image';
-        imgDiv.style.cssText = `
-            margin: 4px 0;
-            border-radius: 8px;
-            overflow: hidden;
-            max-width: 300px;
-            cursor: pointer;
-        `;
-        
-        const img = document.createElement('img');
-        img.style.cssText = `
-            width: 100%;
-            height: auto;
-            max-height: 200px;
-            object-fit: cover;
-            border-radius: 8px;
-        `;
-        
-        // Use thumbnail_url for optimized loading, fallback to data_url or original
-        const imgSrc = attachment.data_url || attachment.thumbnail_url || attachment.preview_url || attachment.download_url;
-        debug('AIChatPageComponent: Using optimized image src:', imgSrc);
-        img.src = imgSrc;
-        img.alt = attachment.title || 'Image';
-        img.title = attachment.title || 'Image';
-        
-        // Error fallback
-        img.onerror = () => {
-            debug('AIChatPageComponent: Image failed to load, showing placeholder');
-            img.src = this.createImagePlaceholder(attachment.title);
-            img.onerror = null;
-        };
+    
+    renderItalic(text) {
+        text = text.replace(/(?<!\*)\*([^*]+)\*(?!\*)/g, '<em>$1</em>');
+        text = text.replace(/(?<!_)_([^_]+)_(?!_)/g, '<em>$1</em>');
+        return text;
+    }
+    
+    renderLinks(text) {
+        // [text](url) links
+        text = text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" class="ai-chat-link" target="_blank" rel="noopener noreferrer">$1</a>');
         
-        // Click to open full size (always use download_url for full quality)
-        img.addEventListener('click', () => {
-            window.open(attachment.download_url || attachment.src, '_blank');
-        });
+        // Auto-link URLs
+        text = text.replace(/(https?:\/\/[^\s<>"]+)/g, '<a href="$1" class="ai-chat-link" target="_blank" rel="noopener noreferrer">$1</a>');
         
-        imgDiv.appendChild(img);
-        container.appendChild(imgDiv);
+        return text;
     }
     
-    createPdfAttachment(attachment, container) {
-        debug('AIChatPageComponent: Creating PDF attachment:', attachment);
+    renderLists(text) {
+        // First, convert numbered items to list items with a marker
+        text = text.replace(/^\d+\.\s+(.+)$/gm, '___ORDERED___<li class="ai-chat-list-item">$1</li>');
         
-        const pdfDiv = document.createElement('div');
-        pdfDiv.className = 'ai-chat-message-pdf';
+        // Find all consecutive ordered list items and wrap them in one <ol>
+        let orderedListRegex = /(___ORDERED___<li class="ai-chat-list-item">.*?<\/li>(?:\s*___ORDERED___<li class="ai-chat-list-item">.*?<\/li>)*)/gs;
+        text = text.replace(orderedListRegex, (match) => {
+            // Remove the markers and wrap in <ol>
+            const cleanMatch = match.replace(/___ORDERED___/g, '');
+            return `<ol class="ai-chat-ordered-list">${cleanMatch}</ol>`;
+        });
         
-        // Try multiple preview sources in order, but only if they exist and are not null
-        const previewSources = [
-            attachment.preview_url,
-            attachment.thumbnail_url,
-            attachment.data_url // Base64 fallback if available
-        ].filter(url => url && url !== null && url.trim() !== '');
+        // Clean up any remaining markers
+        text = text.replace(/___ORDERED___/g, '');
         
-        debug('AIChatPageComponent: PDF preview sources available:', previewSources);
+        // Handle unordered lists
+        text = text.replace(/^[-*+]\s+(.+)$/gm, '<li class="ai-chat-list-item">$1</li>');
         
-        if (previewSources.length > 0) {
-            // Show PDF preview thumbnail if available
-            const img = document.createElement('img');
-            img.alt = attachment.title || 'PDF Preview';
-            img.title = 'Click to open PDF: ' + (attachment.title || 'Document');
-            img.style.cursor = 'pointer';
-            img.style.maxWidth = '300px';
-            img.style.maxHeight = '200px';
-            img.style.border = '1px solid #ddd';
-            img.style.borderRadius = '4px';
+        // Wrap consecutive unordered list items
+        text = text.replace(/(<li class="ai-chat-list-item">.*?<\/li>(?:\s*<li class="ai-chat-list-item">.*?<\/li>)*)/gs, 
+            '<ul class="ai-chat-list">$1</ul>');
+        
+        return text;
+    }
+    
+    renderTables(text) {
+        return text.replace(/^\|(.+)\|\s*\n\|[-\s:|]+\|\s*\n(\|.+\|\s*(?:\n|$))+/gm, (match) => {
+            const lines = match.trim().split('\n');
+            let html = '<table class="ai-chat-table">';
             
-            // Try loading preview sources sequentially
-            let currentSourceIndex = 0;
+            // Header
+            if (lines[0]) {
+                const headerCells = lines[0].split('|').slice(1, -1);
+                html += '<thead><tr class="ai-chat-table-header-row">';
+                headerCells.forEach(cell => {
+                    html += `<th class="ai-chat-table-header">${cell.trim()}</th>`;
+                });
+                html += '</tr></thead>';
+            }
             
-            const tryNextSource = () => {
-                if (currentSourceIndex < previewSources.length) {
-                    const source = previewSources[currentSourceIndex];
-                    debug('AIChatPageComponent: Trying PDF preview source:', source);
-                    img.src = source;
-                    currentSourceIndex++;
-                } else {
-                    // All sources failed, show PDF icon
-                    debug('AIChatPageComponent: All PDF preview sources failed, showing icon');
-                    img.src = this.createPdfIcon(attachment.title);
-                    img.onerror = null;
-                    img.style.width = '48px';
-                    img.style.height = '48px';
-                    img.style.border = 'none';
-                }
-            };
-            
-            // Set up error handler to try next source
-            img.onerror = tryNextSource;
-            
-            // Start with first source
-            tryNextSource();
-            
-            pdfDiv.appendChild(img);
-        } else {
-            // PDF attachment with improved readability
-            const pdfContainer = document.createElement('div');
-            pdfContainer.className = 'ai-chat-pdf-container';
-            pdfContainer.style.cssText = `
-                display: flex;
-                align-items: center;
-                padding: 8px 12px;
-                border-radius: 8px;
-                border: 1px solid #d0d0d0;
-                background: white;
-                max-width: 300px;
-                cursor: pointer;
-                margin: 4px 0;
-                box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-            `;
-            
-            // PDF icon with colored background circle
-            const iconContainer = document.createElement('div');
-            iconContainer.style.cssText = `
-                width: 32px;
-                height: 32px;
-                border-radius: 6px;
-                background: #ff6b6b;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                margin-right: 12px;
-                flex-shrink: 0;
-            `;
-            
-            const pdfIcon = document.createElement('div');
-            pdfIcon.style.cssText = `
-                font-size: 16px;
-                color: white;
-            `;
-            pdfIcon.innerHTML = '📄';
-            iconContainer.appendChild(pdfIcon);
-            
-            // File info container
-            const fileInfoContainer = document.createElement('div');
-            fileInfoContainer.style.cssText = `
-                flex: 1;
-                min-width: 0;
-            `;
-            
-            // PDF filename (bold)
-            const filename = document.createElement('div');
-            filename.style.cssText = `
-                font-size: 14px;
-                font-weight: 600;
-                color: #333;
-                white-space: nowrap;
-                overflow: hidden;
-                text-overflow: ellipsis;
-                line-height: 1.2;
-            `;
-            const filenameText = (attachment.title || 'PDF Document').replace(/\.pdf$/i, '');
-            filename.textContent = filenameText;
-            
-            // PDF type and size (lighter)
-            const typeInfo = document.createElement('div');
-            typeInfo.style.cssText = `
-                font-size: 12px;
-                color: #666;
-                margin-top: 2px;
-            `;
-            const sizeKB = Math.round(attachment.size / 1024);
-            typeInfo.textContent = `PDF • ${sizeKB} KB`;
-            
-            fileInfoContainer.appendChild(filename);
-            fileInfoContainer.appendChild(typeInfo);
+            // Body
+            html += '<tbody>';
+            for (let i = 2; i < lines.length; i++) {
+                if (!lines[i].trim()) continue;
+                const cells = lines[i].split('|').slice(1, -1);
+                html += '<tr class="ai-chat-table-row">';
+                cells.forEach(cell => {
+                    html += `<td class="ai-chat-table-cell">${cell.trim()}</td>`;
+                });
+                html += '</tr>';
+            }
+            html += '</tbody></table>';
             
-            pdfContainer.appendChild(iconContainer);
-            pdfContainer.appendChild(fileInfoContainer);
-            pdfDiv.appendChild(pdfContainer);
-        }
-        
-        // Click to open PDF
-        pdfDiv.addEventListener('click', () => {
-            window.open(attachment.download_url, '_blank');
+            return html;
         });
-        
-        container.appendChild(pdfDiv);
     }
     
-    createDocumentAttachment(attachment, container) {
-        const docDiv = document.createElement('div');
-        docDiv.className = 'ai-chat-message-document';
-        
-        // Document attachment with improved readability
-        const docContainer = document.createElement('div');
-        docContainer.className = 'ai-chat-document-container';
-        docContainer.style.cssText = `
-            display: flex;
-            align-items: center;
-            padding: 8px 12px;
-            border-radius: 8px;
-            border: 1px solid #d0d0d0;
-            background: white;
-            max-width: 300px;
-            cursor: pointer;
-            margin: 4px 0;
-            box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-        `;
-        
-        let bgColor = '#6366f1'; // Default purple
-        let docType = 'DOC';
-        let docIcon = '📄';
-        
-        if (attachment.mime_type.includes('word')) {
-            bgColor = '#2b579a';
-            docType = 'DOC';
-            docIcon = '📝';
-        } else if (attachment.mime_type.includes('excel') || attachment.mime_type.includes('sheet')) {
-            bgColor = '#217346';
-            docType = 'XLS';
-            docIcon = '📊';
-        } else if (attachment.mime_type.includes('powerpoint') || attachment.mime_type.includes('presentation')) {
-            bgColor = '#d24726';
-            docType = 'PPT';
-            docIcon = '📽️';
-        }
-        
-        // Document icon with colored background circle
-        const iconContainer = document.createElement('div');
-        iconContainer.style.cssText = `
-            width: 32px;
-            height: 32px;
-            border-radius: 6px;
-            background: ${bgColor};
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            margin-right: 12px;
-            flex-shrink: 0;
-        `;
-        
-        const docIconEl = document.createElement('div');
-        docIconEl.style.cssText = `
-            font-size: 16px;
-            color: white;
-        `;
-        docIconEl.innerHTML = docIcon;
-        iconContainer.appendChild(docIconEl);
-        
-        // File info container
-        const fileInfoContainer = document.createElement('div');
-        fileInfoContainer.style.cssText = `
-            flex: 1;
-            min-width: 0;
-        `;
-        
-        // Document filename (bold)
-        const filename = document.createElement('div');
-        filename.style.cssText = `
-            font-size: 14px;
-            font-weight: 600;
-            color: #333;
-            white-space: nowrap;
-            overflow: hidden;
-            text-overflow: ellipsis;
-            line-height: 1.2;
-        `;
-        const filenameText = (attachment.title || 'Document').replace(/\.(docx?|xlsx?|pptx?)$/i, '');
-        filename.textContent = filenameText;
+    renderBlockquotes(text) {
+        return text.replace(/^>\s*(.+(?:\n>\s*.+)*)/gm, (match) => {
+            const content = match.replace(/^>\s*/gm, '');
+            return `<div class="ai-chat-blockquote">${content}</div>`;
+        });
+    }
+    
+    renderMistralSpecialFormatting(text) {
+        // Status blocks
+        text = text.replace(/^⚠️\s*(.+)$/gm, '<div class="ai-chat-warning">⚠️ $1</div>');
+        text = text.replace(/^ℹ️\s*(.+)$/gm, '<div class="ai-chat-info">ℹ️ $1</div>');
+        text = text.replace(/^✅\s*(.+)$/gm, '<div class="ai-chat-success">✅ $1</div>');
+        text = text.replace(/^❌\s*(.+)$/gm, '<div class="ai-chat-error">❌ $1</div>');
         
-        // Document type and size (lighter)
-        const typeInfo = document.createElement('div');
-        typeInfo.style.cssText = `
-            font-size: 12px;
-            color: #666;
-            margin-top: 2px;
-        `;
-        const sizeKB = Math.round(attachment.size / 1024);
-        typeInfo.textContent = `${docType} • ${sizeKB} KB`;
+        // Step blocks
+        text = text.replace(/^(Step \d+[:.]\s*.+)$/gm, '<div class="ai-chat-step">$1</div>');
         
-        fileInfoContainer.appendChild(filename);
-        fileInfoContainer.appendChild(typeInfo);
+        // Task lists
+        text = text.replace(/^- \[ \]\s*(.+)$/gm, '<div class="ai-chat-task"><input type="checkbox" disabled> $1</div>');
+        text = text.replace(/^- \[x\]\s*(.+)$/gm, '<div class="ai-chat-task"><input type="checkbox" checked disabled> $1</div>');
         
-        docContainer.appendChild(iconContainer);
-        docContainer.appendChild(fileInfoContainer);
-        docDiv.appendChild(docContainer);
+        return text;
+    }
+    
+    renderLineBreaks(text) {
+        // Convert double line breaks to paragraph breaks
+        const paragraphs = text.split(/\n\s*\n/);
+        let html = '';
         
-        // Click to download/open
-        docDiv.addEventListener('click', () => {
-            window.open(attachment.download_url, '_blank');
+        paragraphs.forEach(paragraph => {
+            paragraph = paragraph.trim();
+            if (!paragraph) return;
+            
+            // Don't wrap formatted blocks in paragraphs
+            if (paragraph.match(/^<(div|ul|ol|table|blockquote|h[1-6])/)) {
+                html += paragraph + '\n';
+            } else {
+                // Convert single line breaks to <br>
+                paragraph = paragraph.replace(/\n/g, '<br>');
+                html += `<p class="ai-chat-paragraph">${paragraph}</p>\n`;
+            }
         });
         
-        container.appendChild(docDiv);
+        return html;
     }
-    
-    createGenericAttachment(attachment, container) {
-        const genericDiv = document.createElement('div');
-        genericDiv.className = 'ai-chat-message-generic';
-        
-        // Generic file attachment with improved readability
-        const genericContainer = document.createElement('div');
-        genericContainer.className = 'ai-chat-generic-container';
-        genericContainer.style.cssText = `
-            display: flex;
-            align-items: center;
-            padding: 8px 12px;
-            border-radius: 8px;
-            border: 1px solid #d0d0d0;
-            background: white;
-            max-width: 300px;
-            cursor: pointer;
-            margin: 4px 0;
-            box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-        `;
-        
-        // Generic file icon with colored background circle
-        const iconContainer = document.createElement('div');
-        iconContainer.style.cssText = `
-            width: 32px;
-            height: 32px;
-            border-radius: 6px;
-            background: #666666;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            margin-right: 12px;
-            flex-shrink: 0;
-        `;
-        
-        const genericIcon = document.createElement('div');
-        genericIcon.style.cssText = `
-            font-size: 16px;
-            color: white;
-        `;
-        genericIcon.innerHTML = '📁';
-        iconContainer.appendChild(genericIcon);
-        
-        // File info container
-        const fileInfoContainer = document.createElement('div');
-        fileInfoContainer.style.cssText = `
-            flex: 1;
-            min-width: 0;
-        `;
-        
-        // Filename (bold)
-        const filename = document.createElement('div');
-        filename.style.cssText = `
-            font-size: 14px;
-            font-weight: 600;
-            color: #333;
-            white-space: nowrap;
-            overflow: hidden;
-            text-overflow: ellipsis;
-            line-height: 1.2;
-        `;
-        const filenameText = (attachment.title || 'File').replace(/\.[^/.]+$/, '');
-        filename.textContent = filenameText;
-        
-        // File type and size (lighter)
-        const typeInfo = document.createElement('div');
-        typeInfo.style.cssText = `
-            font-size: 12px;
-            color: #666;
-            margin-top: 2px;
+
+    /**
+     * Render RAG source citations as a collapsible list
+     *
+     * Creates an expandable section showing document sources that the AI
+     * used to generate its response. Each source shows filename and page numbers.
+     * Sources have IDs for linking from footnote markers in the text.
+     *
+     * @param {Array} sources - Array of source objects with filename, pages, excerpt
+     * @param {string} messageId - Unique ID for this message to namespace source IDs
+     * @returns {HTMLElement} Container element with rendered sources
+     */
+    renderSourcesCitation(sources, messageId = null) {
+        const container = document.createElement('div');
+        container.className = 'ai-chat-sources';
+
+        // Generate unique ID for this sources section
+        const sourcesId = messageId || 'src-' + Date.now();
+        container.dataset.sourcesId = sourcesId;
+
+        // Create collapsible header
+        const header = document.createElement('button');
+        header.className = 'ai-chat-sources-header';
+        header.setAttribute('aria-expanded', 'false');
+        header.innerHTML = `
+            <span class="ai-chat-sources-icon" style="display:inline-flex;width:16px;height:16px;flex-shrink:0;">
+                <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true" style="display:block;">
+                    <path d="M4.5 0A2.5 2.5 0 0 0 2 2.5V14a2 2 0 0 0 2 2h8a2 2 0 0 0 2-2V4.5L9.5 0h-5zM9.5 3A1.5 1.5 0 0 0 11 4.5H14V14a1 1 0 0 1-1 1H4a1 1 0 0 1-1-1V2.5A1.5 1.5 0 0 1 4.5 1H9v2.5z"/>
+                    <path d="M4.5 12.5a.5.5 0 0 1 .5-.5h6a.5.5 0 0 1 0 1H5a.5.5 0 0 1-.5-.5zm0-2a.5.5 0 0 1 .5-.5h6a.5.5 0 0 1 0 1H5a.5.5 0 0 1-.5-.5zm0-2a.5.5 0 0 1 .5-.5h6a.5.5 0 0 1 0 1H5a.5.5 0 0 1-.5-.5z"/>
+                </svg>
+            </span>
+            <span class="ai-chat-sources-label">${this.lang.sourcesLabel || 'Quellen'} (${sources.length})</span>
+            <svg class="ai-chat-sources-chevron" width="12" height="12" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true">
+                <path fill-rule="evenodd" d="M4.646 1.646a.5.5 0 0 1 .708 0l6 6a.5.5 0 0 1 0 .708l-6 6a.5.5 0 0 1-.708-.708L10.293 8 4.646 2.354a.5.5 0 0 1 0-.708z"/>
+            </svg>
         `;
-        const ext = attachment.title ? attachment.title.split('.').pop().toUpperCase() : 'FILE';
-        const sizeKB = Math.round(attachment.size / 1024);
-        typeInfo.textContent = `${ext} • ${sizeKB} KB`;
-        
-        fileInfoContainer.appendChild(filename);
-        fileInfoContainer.appendChild(typeInfo);
-        
-        genericContainer.appendChild(iconContainer);
-        genericContainer.appendChild(fileInfoContainer);
-        genericDiv.appendChild(genericContainer);
-        
-        // Click to download/open
-        genericDiv.addEventListener('click', () => {
-            window.open(attachment.download_url, '_blank');
+
+        // Create sources list
+        const list = document.createElement('div');
+        list.className = 'ai-chat-sources-list';
+        list.style.display = 'none';
+
+        sources.forEach((source, index) => {
+            const item = document.createElement('div');
+            item.className = 'ai-chat-source-item';
+            item.id = `${sourcesId}-source-${index + 1}`;
+            item.dataset.sourceIndex = index + 1;
+
+            // Build page info string
+            let pageInfo = '';
+            if (source.pages && source.pages.length > 0) {
+                const pageLabel = source.pages.length === 1 ?
+                    (this.lang.pageLabel || 'Seite') :
+                    (this.lang.pagesLabel || 'Seiten');
+                pageInfo = `, ${pageLabel} ${source.pages.join(', ')}`;
+            }
+
+            item.innerHTML = `
+                <span class="ai-chat-source-number">[${index + 1}]</span>
+                <span class="ai-chat-source-filename">${this.escapeHtml(source.filename)}${pageInfo}</span>
+            `;
+
+            // Add excerpt tooltip if available
+            if (source.excerpt) {
+                item.dataset.excerpt = source.excerpt;
+                this.addExcerptTooltip(item, source.excerpt);
+            }
+
+            list.appendChild(item);
         });
-        
-        container.appendChild(genericDiv);
-    }
-    
-    createImagePlaceholder(title) {
-        // Ultra-simple fallback that always works
-        const simpleSvg = '<svg width="64" height="64" xmlns="http://www.w3.org/2000/svg"><rect width="64" height="64" fill="#f0f0f0" stroke="#ddd" stroke-width="1"/><text x="32" y="35" text-anchor="middle" font-family="Arial" font-size="12" fill="#666">Image</text></svg>';
-        
-        try {
-            return 'data:image/svg+xml;base64,' + btoa(simpleSvg);
-        } catch (e) {
-            debugError('Failed to create placeholder:', e);
-            // Even simpler fallback
-            return 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
-        }
-    }
-    
-    createPdfIcon(title) {
-        return 'data:image/svg+xml;base64,' + btoa(`
-            <svg width="64" height="64" xmlns="http://www.w3.org/2000/svg">
-                <rect width="64" height="64" fill="#ff6b6b" stroke="#e55555" stroke-width="2" rx="8"/>
-                <text x="32" y="32" text-anchor="middle" dy="0.3em" font-family="Arial" font-size="12" fill="white" font-weight="bold">PDF</text>
-                <text x="32" y="50" text-anchor="middle" dy="0.3em" font-family="Arial" font-size="6" fill="white">${title?.split('.')[0] || 'Document'}</text>
-            </svg>
-        `);
+
+        // Toggle functionality
+        header.addEventListener('click', () => {
+            const isExpanded = header.getAttribute('aria-expanded') === 'true';
+            header.setAttribute('aria-expanded', !isExpanded);
+            list.style.display = isExpanded ? 'none' : 'block';
+            container.classList.toggle('expanded', !isExpanded);
+        });
+
+        container.appendChild(header);
+        container.appendChild(list);
+
+        // Store sources data for footnote linking
+        container.sourcesData = sources;
+
+        return container;
     }
-    
+
     /**
-     * Stop current AI generation request
-     * 
-     * Cancels both regular HTTP requests and streaming connections.
-     * Updates UI to show generation was stopped by user.
-     * 
-     * @public
+     * Add hover tooltip with excerpt to an element
+     *
+     * @param {HTMLElement} element - Element to add tooltip to
+     * @param {string} excerpt - Text excerpt to show in tooltip
      */
-    stopGeneration() {
-        // Handle regular HTTP request abort
-        if (this.currentRequest) {
-            debug('AIChatPageComponent: Stopping HTTP request');
-            this.currentRequest.abort();
-            this.currentRequest = null;
-            this.setLoading(false);
-            this.addMessageToDisplay('system', this.lang.generationStopped);
-        }
-        
-        // Handle streaming connection close
-        if (this.currentEventSource) {
-            debug('AIChatPageComponent: Stopping streaming');
-            this.stopStreaming(); // This method handles EventSource cleanup
-        }
+    addExcerptTooltip(element, excerpt) {
+        let tooltip = null;
+
+        element.addEventListener('mouseenter', (e) => {
+            tooltip = document.createElement('div');
+            tooltip.className = 'ai-chat-source-tooltip';
+
+            // Render markdown in excerpt for proper formatting
+            tooltip.innerHTML = this.renderMarkdown(excerpt);
+            this.container.appendChild(tooltip);
+
+            // Position tooltip
+            const rect = element.getBoundingClientRect();
+            const tooltipRect = tooltip.getBoundingClientRect();
+
+            // Position below element, but flip above if near bottom of viewport
+            let top = rect.bottom + 5;
+            if (top + tooltipRect.height > window.innerHeight - 20) {
+                top = rect.top - tooltipRect.height - 5;
+            }
+
+            // Ensure tooltip stays within viewport horizontally
+            let left = rect.left;
+            const maxWidth = Math.min(400, window.innerWidth - 40);
+            if (left + maxWidth > window.innerWidth - 20) {
+                left = window.innerWidth - maxWidth - 20;
+            }
+
+            tooltip.style.left = `${Math.max(10, left)}px`;
+            tooltip.style.top = `${top}px`;
+            tooltip.style.maxWidth = `${maxWidth}px`;
+        });
+
+        element.addEventListener('mouseleave', () => {
+            if (tooltip) {
+                tooltip.remove();
+                tooltip = null;
+            }
+        });
     }
-    
+
     /**
-     * Set the loading state of the chat interface
-     * 
-     * Updates the send button to show stop icon during loading,
-     * toggles loading indicators, and manages interaction state.
-     * 
-     * @public
-     * @param {boolean} loading - Whether the chat is in loading state
+     * Toggle raw data panel for admin debugging.
+     * Shows original message text, RAG sources and token usage.
      */
-    setLoading(loading) {
-        this.isLoading = loading;
-        
-        if (loading) {
-            // Replace send button with stop button (use same icon as template)
-            this.sendButton.innerHTML = `
-                <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true" focusable="false">
-                    <path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z"/>
-                </svg>
-            `;
-            this.sendButton.className = 'ai-chat-composer-btn ai-chat-stop';
-            this.sendButton.title = this.lang.stopGeneration || 'Stop generation';
-            this.sendButton.disabled = false;
-        } else {
-            // Restore send button with correct icon from template
-            this.sendButton.innerHTML = `
-                <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true" focusable="false">
-                    <path d="M8.99992 16V6.41407L5.70696 9.70704C5.31643 10.0976 4.68342 10.0976 4.29289 9.70704C3.90237 9.31652 3.90237 8.6835 4.29289 8.29298L9.29289 3.29298L9.36907 3.22462C9.76184 2.90427 10.3408 2.92686 10.707 3.29298L15.707 8.29298L15.7753 8.36915C16.0957 8.76192 16.0731 9.34092 15.707 9.70704C15.3408 10.0732 14.7618 10.0958 14.3691 9.7754L14.2929 9.70704L10.9999 6.41407V16C10.9999 16.5523 10.5522 17 9.99992 17C9.44764 17 8.99992 16.5523 8.99992 16Z"></path>
-                </svg>
-            `;
-            this.sendButton.className = 'ai-chat-composer-btn ai-chat-send';
-            this.sendButton.title = this.container.dataset.sendAriaLabel || 'Nachricht senden';
-            
-            // Check if button should remain disabled due to character limit
-            const inputLength = this.inputArea.value.length;
-            const isOverLimit = inputLength > this.charLimit;
-            
-            if (isOverLimit) {
-                this.sendButton.disabled = true;
-                this.sendButton.classList.add('disabled-over-limit');
-                this.sendButton.title = this.container.dataset.sendDisabledOverLimit || 
-                    `Message too long (${inputLength}/${this.charLimit} characters). Please shorten your message.`;
-            } else {
-                this.sendButton.disabled = false;
-                this.sendButton.classList.remove('disabled-over-limit');
-            }
-        }
-        
-        if (this.loadingDiv) {
-            this.loadingDiv.style.display = loading ? 'block' : 'none';
+    toggleRawPanel(messageEl, rawText, sources, usage) {
+        let panel = messageEl.querySelector('.ai-chat-raw-panel');
+        if (panel) {
+            panel.remove();
+            return;
         }
+
+        const data = {
+            message: rawText || '',
+            sources: sources || [],
+            usage:   usage   || {}
+        };
+
+        panel = document.createElement('details');
+        panel.className = 'ai-chat-raw-panel';
+        panel.open = true;
+        const summary = document.createElement('summary');
+        summary.textContent = 'Raw Data';
+        const pre = document.createElement('pre');
+        pre.className = 'ai-chat-raw-pre';
+        pre.textContent = JSON.stringify(data, null, 2);
+        panel.append(summary, pre);
+        messageEl.appendChild(panel);
     }
-    
+
     /**
-     * Update the character counter display and styling
-     * 
-     * Shows current character count, applies warning/error styles
-     * when approaching or exceeding character limits.
-     * 
-     * @private
+     * Hover tooltip for source chips: shows full filename, pages and excerpt.
+     * Uses position:fixed so it is never clipped by overflow:hidden parents.
      */
-    updateCharacterCounter() {
-        if (this.charCounter) {
-            const length = this.inputArea.value.length;
-            this.charCounter.textContent = length;
-            
-            // Get the character counter container
-            const charCounterContainer = this.container.querySelector('.ai-chat-char-counter');
-            
-            // Show/hide character counter based on text length
-            if (charCounterContainer) {
-                if (length > 0) {
-                    charCounterContainer.classList.add('has-text');
-                } else {
-                    charCounterContainer.classList.remove('has-text');
-                }
+    addSourceInfoTooltip(element, sourceData) {
+        let tooltip   = null;
+        let closeTimer = null;
+
+        const cancelClose = () => {
+            if (closeTimer) { clearTimeout(closeTimer); closeTimer = null; }
+        };
+
+        const scheduleClose = () => {
+            cancelClose();
+            closeTimer = setTimeout(() => {
+                if (tooltip) { tooltip.remove(); tooltip = null; }
+            }, 120);
+        };
+
+        element.addEventListener('mouseenter', () => {
+            cancelClose();
+
+            if (tooltip) return; // already open
+
+            tooltip = document.createElement('div');
+            tooltip.className = 'ai-chat-source-tooltip ai-chat-source-info-tooltip';
+
+            let html = `<div class="ai-chat-tooltip-filename">${this.escapeHtml(sourceData.filename)}</div>`;
+
+            if (sourceData.pages && sourceData.pages.length > 0) {
+                const pageLabel = sourceData.pages.length === 1
+                    ? (this.container.dataset.pageLabel  || 'S.')
+                    : (this.container.dataset.pagesLabel || 'S.');
+                html += `<div class="ai-chat-tooltip-pages">${pageLabel} ${sourceData.pages.join(', ')}</div>`;
             }
-            
-            // Check if over character limit
-            const isOverLimit = length > this.charLimit;
-            
-            // Update send button state based on character limit
-            this.updateSendButtonState(isOverLimit, length === 0);
-            
-            // Add warning/error classes to character counter
-            this.charCounter.classList.remove('warning', 'error');
-            if (length > this.charLimit * 0.9) {
-                this.charCounter.classList.add('warning');
+
+            tooltip.innerHTML = this.sanitizeHtml(html);
+
+            // The excerpt is sanitised by renderMarkdown and may contain typeset math
+            if (sourceData.excerpt) {
+                const excerpt = document.createElement('div');
+                excerpt.className = 'ai-chat-tooltip-excerpt';
+                excerpt.innerHTML = this.renderMarkdown(sourceData.excerpt);
+                tooltip.appendChild(excerpt);
             }
-            if (isOverLimit) {
-                this.charCounter.classList.add('error');
+            this.container.appendChild(tooltip);
+
+            // Keep tooltip open when the mouse moves into it
+            tooltip.addEventListener('mouseenter', cancelClose);
+            tooltip.addEventListener('mouseleave', scheduleClose);
+
+            const rect     = element.getBoundingClientRect();
+            const maxWidth = Math.min(380, window.innerWidth - 40);
+            let left = rect.left;
+            let top  = rect.bottom + 6;
+
+            if (left + maxWidth > window.innerWidth - 20) {
+                left = window.innerWidth - maxWidth - 20;
             }
-        }
+            const tipHeight = tooltip.getBoundingClientRect().height;
+            if (top + tipHeight > window.innerHeight - 20) {
+                top = rect.top - tipHeight - 6;
+            }
+
+            tooltip.style.left     = `${Math.max(10, left)}px`;
+            tooltip.style.top      = `${top}px`;
+            tooltip.style.maxWidth = `${maxWidth}px`;
+        });
+
+        element.addEventListener('mouseleave', scheduleClose);
     }
-    
+
     /**
-     * Dynamic composer resize
+     * Convert footnote markers in text to clickable links
+     *
+     * Finds superscript numbers (¹²³) in the content and converts them to
+     * clickable links that expand the sources section and highlight the source.
+     *
+     * @param {HTMLElement} contentEl - Content element containing the rendered text
+     * @param {HTMLElement} sourcesContainer - Sources container element
+     * @param {Array} sources - Array of source objects with excerpts
      */
-    resizeComposer() {
-        const textarea = this.inputArea;
-        const composer = this.container.querySelector('.ai-chat-composer');
-        
-        if (!textarea || !composer) return;
-        
-        // Auto-resize textarea height
-        textarea.style.height = 'auto';
-        const scrollHeight = textarea.scrollHeight;
-        const computedStyle = getComputedStyle(textarea);
-        const lineHeight = parseInt(computedStyle.lineHeight) || 24; // Higher default
-        const maxLines = 10; // Maximum number of lines before scroll
-        const maxHeight = lineHeight * maxLines; // Should be ~240px
-        
-        // Set height based on content, with max limit
-        if (scrollHeight > maxHeight) {
-            textarea.style.height = maxHeight + 'px';
-        } else {
-            textarea.style.height = scrollHeight + 'px';
-        }
-        
-        // Dynamic approach: Calculate actual single-line capacity based on textarea width
-        const text = textarea.value;
-        const hasNewlines = text.includes('\n') || text.includes('\r');
-        
-        // Calculate approximate characters per line based on textarea width
-        const textareaWidth = textarea.getBoundingClientRect().width;
-        const avgCharWidth = 8; // Approximate pixels per character (varies by font)
-        const estimatedCharsPerLine = Math.floor(textareaWidth / avgCharWidth);
-        const isLongText = text.length > estimatedCharsPerLine;
-        
-        const heightExceedsOneLine = scrollHeight > (lineHeight + 20); // Allow some buffer
-        
-        // Expand if any of these conditions are true
-        const isExpanded = hasNewlines || isLongText || heightExceedsOneLine;
-        
-        
-        // Update composer state
-        composer.setAttribute('data-expanded', isExpanded.toString());
-        
-        // Update grid layout based on content size
-        if (isExpanded) {
-            // Multi-line: full width for text, buttons below
-            composer.querySelector('.ai-chat-composer-inner').style.gridTemplateAreas = 
-                '"primary primary primary" "leading footer trailing"';
-        } else {
-            // Single line: horizontal layout
-            composer.querySelector('.ai-chat-composer-inner').style.gridTemplateAreas = 
-                '"leading primary trailing"';
-        }
-    }
-    
-    /**
-     * Update send button state based on input validation
-     * 
-     * Disables send button when character limit is exceeded or when loading.
-     * Provides visual feedback about why the button is disabled.
-     * 
-     * @private
-     * @param {boolean} isOverLimit - Whether character limit is exceeded
-     * @param {boolean} isEmpty - Whether input is empty
-     */
-    updateSendButtonState(isOverLimit, isEmpty) {
-        if (!this.sendButton) return;
-        
-        // Don't modify button if currently loading (handled by setLoading)
-        if (this.isLoading) return;
-        
-        const wasDisabled = this.sendButton.disabled;
-        
-        // Disable button if over character limit
-        if (isOverLimit) {
-            this.sendButton.disabled = true;
-            this.sendButton.title = this.container.dataset.sendDisabledOverLimit || 
-                `Message too long (${this.inputArea.value.length}/${this.charLimit} characters). Please shorten your message.`;
-            this.sendButton.classList.add('disabled-over-limit');
-        } else {
-            // Enable button if not over limit and not empty
-            this.sendButton.disabled = false;
-            this.sendButton.title = this.container.dataset.sendAriaLabel || 'Send message';
-            this.sendButton.classList.remove('disabled-over-limit');
-        }
-        
-        // Log state changes for debugging
-        if (wasDisabled !== this.sendButton.disabled) {
-            debug('AIChatPageComponent: Send button state changed', {
-                disabled: this.sendButton.disabled,
-                reason: isOverLimit ? 'over_limit' : 'enabled',
-                charCount: this.inputArea.value.length,
-                charLimit: this.charLimit
-            });
+    linkFootnotesToSources(contentEl, sourcesContainer, sources) {
+        if (!contentEl || !sourcesContainer || !sources || sources.length === 0) return;
+
+        const sourcesId = sourcesContainer.dataset.sourcesId;
+
+        // Map superscript numbers to regular numbers
+        const superscriptMap = {
+            '¹': 1, '²': 2, '³': 3, '⁴': 4, '⁵': 5,
+            '⁶': 6, '⁷': 7, '⁸': 8, '⁹': 9, '⁰': 0
+        };
+
+        // Walk through text nodes and replace footnote markers
+        const walker = document.createTreeWalker(contentEl, NodeFilter.SHOW_TEXT, null, false);
+        const nodesToProcess = [];
+
+        while (walker.nextNode()) {
+            if (/[¹²³⁴⁵⁶⁷⁸⁹⁰]+/.test(walker.currentNode.textContent)) {
+                nodesToProcess.push(walker.currentNode);
+            }
         }
+
+        nodesToProcess.forEach(textNode => {
+            const fragment = document.createDocumentFragment();
+            const text = textNode.textContent;
+            let lastIndex = 0;
+
+            // Match one or more superscript digits
+            const regex = /[¹²³⁴⁵⁶⁷⁸⁹⁰]+/g;
+            let match;
+
+            while ((match = regex.exec(text)) !== null) {
+                // Add text before match
+                if (match.index > lastIndex) {
+                    fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+                }
+
+                // Parse the superscript number
+                let num = 0;
+                for (const char of match[0]) {
+                    num = num * 10 + (superscriptMap[char] || 0);
+                }
+
+                // Create clickable footnote link
+                const link = document.createElement('a');
+                link.href = '#' + sourcesId + '-source-' + num;
+                link.className = 'ai-chat-footnote-link';
+                link.style.cssText = 'color: #19c37d !important; text-decoration: none !important; cursor: pointer; font-weight: 600;';
+                link.textContent = match[0];
+                link.dataset.sourceIndex = num;
+
+                // Get excerpt for this source
+                const sourceData = sources[num - 1];
+                if (sourceData && sourceData.excerpt) {
+                    this.addExcerptTooltip(link, sourceData.excerpt);
+                }
+
+                // Click handler to open sources section and highlight item
+                link.addEventListener('click', (e) => {
+                    e.preventDefault();
+
+                    // Open sources section
+                    sourcesContainer.style.display = 'block';
+                    // Also activate the button in action bar
+                    const messageEl = sourcesContainer.closest('.ai-chat-message');
+                    const btn = messageEl?.querySelector('.ai-chat-sources-btn');
+                    if (btn) {
+                        btn.classList.add('active');
+                    }
+
+                    // Find and highlight the source item
+                    const targetId = sourcesId + '-source-' + num;
+                    const targetItem = document.getElementById(targetId);
+                    if (targetItem) {
+                        targetItem.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+                        targetItem.classList.add('highlighted');
+                        setTimeout(() => targetItem.classList.remove('highlighted'), 2000);
+                    }
+                });
+
+                fragment.appendChild(link);
+                lastIndex = regex.lastIndex;
+            }
+
+            // Add remaining text
+            if (lastIndex < text.length) {
+                fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+            }
+
+            textNode.parentNode.replaceChild(fragment, textNode);
+        });
     }
-    
+
     /**
-     * Handle file selection from input element
-     * 
-     * Processes selected files by uploading them and adding to attachments.
-     * Clears the file input to allow re-selection of the same file.
-     * 
-     * @async
-     * @public
-     * @param {FileList} files - Files selected by user
-     * @returns {Promise<void>}
+     * Strip the "Quellen:"/"Sources:" section from message text
+     *
+     * Removes only the sources list at the end of the message since we display
+     * sources separately. Keeps footnote markers (¹²³) in the text for reference.
+     *
+     * @param {string} text - Message text potentially containing inline sources
+     * @returns {string} Cleaned text without the sources section at the end
      */
-    async handleFileSelection(files) {
-        if (!files || files.length === 0) {
-            return;
+    stripInlineSources(text) {
+        if (!text) return '';
+
+        // Keywords to detect AI-generated source sections
+        const kw = '(Quellen|Sources|Quellenangaben|Quellenverzeichnis|Referenzen|References|Literatur)';
+
+        // Patterns ordered from most specific to least specific.
+        // Optional leading --- separator, optional bold markers around the keyword.
+        const patterns = [
+            // ### **Quellen**: or --- \n ### **Quellen**:
+            new RegExp('\\n?---\\s*\\n+#{1,6}\\s*\\*{0,2}' + kw + '\\*{0,2}\\s*:?[\\s\\S]*$', 'i'),
+            // ### **Quellen**: (no preceding hr)
+            new RegExp('\\n#{1,6}\\s*\\*{0,2}' + kw + '\\*{0,2}\\s*:?[\\s\\S]*$', 'i'),
+            // **Quellen:** standalone bold line
+            new RegExp('\\n\\s*\\*{1,2}' + kw + '\\*{1,2}\\s*:?[\\s\\S]*$', 'i'),
+            // __Quellen:__ standalone
+            new RegExp('\\n\\s*_{1,2}' + kw + '_{1,2}\\s*:?[\\s\\S]*$', 'i'),
+            // Plain "Quellen:" line
+            new RegExp('\\n\\s*' + kw + '\\s*:[\\s\\S]*$', 'i'),
+        ];
+
+        for (const pattern of patterns) {
+            const match = text.match(pattern);
+            // Only strip if found in the last ~60% of the text to avoid false positives
+            if (match && match.index > text.length * 0.4) {
+                text = text.substring(0, match.index);
+                break;
+            }
         }
-        
-        for (let file of files) {
-            await this.uploadFile(file);
+
+        // Also handle bullet-point source lists without header at the end
+        text = text.replace(/\n\n\s*(-\s+[^\n]+\.(pdf|doc|docx|txt|md|csv)[^\n]*\n?)+$/i, '');
+
+        // Also handle numbered source lists without the header
+        text = text.replace(/\n\n\s*(\d+\.\s+[^\n]+\.(pdf|doc|docx|txt|md|csv)[^\n]*\n?)+$/i, '');
+
+        // Handle indented source lists with page references
+        text = text.replace(/\n\n?\s*([\t ]*[^\n]+,\s*(page|pages|Seite|Seiten)\s+[\d,\s]+\n?)+$/i, '');
+
+        // Clean up any trailing whitespace
+        text = text.trimEnd();
+
+        return text;
+    }
+
+    /**
+     * Strip AI-generated sources section and return any web links found in it.
+     * @param {string} text
+     * @param {Array} ragSources - existing RAG sources (used to avoid duplicates)
+     * @returns {{ text: string, webLinks: Array<{filename:string,url:string}> }}
+     */
+    stripInlineSourcesWithLinks(text, ragSources = []) {
+        const ragFilenames = new Set((ragSources || []).map(s => s.filename));
+
+        // Find where the sources section starts
+        const kw = '(Quellen|Sources|Quellenangaben|Quellenverzeichnis|Referenzen|References|Literatur)';
+        const sectionRegex = new RegExp(
+            '(?:\\n?---\\s*\\n+|\\n)#{1,6}\\s*\\*{0,2}' + kw + '\\*{0,2}\\s*:?[\\s\\S]*$', 'i'
+        );
+        const match = text.match(sectionRegex);
+        const webLinks = [];
+
+        if (match && match.index > text.length * 0.4) {
+            const section = match[0];
+            // Extract markdown links [label](url) from the section
+            const linkRegex = /\[([^\]]+)\]\((https?:\/\/[^)]+)\)/g;
+            let m;
+            while ((m = linkRegex.exec(section)) !== null) {
+                const label = m[1].trim();
+                const url   = m[2].trim();
+                if (!ragFilenames.has(label) && !ragFilenames.has(url)) {
+                    webLinks.push({ filename: label, url, pages: [] });
+                }
+            }
         }
-        
-        // Clear the file input to allow re-uploading the same file
-        this.fileInput.value = '';
+
+        return { text: this.stripInlineSources(text), webLinks };
     }
-    
 
-    async uploadFile(file) {
-        // Debug file upload attempt
-        debug('AIChatPageComponent: Attempting to upload file:', {
-            name: file.name,
-            type: file.type,
-            size: file.size,
-            allowedTypes: this.allowedFileTypes
-        });
+    // Attachment rendering methods for different file types
+    createImageAttachment(attachment, container) {
+        const imgDiv = document.createElement('div');
+        imgDiv.className = 'ai-chat-message-image';
+        imgDiv.style.cssText = `
+            margin: 4px 0;
+            border-radius: 8px;
+            overflow: hidden;
+            max-width: 300px;
+            cursor: pointer;
+        `;
         
-        // Check attachment limit first
-        const maxAttachments = parseInt(this.container.dataset.maxAttachmentsPerMessage) || 5;
-        if (this.attachments.length >= maxAttachments) {
-            const errorMessage = this.container.dataset.errorMaxAttachments || `Maximum ${maxAttachments} attachments per message allowed.`;
-            debug('AIChatPageComponent: Attachment limit exceeded');
-            this.showAlert(errorMessage);
-            return;
-        }
+        const img = document.createElement('img');
+        img.style.cssText = `
+            width: 100%;
+            height: auto;
+            max-height: 200px;
+            object-fit: cover;
+            border-radius: 8px;
+        `;
         
-        // Validate file size (configurable limit)
-        const maxSizeMB = parseInt(this.container.dataset.maxFileSizeMb) || 5;
-        const maxSize = maxSizeMB * 1024 * 1024;
-        if (file.size > maxSize) {
-            const errorMessage = this.container.dataset.errorFileTooLarge || `File too large. Maximum size is ${maxSizeMB}MB.`;
-            debug('AIChatPageComponent: File size exceeded:', { size: file.size, maxSize: maxSize });
-            this.showAlert(errorMessage);
-            return;
-        }
+        // Use thumbnail_url for optimized loading, fallback to data_url or original
+        const imgSrc = attachment.data_url || attachment.thumbnail_url || attachment.preview_url || attachment.download_url;
+        debug('AIChatPageComponent: Using optimized image src:', imgSrc);
+        img.src = imgSrc;
+        img.alt = attachment.title || 'Image';
+        img.title = attachment.title || 'Image';
         
-        // Validate file type against configured allowed types
-        const allowedTypes = this.allowedFileTypes.length > 0 ? this.allowedFileTypes : [
-            'image/jpeg', 'image/png', 'image/gif', 'image/webp',
-            'application/pdf', 'text/plain', 'text/csv', 'text/markdown'
-        ];
+        // Error fallback
+        img.onerror = () => {
+            debug('AIChatPageComponent: Image failed to load, showing placeholder');
+            img.src = this.createImagePlaceholder(attachment.title);
+            img.onerror = null;
+        };
         
-        debug('AIChatPageComponent: File type validation:', {
-            fileType: file.type,
-            allowedTypes: allowedTypes,
-            isAllowed: allowedTypes.includes(file.type)
+        // Click to open full size (always use download_url for full quality)
+        img.addEventListener('click', () => {
+            window.open(attachment.download_url || attachment.src, '_blank');
         });
         
-        if (!allowedTypes.includes(file.type)) {
-            let errorMessage = this.container.dataset.errorFileTypeNotAllowed || `File type not allowed: ${file.type}`;
-            errorMessage = errorMessage.replace('%s', file.type);
-            debug('AIChatPageComponent: File type not allowed');
-            this.showAlert(errorMessage);
-            return;
-        }
+        imgDiv.appendChild(img);
+        container.appendChild(imgDiv);
+    }
+    
+    createPdfAttachment(attachment, container) {
+        debug('AIChatPageComponent: Creating PDF attachment:', attachment);
         
-        // Generate preview URL for images to show in upload thumbnail
-        let dataUrl = null;
-        if (file.type.startsWith('image/')) {
-            dataUrl = await this.createImagePreview(file);
-        }
+        const pdfDiv = document.createElement('div');
+        pdfDiv.className = 'ai-chat-message-pdf';
         
-        // Create temporary upload preview with circular progress indicator
-        const uploadingThumbnail = this.createUploadPreview(file, dataUrl);
+        // Try multiple preview sources in order, but only if they exist and are not null
+        const previewSources = [
+            attachment.preview_url,
+            attachment.thumbnail_url,
+            attachment.data_url // Base64 fallback if available
+        ].filter(url => url && url !== null && url.trim() !== '');
         
-        try {
-            const formData = new FormData();
-            formData.append('action', 'upload_file');
-            formData.append('chat_id', this.chatId);
-            formData.append('persistent', this.persistent);
-            formData.append('file', file);
+        debug('AIChatPageComponent: PDF preview sources available:', previewSources);
+        
+        if (previewSources.length > 0) {
+            // Show PDF preview thumbnail if available
+            const img = document.createElement('img');
+            img.alt = attachment.title || 'PDF Preview';
+            img.title = 'Click to open PDF: ' + (attachment.title || 'Document');
+            img.style.cursor = 'pointer';
+            img.style.maxWidth = '300px';
+            img.style.maxHeight = '200px';
+            img.style.border = '1px solid #ddd';
+            img.style.borderRadius = '4px';
             
-            const response = await fetch(this.apiUrl, {
-                method: 'POST',
-                body: formData
-            });
+            // Try loading preview sources sequentially
+            let currentSourceIndex = 0;
             
-            if (!response.ok) {
-                // Try to get user-friendly error from response
-                let errorMsg = 'Upload failed';
-                try {
-                    const responseText = await response.text();
-                    if (responseText) {
-                        try {
-                            const errorData = JSON.parse(responseText);
-                            if (errorData.error) {
-                                errorMsg = errorData.error;
-                                if (errorData.details) {
-                                    debugError('Upload error details:', errorData.details);
-                                }
-                            }
-                        } catch (jsonError) {
-                            debugError('Response is not JSON. Raw response:', responseText.substring(0, 500));
-                            // Don't expose raw response to user
-                        }
-                    } else {
-                        debugError('Empty response received');
-                    }
-                } catch (textError) {
-                    debugError('Could not read response text:', textError);
-                    // Don't expose technical details to user
+            const tryNextSource = () => {
+                if (currentSourceIndex < previewSources.length) {
+                    const source = previewSources[currentSourceIndex];
+                    debug('AIChatPageComponent: Trying PDF preview source:', source);
+                    img.src = source;
+                    currentSourceIndex++;
+                } else {
+                    // All sources failed, show PDF icon
+                    debug('AIChatPageComponent: All PDF preview sources failed, showing icon');
+                    img.src = this.createPdfIcon(attachment.title);
+                    img.onerror = null;
+                    img.style.width = '48px';
+                    img.style.height = '48px';
+                    img.style.border = 'none';
                 }
-                throw new Error(errorMsg);
-            }
+            };
             
-            const data = await response.json();
-            debug('AIChatPageComponent: Upload response data:', data);
+            // Set up error handler to try next source
+            img.onerror = tryNextSource;
             
-            if (!data.success) {
-                let errorMsg = data.error || 'Upload failed';
-                if (data.details) {
-                    debugError('Upload error details:', data.details);
-                    // Don't expose technical details to user
-                }
-                throw new Error(errorMsg);
-            }
+            // Start with first source
+            tryNextSource();
             
-            // Add attachment to list with local preview if available
-            const attachment = data.attachment;
-            debug('AIChatPageComponent: Server attachment data:', attachment);
-            // Add local preview URL to attachment for immediate display
-            if (dataUrl && attachment.is_image) {
-                attachment.data_url = dataUrl;
-                debug('AIChatPageComponent: Added local data_url to attachment');
-            }
+            pdfDiv.appendChild(img);
+        } else {
+            // PDF attachment with improved readability
+            const pdfContainer = document.createElement('div');
+            pdfContainer.className = 'ai-chat-pdf-container';
+            pdfContainer.style.cssText = `
+                display: flex;
+                align-items: center;
+                padding: 8px 12px;
+                border-radius: 8px;
+                border: 1px solid #d0d0d0;
+                background: white;
+                max-width: 300px;
+                cursor: pointer;
+                margin: 4px 0;
+                box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+            `;
             
-            // Remove temporary upload preview before rebuilding attachment display
-            if (uploadingThumbnail) {
-                this.clearThumbnailUploading(uploadingThumbnail);
-            }
+            // PDF icon with colored background circle
+            const iconContainer = document.createElement('div');
+            iconContainer.style.cssText = `
+                width: 32px;
+                height: 32px;
+                border-radius: 6px;
+                background: #ff6b6b;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                margin-right: 12px;
+                flex-shrink: 0;
+            `;
             
-            this.attachments.push(attachment);
-            this.updateAttachmentsDisplay();
+            const pdfIcon = document.createElement('div');
+            pdfIcon.style.cssText = `
+                font-size: 16px;
+                color: white;
+            `;
+            pdfIcon.innerHTML = '📄';
+            iconContainer.appendChild(pdfIcon);
             
-        } catch (error) {
-            debugError('File upload failed:', error);
-            let errorMessage = this.container.dataset.errorFileUploadFailed || `File upload failed: ${error.message}`;
-            errorMessage = errorMessage.replace('%s', error.message);
-            this.showAlert(errorMessage);
+            // File info container
+            const fileInfoContainer = document.createElement('div');
+            fileInfoContainer.style.cssText = `
+                flex: 1;
+                min-width: 0;
+            `;
             
-            // Remove temporary upload preview on error
-            if (uploadingThumbnail) {
-                this.clearThumbnailUploading(uploadingThumbnail);
-            }
+            // PDF filename (bold)
+            const filename = document.createElement('div');
+            filename.style.cssText = `
+                font-size: 14px;
+                font-weight: 600;
+                color: #333;
+                white-space: nowrap;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                line-height: 1.2;
+            `;
+            const filenameText = (attachment.title || 'PDF Document').replace(/\.pdf$/i, '');
+            filename.textContent = filenameText;
+            
+            // PDF type and size (lighter)
+            const typeInfo = document.createElement('div');
+            typeInfo.style.cssText = `
+                font-size: 12px;
+                color: #666;
+                margin-top: 2px;
+            `;
+            const sizeKB = Math.round(attachment.size / 1024);
+            typeInfo.textContent = `PDF • ${sizeKB} KB`;
+            
+            fileInfoContainer.appendChild(filename);
+            fileInfoContainer.appendChild(typeInfo);
+            
+            pdfContainer.appendChild(iconContainer);
+            pdfContainer.appendChild(fileInfoContainer);
+            pdfDiv.appendChild(pdfContainer);
         }
+        
+        // Click to open PDF
+        pdfDiv.addEventListener('click', () => {
+            window.open(attachment.download_url, '_blank');
+        });
+        
+        container.appendChild(pdfDiv);
     }
     
-    /**
-     * Creates a temporary thumbnail preview with circular progress indicator for file uploads
-     * @param {File} file - The file being uploaded
-     * @param {string|null} dataUrl - Preview URL for images, null for other file types
-     * @returns {HTMLElement|null} The created upload preview element
-     */
-    createUploadPreview(file, dataUrl) {
-        if (!this.attachmentsList) return null;
-        
-        // Ensure attachment area is visible and styled
-        this.attachmentsArea.style.display = 'flex';
-        this.attachmentsArea.style.cssText += `
-            flex-wrap: wrap;
-            gap: 8px;
-            margin-bottom: 8px;
-            padding: 8px;
-        `;
+    createDocumentAttachment(attachment, container) {
+        const docDiv = document.createElement('div');
+        docDiv.className = 'ai-chat-message-document';
         
-        // Create thumbnail container with upload styling
-        const uploadPreview = document.createElement('div');
-        uploadPreview.className = 'ai-chat-attachment-uploading';
-        uploadPreview.style.cssText = `
-            position: relative;
-            margin: 4px 0;
+        // Document attachment with improved readability
+        const docContainer = document.createElement('div');
+        docContainer.className = 'ai-chat-document-container';
+        docContainer.style.cssText = `
+            display: flex;
+            align-items: center;
+            padding: 8px 12px;
             border-radius: 8px;
-            overflow: hidden;
-            width: 80px;
-            height: 80px;
+            border: 1px solid #d0d0d0;
+            background: white;
+            max-width: 300px;
             cursor: pointer;
-            flex-shrink: 0;
+            margin: 4px 0;
+            box-shadow: 0 1px 3px rgba(0,0,0,0.1);
         `;
         
-        if (file.type.startsWith('image/') && dataUrl) {
-            // Create image preview from file data
-            const img = document.createElement('img');
-            img.style.cssText = `
-                width: 100%;
-                height: 100%;
-                object-fit: cover;
-                border-radius: 8px;
-            `;
-            img.src = dataUrl;
-            uploadPreview.appendChild(img);
-        } else {
-            // Create file type icon for non-images
-            const fileIcon = document.createElement('div');
-            fileIcon.style.cssText = `
-                width: 100%;
-                height: 100%;
-                background: var(--chat-bg-secondary, #f5f5f5);
-                border: 1px solid var(--chat-border, #ddd);
-                border-radius: 8px;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                font-size: 24px;
-            `;
-            fileIcon.textContent = file.type.includes('pdf') ? '📄' : '📎';
-            uploadPreview.appendChild(fileIcon);
+        let bgColor = '#6366f1'; // Default purple
+        let docType = 'DOC';
+        let docIcon = '📄';
+        
+        if (attachment.mime_type.includes('word')) {
+            bgColor = '#2b579a';
+            docType = 'DOC';
+            docIcon = '📝';
+        } else if (attachment.mime_type.includes('excel') || attachment.mime_type.includes('sheet')) {
+            bgColor = '#217346';
+            docType = 'XLS';
+            docIcon = '📊';
+        } else if (attachment.mime_type.includes('powerpoint') || attachment.mime_type.includes('presentation')) {
+            bgColor = '#d24726';
+            docType = 'PPT';
+            docIcon = '📽️';
         }
         
-        // Add animated circular progress indicator
-        const circleDiv = document.createElement('div');
-        circleDiv.className = 'ai-chat-upload-circle';
-        circleDiv.innerHTML = `
-            <svg viewBox="0 0 20 20">
-                <circle cx="10" cy="10" r="8"></circle>
-            </svg>
-        `;
-        uploadPreview.appendChild(circleDiv);
-        
-        // Insert into attachment display area
-        this.attachmentsList.appendChild(uploadPreview);
-        
-        return uploadPreview;
-    }
-    
-    
-    /**
-     * Removes the temporary upload preview thumbnail
-     * @param {HTMLElement} thumbnail - The upload preview element to remove
-     */
-    clearThumbnailUploading(thumbnail) {
-        if (!thumbnail) return;
-        
-        // Remove temporary upload preview - real attachment thumbnail will be created by updateAttachmentsDisplay()
-        thumbnail.remove();
-    }
-    
-    
-    
-    
-    
-    updateAttachmentsDisplay() {
-        debug('AIChatPageComponent: updateAttachmentsDisplay called', {
-            attachmentsList: !!this.attachmentsList,
-            attachmentsCount: this.attachments.length,
-            attachments: this.attachments
-        });
-        
-        if (!this.attachmentsList) {
-            debug('AIChatPageComponent: attachmentsList not found, cannot update display');
-            return;
-        }
-        
-        this.attachmentsList.innerHTML = '';
-        
-        if (this.attachments.length === 0) {
-            this.attachmentsArea.style.display = 'none';
-            debug('AIChatPageComponent: No attachments, hiding area');
-            return;
-        }
-        
-        this.attachmentsArea.style.display = 'flex';
-        this.attachmentsArea.style.cssText += `
-            flex-wrap: wrap;
-            gap: 8px;
-            margin-bottom: 8px;
-            padding: 8px;
+        // Document icon with colored background circle
+        const iconContainer = document.createElement('div');
+        iconContainer.style.cssText = `
+            width: 32px;
+            height: 32px;
+            border-radius: 6px;
+            background: ${bgColor};
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            margin-right: 12px;
+            flex-shrink: 0;
         `;
         
-        debug('AIChatPageComponent: Showing attachments area, processing attachments');
+        const docIconEl = document.createElement('div');
+        docIconEl.style.cssText = `
+            font-size: 16px;
+            color: white;
+        `;
+        docIconEl.innerHTML = docIcon;
+        iconContainer.appendChild(docIconEl);
         
-        this.attachments.forEach((attachment, index) => {
-            debug('AIChatPageComponent: Processing attachment', {
-                index: index,
-                attachment: attachment,
-                is_image: attachment.is_image,
-                has_data_url: !!attachment.data_url,
-                has_preview_url: !!attachment.preview_url
-            });
-            
-            if (attachment.is_image && (attachment.data_url || attachment.preview_url)) {
-                // Image preview (same as in messages)
-                debug('AIChatPageComponent: Creating image preview for attachment', index);
-                this.createUploadImagePreview(attachment, index);
-            } else {
-                // Document preview (same style as in messages)
-                debug('AIChatPageComponent: Creating document preview for attachment', index);
-                this.createUploadDocumentPreview(attachment, index);
-            }
-        });
+        // File info container
+        const fileInfoContainer = document.createElement('div');
+        fileInfoContainer.style.cssText = `
+            flex: 1;
+            min-width: 0;
+        `;
         
-        debug('AIChatPageComponent: updateAttachmentsDisplay completed');
-    }
-    
-    createUploadImagePreview(attachment, index) {
-        const imageContainer = document.createElement('div');
-        imageContainer.style.cssText = `
-            position: relative;
-            margin: 4px 0;
-            border-radius: 8px;
+        // Document filename (bold)
+        const filename = document.createElement('div');
+        filename.style.cssText = `
+            font-size: 14px;
+            font-weight: 600;
+            color: #333;
+            white-space: nowrap;
             overflow: hidden;
-            width: 80px;
-            height: 80px;
-            cursor: pointer;
-            flex-shrink: 0;
+            text-overflow: ellipsis;
+            line-height: 1.2;
         `;
+        const filenameText = (attachment.title || 'Document').replace(/\.(docx?|xlsx?|pptx?)$/i, '');
+        filename.textContent = filenameText;
         
-        const img = document.createElement('img');
-        img.style.cssText = `
-            width: 100%;
-            height: 100%;
-            object-fit: cover;
-            border-radius: 8px;
+        // Document type and size (lighter)
+        const typeInfo = document.createElement('div');
+        typeInfo.style.cssText = `
+            font-size: 12px;
+            color: #666;
+            margin-top: 2px;
         `;
-        const imgSrc = attachment.data_url || attachment.preview_url;
-        img.src = imgSrc;
-        img.alt = attachment.title;
+        const sizeKB = Math.round(attachment.size / 1024);
+        typeInfo.textContent = `${docType} • ${sizeKB} KB`;
         
-        // Remove button (consistent styling)
-        const removeBtn = this.createRemoveButton(index);
+        fileInfoContainer.appendChild(filename);
+        fileInfoContainer.appendChild(typeInfo);
         
-        imageContainer.appendChild(img);
-        imageContainer.appendChild(removeBtn);
-        this.attachmentsList.appendChild(imageContainer);
+        docContainer.appendChild(iconContainer);
+        docContainer.appendChild(fileInfoContainer);
+        docDiv.appendChild(docContainer);
+        
+        // Click to download/open
+        docDiv.addEventListener('click', () => {
+            window.open(attachment.download_url, '_blank');
+        });
+        
+        container.appendChild(docDiv);
     }
     
-    createUploadDocumentPreview(attachment, index) {
-        // Same height as images (80px total)
-        const docContainer = document.createElement('div');
-        docContainer.style.cssText = `
-            position: relative;
+    createGenericAttachment(attachment, container) {
+        const genericDiv = document.createElement('div');
+        genericDiv.className = 'ai-chat-message-generic';
+        
+        // Generic file attachment with improved readability
+        const genericContainer = document.createElement('div');
+        genericContainer.className = 'ai-chat-generic-container';
+        genericContainer.style.cssText = `
             display: flex;
             align-items: center;
             padding: 8px 12px;
             border-radius: 8px;
             border: 1px solid #d0d0d0;
             background: white;
-            width: 200px;
-            height: 80px;
+            max-width: 300px;
             cursor: pointer;
             margin: 4px 0;
             box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-            flex-shrink: 0;
         `;
         
-        // Determine file type and colors
-        let bgColor = '#ff6b6b'; // Default red for PDF
-        let docType = 'PDF';
-        let docIcon = '📄';
-        
-        if (attachment.mime_type) {
-            if (attachment.mime_type.includes('word')) {
-                bgColor = '#2b579a';
-                docType = 'DOC';
-                docIcon = '📝';
-            } else if (attachment.mime_type.includes('excel') || attachment.mime_type.includes('sheet')) {
-                bgColor = '#217346';
-                docType = 'XLS';
-                docIcon = '📊';
-            } else if (attachment.mime_type.includes('powerpoint') || attachment.mime_type.includes('presentation')) {
-                bgColor = '#d24726';
-                docType = 'PPT';
-                docIcon = '📽️';
-            } else if (!attachment.mime_type.includes('pdf')) {
-                bgColor = '#666666';
-                docType = attachment.title ? attachment.title.split('.').pop().toUpperCase() : 'FILE';
-                docIcon = '📁';
-            }
-        }
-        
-        // Icon container
+        // Generic file icon with colored background circle
         const iconContainer = document.createElement('div');
         iconContainer.style.cssText = `
-            width: 28px;
-            height: 28px;
+            width: 32px;
+            height: 32px;
             border-radius: 6px;
-            background: ${bgColor};
+            background: #666666;
             display: flex;
             align-items: center;
             justify-content: center;
-            margin-right: 10px;
+            margin-right: 12px;
             flex-shrink: 0;
         `;
         
-        const fileIcon = document.createElement('div');
-        fileIcon.style.cssText = `
-            font-size: 14px;
+        const genericIcon = document.createElement('div');
+        genericIcon.style.cssText = `
+            font-size: 16px;
             color: white;
         `;
-        fileIcon.innerHTML = docIcon;
-        iconContainer.appendChild(fileIcon);
+        genericIcon.innerHTML = '📁';
+        iconContainer.appendChild(genericIcon);
         
-        // File info
+        // File info container
         const fileInfoContainer = document.createElement('div');
         fileInfoContainer.style.cssText = `
             flex: 1;
             min-width: 0;
         `;
         
+        // Filename (bold)
         const filename = document.createElement('div');
         filename.style.cssText = `
-            font-size: 13px;
+            font-size: 14px;
             font-weight: 600;
             color: #333;
             white-space: nowrap;
@@ -3274,123 +4388,4229 @@ class AIChatPageComponent {
             text-overflow: ellipsis;
             line-height: 1.2;
         `;
-        const filenameText = (attachment.title || 'Document').replace(/\.(pdf|docx?|xlsx?|pptx?)$/i, '');
+        const filenameText = (attachment.title || 'File').replace(/\.[^/.]+$/, '');
         filename.textContent = filenameText;
         
+        // File type and size (lighter)
         const typeInfo = document.createElement('div');
         typeInfo.style.cssText = `
-            font-size: 11px;
+            font-size: 12px;
             color: #666;
-            margin-top: 1px;
+            margin-top: 2px;
         `;
-        const sizeKB = attachment.size ? Math.round(attachment.size / 1024) : '?';
-        typeInfo.textContent = `${docType} • ${sizeKB} KB`;
+        const ext = attachment.title ? attachment.title.split('.').pop().toUpperCase() : 'FILE';
+        const sizeKB = Math.round(attachment.size / 1024);
+        typeInfo.textContent = `${ext} • ${sizeKB} KB`;
         
         fileInfoContainer.appendChild(filename);
         fileInfoContainer.appendChild(typeInfo);
         
-        // Remove button (consistent styling)
-        const removeBtn = this.createRemoveButton(index);
+        genericContainer.appendChild(iconContainer);
+        genericContainer.appendChild(fileInfoContainer);
+        genericDiv.appendChild(genericContainer);
         
-        docContainer.appendChild(iconContainer);
-        docContainer.appendChild(fileInfoContainer);
-        docContainer.appendChild(removeBtn);
-        this.attachmentsList.appendChild(docContainer);
+        // Click to download/open
+        genericDiv.addEventListener('click', () => {
+            window.open(attachment.download_url, '_blank');
+        });
+        
+        container.appendChild(genericDiv);
     }
     
-    createRemoveButton(index) {
-        const removeBtn = document.createElement('button');
-        removeBtn.className = 'ai-chat-upload-remove';
-        removeBtn.style.cssText = `
-            position: absolute;
-            top: 4px;
-            right: 4px;
-            width: 18px;
-            height: 18px;
-            border-radius: 50%;
-            background: rgba(255, 255, 255, 0.9);
-            color: #333;
-            border: 1px solid rgba(0, 0, 0, 0.1);
-            font-family: Arial, sans-serif;
-            font-size: 12px;
-            font-weight: bold;
-            cursor: pointer;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            z-index: 10;
-            line-height: 1;
-            padding: 0;
-            margin: 0;
-            box-shadow: 0 1px 3px rgba(0, 0, 0, 0.12);
-        `;
-        removeBtn.textContent = '×';
-        removeBtn.title = this.container.dataset.removeAttachment || 'Anhang entfernen';
-        removeBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.removeAttachment(index);
-        });
+    createImagePlaceholder(title) {
+        // Ultra-simple fallback that always works
+        const simpleSvg = '<svg width="64" height="64" xmlns="http://www.w3.org/2000/svg"><rect width="64" height="64" fill="#f0f0f0" stroke="#ddd" stroke-width="1"/><text x="32" y="35" text-anchor="middle" font-family="Arial" font-size="12" fill="#666">Image</text></svg>';
         
-        return removeBtn;
+        try {
+            return 'data:image/svg+xml;base64,' + btoa(simpleSvg);
+        } catch (e) {
+            debugError('Failed to create placeholder:', e);
+            // Even simpler fallback
+            return 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+        }
     }
     
-    removeAttachment(index) {
-        this.attachments.splice(index, 1);
-        this.updateAttachmentsDisplay();
+    createPdfIcon(title) {
+        return 'data:image/svg+xml;base64,' + btoa(`
+            <svg width="64" height="64" xmlns="http://www.w3.org/2000/svg">
+                <rect width="64" height="64" fill="#ff6b6b" stroke="#e55555" stroke-width="2" rx="8"/>
+                <text x="32" y="32" text-anchor="middle" dy="0.3em" font-family="Arial" font-size="12" fill="white" font-weight="bold">PDF</text>
+                <text x="32" y="50" text-anchor="middle" dy="0.3em" font-family="Arial" font-size="6" fill="white">${title?.split('.')[0] || 'Document'}</text>
+            </svg>
+        `);
     }
     
-    clearAttachments() {
-        this.attachments = [];
-        this.updateAttachmentsDisplay();
+    /**
+     * Stop current AI generation request
+     * 
+     * Cancels both regular HTTP requests and streaming connections.
+     * Updates UI to show generation was stopped by user.
+     * 
+     * @public
+     */
+    stopGeneration() {
+        // Handle regular HTTP request abort
+        if (this.currentRequest) {
+            debug('AIChatPageComponent: Stopping HTTP request');
+            this.currentRequest.abort();
+            this.currentRequest = null;
+            this.setLoading(false);
+            this.addMessageToDisplay('system', this.lang.generationStopped);
+        }
+        
+        // Handle streaming connection close
+        if (this.currentStreamController) {
+            debug('AIChatPageComponent: Stopping streaming');
+            this.stopStreaming(); // This method aborts the streaming request
+        }
+    }
+    
+    /**
+     * Set the loading state of the chat interface
+     * 
+     * Updates the send button to show stop icon during loading,
+     * toggles loading indicators, and manages interaction state.
+     * 
+     * @public
+     * @param {boolean} loading - Whether the chat is in loading state
+     */
+    setLoading(loading) {
+        this.isLoading = loading;
+        
+        if (loading) {
+            // Replace send button with stop button (use same icon as template)
+            this.sendButton.innerHTML = `
+                <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true" focusable="false">
+                    <path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z"/>
+                </svg>
+            `;
+            this.sendButton.className = 'ai-chat-composer-btn ai-chat-stop';
+            this.sendButton.title = this.lang.stopGeneration || 'Stop generation';
+            this.sendButton.disabled = false;
+        } else {
+            // Restore send button with correct icon from template
+            this.sendButton.innerHTML = `
+                <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true" focusable="false">
+                    <path d="M8.99992 16V6.41407L5.70696 9.70704C5.31643 10.0976 4.68342 10.0976 4.29289 9.70704C3.90237 9.31652 3.90237 8.6835 4.29289 8.29298L9.29289 3.29298L9.36907 3.22462C9.76184 2.90427 10.3408 2.92686 10.707 3.29298L15.707 8.29298L15.7753 8.36915C16.0957 8.76192 16.0731 9.34092 15.707 9.70704C15.3408 10.0732 14.7618 10.0958 14.3691 9.7754L14.2929 9.70704L10.9999 6.41407V16C10.9999 16.5523 10.5522 17 9.99992 17C9.44764 17 8.99992 16.5523 8.99992 16Z"></path>
+                </svg>
+            `;
+            this.sendButton.className = 'ai-chat-composer-btn ai-chat-send';
+            this.sendButton.title = this.container.dataset.sendAriaLabel || 'Nachricht senden';
+            
+            // Check if button should remain disabled due to character limit
+            const inputLength = this.inputArea.value.length;
+            const isOverLimit = inputLength > this.charLimit;
+            
+            if (isOverLimit) {
+                this.sendButton.disabled = true;
+                this.sendButton.classList.add('disabled-over-limit');
+                this.sendButton.title = this.container.dataset.sendDisabledOverLimit || 
+                    `Message too long (${inputLength}/${this.charLimit} characters). Please shorten your message.`;
+            } else {
+                this.sendButton.disabled = false;
+                this.sendButton.classList.remove('disabled-over-limit');
+            }
+        }
+        
+        if (this.loadingDiv) {
+            this.loadingDiv.style.display = loading ? 'block' : 'none';
+        }
+    }
+    
+    /**
+     * Update the character counter display and styling
+     * 
+     * Shows current character count, applies warning/error styles
+     * when approaching or exceeding character limits.
+     * 
+     * @private
+     */
+    updateCharacterCounter() {
+        if (this.charCounter) {
+            const length = this.inputArea.value.length;
+            this.charCounter.textContent = length;
+            
+            // Get the character counter container
+            const charCounterContainer = this.container.querySelector('.ai-chat-char-counter');
+            
+            // Show/hide character counter based on text length
+            if (charCounterContainer) {
+                if (length > 0) {
+                    charCounterContainer.classList.add('has-text');
+                } else {
+                    charCounterContainer.classList.remove('has-text');
+                }
+            }
+            
+            // Check if over character limit
+            const isOverLimit = length > this.charLimit;
+            
+            // Update send button state based on character limit
+            this.updateSendButtonState(isOverLimit, length === 0);
+            
+            // Add warning/error classes to character counter
+            this.charCounter.classList.remove('warning', 'error');
+            if (length > this.charLimit * 0.9) {
+                this.charCounter.classList.add('warning');
+            }
+            if (isOverLimit) {
+                this.charCounter.classList.add('error');
+            }
+        }
+    }
+    
+    /**
+     * Dynamic composer resize
+     */
+    resizeComposer() {
+        const textarea = this.inputArea;
+        const composer = this.container.querySelector('.ai-chat-composer');
+        
+        if (!textarea || !composer) return;
+        
+        // Auto-resize textarea height
+        textarea.style.height = 'auto';
+        const scrollHeight = textarea.scrollHeight;
+        const computedStyle = getComputedStyle(textarea);
+        const lineHeight = parseInt(computedStyle.lineHeight) || 24; // Higher default
+        const maxLines = 10; // Maximum number of lines before scroll
+        const maxHeight = lineHeight * maxLines; // Should be ~240px
+        
+        // Set height based on content, with max limit
+        if (scrollHeight > maxHeight) {
+            textarea.style.height = maxHeight + 'px';
+        } else {
+            textarea.style.height = scrollHeight + 'px';
+        }
+        
+        // Dynamic approach: Calculate actual single-line capacity based on textarea width
+        const text = textarea.value;
+        const hasNewlines = text.includes('\n') || text.includes('\r');
+        
+        // Calculate approximate characters per line based on textarea width
+        const textareaWidth = textarea.getBoundingClientRect().width;
+        const avgCharWidth = 8; // Approximate pixels per character (varies by font)
+        const estimatedCharsPerLine = Math.floor(textareaWidth / avgCharWidth);
+        const isLongText = text.length > estimatedCharsPerLine;
+        
+        const heightExceedsOneLine = scrollHeight > (lineHeight + 20); // Allow some buffer
+        
+        // Expand if any of these conditions are true
+        const isExpanded = hasNewlines || isLongText || heightExceedsOneLine;
+        
+        
+        // Update composer state
+        composer.setAttribute('data-expanded', isExpanded.toString());
+        
+        // Update grid layout based on content size
+        if (isExpanded) {
+            // Multi-line: full width for text, buttons below
+            composer.querySelector('.ai-chat-composer-inner').style.gridTemplateAreas = 
+                '"primary primary primary" "leading footer trailing"';
+        } else {
+            // Single line: horizontal layout
+            composer.querySelector('.ai-chat-composer-inner').style.gridTemplateAreas = 
+                '"leading primary trailing"';
+        }
+    }
+    
+    /**
+     * Update send button state based on input validation
+     * 
+     * Disables send button when character limit is exceeded or when loading.
+     * Provides visual feedback about why the button is disabled.
+     * 
+     * @private
+     * @param {boolean} isOverLimit - Whether character limit is exceeded
+     * @param {boolean} isEmpty - Whether input is empty
+     */
+    updateSendButtonState(isOverLimit, isEmpty) {
+        if (!this.sendButton) return;
+        
+        // Don't modify button if currently loading (handled by setLoading)
+        if (this.isLoading) return;
+        
+        const wasDisabled = this.sendButton.disabled;
+        
+        // Disable button if over character limit
+        if (isOverLimit) {
+            this.sendButton.disabled = true;
+            this.sendButton.title = this.container.dataset.sendDisabledOverLimit || 
+                `Message too long (${this.inputArea.value.length}/${this.charLimit} characters). Please shorten your message.`;
+            this.sendButton.classList.add('disabled-over-limit');
+        } else {
+            // Enable button if not over limit and not empty
+            this.sendButton.disabled = false;
+            this.sendButton.title = this.container.dataset.sendAriaLabel || 'Send message';
+            this.sendButton.classList.remove('disabled-over-limit');
+        }
+        
+        // Log state changes for debugging
+        if (wasDisabled !== this.sendButton.disabled) {
+            debug('AIChatPageComponent: Send button state changed', {
+                disabled: this.sendButton.disabled,
+                reason: isOverLimit ? 'over_limit' : 'enabled',
+                charCount: this.inputArea.value.length,
+                charLimit: this.charLimit
+            });
+        }
+    }
+    
+    /**
+     * Accept files dropped onto the chat or pasted into the input
+     *
+     * The whole container is the drop zone; both paths end in
+     * handleFileSelection, so the usual type, size and count checks apply.
+     *
+     * @private
+     */
+    bindDropEvents() {
+        // dragenter/dragleave fire for every child element; count the nesting
+        let dragDepth = 0;
+        const hasFiles = (e) => !!e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+
+        this.container.addEventListener('dragenter', (e) => {
+            if (!hasFiles(e) || !this.canAttachFiles()) {
+                return;
+            }
+            e.preventDefault();
+            dragDepth++;
+            this.setDropOverlay(true);
+        });
+
+        this.container.addEventListener('dragover', (e) => {
+            if (!hasFiles(e) || !this.canAttachFiles()) {
+                return;
+            }
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+
+        this.container.addEventListener('dragleave', (e) => {
+            if (!hasFiles(e) || dragDepth === 0) {
+                return;
+            }
+            dragDepth--;
+            if (dragDepth === 0) {
+                this.setDropOverlay(false);
+            }
+        });
+
+        this.container.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) {
+                return;
+            }
+            // Never let the browser open a file dropped onto the chat
+            e.preventDefault();
+            dragDepth = 0;
+            this.setDropOverlay(false);
+            if (this.canAttachFiles()) {
+                this.handleFileSelection(e.dataTransfer.files);
+            }
+        });
+
+        this.inputArea.addEventListener('paste', (e) => this.handlePaste(e));
+    }
+
+    /**
+     * Attach pasted files (e.g. screenshots) instead of pasting them as text
+     *
+     * Office applications put an image rendition next to copied text; in that
+     * case the text is pasted as usual.
+     *
+     * @private
+     * @param {ClipboardEvent} e - Paste event of the input
+     */
+    handlePaste(e) {
+        const clipboard = e.clipboardData;
+        if (!clipboard || !this.canAttachFiles()) {
+            return;
+        }
+
+        const files = Array.from(clipboard.items || [])
+            .filter(item => item.kind === 'file')
+            .map(item => item.getAsFile())
+            .filter(Boolean);
+        if (files.length === 0) {
+            return;
+        }
+
+        const text = clipboard.getData('text/plain');
+        if (text && text.trim() !== '' && files.every(file => file.type.startsWith('image/'))) {
+            return;
+        }
+
+        e.preventDefault();
+
+        // Screenshots all arrive as "image.png"; give them distinguishable names
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        const named = files.map((file, index) => {
+            if (file.name && file.name !== 'image.png') {
+                return file;
+            }
+            const extension = (file.type.split('/')[1] || 'png').replace('jpeg', 'jpg');
+            const suffix = files.length > 1 ? `-${index + 1}` : '';
+            return new File([file], `screenshot-${stamp}${suffix}.${extension}`, { type: file.type });
+        });
+        this.handleFileSelection(named);
+    }
+
+    /**
+     * Whether files can be attached right now
+     *
+     * @private
+     * @returns {boolean}
+     */
+    canAttachFiles() {
+        return this.enableChatUploads
+            && !!this.attachBtn
+            && !this.attachBtn.disabled
+            && !this.serviceUnavailable;
+    }
+
+    /**
+     * Show or hide the drop zone overlay
+     *
+     * @private
+     * @param {boolean} visible - Whether files are dragged over the chat
+     */
+    setDropOverlay(visible) {
+        this.container.classList.toggle('ai-chat-dragover', visible);
+        if (this.dropOverlay) {
+            this.dropOverlay.hidden = !visible;
+        }
+    }
+
+    /**
+     * Handle file selection from input element
+     * 
+     * Processes selected files by uploading them and adding to attachments.
+     * Clears the file input to allow re-selection of the same file.
+     * 
+     * @async
+     * @public
+     * @param {FileList|Array<File>} files - Files selected, dropped or pasted by the user
+     * @returns {Promise<void>}
+     */
+    async handleFileSelection(files) {
+        if (!files || files.length === 0) {
+            return;
+        }
+        
+        for (let file of files) {
+            await this.uploadFile(file);
+        }
+        
+        // Clear the file input to allow re-uploading the same file
+        if (this.fileInput) {
+            this.fileInput.value = '';
+        }
+    }
+    
+
+    async uploadFile(file) {
+        // Debug file upload attempt
+        debug('AIChatPageComponent: Attempting to upload file:', {
+            name: file.name,
+            type: file.type,
+            size: file.size,
+            allowedTypes: this.allowedFileTypes
+        });
+        
+        // Check attachment limit first
+        const maxAttachments = parseInt(this.container.dataset.maxAttachmentsPerMessage) || 5;
+        if (this.attachments.length + this.uploadQueue.length >= maxAttachments) {
+            const errorMessage = this.container.dataset.errorMaxAttachments || `Maximum ${maxAttachments} attachments per message allowed.`;
+            debug('AIChatPageComponent: Attachment limit exceeded');
+            this.showAlert(errorMessage);
+            return;
+        }
+        
+        // Validate file type against configured allowed types
+        const allowedTypes = this.allowedFileTypes.length > 0 ? this.allowedFileTypes : [
+            'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+            'application/pdf', 'text/plain', 'text/csv', 'text/markdown'
+        ];
+        
+        debug('AIChatPageComponent: File type validation:', {
+            fileType: file.type,
+            allowedTypes: allowedTypes,
+            isAllowed: allowedTypes.includes(file.type)
+        });
+        
+        if (!allowedTypes.includes(file.type)) {
+            let errorMessage = this.container.dataset.errorFileTypeNotAllowed || `File type not allowed: ${file.type}`;
+            errorMessage = errorMessage.replace('%s', file.type);
+            debug('AIChatPageComponent: File type not allowed');
+            this.showAlert(errorMessage);
+            return;
+        }
+
+        // Downscale photos before the size check, so large phone pictures still fit
+        file = await this.prepareImageForUpload(file, allowedTypes);
+
+        // Validate file size (configurable limit)
+        const maxSizeMB = parseInt(this.container.dataset.maxFileSizeMb) || 5;
+        const maxSize = maxSizeMB * 1024 * 1024;
+        if (file.size > maxSize) {
+            const errorMessage = this.container.dataset.errorFileTooLarge || `File too large. Maximum size is ${maxSizeMB}MB.`;
+            debug('AIChatPageComponent: File size exceeded:', { size: file.size, maxSize: maxSize });
+            this.showAlert(errorMessage);
+            return;
+        }
+        
+        // Generate preview URL for images to show in upload thumbnail
+        let dataUrl = null;
+        if (file.type.startsWith('image/')) {
+            dataUrl = await this.createImagePreview(file);
+        }
+        
+        // Create temporary upload preview with circular progress indicator
+        const uploadingThumbnail = this.createUploadPreview(file, dataUrl);
+
+        // Uploads run in the background; the next file can be validated meanwhile
+        this.enqueueUpload(file, dataUrl, uploadingThumbnail);
+    }
+
+    /**
+     * Queue a validated file for upload
+     *
+     * At most UPLOAD_CONCURRENCY uploads run at the same time. The returned
+     * promise settles once the upload has finished, failed or was cancelled.
+     *
+     * @private
+     * @param {File} file - File to upload
+     * @param {string|null} dataUrl - Local image preview, if any
+     * @param {HTMLElement|null} preview - Upload preview thumbnail
+     * @returns {Promise<void>}
+     */
+    enqueueUpload(file, dataUrl, preview) {
+        return new Promise(resolve => {
+            const job = {
+                file,
+                dataUrl,
+                preview,
+                attempt: 0,
+                started: false,
+                cancelled: false,
+                xhr: null,
+                retryTimer: null,
+                done: resolve
+            };
+            this.uploadQueue.push(job);
+
+            const cancelBtn = preview ? preview.querySelector('.ai-chat-upload-cancel') : null;
+            if (cancelBtn) {
+                cancelBtn.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.cancelUpload(job);
+                });
+            }
+
+            this.processUploadQueue();
+        });
+    }
+
+    /**
+     * Start queued uploads while below the concurrency limit
+     *
+     * @private
+     */
+    processUploadQueue() {
+        const waiting = this.uploadQueue.filter(job => !job.started);
+        while (this.activeUploads < AIChatPageComponent.UPLOAD_CONCURRENCY && waiting.length > 0) {
+            const job = waiting.shift();
+            job.started = true;
+            this.activeUploads++;
+            this.runUpload(job).finally(() => {
+                this.activeUploads--;
+                this.uploadQueue = this.uploadQueue.filter(queued => queued !== job);
+                job.done();
+                this.processUploadQueue();
+            });
+        }
+    }
+
+    /**
+     * Upload a file, retrying transient failures with exponential backoff
+     *
+     * @private
+     * @async
+     * @param {Object} job - Upload queue entry
+     * @returns {Promise<void>}
+     */
+    async runUpload(job) {
+        const { file, dataUrl, preview } = job;
+
+        while (!job.cancelled) {
+            try {
+                const data = await this.sendUploadRequest(job);
+                debug('AIChatPageComponent: Upload response data:', data);
+
+                // Add attachment to list with local preview if available
+                const attachment = data.attachment;
+                debug('AIChatPageComponent: Server attachment data:', attachment);
+                if (dataUrl && attachment.is_image) {
+                    attachment.data_url = dataUrl;
+                    debug('AIChatPageComponent: Added local data_url to attachment');
+                }
+
+                // Remove temporary upload preview before rebuilding attachment display
+                this.clearThumbnailUploading(preview);
+
+                this.attachments.push(attachment);
+                this.updateAttachmentsDisplay();
+                this.scheduleDraftSave();
+                return;
+            } catch (error) {
+                if (job.cancelled) {
+                    return;
+                }
+
+                if (error.transient && job.attempt < AIChatPageComponent.UPLOAD_RETRY_ATTEMPTS) {
+                    const delay = AIChatPageComponent.UPLOAD_RETRY_DELAY_MS * Math.pow(2, job.attempt);
+                    job.attempt++;
+                    debugError(`AIChatPageComponent: Upload of ${file.name} failed, retry ${job.attempt} in ${delay} ms:`, error.message);
+                    this.setUploadProgress(preview, null, this.lang.uploadRetrying);
+                    await new Promise(resolve => {
+                        job.retryTimer = setTimeout(resolve, delay);
+                        job.wakeUp = resolve;
+                    });
+                    job.retryTimer = null;
+                    continue;
+                }
+
+                debugError('File upload failed:', error);
+                let errorMessage = this.container.dataset.errorFileUploadFailed || `File upload failed: ${error.message}`;
+                errorMessage = errorMessage.replace('%s', error.message);
+                this.clearThumbnailUploading(preview);
+                this.showAlert(errorMessage);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Upload the file of a queue entry
+     *
+     * Files larger than the chunk size (data-upload-chunk-size, derived from
+     * PHP's upload limits) go through the chunked protocol; everything else
+     * is sent in a single request.
+     *
+     * @private
+     * @param {Object} job - Upload queue entry
+     * @returns {Promise<Object>} Parsed response of a successful upload
+     */
+    sendUploadRequest(job) {
+        const chunkSize = parseInt(this.container.dataset.uploadChunkSize, 10) || 0;
+        if (chunkSize > 0 && job.file.size > chunkSize) {
+            return this.sendChunkedUpload(job, chunkSize);
+        }
+
+        const formData = new FormData();
+        formData.append('action', 'upload_file');
+        formData.append('chat_id', this.chatId);
+        formData.append('persistent', this.persistent);
+        if (this.currentSessionId) {
+            formData.append('session_id', this.currentSessionId);
+        }
+        formData.append('file', job.file);
+
+        this.setUploadProgress(job.preview, 0);
+        return this.sendUploadXhr(job, formData, (loaded, total) => {
+            this.setUploadProgress(job.preview, loaded / total);
+        });
+    }
+
+    /**
+     * Upload a large file in chunks (upload_init → upload_chunk… → upload_finalize)
+     *
+     * The server identifies an upload by the SHA-256 of the file, so
+     * upload_init continues where an earlier attempt stopped – after a retry
+     * as well as after a page reload with the same file.
+     *
+     * @private
+     * @async
+     * @param {Object} job - Upload queue entry
+     * @param {number} chunkSize - Bytes per chunk
+     * @returns {Promise<Object>} Parsed response of upload_finalize
+     */
+    async sendChunkedUpload(job, chunkSize) {
+        const { file } = job;
+        const request = (action, fields, onProgress) => {
+            const formData = new FormData();
+            formData.append('action', action);
+            formData.append('chat_id', this.chatId);
+            formData.append('persistent', this.persistent);
+            if (this.currentSessionId) {
+                formData.append('session_id', this.currentSessionId);
+            }
+            Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+            return this.sendUploadXhr(job, formData, onProgress);
+        };
+
+        this.setUploadProgress(job.preview, null);
+        if (!job.fileHash) {
+            job.fileHash = await this.hashFile(file);
+        }
+
+        const init = await request('upload_init', {
+            file_name: file.name,
+            file_size: String(file.size),
+            file_hash: job.fileHash,
+            mime_type: file.type || ''
+        });
+        let offset = init.received_bytes || 0;
+        debug(`AIChatPageComponent: Chunked upload of ${file.name} starts at byte ${offset} of ${file.size}`);
+
+        while (offset < file.size) {
+            const chunk = file.slice(offset, offset + chunkSize);
+            this.setUploadProgress(job.preview, offset / file.size);
+            try {
+                const data = await request('upload_chunk', {
+                    upload_id: init.upload_id,
+                    offset: String(offset),
+                    chunk: new File([chunk], file.name, { type: 'application/octet-stream' })
+                }, (loaded) => {
+                    this.setUploadProgress(job.preview, (offset + loaded) / file.size);
+                });
+                offset = data.received_bytes;
+            } catch (error) {
+                // The server has a different offset (e.g. a lost response) – continue from there
+                const received = error.data ? error.data.received_bytes : undefined;
+                if (error.status === 409 && typeof received === 'number' && received !== offset) {
+                    offset = received;
+                    continue;
+                }
+                throw error;
+            }
+        }
+
+        // Storing (and a RAG upload) can take a moment after the last byte
+        this.setUploadProgress(job.preview, null);
+        return request('upload_finalize', { upload_id: init.upload_id });
+    }
+
+    /**
+     * Compute the SHA-256 of a file as hex string
+     *
+     * Reads the file slice by slice, so large uploads are never held in
+     * memory as a whole.
+     *
+     * @private
+     * @async
+     * @param {Blob} file - File to hash
+     * @returns {Promise<string>} Lower-case hex digest
+     */
+    async hashFile(file) {
+        const hash = new AIChatSha256();
+        const sliceSize = AIChatPageComponent.HASH_SLICE_SIZE;
+        for (let offset = 0; offset < file.size; offset += sliceSize) {
+            const slice = await file.slice(offset, offset + sliceSize).arrayBuffer();
+            hash.update(new Uint8Array(slice));
+        }
+        return hash.digestHex();
+    }
+
+    /**
+     * Send one upload request with byte-level progress
+     *
+     * Uses XMLHttpRequest because fetch reports no upload progress. Rejects
+     * with an Error whose `transient` flag marks failures worth retrying;
+     * `status` and `data` carry the HTTP status and parsed response.
+     *
+     * @private
+     * @param {Object} job - Upload queue entry (holds the running request for cancelling)
+     * @param {FormData} formData - Request body
+     * @param {Function|null} [onProgress=null] - Called with (loaded, total) bytes
+     * @returns {Promise<Object>} Parsed response of a successful request
+     */
+    sendUploadXhr(job, formData, onProgress = null) {
+        return new Promise((resolve, reject) => {
+            const fail = (message, transient, status = 0, data = null) => {
+                const error = new Error(message);
+                error.transient = transient;
+                error.status = status;
+                error.data = data;
+                reject(error);
+            };
+
+            if (job.cancelled) {
+                fail('Upload cancelled', false);
+                return;
+            }
+
+            const xhr = new XMLHttpRequest();
+            job.xhr = xhr;
+            xhr.open('POST', this.apiUrl);
+
+            xhr.upload.addEventListener('progress', (e) => {
+                if (onProgress && e.lengthComputable) {
+                    onProgress(e.loaded, e.total);
+                }
+            });
+
+            xhr.addEventListener('load', () => {
+                job.xhr = null;
+                let data = null;
+                try {
+                    data = JSON.parse(xhr.responseText);
+                } catch (jsonError) {
+                    debugError('Response is not JSON. Raw response:', String(xhr.responseText).substring(0, 500));
+                }
+
+                if (xhr.status >= 200 && xhr.status < 300 && data && data.success) {
+                    resolve(data);
+                    return;
+                }
+
+                if (data && data.details) {
+                    // Don't expose technical details to user
+                    debugError('Upload error details:', data.details);
+                }
+                // 409: a chunked upload is out of sync – a retry re-initialises and resumes it
+                const transient = xhr.status === 408 || xhr.status === 409 || xhr.status === 429 || xhr.status >= 500;
+                fail((data && data.error) || 'Upload failed', transient, xhr.status, data);
+            });
+            xhr.addEventListener('error', () => {
+                job.xhr = null;
+                fail('Network error', true);
+            });
+            xhr.addEventListener('timeout', () => {
+                job.xhr = null;
+                fail('Upload timed out', true);
+            });
+            xhr.addEventListener('abort', () => {
+                job.xhr = null;
+                fail('Upload cancelled', false);
+            });
+
+            xhr.send(formData);
+        });
+    }
+
+    /**
+     * Cancel a queued, running or retry-waiting upload
+     *
+     * @private
+     * @param {Object} job - Upload queue entry
+     */
+    cancelUpload(job) {
+        if (job.cancelled) {
+            return;
+        }
+        job.cancelled = true;
+        debug('AIChatPageComponent: Upload cancelled:', job.file.name);
+
+        if (job.xhr) {
+            job.xhr.abort();
+        }
+        if (job.retryTimer) {
+            clearTimeout(job.retryTimer);
+            job.wakeUp();
+        }
+        this.clearThumbnailUploading(job.preview);
+
+        // Not started yet: nothing else will take it off the queue
+        if (!job.started) {
+            this.uploadQueue = this.uploadQueue.filter(queued => queued !== job);
+            job.done();
+        }
+        if (this.attachments.length === 0 && this.uploadQueue.length === 0 && this.attachmentsArea) {
+            this.attachmentsArea.style.display = 'none';
+        }
+    }
+
+    /**
+     * Cancel all pending uploads
+     *
+     * @private
+     */
+    cancelAllUploads() {
+        [...this.uploadQueue].forEach(job => this.cancelUpload(job));
+    }
+
+    /**
+     * Show the progress of an upload on its preview thumbnail
+     *
+     * @private
+     * @param {HTMLElement|null} preview - Upload preview thumbnail
+     * @param {number|null} fraction - Uploaded share (0–1), null for indeterminate
+     * @param {string} [status=''] - Status text (e.g. while waiting for a retry)
+     */
+    setUploadProgress(preview, fraction, status = '') {
+        if (!preview) {
+            return;
+        }
+        const circle = preview.querySelector('.ai-chat-upload-circle');
+        const ring = preview.querySelector('.ai-chat-upload-circle circle');
+        if (!circle || !ring) {
+            return;
+        }
+
+        const determinate = typeof fraction === 'number';
+        circle.classList.toggle('is-determinate', determinate);
+        if (determinate) {
+            // The ring has a circumference of 2π·8 ≈ 50
+            ring.style.strokeDashoffset = String(50 * (1 - Math.min(1, Math.max(0, fraction))));
+            circle.setAttribute('aria-valuenow', String(Math.round(fraction * 100)));
+        } else {
+            ring.style.strokeDashoffset = '';
+            circle.removeAttribute('aria-valuenow');
+        }
+        preview.title = status || preview.dataset.fileName || '';
+    }
+    
+    /**
+     * Downscale and re-encode an image before upload
+     *
+     * Mirrors the server-side ImageOptimizer in the browser: the longer edge
+     * is limited to the configured maximum (data-upload-image-max-edge), EXIF
+     * orientation is applied and the image is always re-encoded, which drops
+     * all metadata including GPS positions. Images with transparency become
+     * WebP (if allowed), everything else JPEG; a PNG or WebP that is not
+     * resized keeps its format if JPEG would not be smaller. GIFs (possibly
+     * animated) and anything the browser cannot decode or encode are
+     * returned unchanged.
+     *
+     * @private
+     * @async
+     * @param {File} file - File chosen by the user
+     * @param {Array<string>} allowedTypes - Allowed MIME types
+     * @returns {Promise<File>} The processed file or the original one
+     */
+    async prepareImageForUpload(file, allowedTypes) {
+        const maxEdge = parseInt(this.container.dataset.uploadImageMaxEdge, 10);
+        if (!['image/jpeg', 'image/png', 'image/webp'].includes(file.type) || !(maxEdge > 0)) {
+            return file;
+        }
+
+        let bitmap = null;
+        try {
+            bitmap = await this.decodeImage(file);
+            const scale = Math.min(1, maxEdge / Math.max(bitmap.width, bitmap.height));
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+            canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+            const context = canvas.getContext('2d');
+            context.imageSmoothingQuality = 'high';
+            context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+            const transparent = file.type !== 'image/jpeg' && this.hasTransparency(context, canvas);
+            let targetType = 'image/jpeg';
+            if (transparent) {
+                targetType = allowedTypes.includes('image/webp') ? 'image/webp' : 'image/png';
+            } else if (!allowedTypes.includes('image/jpeg')) {
+                targetType = file.type;
+            }
+
+            // Same quality as the server-side ImageOptimizer
+            const encode = type => new Promise(resolve => canvas.toBlob(resolve, type, 0.85));
+            let blob = await encode(targetType);
+
+            // Without resizing, converting to JPEG is only worth it if smaller;
+            // the original format is re-encoded instead (metadata must go anyway)
+            if (scale === 1 && targetType !== file.type && (!blob || blob.size >= file.size)) {
+                blob = await encode(file.type);
+            }
+
+            // toBlob falls back to PNG for formats the browser cannot encode
+            if (!blob || !allowedTypes.includes(blob.type)) {
+                return file;
+            }
+            targetType = blob.type;
+
+            const extension = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' }[targetType];
+            const name = file.name.replace(/\.[^.]*$/, '') + '.' + extension;
+            debug('AIChatPageComponent: Image prepared for upload:', {
+                name: name,
+                originalSize: file.size,
+                size: blob.size,
+                width: canvas.width,
+                height: canvas.height
+            });
+            return new File([blob], name, { type: targetType, lastModified: file.lastModified });
+        } catch (error) {
+            debugError('AIChatPageComponent: Image preprocessing failed, uploading original:', error);
+            return file;
+        } finally {
+            if (bitmap && typeof bitmap.close === 'function') {
+                bitmap.close();
+            }
+        }
+    }
+
+    /**
+     * Decode an image file with its EXIF orientation applied
+     *
+     * @private
+     * @async
+     * @param {File} file - Image file
+     * @returns {Promise<ImageBitmap|HTMLImageElement>} Drawable image
+     */
+    async decodeImage(file) {
+        if (typeof createImageBitmap === 'function') {
+            return createImageBitmap(file, { imageOrientation: 'from-image' });
+        }
+
+        // Browsers apply EXIF orientation to <img> by default (image-orientation: from-image)
+        const url = URL.createObjectURL(file);
+        try {
+            return await new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error('Image could not be decoded'));
+                image.src = url;
+            });
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Whether a drawn image has any transparent pixel
+     *
+     * @private
+     * @param {CanvasRenderingContext2D} context - Context the image was drawn on
+     * @param {HTMLCanvasElement} canvas - The canvas
+     * @returns {boolean}
+     */
+    hasTransparency(context, canvas) {
+        const data = context.getImageData(0, 0, canvas.width, canvas.height).data;
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] < 255) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Creates a temporary thumbnail preview with circular progress indicator for file uploads
+     * @param {File} file - The file being uploaded
+     * @param {string|null} dataUrl - Preview URL for images, null for other file types
+     * @returns {HTMLElement|null} The created upload preview element
+     */
+    createUploadPreview(file, dataUrl) {
+        if (!this.attachmentsList) return null;
+        
+        // Ensure attachment area is visible and styled
+        this.attachmentsArea.style.display = 'flex';
+        this.attachmentsArea.style.cssText += `
+            flex-wrap: wrap;
+            gap: 8px;
+            margin-bottom: 8px;
+            padding: 8px;
+        `;
+        
+        // Create thumbnail container with upload styling
+        const uploadPreview = document.createElement('div');
+        uploadPreview.className = 'ai-chat-attachment-uploading';
+        uploadPreview.style.cssText = `
+            position: relative;
+            margin: 4px 0;
+            border-radius: 8px;
+            overflow: hidden;
+            width: 80px;
+            height: 80px;
+            cursor: pointer;
+            flex-shrink: 0;
+        `;
+        
+        if (file.type.startsWith('image/') && dataUrl) {
+            // Create image preview from file data
+            const img = document.createElement('img');
+            img.style.cssText = `
+                width: 100%;
+                height: 100%;
+                object-fit: cover;
+                border-radius: 8px;
+            `;
+            img.src = dataUrl;
+            uploadPreview.appendChild(img);
+        } else {
+            // Create file type icon for non-images
+            const fileIcon = document.createElement('div');
+            fileIcon.style.cssText = `
+                width: 100%;
+                height: 100%;
+                background: var(--chat-bg-secondary, #f5f5f5);
+                border: 1px solid var(--chat-border, #ddd);
+                border-radius: 8px;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                font-size: 24px;
+            `;
+            fileIcon.textContent = file.type.includes('pdf') ? '📄' : '📎';
+            uploadPreview.appendChild(fileIcon);
+        }
+        
+        // Add circular progress indicator (animated until the first progress event)
+        const circleDiv = document.createElement('div');
+        circleDiv.className = 'ai-chat-upload-circle';
+        circleDiv.setAttribute('role', 'progressbar');
+        circleDiv.setAttribute('aria-valuemin', '0');
+        circleDiv.setAttribute('aria-valuemax', '100');
+        circleDiv.setAttribute('aria-label', file.name);
+        circleDiv.innerHTML = `
+            <svg viewBox="0 0 20 20" aria-hidden="true" focusable="false">
+                <circle cx="10" cy="10" r="8"></circle>
+            </svg>
+        `;
+        uploadPreview.appendChild(circleDiv);
+        uploadPreview.dataset.fileName = file.name;
+        uploadPreview.title = file.name;
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'ai-chat-upload-cancel';
+        cancelBtn.title = this.lang.uploadCancel;
+        cancelBtn.setAttribute('aria-label', `${this.lang.uploadCancel}: ${file.name}`);
+        cancelBtn.textContent = '×';
+        uploadPreview.appendChild(cancelBtn);
+        
+        // Insert into attachment display area
+        this.attachmentsList.appendChild(uploadPreview);
+        
+        return uploadPreview;
+    }
+    
+    
+    /**
+     * Removes the temporary upload preview thumbnail
+     * @param {HTMLElement} thumbnail - The upload preview element to remove
+     */
+    clearThumbnailUploading(thumbnail) {
+        if (!thumbnail) return;
+        
+        // Remove temporary upload preview - real attachment thumbnail will be created by updateAttachmentsDisplay()
+        thumbnail.remove();
+    }
+    
+    
+    
+    
+    
+    updateAttachmentsDisplay() {
+        debug('AIChatPageComponent: updateAttachmentsDisplay called', {
+            attachmentsList: !!this.attachmentsList,
+            attachmentsCount: this.attachments.length,
+            attachments: this.attachments
+        });
+        
+        if (!this.attachmentsList) {
+            debug('AIChatPageComponent: attachmentsList not found, cannot update display');
+            return;
+        }
+        
+        // Running uploads keep their previews across the rebuild
+        const uploading = Array.from(this.attachmentsList.querySelectorAll('.ai-chat-attachment-uploading'));
+        this.attachmentsList.innerHTML = '';
+        
+        if (this.attachments.length === 0 && uploading.length === 0) {
+            this.attachmentsArea.style.display = 'none';
+            debug('AIChatPageComponent: No attachments, hiding area');
+            return;
+        }
+        
+        this.attachmentsArea.style.display = 'flex';
+        this.attachmentsArea.style.cssText += `
+            flex-wrap: wrap;
+            gap: 8px;
+            margin-bottom: 8px;
+            padding: 8px;
+        `;
+        
+        debug('AIChatPageComponent: Showing attachments area, processing attachments');
+        
+        this.attachments.forEach((attachment, index) => {
+            debug('AIChatPageComponent: Processing attachment', {
+                index: index,
+                attachment: attachment,
+                is_image: attachment.is_image,
+                has_data_url: !!attachment.data_url,
+                has_preview_url: !!attachment.preview_url
+            });
+            
+            if (attachment.is_image && (attachment.data_url || attachment.preview_url)) {
+                // Image preview (same as in messages)
+                debug('AIChatPageComponent: Creating image preview for attachment', index);
+                this.createUploadImagePreview(attachment, index);
+            } else {
+                // Document preview (same style as in messages)
+                debug('AIChatPageComponent: Creating document preview for attachment', index);
+                this.createUploadDocumentPreview(attachment, index);
+            }
+        });
+
+        uploading.forEach(preview => this.attachmentsList.appendChild(preview));
+        
+        debug('AIChatPageComponent: updateAttachmentsDisplay completed');
+    }
+    
+    createUploadImagePreview(attachment, index) {
+        const imageContainer = document.createElement('div');
+        imageContainer.style.cssText = `
+            position: relative;
+            margin: 4px 0;
+            border-radius: 8px;
+            overflow: hidden;
+            width: 80px;
+            height: 80px;
+            cursor: pointer;
+            flex-shrink: 0;
+        `;
+        
+        const img = document.createElement('img');
+        img.style.cssText = `
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+            border-radius: 8px;
+        `;
+        const imgSrc = attachment.data_url || attachment.preview_url;
+        img.src = imgSrc;
+        img.alt = attachment.title;
+        
+        // Remove button (consistent styling)
+        const removeBtn = this.createRemoveButton(index);
+        
+        imageContainer.appendChild(img);
+        imageContainer.appendChild(removeBtn);
+        this.attachmentsList.appendChild(imageContainer);
+    }
+    
+    createUploadDocumentPreview(attachment, index) {
+        // Same height as images (80px total)
+        const docContainer = document.createElement('div');
+        docContainer.style.cssText = `
+            position: relative;
+            display: flex;
+            align-items: center;
+            padding: 8px 12px;
+            border-radius: 8px;
+            border: 1px solid #d0d0d0;
+            background: white;
+            width: 200px;
+            height: 80px;
+            cursor: pointer;
+            margin: 4px 0;
+            box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+            flex-shrink: 0;
+        `;
+        
+        // Determine file type and colors
+        let bgColor = '#ff6b6b'; // Default red for PDF
+        let docType = 'PDF';
+        let docIcon = '📄';
+        
+        if (attachment.mime_type) {
+            if (attachment.mime_type.includes('word')) {
+                bgColor = '#2b579a';
+                docType = 'DOC';
+                docIcon = '📝';
+            } else if (attachment.mime_type.includes('excel') || attachment.mime_type.includes('sheet')) {
+                bgColor = '#217346';
+                docType = 'XLS';
+                docIcon = '📊';
+            } else if (attachment.mime_type.includes('powerpoint') || attachment.mime_type.includes('presentation')) {
+                bgColor = '#d24726';
+                docType = 'PPT';
+                docIcon = '📽️';
+            } else if (!attachment.mime_type.includes('pdf')) {
+                bgColor = '#666666';
+                docType = attachment.title ? attachment.title.split('.').pop().toUpperCase() : 'FILE';
+                docIcon = '📁';
+            }
+        }
+        
+        // Icon container
+        const iconContainer = document.createElement('div');
+        iconContainer.style.cssText = `
+            width: 28px;
+            height: 28px;
+            border-radius: 6px;
+            background: ${bgColor};
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            margin-right: 10px;
+            flex-shrink: 0;
+        `;
+        
+        const fileIcon = document.createElement('div');
+        fileIcon.style.cssText = `
+            font-size: 14px;
+            color: white;
+        `;
+        fileIcon.innerHTML = docIcon;
+        iconContainer.appendChild(fileIcon);
+        
+        // File info
+        const fileInfoContainer = document.createElement('div');
+        fileInfoContainer.style.cssText = `
+            flex: 1;
+            min-width: 0;
+        `;
+        
+        const filename = document.createElement('div');
+        filename.style.cssText = `
+            font-size: 13px;
+            font-weight: 600;
+            color: #333;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            line-height: 1.2;
+        `;
+        const filenameText = (attachment.title || 'Document').replace(/\.(pdf|docx?|xlsx?|pptx?)$/i, '');
+        filename.textContent = filenameText;
+        
+        const typeInfo = document.createElement('div');
+        typeInfo.style.cssText = `
+            font-size: 11px;
+            color: #666;
+            margin-top: 1px;
+        `;
+        const sizeKB = attachment.size ? Math.round(attachment.size / 1024) : '?';
+        typeInfo.textContent = `${docType} • ${sizeKB} KB`;
+        
+        fileInfoContainer.appendChild(filename);
+        fileInfoContainer.appendChild(typeInfo);
+        
+        // Remove button (consistent styling)
+        const removeBtn = this.createRemoveButton(index);
+        
+        docContainer.appendChild(iconContainer);
+        docContainer.appendChild(fileInfoContainer);
+        docContainer.appendChild(removeBtn);
+        this.attachmentsList.appendChild(docContainer);
+    }
+    
+    createRemoveButton(index) {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'ai-chat-upload-remove';
+        removeBtn.style.cssText = `
+            position: absolute;
+            top: 4px;
+            right: 4px;
+            width: 18px;
+            height: 18px;
+            border-radius: 50%;
+            background: rgba(255, 255, 255, 0.9);
+            color: #333;
+            border: 1px solid rgba(0, 0, 0, 0.1);
+            font-family: Arial, sans-serif;
+            font-size: 12px;
+            font-weight: bold;
+            cursor: pointer;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 10;
+            line-height: 1;
+            padding: 0;
+            margin: 0;
+            box-shadow: 0 1px 3px rgba(0, 0, 0, 0.12);
+        `;
+        removeBtn.textContent = '×';
+        removeBtn.title = this.container.dataset.removeAttachment || 'Anhang entfernen';
+        removeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.removeAttachment(index);
+        });
+        
+        return removeBtn;
+    }
+    
+    removeAttachment(index) {
+        this.attachments.splice(index, 1);
+        this.updateAttachmentsDisplay();
+        this.scheduleDraftSave();
+    }
+    
+    clearAttachments() {
+        this.attachments = [];
+        this.updateAttachmentsDisplay();
+    }
+    
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 B';
+        const k = 1024;
+        const sizes = ['B', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+    }
+    
+    async createImagePreview(file) {
+        return new Promise((resolve) => {
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                resolve(e.target.result);
+            };
+            reader.onerror = () => {
+                resolve(null);
+            };
+            reader.readAsDataURL(file);
+        });
+    }
+    
+    /**
+     * Disable input and show a notice when no AI service is configured.
+     * History (if persistent) is still loaded and readable.
+     */
+    disableInputForUnavailableService(showMessage = true) {
+        this.serviceUnavailable = true;
+
+        if (this.inputArea) this.inputArea.disabled = true;
+
+        const sendBtn = this.container.querySelector('.ai-chat-send');
+        if (sendBtn) sendBtn.disabled = true;
+
+        const attachBtn = this.container.querySelector('.ai-chat-attach-btn');
+        if (attachBtn) attachBtn.disabled = true;
+
+        if (showMessage) {
+            const notice = this.container.dataset.noServiceAvailable
+                || 'No AI service is currently available.';
+            setTimeout(() => this.addMessageToDisplay('system', notice), 100);
+        }
+    }
+
+    // ── Message tree (branching) ─────────────────────────────────────────────
+
+    /**
+     * Add a message to the tree below the current branch and select it
+     *
+     * Messages that are not yet stored on the server get a temporary
+     * "local-N" id which is replaced once the server reports the real id.
+     *
+     * @private
+     * @param {string} role - Message role ('user' or 'assistant')
+     * @param {string} content - Message content
+     * @param {Array<Object>} [attachments=[]] - Attachment metadata
+     * @param {Array<Object>|null} [sources=null] - RAG source citations
+     * @param {Object|null} [usage=null] - Token usage data
+     * @param {number|string|null} [id=null] - Server message id, if known
+     * @param {string|null} [parentId] - Parent node id, defaults to the active leaf
+     * @returns {Object} The created tree node
+     */
+    addMessageNode(role, content, attachments = [], sources = null, usage = null, id = null, parentId = undefined) {
+        const nodeId = (id !== null && id !== undefined) ? String(id) : `local-${++this.localNodeSeq}`;
+        const node = {
+            id: nodeId,
+            parentId: parentId === undefined ? this.activeLeafId : parentId,
+            role: role,
+            content: content,
+            timestamp: Date.now(),
+            attachments: attachments || [],
+            sources: sources,
+            usage: usage,
+            siblingIds: null
+        };
+
+        this.messageNodes.set(nodeId, node);
+        this.activeLeafId = nodeId;
+        this.rebuildMessageHistory();
+
+        return node;
+    }
+
+    /**
+     * Recompute messageHistory from the active leaf up to the root
+     * @private
+     */
+    rebuildMessageHistory() {
+        this.messageHistory = this.getActivePath();
+    }
+
+    /**
+     * Get the nodes of the selected branch in conversation order
+     * @private
+     * @returns {Array<Object>} Nodes from root to active leaf
+     */
+    getActivePath() {
+        const path = [];
+        const visited = new Set();
+        let node = this.messageNodes.get(this.activeLeafId);
+
+        while (node && !visited.has(node.id)) {
+            visited.add(node.id);
+            path.unshift(node);
+            node = node.parentId !== null ? this.messageNodes.get(node.parentId) : null;
+        }
+
+        return path;
+    }
+
+    /**
+     * Order node ids by creation: server ids numerically, unsaved ones last
+     * @private
+     * @param {string} a - First node id
+     * @param {string} b - Second node id
+     * @returns {number} Sort order
+     */
+    compareMessageIds(a, b) {
+        const aServer = this.isServerMessageId(a);
+        const bServer = this.isServerMessageId(b);
+        if (aServer !== bServer) {
+            return aServer ? -1 : 1;
+        }
+        const aNum = aServer ? Number(a) : Number(a.replace('local-', ''));
+        const bNum = bServer ? Number(b) : Number(b.replace('local-', ''));
+        return aNum - bNum;
+    }
+
+    /**
+     * Get all versions of a message, i.e. the children of its parent
+     *
+     * Combines the sibling lists reported by the server with siblings that
+     * were created locally since the history was loaded.
+     *
+     * @private
+     * @param {Object} node - Tree node
+     * @returns {Array<string>} Sorted sibling ids including the node itself
+     */
+    getSiblingIds(node) {
+        const ids = new Set(node.siblingIds || []);
+        ids.add(node.id);
+        this.messageNodes.forEach(other => {
+            if (other.parentId === node.parentId) {
+                ids.add(other.id);
+                (other.siblingIds || []).forEach(id => ids.add(id));
+            }
+        });
+        return [...ids].sort((a, b) => this.compareMessageIds(a, b));
+    }
+
+    /**
+     * Follow the most recent child of each node down to a leaf
+     * @private
+     * @param {string} nodeId - Node to start from
+     * @returns {string} Id of the leaf
+     */
+    findLatestLeaf(nodeId) {
+        let currentId = nodeId;
+        const visited = new Set();
+
+        while (!visited.has(currentId)) {
+            visited.add(currentId);
+            const children = [];
+            this.messageNodes.forEach(node => {
+                if (node.parentId === currentId) {
+                    children.push(node.id);
+                }
+            });
+            if (children.length === 0) {
+                break;
+            }
+            currentId = children.sort((a, b) => this.compareMessageIds(a, b)).pop();
+        }
+
+        return currentId;
+    }
+
+    /**
+     * Check whether a node id refers to a message stored on the server
+     * @private
+     * @param {string|null} id - Node id
+     * @returns {boolean}
+     */
+    isServerMessageId(id) {
+        return id !== null && id !== undefined && /^\d+$/.test(String(id));
+    }
+
+    /**
+     * Check whether a user message can be edited
+     *
+     * An edit names the original message (edit_message_id), so in stored
+     * conversations the server id must be known first, see confirmUserMessageId().
+     *
+     * @private
+     * @param {string} id - Node id
+     * @returns {boolean}
+     */
+    canEditMessage(id) {
+        return this.isAnonymous || this.isServerMessageId(id);
+    }
+
+    /**
+     * Enable the edit button of a message once it can be edited
+     *
+     * @private
+     * @param {HTMLElement} messageDiv - Rendered message element
+     */
+    updateEditButton(messageDiv) {
+        const editBtn = messageDiv.querySelector('.ai-chat-edit-btn');
+        if (editBtn) {
+            editBtn.disabled = !this.canEditMessage(messageDiv.dataset.messageId);
+        }
+    }
+
+    /**
+     * Replace a temporary node id with the id assigned by the server
+     * @private
+     * @param {string} oldId - Current (temporary) node id
+     * @param {number|string} newId - Server message id
+     */
+    renameMessageNode(oldId, newId) {
+        const node = this.messageNodes.get(oldId);
+        newId = String(newId);
+        if (!node || oldId === newId) {
+            return;
+        }
+
+        this.messageNodes.delete(oldId);
+        node.id = newId;
+        this.messageNodes.set(newId, node);
+
+        this.messageNodes.forEach(other => {
+            if (other.parentId === oldId) {
+                other.parentId = newId;
+            }
+        });
+        if (this.activeLeafId === oldId) {
+            this.activeLeafId = newId;
+        }
+
+        const messageDiv = this.messagesArea.querySelector(`.ai-chat-message[data-message-id="${oldId}"]`);
+        if (messageDiv) {
+            messageDiv.dataset.messageId = newId;
+            this.updateEditButton(messageDiv);
+        }
+    }
+
+    /**
+     * Attach the server id to the user message that was just answered
+     * @private
+     * @param {number|string|null} userMessageId - Id reported by the server
+     */
+    confirmUserMessageId(userMessageId) {
+        if (!userMessageId) {
+            return;
+        }
+        const leaf = this.messageNodes.get(this.activeLeafId);
+        if (leaf && leaf.role === 'user' && !this.isServerMessageId(leaf.id)) {
+            this.renameMessageNode(leaf.id, userMessageId);
+            this.rebuildMessageHistory();
+        }
+    }
+
+    /**
+     * Merge messages returned by load_chat / select_branch into the tree
+     * @private
+     * @param {Array<Object>} messages - Messages as formatted by the server
+     */
+    mergeServerMessages(messages) {
+        messages.forEach(msg => {
+            if (msg.message_id === undefined || msg.message_id === null) {
+                return;
+            }
+            const id = String(msg.message_id);
+            this.messageNodes.set(id, {
+                id: id,
+                parentId: msg.parent_id ? String(msg.parent_id) : null,
+                role: msg.role,
+                content: msg.content || msg.message || '',
+                timestamp: msg.timestamp || Date.now(),
+                attachments: msg.attachments || [],
+                sources: msg.sources || null,
+                usage: msg.usage || null,
+                siblingIds: (msg.sibling_ids || [msg.message_id]).map(String)
+            });
+        });
+    }
+
+    /**
+     * Re-render the messages area with the selected branch
+     * @private
+     */
+    renderActiveBranch() {
+        this.messagesArea.querySelectorAll('.ai-chat-message:not(.system), .ai-chat-welcome, .ai-chat-load-earlier')
+            .forEach(el => el.remove());
+        this.clearFollowUps();
+
+        if (this.messageHistory.length === 0) {
+            this.showWelcomeMessage();
+            return;
+        }
+
+        this.messageHistory.forEach(node => this.renderMessageNode(node));
+        this.updateLoadEarlierControl();
+
+        // Keep search highlights when the branch is re-rendered
+        if (this.searchTerm) {
+            this.highlightSearchMatches();
+        }
+
+        this.scrollToBottom();
+    }
+
+    /**
+     * Render a single tree node at the end of the messages area
+     * @private
+     * @param {Object} node - Tree node
+     * @returns {HTMLElement|null} Rendered element, null for skipped empty messages
+     */
+    renderMessageNode(node) {
+        // Skip empty messages (usually from file uploads without text)
+        if (node.content.trim() === '' && node.attachments.length === 0) {
+            debug('AIChatPageComponent: Skipping empty message');
+            return null;
+        }
+        const messageDiv = this.displayMessageOnly(node.role, node.content, node.attachments, node.sources, node.usage);
+        this.decorateMessageNode(messageDiv, node);
+        return messageDiv;
+    }
+
+    /**
+     * Show or remove the "load earlier messages" control at the top
+     * @private
+     */
+    updateLoadEarlierControl() {
+        let control = this.messagesArea.querySelector('.ai-chat-load-earlier');
+
+        if (!this.hasOlderMessages) {
+            if (control) {
+                control.remove();
+            }
+            return;
+        }
+
+        if (!control) {
+            control = document.createElement('div');
+            control.className = 'ai-chat-load-earlier';
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = this.lang.loadEarlierMessages;
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.loadOlderMessages();
+            });
+
+            control.appendChild(button);
+        }
+
+        // Always keep the control above the first message
+        this.messagesArea.insertBefore(control, this.messagesArea.firstChild);
+    }
+
+    /**
+     * Load the page of messages before the oldest displayed one
+     *
+     * The older messages are prepended and the scroll position is kept, so
+     * the message the user was looking at stays in place.
+     *
+     * @async
+     * @private
+     * @returns {Promise<boolean>} True if a page was loaded
+     */
+    async loadOlderMessages() {
+        if (this.loadingOlderMessages || !this.hasOlderMessages || this.messageHistory.length === 0) {
+            return false;
+        }
+
+        const oldest = this.messageHistory[0];
+        if (!this.isServerMessageId(oldest.id)) {
+            return false;
+        }
+
+        this.loadingOlderMessages = true;
+        this.messagesArea.classList.add('loading-older');
+
+        try {
+            const response = await fetch(this.apiUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    action: 'load_chat',
+                    chat_id: this.chatId,
+                    session_id: this.currentSessionId,
+                    before_id: Number(oldest.id)
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Unknown error');
+            }
+
+            const previousLength = this.messageHistory.length;
+            this.hasOlderMessages = !!data.has_more;
+            this.mergeServerMessages(data.messages || []);
+            this.rebuildMessageHistory();
+
+            const olderNodes = this.messageHistory.slice(0, this.messageHistory.length - previousLength);
+            const anchor = this.messagesArea.querySelector('.ai-chat-message');
+            const distanceFromBottom = this.messagesArea.scrollHeight - this.messagesArea.scrollTop;
+
+            olderNodes.forEach(node => {
+                const messageDiv = this.renderMessageNode(node);
+                if (messageDiv && anchor) {
+                    this.messagesArea.insertBefore(messageDiv, anchor);
+                }
+            });
+
+            this.updateLoadEarlierControl();
+            if (this.searchTerm) {
+                this.highlightSearchMatches();
+            }
+            this.messagesArea.scrollTop = this.messagesArea.scrollHeight - distanceFromBottom;
+            return true;
+        } catch (error) {
+            debugError('AIChatPageComponent: Failed to load older messages:', error);
+            return false;
+        } finally {
+            this.loadingOlderMessages = false;
+            this.messagesArea.classList.remove('loading-older');
+        }
+    }
+
+    /**
+     * Link a rendered message to its tree node and add the version switcher
+     * @private
+     * @param {HTMLElement} messageDiv - Rendered message element
+     * @param {Object} node - Tree node
+     */
+    decorateMessageNode(messageDiv, node) {
+        if (!messageDiv) {
+            return;
+        }
+        messageDiv.dataset.messageId = node.id;
+        this.updateEditButton(messageDiv);
+
+        const existing = messageDiv.querySelector('.ai-chat-branch-switcher');
+        if (existing) {
+            existing.remove();
+        }
+
+        const siblings = this.getSiblingIds(node);
+        if (siblings.length < 2) {
+            return;
+        }
+
+        let actionsDiv = messageDiv.querySelector('.ai-chat-message-actions');
+        if (!actionsDiv) {
+            actionsDiv = document.createElement('div');
+            actionsDiv.className = 'ai-chat-message-actions';
+            messageDiv.appendChild(actionsDiv);
+        }
+        actionsDiv.insertBefore(this.createBranchSwitcher(node, siblings), actionsDiv.firstChild);
+    }
+
+    /**
+     * Create the "‹ 2/3 ›" control for switching between message versions
+     * @private
+     * @param {Object} node - Tree node currently shown
+     * @param {Array<string>} siblings - All versions of the message
+     * @returns {HTMLElement} Switcher element
+     */
+    createBranchSwitcher(node, siblings) {
+        const index = siblings.indexOf(node.id);
+
+        const switcher = document.createElement('div');
+        switcher.className = 'ai-chat-branch-switcher';
+
+        const prevBtn = document.createElement('button');
+        prevBtn.type = 'button';
+        prevBtn.className = 'ai-chat-message-action ai-chat-branch-prev';
+        prevBtn.title = this.lang.branchPrevious;
+        prevBtn.setAttribute('aria-label', this.lang.branchPrevious);
+        prevBtn.disabled = index <= 0;
+        prevBtn.innerHTML = `
+            <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true" focusable="false">
+                <path fill-rule="evenodd" d="M11.354 1.646a.5.5 0 0 1 0 .708L5.707 8l5.647 5.646a.5.5 0 0 1-.708.708l-6-6a.5.5 0 0 1 0-.708l6-6a.5.5 0 0 1 .708 0z"/>
+            </svg>
+        `;
+        prevBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.switchBranch(siblings[index - 1]);
+        });
+
+        const position = document.createElement('span');
+        position.className = 'ai-chat-branch-position';
+        position.textContent = `${index + 1}/${siblings.length}`;
+        position.title = this.lang.branchPosition
+            .replace('%s', index + 1)
+            .replace('%s', siblings.length);
+
+        const nextBtn = document.createElement('button');
+        nextBtn.type = 'button';
+        nextBtn.className = 'ai-chat-message-action ai-chat-branch-next';
+        nextBtn.title = this.lang.branchNext;
+        nextBtn.setAttribute('aria-label', this.lang.branchNext);
+        nextBtn.disabled = index >= siblings.length - 1;
+        nextBtn.innerHTML = `
+            <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true" focusable="false">
+                <path fill-rule="evenodd" d="M4.646 1.646a.5.5 0 0 1 .708 0l6 6a.5.5 0 0 1 0 .708l-6 6a.5.5 0 0 1-.708-.708L10.293 8 4.646 2.354a.5.5 0 0 1 0-.708z"/>
+            </svg>
+        `;
+        nextBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.switchBranch(siblings[index + 1]);
+        });
+
+        switcher.appendChild(prevBtn);
+        switcher.appendChild(position);
+        switcher.appendChild(nextBtn);
+
+        return switcher;
+    }
+
+    /**
+     * Show another version of a message and the conversation that follows it
+     *
+     * For stored conversations the selection is made on the server, which
+     * also returns the messages of that branch. Branches that only exist in
+     * the browser (anonymous sessions) are selected locally.
+     *
+     * @async
+     * @private
+     * @param {string} targetId - Id of the version to show
+     * @returns {Promise<void>}
+     */
+    async switchBranch(targetId) {
+        if (this.isLoading || !targetId) {
+            return;
+        }
+
+        if (!this.isAnonymous && this.isServerMessageId(targetId)) {
+            try {
+                const response = await fetch(this.apiUrl, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        action: 'select_branch',
+                        chat_id: this.chatId,
+                        session_id: this.currentSessionId,
+                        message_id: Number(targetId)
+                    })
+                });
+
+                if (response.ok) {
+                    const data = await response.json();
+                    if (data.success && data.messages && data.messages.length > 0) {
+                        this.hasOlderMessages = !!data.has_more;
+                        this.mergeServerMessages(data.messages);
+                        this.activeLeafId = String(data.messages[data.messages.length - 1].message_id);
+                        this.rebuildMessageHistory();
+                        this.renderActiveBranch();
+                        this.saveChatHistory();
+                        return;
+                    }
+                }
+            } catch (error) {
+                debugError('AIChatPageComponent: Failed to switch branch on server:', error);
+            }
+        }
+
+        if (!this.messageNodes.has(targetId)) {
+            return;
+        }
+
+        this.activeLeafId = this.findLatestLeaf(targetId);
+        this.rebuildMessageHistory();
+        this.renderActiveBranch();
+        this.saveChatHistory();
+    }
+
+    /**
+     * Add branch related parameters to a send request
+     *
+     * Anonymous sessions are stateless, so the selected branch is sent along
+     * as conversation history. A pending regeneration tells the server which
+     * stored user message to answer again instead of adding a new one; a
+     * pending edit names the user message the new one is a version of.
+     *
+     * @private
+     * @param {Object} requestBody - Request payload to extend
+     */
+    applyConversationParams(requestBody) {
+        if (this.isAnonymous) {
+            requestBody.conversation_history = this.getConversationHistory();
+        }
+        if (this.currentSessionId) {
+            requestBody.session_id = this.currentSessionId;
+        }
+        if (this.pendingRegenerateId && this.isServerMessageId(this.pendingRegenerateId)) {
+            requestBody.regenerate_message_id = Number(this.pendingRegenerateId);
+        }
+        if (this.pendingEditId && this.isServerMessageId(this.pendingEditId)) {
+            requestBody.edit_message_id = Number(this.pendingEditId);
+        }
+    }
+
+    /**
+     * Get the selected branch as history for stateless requests
+     *
+     * The trailing user message is left out because it is sent as the
+     * current message.
+     *
+     * @private
+     * @returns {Array<{role: string, message: string}>}
+     */
+    getConversationHistory() {
+        const path = [...this.messageHistory];
+        if (path.length > 0 && path[path.length - 1].role === 'user') {
+            path.pop();
+        }
+        return path.map(node => ({
+            role: node.role,
+            message: node.role === 'assistant' ? this.stripReasoning(node.content) : node.content
+        }));
+    }
+
+    // ── Reasoning ────────────────────────────────────────────────────────────
+
+    /**
+     * Split model output into reasoning and answer
+     *
+     * Reasoning models wrap their chain of thought in <think> or <thinking>
+     * tags (the server wraps separately delivered reasoning the same way). A
+     * tag that is not closed yet runs to the end of the text. Only a block at
+     * the very start counts; tags later in the answer (e.g. an explanation of
+     * the format) are content.
+     *
+     * @private
+     * @param {string} text - Raw message content
+     * @returns {{reasoning: string, answer: string, open: boolean}}
+     */
+    splitReasoning(text) {
+        const match = (text || '').match(/^\s*<(think|thinking)>([\s\S]*?)(<\/\1>|$)/i);
+
+        if (!match) {
+            return { reasoning: '', answer: text || '', open: false };
+        }
+        return {
+            reasoning: match[2].trim(),
+            answer: text.slice(match[0].length).replace(/^\s+/, ''),
+            open: match[3] === ''
+        };
+    }
+
+    /**
+     * Remove reasoning from message content (copy, export, model history)
+     *
+     * @private
+     * @param {string} text - Raw message content
+     * @returns {string} Answer without reasoning
+     */
+    stripReasoning(text) {
+        return this.splitReasoning(text).answer;
+    }
+
+    /**
+     * Build the collapsed disclosure for the reasoning of a message
+     *
+     * @private
+     * @param {string} reasoning - Reasoning text (markdown)
+     * @param {number|null} [seconds=null] - Reasoning time, if known
+     * @returns {string} HTML string
+     */
+    buildReasoningHtml(reasoning, seconds = null) {
+        return `<details class="ai-chat-thinking-block">
+            <summary class="ai-chat-thinking-header">${this.escapeHtml(this.getReasoningLabel(seconds, false))}</summary>
+            <div class="ai-chat-thinking-content">${this.renderMarkdown(reasoning)}</div>
+        </details>`;
+    }
+
+    /**
+     * Label of the reasoning disclosure
+     *
+     * @private
+     * @param {number|null} seconds - Reasoning time, null if unknown (stored messages)
+     * @param {boolean} running - Whether the model is still reasoning
+     * @returns {string}
+     */
+    getReasoningLabel(seconds, running) {
+        if (seconds === null) {
+            return this.lang.thinkingHeader;
+        }
+        return (running ? this.lang.reasoningRunning : this.lang.reasoningDone).replace('%s', String(seconds));
+    }
+
+    /**
+     * Show streamed reasoning in a collapsed disclosure with a running timer
+     *
+     * The reasoning is shown as plain text while streaming; finalizing the
+     * message renders it as markdown.
+     *
+     * @private
+     * @param {Object} messageElement - Streaming message element and render state
+     * @param {string} reasoning - Reasoning received so far
+     * @param {boolean} open - Whether the model is still reasoning
+     */
+    updateStreamingReasoning(messageElement, reasoning, open) {
+        if (!messageElement.reasoningEl) {
+            const details = document.createElement('details');
+            details.className = 'ai-chat-thinking-block';
+            const summary = document.createElement('summary');
+            summary.className = 'ai-chat-thinking-header';
+            const body = document.createElement('div');
+            body.className = 'ai-chat-thinking-content';
+            details.append(summary, body);
+            messageElement.contentEl.insertBefore(details, messageElement.contentEl.firstChild);
+
+            messageElement.reasoningEl = details;
+            messageElement.reasoningSummary = summary;
+            messageElement.reasoningBody = body;
+            messageElement.reasoningStart = Date.now();
+            messageElement.reasoningEnd = null;
+            messageElement.reasoningTimer = setInterval(() => this.updateReasoningSummary(messageElement), 1000);
+        }
+
+        messageElement.reasoningBody.textContent = reasoning;
+        if (!open && !messageElement.reasoningEnd) {
+            messageElement.reasoningEnd = Date.now();
+            this.stopReasoningTimer(messageElement);
+        }
+        this.updateReasoningSummary(messageElement);
+    }
+
+    /**
+     * Refresh the "Thinking… (Ns)" label of a streaming message
+     *
+     * Stops the timer once the message is no longer streaming (stopped,
+     * failed or removed).
+     *
+     * @private
+     * @param {Object} messageElement - Streaming message element and render state
+     */
+    updateReasoningSummary(messageElement) {
+        if (!messageElement.messageEl.isConnected || !messageElement.messageEl.classList.contains('streaming')) {
+            messageElement.reasoningEnd = messageElement.reasoningEnd || Date.now();
+            this.stopReasoningTimer(messageElement);
+        }
+        messageElement.reasoningSummary.textContent = this.getReasoningLabel(
+            this.getReasoningSeconds(messageElement),
+            !messageElement.reasoningEnd
+        );
+    }
+
+    /**
+     * Seconds the model has been (or was) reasoning
+     *
+     * @private
+     * @param {Object} messageElement - Streaming message element and render state
+     * @returns {number|null} Seconds, or null if the message has no reasoning
+     */
+    getReasoningSeconds(messageElement) {
+        if (!messageElement.reasoningStart) {
+            return null;
+        }
+        const end = messageElement.reasoningEnd || Date.now();
+        return Math.max(1, Math.round((end - messageElement.reasoningStart) / 1000));
+    }
+
+    /**
+     * @private
+     * @param {Object} messageElement - Streaming message element and render state
+     */
+    stopReasoningTimer(messageElement) {
+        if (messageElement.reasoningTimer) {
+            clearInterval(messageElement.reasoningTimer);
+            messageElement.reasoningTimer = null;
+        }
+    }
+
+    // ── Slash commands ───────────────────────────────────────────────────────
+
+    /**
+     * Take over the slash commands delivered with get_global_config
+     *
+     * Client actions whose UI is not available in this chat (e.g. /new
+     * without the conversations drawer) are dropped.
+     *
+     * @private
+     * @param {Array<Object>} commands - Command definitions (see getSlashCommands() in api.php)
+     */
+    setSlashCommands(commands) {
+        const available = {
+            clear: !!this.clearChatBtn,
+            new: !!this.sessionsDrawer,
+            export: !!this.exportMenu
+        };
+        this.slashCommands = commands.filter(command => !command.action || available[command.action]);
+        this.updateSlashMenu();
+    }
+
+    /**
+     * Recognise a known slash command at the start of the input
+     *
+     * @private
+     * @param {string} text - Trimmed input
+     * @returns {{command: Object, input: string}|null} Command and the text after it
+     */
+    parseSlashCommand(text) {
+        const match = /^\/([a-z0-9_-]+)(?:\s+([\s\S]*))?$/i.exec(text);
+        if (!match) {
+            return null;
+        }
+        const command = this.slashCommands.find(candidate => candidate.name === match[1].toLowerCase());
+        return command ? { command, input: (match[2] || '').trim() } : null;
+    }
+
+    /**
+     * Run a client action or expand a command into its prompt
+     *
+     * @private
+     * @param {Object} command - Command definition
+     * @param {string} input - Text typed after the command
+     * @returns {string|null} Prompt to send, or null if nothing is to be sent
+     */
+    runSlashCommand(command, input) {
+        const exportFormats = ['markdown', 'html', 'json', 'print'];
+        const invalid = (command.input === 'required' && !input)
+            || (command.input === 'none' && command.action && input)
+            || (command.action === 'export' && input && !exportFormats.includes(input.toLowerCase()));
+        if (invalid) {
+            this.showAlert(this.lang.slashCommandUsage.replace('%s', this.getSlashCommandUsage(command)));
+            return null;
+        }
+
+        if (!command.action) {
+            return this.expandSlashPrompt(command, input);
+        }
+
+        debug('AIChatPageComponent: Running slash command', command.name);
+        this.inputArea.value = '';
+        this.resizeComposer();
+        this.updateCharacterCounter();
+        this.saveDraft();
+
+        switch (command.action) {
+            case 'clear':
+                this.clearChatHistory();
+                break;
+            case 'new':
+                this.createSession();
+                break;
+            case 'export':
+                this.exportConversation(input ? input.toLowerCase() : 'markdown');
+                break;
+        }
+        return null;
+    }
+
+    /**
+     * Build the prompt of a prompt command
+     *
+     * {input} is replaced by the text after the command; commands without
+     * the placeholder get that text appended.
+     *
+     * @private
+     * @param {Object} command - Command definition
+     * @param {string} input - Text typed after the command
+     * @returns {string} Prompt
+     */
+    expandSlashPrompt(command, input) {
+        if (!input && command.prompt_without_input) {
+            return command.prompt_without_input;
+        }
+        if (command.prompt.includes('{input}')) {
+            return command.prompt.split('{input}').join(input);
+        }
+        return input ? `${command.prompt}\n\n${input}` : command.prompt;
+    }
+
+    /**
+     * Usage hint of a command, e.g. "/translate <language>" or "/quiz [topic]"
+     *
+     * @private
+     * @param {Object} command - Command definition
+     * @returns {string}
+     */
+    getSlashCommandUsage(command) {
+        if (!command.argument || command.input === 'none') {
+            return `/${command.name}`;
+        }
+        return command.input === 'required'
+            ? `/${command.name} <${command.argument}>`
+            : `/${command.name} [${command.argument}]`;
+    }
+
+    /**
+     * Show the commands matching the input while a command name is typed
+     *
+     * @private
+     */
+    updateSlashMenu() {
+        if (!this.slashMenu) {
+            return;
+        }
+
+        const match = /^\/([a-z0-9_-]*)$/i.exec(this.inputArea.value);
+        const prefix = match ? match[1].toLowerCase() : null;
+        const matches = prefix === null ? [] : this.slashCommands.filter(command => command.name.startsWith(prefix));
+        if (matches.length === 0) {
+            this.hideSlashMenu();
+            return;
+        }
+
+        this.slashMatches = matches;
+        this.slashMenu.innerHTML = matches.map((command, index) => `
+            <div class="ai-chat-slash-option" role="option" id="${this.containerId}-slash-${index}" data-index="${index}" aria-selected="false">
+                <span class="ai-chat-slash-usage">${this.escapeHtml(this.getSlashCommandUsage(command))}</span>
+                <span class="ai-chat-slash-description">${this.escapeHtml(command.description)}</span>
+            </div>`).join('');
+        this.slashMenu.hidden = false;
+        this.highlightSlashOption(0);
+    }
+
+    /**
+     * Mark an entry of the slash menu as active
+     *
+     * @private
+     * @param {number} index - Entry index, wraps around at both ends
+     */
+    highlightSlashOption(index) {
+        const options = this.slashMenu.querySelectorAll('[role="option"]');
+        this.slashIndex = (index + options.length) % options.length;
+        options.forEach((option, i) => {
+            option.setAttribute('aria-selected', i === this.slashIndex ? 'true' : 'false');
+        });
+
+        const active = options[this.slashIndex];
+        this.inputArea.setAttribute('aria-activedescendant', active.id);
+        if (active.scrollIntoView) {
+            active.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Close the slash menu
+     *
+     * @private
+     */
+    hideSlashMenu() {
+        if (!this.slashMenu || this.slashMenu.hidden) {
+            return;
+        }
+        this.slashMenu.hidden = true;
+        this.slashMenu.innerHTML = '';
+        this.slashMatches = [];
+        this.inputArea.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Keyboard handling of the open slash menu
+     *
+     * Arrow keys move the selection, Tab completes the command name, Enter
+     * runs the selected command (or completes it if it needs an argument)
+     * and Escape closes the menu.
+     *
+     * @private
+     * @param {KeyboardEvent} e - Keydown event of the input
+     * @returns {boolean} True if the key was handled
+     */
+    handleSlashMenuKeydown(e) {
+        if (!this.slashMenu || this.slashMenu.hidden) {
+            return false;
+        }
+
+        switch (e.key) {
+            case 'ArrowDown':
+                this.highlightSlashOption(this.slashIndex + 1);
+                break;
+            case 'ArrowUp':
+                this.highlightSlashOption(this.slashIndex - 1);
+                break;
+            case 'Tab':
+                if (e.shiftKey) {
+                    return false;
+                }
+                this.applySlashOption(this.slashIndex, false);
+                break;
+            case 'Enter':
+                if (e.shiftKey) {
+                    return false;
+                }
+                this.applySlashOption(this.slashIndex, true);
+                break;
+            case 'Escape':
+                this.hideSlashMenu();
+                break;
+            default:
+                return false;
+        }
+
+        e.preventDefault();
+        return true;
+    }
+
+    /**
+     * Take over an entry of the slash menu
+     *
+     * @private
+     * @param {number} index - Entry index
+     * @param {boolean} submit - Run the command right away unless it needs an argument
+     */
+    applySlashOption(index, submit) {
+        const command = this.slashMatches[index];
+        if (!command) {
+            return;
+        }
+        this.hideSlashMenu();
+
+        if (submit && command.input !== 'required') {
+            this.inputArea.value = `/${command.name}`;
+            this.sendMessage();
+            return;
+        }
+
+        this.inputArea.value = `/${command.name} `;
+        this.inputArea.focus();
+        this.resizeComposer();
+        this.updateCharacterCounter();
+    }
+
+    // ── Starter prompts ──────────────────────────────────────────────────────
+
+    /**
+     * Placeholders of the form {name} in a starter prompt
+     *
+     * @static
+     * @returns {RegExp}
+     */
+    static get STARTER_PLACEHOLDER_PATTERN() {
+        return /\{([\p{L}\p{N}_ -]{1,40})\}/gu;
+    }
+
+    /**
+     * Names of the placeholders in a prompt, each listed once
+     *
+     * @private
+     * @param {string} prompt - Starter prompt text
+     * @returns {string[]} Placeholder names in order of appearance
+     */
+    getStarterPlaceholders(prompt) {
+        const names = [...prompt.matchAll(AIChatPageComponent.STARTER_PLACEHOLDER_PATTERN)].map(match => match[1].trim());
+        return [...new Set(names)].filter(name => name !== '');
+    }
+
+    /**
+     * Render the starter prompts as chips below the welcome text
+     *
+     * Each chip sends its prompt right away; the small button next to it only
+     * copies the prompt into the input so it can be adjusted first.
+     *
+     * @private
+     * @param {HTMLElement|null} welcome - Welcome element to extend
+     */
+    renderStarterPrompts(welcome) {
+        if (!welcome || this.starterPrompts.length === 0 || this.serviceUnavailable) {
+            return;
+        }
+
+        const chips = this.starterPrompts.map((starter, index) => `
+            <span class="ai-chat-starter">
+                <button type="button" class="ai-chat-starter-chip" data-starter-index="${index}" title="${this.escapeAttribute(starter.prompt)}">${this.escapeHtml(starter.title)}</button>
+                <button type="button" class="ai-chat-starter-insert" data-starter-index="${index}" title="${this.escapeAttribute(this.lang.starterPromptInsert)}" aria-label="${this.escapeAttribute(`${this.lang.starterPromptInsert}: ${starter.title}`)}">&#8600;</button>
+            </span>`).join('');
+
+        welcome.insertAdjacentHTML('beforeend', `
+            <div class="ai-chat-starters" role="group" aria-label="${this.escapeAttribute(this.lang.starterPromptsGroup)}">${chips}</div>`);
+    }
+
+    /**
+     * Send a starter prompt or copy it into the input
+     *
+     * Prompts with placeholders open an inline form first.
+     *
+     * @private
+     * @param {number} index - Starter index
+     * @param {boolean} insertOnly - Only fill the input instead of sending
+     */
+    useStarterPrompt(index, insertOnly) {
+        const starter = this.starterPrompts[index];
+        if (!starter) {
+            return;
+        }
+
+        if (this.getStarterPlaceholders(starter.prompt).length > 0) {
+            this.showStarterForm(index);
+            return;
+        }
+
+        this.applyStarterPrompt(starter.prompt, insertOnly);
+    }
+
+    /**
+     * Show the placeholder form of a starter prompt below the chips
+     *
+     * @private
+     * @param {number} index - Starter index
+     */
+    showStarterForm(index) {
+        const starter = this.starterPrompts[index];
+        const group = this.messagesArea.querySelector('.ai-chat-starters');
+        if (!starter || !group) {
+            return;
+        }
+
+        group.parentNode.querySelectorAll('.ai-chat-starter-form').forEach(form => form.remove());
+
+        const fields = this.getStarterPlaceholders(starter.prompt).map((name, position) => {
+            const id = `${this.chatId}-starter-${index}-${position}`;
+            return `
+                <label class="ai-chat-starter-field" for="${this.escapeAttribute(id)}">
+                    <span>${this.escapeHtml(name)}</span>
+                    <input type="text" id="${this.escapeAttribute(id)}" data-placeholder="${this.escapeAttribute(name)}" required>
+                </label>`;
+        }).join('');
+
+        group.insertAdjacentHTML('afterend', `
+            <form class="ai-chat-starter-form" data-starter-form="${index}" aria-label="${this.escapeAttribute(starter.title)}">
+                ${fields}
+                <div class="ai-chat-starter-actions">
+                    <button type="submit" class="ai-chat-starter-send" data-starter-action="send">${this.escapeHtml(this.lang.starterPromptSend)}</button>
+                    <button type="button" data-starter-action="insert">${this.escapeHtml(this.lang.starterPromptInsert)}</button>
+                    <button type="button" data-starter-action="cancel">${this.escapeHtml(this.lang.starterPromptCancel)}</button>
+                </div>
+            </form>`);
+
+        const firstField = group.parentNode.querySelector('.ai-chat-starter-form input');
+        if (firstField) {
+            firstField.focus();
+        }
+    }
+
+    /**
+     * Handle a button of a starter placeholder form
+     *
+     * Empty fields keep their {placeholder} when the prompt is only inserted,
+     * so they can still be filled in the input.
+     *
+     * @private
+     * @param {HTMLFormElement|null} form - Placeholder form
+     * @param {string} action - "send", "insert" or "cancel"
+     */
+    handleStarterFormAction(form, action) {
+        if (!form) {
+            return;
+        }
+        const starter = this.starterPrompts[parseInt(form.dataset.starterForm, 10)];
+
+        if (action === 'cancel' || !starter) {
+            form.remove();
+            return;
+        }
+
+        const values = {};
+        form.querySelectorAll('input[data-placeholder]').forEach(input => {
+            values[input.dataset.placeholder] = input.value.trim();
+        });
+        const prompt = starter.prompt.replace(AIChatPageComponent.STARTER_PLACEHOLDER_PATTERN, (placeholder, name) => values[name.trim()] || placeholder);
+
+        form.remove();
+        this.applyStarterPrompt(prompt, action === 'insert');
+    }
+
+    /**
+     * Put a finished starter prompt into the input and send it if requested
+     *
+     * @private
+     * @param {string} prompt - Prompt text
+     * @param {boolean} insertOnly - Only fill the input instead of sending
+     */
+    applyStarterPrompt(prompt, insertOnly) {
+        if (!insertOnly && this.isLoading) {
+            return;
+        }
+
+        this.inputArea.value = prompt;
+        if (insertOnly) {
+            this.inputArea.focus();
+            this.resizeComposer();
+            this.updateCharacterCounter();
+            return;
+        }
+        this.sendMessage();
+    }
+
+    // ── Follow-up questions ──────────────────────────────────────────────────
+
+    /**
+     * Remove the follow-up block the model appends to a streamed answer
+     *
+     * The server removes it before saving and sends the questions separately;
+     * only the streamed text still contains it. Like on the server, only a
+     * block that ends the text counts, so mentions of the format stay. While
+     * streaming, a block that is still being received is removed as well.
+     *
+     * @private
+     * @param {string} text - Answer text
+     * @param {boolean} [complete=false] - Whether the text is the complete answer
+     * @returns {string} Text up to the follow-up block
+     */
+    stripFollowUpsBlock(text, complete = false) {
+        const start = text.lastIndexOf(AIChatPageComponent.FOLLOW_UPS_FENCE);
+        if (start < 0) {
+            return text;
+        }
+
+        const block = text.slice(start + AIChatPageComponent.FOLLOW_UPS_FENCE.length);
+        const pattern = complete
+            ? /^[ \t]*\n\s*\[[^`]*\]\s*(```)?\s*$/
+            : /^[ \t]*(\n\s*(\[[^`]*`{0,3}\s*)?)?$/;
+        return pattern.test(block) ? text.slice(0, start).replace(/\s+$/, '') : text;
+    }
+
+    /**
+     * Show suggested follow-up questions below the latest answer
+     *
+     * Replaces earlier suggestions; they only ever belong to the last answer.
+     *
+     * @private
+     * @param {string[]|undefined} followUps - Questions from the response
+     */
+    showFollowUps(followUps) {
+        this.clearFollowUps();
+        if (!Array.isArray(followUps)) {
+            return;
+        }
+
+        this.followUps = followUps.filter(question => typeof question === 'string' && question.trim() !== '');
+        if (this.followUps.length === 0) {
+            return;
+        }
+
+        const chips = this.followUps.map((question, index) =>
+            `<button type="button" class="ai-chat-follow-up" data-follow-up-index="${index}">${this.escapeHtml(question)}</button>`
+        ).join('');
+
+        this.messagesArea.insertAdjacentHTML('beforeend', `
+            <div class="ai-chat-follow-ups" role="group" aria-label="${this.escapeAttribute(this.lang.followUpsGroup)}">${chips}</div>`);
+        this.scrollToBottom();
+    }
+
+    /**
+     * Remove the follow-up suggestions
+     *
+     * @private
+     */
+    clearFollowUps() {
+        this.followUps = [];
+        this.messagesArea.querySelectorAll('.ai-chat-follow-ups').forEach(el => el.remove());
+    }
+
+    /**
+     * Send a suggested follow-up question
+     *
+     * @private
+     * @param {number} index - Question index
+     */
+    sendFollowUp(index) {
+        const question = this.followUps[index];
+        if (!question || this.isLoading) {
+            return;
+        }
+
+        this.inputArea.value = question;
+        this.sendMessage();
+    }
+
+    // ── Drafts ───────────────────────────────────────────────────────────────
+
+    /**
+     * Local storage key of the composer draft of this chat
+     *
+     * @private
+     * @returns {string}
+     */
+    getDraftStorageKey() {
+        return `${AIChatPageComponent.DRAFT_STORAGE_PREFIX}${this.userId}_${this.chatId}`;
+    }
+
+    /**
+     * Remove the drafts of all chats from the local storage
+     *
+     * @private
+     */
+    clearAllDrafts() {
+        clearTimeout(this.draftSaveTimer);
+        this.draftSaveTimer = null;
+
+        try {
+            Object.keys(localStorage)
+                .filter(key => key.startsWith(AIChatPageComponent.DRAFT_STORAGE_PREFIX))
+                .forEach(key => localStorage.removeItem(key));
+        } catch (e) {
+            debugError('AIChatPageComponent: Drafts could not be removed', e);
+        }
+    }
+
+    /**
+     * Remove drafts another user left in this browser
+     *
+     * Drafts outlive the login session (so they survive an expired session).
+     * When someone else logs in on the same browser, they are deleted before
+     * anything is restored.
+     *
+     * @private
+     */
+    clearForeignDrafts() {
+        try {
+            if (localStorage.getItem(AIChatPageComponent.DRAFT_OWNER_KEY) === this.userId) {
+                return;
+            }
+            this.clearAllDrafts();
+            localStorage.setItem(AIChatPageComponent.DRAFT_OWNER_KEY, this.userId);
+        } catch (e) {
+            debugError('AIChatPageComponent: Draft owner could not be checked', e);
+        }
+    }
+
+    /**
+     * Store the draft once typing pauses
+     *
+     * @private
+     */
+    scheduleDraftSave() {
+        clearTimeout(this.draftSaveTimer);
+        this.draftSaveTimer = setTimeout(() => this.saveDraft(), AIChatPageComponent.DRAFT_SAVE_DELAY_MS);
+    }
+
+    /**
+     * Store a draft that is still waiting for the debounce
+     *
+     * @private
+     */
+    flushDraftSave() {
+        if (this.draftSaveTimer) {
+            this.saveDraft();
+        }
+    }
+
+    /**
+     * Store the composer text and uploaded attachments of this chat
+     *
+     * An empty composer removes the draft.
+     *
+     * @private
+     */
+    saveDraft() {
+        clearTimeout(this.draftSaveTimer);
+        this.draftSaveTimer = null;
+
+        const text = this.inputArea.value;
+        // Local image previews are too large for the storage; the server preview is used instead
+        const attachments = this.attachments.map(({ data_url, ...attachment }) => attachment);
+
+        try {
+            if (text.trim() === '' && attachments.length === 0) {
+                localStorage.removeItem(this.getDraftStorageKey());
+            } else {
+                localStorage.setItem(this.getDraftStorageKey(), JSON.stringify({ text, attachments }));
+            }
+        } catch (e) {
+            debugError('AIChatPageComponent: Draft could not be stored', e);
+        }
+    }
+
+    /**
+     * Put a stored draft back into the composer
+     *
+     * @private
+     */
+    restoreDraft() {
+        this.clearForeignDrafts();
+
+        let draft;
+        try {
+            draft = JSON.parse(localStorage.getItem(this.getDraftStorageKey()) || 'null');
+        } catch (e) {
+            debugError('AIChatPageComponent: Invalid draft', e);
+            return;
+        }
+        if (!draft || typeof draft !== 'object') {
+            return;
+        }
+
+        if (typeof draft.text === 'string' && this.inputArea.value === '') {
+            this.inputArea.value = draft.text;
+            this.resizeComposer();
+            this.updateCharacterCounter();
+        }
+
+        if (this.enableChatUploads && Array.isArray(draft.attachments)) {
+            this.attachments = draft.attachments.filter(attachment => attachment && attachment.id);
+            this.updateAttachmentsDisplay();
+        }
+        debug('AIChatPageComponent: Draft restored');
+    }
+
+    // ── Input history ────────────────────────────────────────────────────────
+
+    /**
+     * Texts of the sent user messages in the current branch, oldest first
+     *
+     * Repeated messages in a row are listed once.
+     *
+     * @private
+     * @returns {string[]}
+     */
+    getInputHistory() {
+        return this.messageHistory
+            .filter(node => node.role === 'user' && typeof node.content === 'string' && node.content.trim() !== '')
+            .map(node => node.content)
+            .filter((content, index, contents) => index === 0 || content !== contents[index - 1]);
+    }
+
+    /**
+     * Browse sent messages with ArrowUp / ArrowDown, like a shell history
+     *
+     * Browsing starts from an empty composer or with the cursor at the start.
+     * While browsing, ArrowUp only moves to the previous entry from the first
+     * line and ArrowDown to the next one from the last line, so the cursor
+     * can still move within a recalled multi-line entry. Escape brings back
+     * the text that was typed before browsing.
+     *
+     * @private
+     * @param {KeyboardEvent} e - Keydown event of the input
+     * @returns {boolean} True if the key was handled
+     */
+    handleInputHistoryKeydown(e) {
+        if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey || e.isComposing) {
+            return false;
+        }
+
+        const browsing = this.inputHistoryIndex !== -1;
+        if (e.key === 'Escape') {
+            if (!browsing) {
+                return false;
+            }
+            e.preventDefault();
+            this.showInputHistoryEntry(-1);
+            return true;
+        }
+        if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') {
+            return false;
+        }
+
+        const input = this.inputArea;
+        const atStart = input.selectionStart === 0 && input.selectionEnd === 0;
+        if (!browsing && input.value !== '' && !atStart) {
+            return false;
+        }
+        if (browsing) {
+            const collapsed = input.selectionStart === input.selectionEnd;
+            const onEdgeLine = e.key === 'ArrowUp'
+                ? !input.value.slice(0, input.selectionStart).includes('\n')
+                : !input.value.slice(input.selectionEnd).includes('\n');
+            if (!collapsed || !onEdgeLine) {
+                return false;
+            }
+        }
+
+        const history = this.getInputHistory();
+        if (history.length === 0 || (!browsing && e.key === 'ArrowDown')) {
+            return false;
+        }
+
+        e.preventDefault();
+        if (!browsing) {
+            this.inputHistoryDraft = input.value;
+        }
+
+        if (e.key === 'ArrowUp') {
+            this.showInputHistoryEntry(browsing ? Math.max(this.inputHistoryIndex - 1, 0) : history.length - 1);
+        } else {
+            // Past the newest entry the typed text comes back
+            this.showInputHistoryEntry(this.inputHistoryIndex + 1 < history.length ? this.inputHistoryIndex + 1 : -1);
+        }
+        return true;
+    }
+
+    /**
+     * Put a history entry (or the text typed before browsing) into the input
+     *
+     * @private
+     * @param {number} index - Entry index, or -1 for the typed text
+     */
+    showInputHistoryEntry(index) {
+        const history = this.getInputHistory();
+        this.inputHistoryIndex = index >= 0 && index < history.length ? index : -1;
+        this.inputArea.value = this.inputHistoryIndex === -1 ? this.inputHistoryDraft : history[this.inputHistoryIndex];
+
+        const end = this.inputArea.value.length;
+        this.inputArea.setSelectionRange(end, end);
+        this.resizeComposer();
+        this.updateCharacterCounter();
+    }
+
+    // ── Search ───────────────────────────────────────────────────────────────
+
+    /**
+     * Wire up the search bar in the header
+     *
+     * The header button opens the search, Enter / Shift+Enter (or F3 /
+     * Shift+F3) jump to the next / previous hit and Escape closes it. The
+     * browser's own find (Ctrl/Cmd+F) is left alone, except inside the
+     * search field, where it selects the search text.
+     *
+     * @private
+     */
+    bindSearchEvents() {
+        if (!this.searchToggle || !this.searchBar || !this.searchInput) {
+            return;
+        }
+
+        this.searchToggle.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (this.searchBar.hidden) {
+                this.openSearch();
+            } else {
+                this.closeSearch();
+            }
+        });
+
+        let debounceTimer = null;
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(() => this.runSearch(this.searchInput.value), 250);
+        });
+
+        this.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.stepSearch(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeSearch();
+            } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f') {
+                e.preventDefault();
+                this.searchInput.select();
+            }
+        });
+
+        const prevBtn = this.searchBar.querySelector('.ai-chat-search-prev');
+        const nextBtn = this.searchBar.querySelector('.ai-chat-search-next');
+        const closeBtn = this.searchBar.querySelector('.ai-chat-search-close');
+        if (prevBtn) prevBtn.addEventListener('click', () => this.stepSearch(-1));
+        if (nextBtn) nextBtn.addEventListener('click', () => this.stepSearch(1));
+        if (closeBtn) closeBtn.addEventListener('click', () => this.closeSearch());
+
+        this.container.addEventListener('keydown', (e) => {
+            if (e.key === 'F3' && !this.searchBar.hidden) {
+                e.preventDefault();
+                this.stepSearch(e.shiftKey ? -1 : 1);
+            }
+        });
+    }
+
+    /**
+     * Show the search bar and focus its input
+     * @private
+     */
+    openSearch() {
+        this.searchBar.hidden = false;
+        this.searchToggle.setAttribute('aria-expanded', 'true');
+        this.searchInput.focus();
+        this.searchInput.select();
+    }
+
+    /**
+     * Hide the search bar and remove all highlights
+     * @private
+     */
+    closeSearch() {
+        this.searchBar.hidden = true;
+        this.searchToggle.setAttribute('aria-expanded', 'false');
+        this.searchInput.value = '';
+        this.searchTerm = '';
+        this.searchHits = [];
+        this.searchIndex = -1;
+        this.clearSearchHighlights();
+        this.updateSearchCount();
+        this.inputArea.focus();
+    }
+
+    /**
+     * Find messages containing the search term
+     *
+     * The loaded branch is searched locally. For persistent chats with
+     * older, not yet loaded messages the server is asked as well; those hits
+     * are loaded on demand when the user jumps to them.
+     *
+     * @async
+     * @private
+     * @param {string} query - Search input
+     * @returns {Promise<void>}
+     */
+    async runSearch(query) {
+        const term = query.trim();
+        const requestToken = ++this.searchRequestSeq;
+        this.searchTerm = term;
+
+        if (term.length < 2) {
+            this.searchHits = [];
+            this.searchIndex = -1;
+            this.clearSearchHighlights();
+            this.updateSearchCount();
+            return;
+        }
+
+        const needle = term.toLowerCase();
+        const localHits = this.messageHistory
+            .filter(node => node.content.toLowerCase().includes(needle))
+            .map(node => node.id);
+
+        let olderHits = [];
+        if (this.persistent && !this.isAnonymous && this.hasOlderMessages) {
+            try {
+                const response = await fetch(this.apiUrl, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        action: 'search_messages',
+                        chat_id: this.chatId,
+                        session_id: this.currentSessionId,
+                        query: term
+                    })
+                });
+                const data = await response.json();
+                if (data.success && data.results) {
+                    const loaded = new Set(this.messageHistory.map(node => node.id));
+                    olderHits = data.results
+                        .map(result => String(result.message_id))
+                        .filter(id => !loaded.has(id));
+                }
+            } catch (error) {
+                debugError('AIChatPageComponent: Server search failed:', error);
+            }
+        }
+
+        // A newer search was started in the meantime
+        if (requestToken !== this.searchRequestSeq) {
+            return;
+        }
+
+        // Not yet loaded hits are older than everything on screen
+        this.searchHits = [...olderHits, ...localHits];
+        this.highlightSearchMatches();
+
+        if (this.searchHits.length > 0) {
+            this.goToSearchHit(this.searchHits.length - 1);
+        } else {
+            this.searchIndex = -1;
+            this.updateSearchCount();
+        }
+    }
+
+    /**
+     * Move to the next (1) or previous (-1) search hit, wrapping around
+     * @private
+     * @param {number} delta - Direction
+     */
+    stepSearch(delta) {
+        if (this.searchHits.length === 0) {
+            return;
+        }
+        const count = this.searchHits.length;
+        this.goToSearchHit((this.searchIndex + delta + count) % count);
+    }
+
+    /**
+     * Scroll to a search hit, loading older messages first if necessary
+     *
+     * @async
+     * @private
+     * @param {number} index - Index in searchHits
+     * @returns {Promise<void>}
+     */
+    async goToSearchHit(index) {
+        this.searchIndex = index;
+        this.updateSearchCount();
+
+        const id = this.searchHits[index];
+        if (!this.messageHistory.some(node => node.id === id)) {
+            await this.ensureMessageLoaded(id);
+            this.highlightSearchMatches();
+        }
+
+        this.messagesArea.querySelectorAll('.ai-chat-search-current')
+            .forEach(el => el.classList.remove('ai-chat-search-current'));
+
+        const messageDiv = this.messagesArea.querySelector(`.ai-chat-message[data-message-id="${id}"]`);
+        if (!messageDiv) {
+            return;
+        }
+
+        messageDiv.classList.add('ai-chat-search-current');
+        const target = messageDiv.querySelector('mark.ai-chat-search-hit') || messageDiv;
+        target.scrollIntoView({block: 'center', behavior: 'smooth'});
+    }
+
+    /**
+     * Load older pages until a message of the selected branch is present
+     *
+     * @async
+     * @private
+     * @param {string} id - Message id
+     * @returns {Promise<boolean>} Whether the message is loaded now
+     */
+    async ensureMessageLoaded(id) {
+        const isLoaded = () => this.messageHistory.some(node => node.id === id);
+
+        while (!isLoaded() && this.hasOlderMessages) {
+            if (this.loadingOlderMessages) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+                continue;
+            }
+            if (!await this.loadOlderMessages()) {
+                break;
+            }
+        }
+
+        return isLoaded();
+    }
+
+    /**
+     * Highlight the search term in all rendered hits
+     * @private
+     */
+    highlightSearchMatches() {
+        this.clearSearchHighlights();
+        if (!this.searchTerm || this.searchHits.length === 0) {
+            return;
+        }
+
+        const needle = this.searchTerm.toLowerCase();
+        const hitIds = new Set(this.searchHits);
+
+        this.messagesArea.querySelectorAll('.ai-chat-message[data-message-id]').forEach(messageDiv => {
+            if (!hitIds.has(messageDiv.dataset.messageId)) {
+                return;
+            }
+            const content = messageDiv.querySelector('.ai-chat-message-content');
+            if (!content) {
+                return;
+            }
+
+            // Collect first, then wrap – modifying while walking would skip nodes
+            // Text inside diagram SVGs and MathML must not get HTML <mark> elements
+            const walker = document.createTreeWalker(content, NodeFilter.SHOW_TEXT, {
+                acceptNode: node => node.parentElement.closest('svg, math')
+                    ? NodeFilter.FILTER_REJECT
+                    : NodeFilter.FILTER_ACCEPT
+            });
+            const textNodes = [];
+            while (walker.nextNode()) {
+                if (walker.currentNode.nodeValue.toLowerCase().includes(needle)) {
+                    textNodes.push(walker.currentNode);
+                }
+            }
+
+            textNodes.forEach(textNode => {
+                const text = textNode.nodeValue;
+                const lower = text.toLowerCase();
+                const fragment = document.createDocumentFragment();
+                let position = 0;
+                let match = lower.indexOf(needle);
+
+                while (match !== -1) {
+                    fragment.appendChild(document.createTextNode(text.slice(position, match)));
+                    const mark = document.createElement('mark');
+                    mark.className = 'ai-chat-search-hit';
+                    mark.textContent = text.slice(match, match + needle.length);
+                    fragment.appendChild(mark);
+                    position = match + needle.length;
+                    match = lower.indexOf(needle, position);
+                }
+                fragment.appendChild(document.createTextNode(text.slice(position)));
+                textNode.parentNode.replaceChild(fragment, textNode);
+            });
+        });
+    }
+
+    /**
+     * Remove all search highlights from the messages area
+     * @private
+     */
+    clearSearchHighlights() {
+        this.messagesArea.querySelectorAll('mark.ai-chat-search-hit').forEach(mark => {
+            const parent = mark.parentNode;
+            parent.replaceChild(document.createTextNode(mark.textContent), mark);
+            parent.normalize();
+        });
+        this.messagesArea.querySelectorAll('.ai-chat-search-current')
+            .forEach(el => el.classList.remove('ai-chat-search-current'));
+    }
+
+    /**
+     * Update the "n/m" hit counter
+     * @private
+     */
+    updateSearchCount() {
+        if (!this.searchCount) {
+            return;
+        }
+        if (!this.searchTerm || this.searchTerm.length < 2) {
+            this.searchCount.textContent = '';
+        } else if (this.searchHits.length === 0) {
+            this.searchCount.textContent = this.lang.searchNoResults;
+        } else {
+            this.searchCount.textContent = `${this.searchIndex + 1}/${this.searchHits.length}`;
+        }
+    }
+
+    // ── Export ───────────────────────────────────────────────────────────────
+
+    /** Inline stylesheet of the standalone HTML and print export */
+    static get EXPORT_STYLES() {
+        return `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1f2328; max-width: 820px; margin: 2rem auto; padding: 0 1rem; line-height: 1.55; }
+h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+.exported-at { color: #6e7781; font-size: 0.85rem; margin-top: 0; }
+.message { border: 1px solid #d0d7de; border-radius: 10px; padding: 0.75rem 1rem; margin: 1rem 0; page-break-inside: avoid; }
+.message.user { background: #f3f6fb; }
+.message-header { display: flex; gap: 0.5rem; align-items: baseline; margin-bottom: 0.5rem; }
+.message-header span, .usage { color: #6e7781; font-size: 0.8rem; }
+.message.user .message-content { white-space: pre-wrap; }
+.message-content pre { background: #f6f8fa; padding: 0.75rem; border-radius: 6px; overflow-x: auto; }
+.ai-chat-code-block { border: 1px solid #d0d7de; border-radius: 6px; margin: 0.75rem 0; overflow: hidden; }
+.ai-chat-code-header { padding: 0.25rem 0.75rem; background: #eaeef2; color: #57606a; font-size: 0.75rem; font-weight: 600; }
+.ai-chat-code-body { display: flex; background: #f6f8fa; }
+.ai-chat-code-body pre { margin: 0; border-radius: 0; flex: 1; }
+.ai-chat-code-lines { padding: 0.75rem 0.5rem; color: #8c959f; text-align: right; white-space: pre; font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 0.9em; line-height: inherit; user-select: none; }
+.token.comment { color: #6e7781; font-style: italic; }
+.token.keyword, .token.boolean { color: #cf222e; }
+.token.string, .token.char { color: #0a3069; }
+.token.number, .token.constant { color: #0550ae; }
+.token.function, .token.class-name { color: #8250df; }
+.message-content code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 0.9em; }
+.message-content table { border-collapse: collapse; }
+.message-content th, .message-content td { border: 1px solid #d0d7de; padding: 0.25rem 0.5rem; }
+.attachments { margin: 0 0 0.5rem; padding-left: 1.25rem; color: #57606a; font-size: 0.9rem; }
+.ai-chat-sources-section { margin-top: 0.75rem; padding-top: 0.5rem; border-top: 1px dashed #d0d7de; }
+.ai-chat-source-item { display: flex; gap: 0.5rem; align-items: center; font-size: 0.85rem; padding: 0.15rem 0; }
+.ai-chat-source-icon svg { width: 14px; height: 14px; vertical-align: middle; }
+.ai-chat-source-pages { color: #6e7781; }
+.usage { margin-top: 0.5rem; }
+@media print {
+    body { margin: 0; max-width: none; }
+    .message { border-color: #bbb; }
+    a { color: inherit; }
+}`;
+    }
+
+    /**
+     * Wire up the export menu in the header
+     * @private
+     */
+    bindExportEvents() {
+        if (!this.exportToggle || !this.exportMenu) {
+            return;
+        }
+
+        this.exportToggle.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.toggleExportMenu(this.exportMenu.hidden);
+        });
+
+        this.exportMenu.querySelectorAll('[data-format]').forEach(item => {
+            item.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.toggleExportMenu(false);
+                this.exportConversation(item.dataset.format);
+            });
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!this.exportMenu.hidden && !this.exportToggle.contains(e.target) && !this.exportMenu.contains(e.target)) {
+                this.toggleExportMenu(false);
+            }
+        });
+
+        this.exportMenu.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.toggleExportMenu(false);
+                this.exportToggle.focus();
+            }
+        });
+    }
+
+    /**
+     * Open or close the export menu
+     *
+     * @private
+     * @param {boolean} open - Whether the menu should be shown
+     */
+    toggleExportMenu(open) {
+        this.exportMenu.hidden = !open;
+        this.exportToggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+
+        if (open) {
+            const firstItem = this.exportMenu.querySelector('[data-format]');
+            if (firstItem) firstItem.focus();
+        }
+    }
+
+    /**
+     * Export the active conversation in the given format
+     *
+     * Older pages of a persistent conversation are fetched first so the
+     * export always covers the whole active branch, not only what is
+     * currently rendered.
+     *
+     * @private
+     * @async
+     * @param {string} format - One of "markdown", "html", "json" or "print"
+     */
+    async exportConversation(format) {
+        try {
+            while (this.hasOlderMessages) {
+                if (this.loadingOlderMessages) {
+                    await new Promise(resolve => setTimeout(resolve, 100));
+                    continue;
+                }
+                if (!await this.loadOlderMessages()) {
+                    break;
+                }
+            }
+
+            const data = this.buildExportData();
+            if (data.messages.length === 0) {
+                await this.showAlert(this.lang.exportEmpty);
+                return;
+            }
+
+            const baseName = this.getExportFileBaseName(data);
+
+            switch (format) {
+                case 'markdown':
+                    this.downloadExportFile(`${baseName}.md`, this.exportAsMarkdown(data), 'text/markdown');
+                    break;
+                case 'html':
+                    this.downloadExportFile(`${baseName}.html`, this.exportAsHtml(data), 'text/html');
+                    break;
+                case 'json':
+                    this.downloadExportFile(`${baseName}.json`, JSON.stringify(data, null, 2), 'application/json');
+                    break;
+                case 'print':
+                    this.openPrintView(data);
+                    break;
+                default:
+                    debugError('AIChatPageComponent: Unknown export format:', format);
+            }
+        } catch (error) {
+            debugError('AIChatPageComponent: Export failed:', error);
+            await this.showAlert(this.lang.exportFailed);
+        }
+    }
+
+    /**
+     * Serialise the active branch into a plain export object
+     *
+     * The same structure is written by the JSON export, so it doubles as
+     * the interchange format for re-importing a conversation.
+     *
+     * @private
+     * @returns {Object} Export data with chat metadata and messages
+     */
+    buildExportData() {
+        const titleEl = this.container.querySelector('.ai-chat-header h3');
+
+        return {
+            format: 'pcaic-conversation',
+            version: 1,
+            exported_at: new Date().toISOString(),
+            chat: {
+                chat_id: this.chatId,
+                title: titleEl ? titleEl.textContent.trim() : ''
+            },
+            messages: this.messageHistory
+                .filter(node => node.role === 'user' || node.role === 'assistant')
+                .map(node => ({
+                    role: node.role,
+                    content: node.role === 'assistant' ? this.stripReasoning(node.content || '') : (node.content || ''),
+                    timestamp: this.normalizeTimestamp(node.timestamp),
+                    attachments: (node.attachments || []).map(attachment => ({
+                        title: attachment.title || attachment.filename || '',
+                        file_type: attachment.file_type || null,
+                        mime_type: attachment.mime_type || null,
+                        size: attachment.size || null
+                    })),
+                    sources: (node.sources || []).map(source => ({
+                        filename: source.filename || '',
+                        pages: source.pages || [],
+                        excerpt: source.excerpt || '',
+                        url: source.url || null
+                    })),
+                    usage: node.usage || null
+                }))
+        };
+    }
+
+    /**
+     * Convert a message timestamp to an ISO 8601 string
+     *
+     * Local messages carry epoch milliseconds, server messages a serialised
+     * PHP DateTime ({date: "Y-m-d H:i:s.u", ...}) or a plain date string.
+     *
+     * @private
+     * @param {number|string|Object|null} timestamp - Raw timestamp
+     * @returns {string|null} ISO timestamp or null if it cannot be parsed
+     */
+    normalizeTimestamp(timestamp) {
+        if (!timestamp) {
+            return null;
+        }
+
+        let date;
+        if (typeof timestamp === 'number') {
+            date = new Date(timestamp);
+        } else {
+            const raw = typeof timestamp === 'object' ? timestamp.date : timestamp;
+            date = new Date(String(raw || '').replace(' ', 'T'));
+        }
+
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    /**
+     * Build a file name from the chat title and the export date
+     *
+     * @private
+     * @param {Object} data - Export data
+     * @returns {string} File name without extension
+     */
+    getExportFileBaseName(data) {
+        const slug = (data.chat.title || 'chat')
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .substring(0, 60);
+
+        return `${slug || 'chat'}-${data.exported_at.substring(0, 10)}`;
+    }
+
+    /**
+     * Format an export timestamp for display
+     *
+     * @private
+     * @param {string|null} isoTimestamp - ISO timestamp
+     * @returns {string} Localised date and time
+     */
+    formatExportTimestamp(isoTimestamp) {
+        return isoTimestamp ? new Date(isoTimestamp).toLocaleString() : '';
+    }
+
+    /**
+     * Format the page list of a RAG source ("p. 3" / "pp. 3, 5")
+     *
+     * @private
+     * @param {Array<number>} pages - Cited pages
+     * @returns {string} Page label or empty string
+     */
+    formatExportPages(pages) {
+        if (!pages || pages.length === 0) {
+            return '';
+        }
+        const label = pages.length === 1 ? this.lang.pageLabel : this.lang.pagesLabel;
+        return `${label} ${pages.join(', ')}`;
+    }
+
+    /**
+     * Format token usage as a single line
+     *
+     * @private
+     * @param {Object|null} usage - Token usage of an assistant message
+     * @returns {string} Usage line or empty string
+     */
+    formatExportUsage(usage) {
+        if (!usage) {
+            return '';
+        }
+        return this.lang.exportUsage
+            .replace('%s', usage.prompt_tokens ?? 0)
+            .replace('%s', usage.completion_tokens ?? 0)
+            .replace('%s', usage.total_tokens ?? 0);
+    }
+
+    /**
+     * Serialise export data as Markdown
+     *
+     * @private
+     * @param {Object} data - Export data
+     * @returns {string} Markdown document
+     */
+    exportAsMarkdown(data) {
+        const lines = [`# ${data.chat.title || 'Chat'}`, '', `_${this.formatExportTimestamp(data.exported_at)}_`, ''];
+
+        data.messages.forEach(message => {
+            const roleLabel = message.role === 'user' ? this.lang.exportRoleUser : this.lang.exportRoleAssistant;
+            const time = this.formatExportTimestamp(message.timestamp);
+
+            lines.push('---', '', `### ${roleLabel}${time ? ` · ${time}` : ''}`, '');
+
+            if (message.attachments.length > 0) {
+                lines.push(`**${this.lang.exportAttachments}:**`);
+                message.attachments.forEach(attachment => lines.push(`- ${attachment.title}`));
+                lines.push('');
+            }
+
+            lines.push(message.content, '');
+
+            if (message.sources.length > 0) {
+                lines.push(`**${this.lang.sourcesLabel}:**`);
+                message.sources.forEach((source, index) => {
+                    const name = source.url ? `[${source.filename}](${source.url})` : source.filename;
+                    const pages = this.formatExportPages(source.pages);
+                    lines.push(`${index + 1}. ${name}${pages ? ` (${pages})` : ''}`);
+                });
+                lines.push('');
+            }
+
+            const usage = this.formatExportUsage(message.usage);
+            if (usage) {
+                lines.push(`_${usage}_`, '');
+            }
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Serialise export data as a standalone HTML document
+     *
+     * Assistant answers go through renderMarkdown and renderSourcesRow, so
+     * the export shows the same formatting and source list as the chat.
+     *
+     * @private
+     * @param {Object} data - Export data
+     * @param {boolean} forPrint - Add print styles and open the print dialog on load
+     * @returns {string} HTML document
+     */
+    exportAsHtml(data, forPrint = false) {
+        const title = this.escapeHtml(data.chat.title || 'Chat');
+
+        const messagesHtml = data.messages.map(message => {
+            const roleLabel = message.role === 'user' ? this.lang.exportRoleUser : this.lang.exportRoleAssistant;
+            const time = this.formatExportTimestamp(message.timestamp);
+
+            const messageEl = document.createElement('div');
+            messageEl.className = `message ${message.role}`;
+
+            const header = document.createElement('div');
+            header.className = 'message-header';
+            header.innerHTML = `<strong>${this.escapeHtml(roleLabel)}</strong>${time ? ` <span>${this.escapeHtml(time)}</span>` : ''}`;
+            messageEl.appendChild(header);
+
+            if (message.attachments.length > 0) {
+                const list = document.createElement('ul');
+                list.className = 'attachments';
+                message.attachments.forEach(attachment => {
+                    const item = document.createElement('li');
+                    item.textContent = attachment.title;
+                    list.appendChild(item);
+                });
+                messageEl.appendChild(list);
+            }
+
+            const contentEl = document.createElement('div');
+            contentEl.className = 'message-content';
+            messageEl.appendChild(contentEl);
+
+            if (message.role === 'assistant') {
+                let content = message.content;
+                let sources = message.sources;
+                if (sources.length > 0) {
+                    const { text: stripped, webLinks } = this.stripInlineSourcesWithLinks(content, sources);
+                    content = stripped;
+                    if (webLinks.length > 0) sources = [...sources, ...webLinks];
+                }
+                contentEl.innerHTML = this.renderMarkdown(content);
+                // Without the KaTeX stylesheet only the MathML part renders correctly
+                contentEl.querySelectorAll('.ai-chat-code-actions, .katex-html').forEach(el => el.remove());
+
+                if (sources.length > 0) {
+                    const sourcesRow = this.renderSourcesRow(sources, messageEl);
+                    sourcesRow.querySelectorAll('.ai-chat-sources-toggle, .ai-chat-source-download').forEach(el => el.remove());
+                    messageEl.appendChild(sourcesRow);
+                }
+            } else {
+                contentEl.textContent = message.content;
+            }
+
+            const usage = this.formatExportUsage(message.usage);
+            if (usage) {
+                const usageEl = document.createElement('div');
+                usageEl.className = 'usage';
+                usageEl.textContent = usage;
+                messageEl.appendChild(usageEl);
+            }
+
+            return messageEl.outerHTML;
+        }).join('\n');
+
+        const printScript = forPrint
+            ? '<script>window.addEventListener("load", function () { window.print(); });</script>'
+            : '';
+
+        return `<!DOCTYPE html>
+<html lang="${this.escapeHtml(document.documentElement.lang || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>${AIChatPageComponent.EXPORT_STYLES}</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p class="exported-at">${this.escapeHtml(this.formatExportTimestamp(data.exported_at))}</p>
+${messagesHtml}
+${printScript}
+</body>
+</html>`;
+    }
+
+    /**
+     * Open the print-optimised view in a new window
+     *
+     * The browser's print dialog also offers "Save as PDF".
+     *
+     * @private
+     * @param {Object} data - Export data
+     */
+    openPrintView(data) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            throw new Error('Print window was blocked');
+        }
+
+        printWindow.document.open();
+        printWindow.document.write(this.exportAsHtml(data, true));
+        printWindow.document.close();
+    }
+
+    /**
+     * Offer a string as file download
+     *
+     * @private
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File content
+     * @param {string} mimeType - MIME type of the content
+     */
+    downloadExportFile(filename, content, mimeType) {
+        this.downloadBlob(filename, new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    }
+
+    /**
+     * Offer a blob as file download
+     *
+     * @private
+     * @param {string} filename - Suggested file name
+     * @param {Blob} blob - File content
+     */
+    downloadBlob(filename, blob) {
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // ── Import ───────────────────────────────────────────────────────────────
+
+    /** Maximum number of messages accepted from an imported conversation */
+    static get IMPORT_MAX_MESSAGES() { return 500; }
+
+    /**
+     * Wire up the import entry of the export menu and its file input
+     * @private
+     */
+    bindImportEvents() {
+        if (!this.exportMenu || !this.importInput) {
+            return;
+        }
+
+        const importItem = this.exportMenu.querySelector('[data-action="import"]');
+        if (importItem) {
+            importItem.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.toggleExportMenu(false);
+                this.importInput.click();
+            });
+        }
+
+        this.importInput.addEventListener('change', () => {
+            const file = this.importInput.files && this.importInput.files[0];
+            // Reset so picking the same file again still fires a change event
+            this.importInput.value = '';
+            if (file) {
+                this.importConversation(file);
+            }
+        });
+    }
+
+    /**
+     * Import a conversation from a JSON export file
+     *
+     * Logged-in users get the conversation stored on the server as a new
+     * conversation which becomes the context for the next message. Anonymous
+     * users keep it in the page only; it replaces the current conversation
+     * and is sent along as conversation history.
+     *
+     * @private
+     * @async
+     * @param {File} file - JSON file selected by the user
+     */
+    async importConversation(file) {
+        if (this.isLoading) {
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            debugError('AIChatPageComponent: Import file is not valid JSON:', error);
+            await this.showAlert(this.lang.importInvalid);
+            return;
+        }
+
+        const messages = this.parseImportData(data);
+        if (!messages) {
+            await this.showAlert(this.lang.importInvalid);
+            return;
+        }
+
+        const title = (data.chat && typeof data.chat.title === 'string') ? data.chat.title : '';
+
+        if (this.isAnonymous) {
+            if (this.messageHistory.length > 0) {
+                const confirmed = await this.showCustomConfirmDialog(this.lang.importReplaceConfirm);
+                if (!confirmed) {
+                    return;
+                }
+            }
+
+            this.resetConversationState();
+            messages.forEach(message => {
+                const node = this.addMessageNode(message.role, message.content);
+                if (message.timestamp) {
+                    node.timestamp = new Date(message.timestamp).getTime();
+                }
+            });
+            this.renderActiveBranch();
+            return;
+        }
+
+        try {
+            const result = await this.requestSessionAction('import_conversation', {title, messages});
+            this.currentSessionId = result.session.session_id;
+            this.showSessionMessages(result.messages || [], !!result.has_more);
+            if (this.isSessionsDrawerOpen()) {
+                this.fetchSessions();
+            }
+            this.inputArea.focus();
+        } catch (error) {
+            debugError('AIChatPageComponent: Failed to import conversation:', error);
+            await this.showAlert(this.lang.importFailed);
+        }
+    }
+
+    /**
+     * Validate a parsed JSON export and extract its messages
+     *
+     * Only "user" and "assistant" messages with non-empty text are accepted;
+     * a single invalid entry rejects the whole file.
+     *
+     * @private
+     * @param {*} data - Parsed JSON
+     * @returns {Array<{role: string, content: string, timestamp: (string|null)}>|null} Messages or null if invalid
+     */
+    parseImportData(data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.messages)) {
+            return null;
+        }
+        if (data.format !== undefined && data.format !== 'pcaic-conversation') {
+            return null;
+        }
+        if (data.messages.length === 0 || data.messages.length > AIChatPageComponent.IMPORT_MAX_MESSAGES) {
+            return null;
+        }
+
+        const messages = [];
+        for (const message of data.messages) {
+            if (!message || (message.role !== 'user' && message.role !== 'assistant')) {
+                return null;
+            }
+            if (typeof message.content !== 'string' || message.content.trim() === '') {
+                return null;
+            }
+
+            const timestamp = typeof message.timestamp === 'string' && !isNaN(Date.parse(message.timestamp))
+                ? message.timestamp
+                : null;
+
+            messages.push({role: message.role, content: message.content.trim(), timestamp});
+        }
+
+        return messages;
+    }
+
+    // ── Conversations ────────────────────────────────────────────────────────
+
+    /**
+     * Wire up the conversation drawer
+     *
+     * Only persistent chats of logged-in users keep conversations on the
+     * server; everywhere else the drawer and its toggle are removed.
+     *
+     * @private
+     */
+    bindSessionEvents() {
+        if (!this.sessionsToggle || !this.sessionsDrawer) {
+            return;
+        }
+
+        if (this.isAnonymous || !this.persistent) {
+            this.sessionsToggle.remove();
+            this.sessionsDrawer.remove();
+            this.sessionsToggle = null;
+            this.sessionsDrawer = null;
+            return;
+        }
+
+        this.sessionsToggle.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.toggleSessionsDrawer();
+        });
+
+        const newBtn = this.sessionsDrawer.querySelector('.ai-chat-session-new');
+        if (newBtn) {
+            newBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.createSession();
+            });
+        }
+
+        this.sessionsDrawer.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !e.target.classList.contains('ai-chat-session-rename-input')) {
+                this.toggleSessionsDrawer(false);
+                this.sessionsToggle.focus();
+            }
+        });
+    }
+
+    /**
+     * @private
+     * @returns {boolean} Whether the conversation drawer is currently open
+     */
+    isSessionsDrawerOpen() {
+        return !!this.sessionsDrawer && this.sessionsDrawer.classList.contains('open');
+    }
+
+    /**
+     * Open or close the conversation drawer
+     *
+     * The conversation list is reloaded every time the drawer opens so that
+     * titles and previews reflect the latest messages.
+     *
+     * @private
+     * @param {boolean} [open] - Desired state; toggles when omitted
+     */
+    toggleSessionsDrawer(open = undefined) {
+        if (!this.sessionsDrawer) {
+            return;
+        }
+
+        const shouldOpen = open === undefined ? !this.isSessionsDrawerOpen() : open;
+        this.sessionsDrawer.classList.toggle('open', shouldOpen);
+        this.sessionsToggle.setAttribute('aria-expanded', shouldOpen ? 'true' : 'false');
+
+        if (shouldOpen) {
+            this.fetchSessions();
+        }
+    }
+
+    /**
+     * Send a conversation request to the API
+     *
+     * @async
+     * @private
+     * @param {string} action - API action
+     * @param {Object} [params={}] - Additional request parameters
+     * @returns {Promise<Object>} Parsed response data
+     * @throws {Error} When the request fails or the server reports an error
+     */
+    async requestSessionAction(action, params = {}) {
+        const response = await fetch(this.apiUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                action: action,
+                chat_id: this.chatId,
+                ...params
+            })
+        });
+
+        if (response.status === 401 || response.status === 302) {
+            this.handleSessionExpired();
+            throw new Error('Session expired');
+        }
+
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Load the user's conversations for this chat and render the list
+     *
+     * @async
+     * @private
+     * @returns {Promise<void>}
+     */
+    async fetchSessions() {
+        try {
+            const data = await this.requestSessionAction('list_sessions');
+            this.sessions = data.sessions || [];
+
+            // Another tab may have made a different conversation the most recent
+            // one; this tab stays with the conversation it displays
+            const current = this.sessions.find(session => session.is_current);
+            if (current && !this.currentSessionId) {
+                this.currentSessionId = current.session_id;
+            }
+
+            this.renderSessionList();
+        } catch (error) {
+            debugError('AIChatPageComponent: Failed to load conversations:', error);
+        }
+    }
+
+    /**
+     * Render the conversation list in the drawer
+     * @private
+     */
+    renderSessionList() {
+        if (!this.sessionsList) {
+            return;
+        }
+
+        this.sessionsList.innerHTML = '';
+
+        this.sessions.forEach(session => {
+            const item = document.createElement('li');
+            item.className = 'ai-chat-session';
+            item.dataset.sessionId = session.session_id;
+            if (session.session_id === this.currentSessionId) {
+                item.classList.add('active');
+            }
+
+            const openBtn = document.createElement('button');
+            openBtn.type = 'button';
+            openBtn.className = 'ai-chat-session-open';
+            if (session.session_id === this.currentSessionId) {
+                openBtn.setAttribute('aria-current', 'true');
+            }
+
+            const title = document.createElement('span');
+            title.className = 'ai-chat-session-title';
+            title.textContent = session.title || session.preview || this.lang.sessionUntitled;
+
+            const meta = document.createElement('span');
+            meta.className = 'ai-chat-session-meta';
+            meta.textContent = this.formatSessionDate(session.last_activity);
+
+            openBtn.appendChild(title);
+            openBtn.appendChild(meta);
+            openBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.switchSession(session.session_id);
+            });
+
+            const renameBtn = document.createElement('button');
+            renameBtn.type = 'button';
+            renameBtn.className = 'ai-chat-message-action ai-chat-session-rename';
+            renameBtn.title = this.lang.sessionRename;
+            renameBtn.setAttribute('aria-label', this.lang.sessionRename);
+            renameBtn.innerHTML = `
+                <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true" focusable="false">
+                    <path d="M12.146.146a.5.5 0 0 1 .708 0l3 3a.5.5 0 0 1 0 .708l-10 10a.5.5 0 0 1-.168.11l-5 2a.5.5 0 0 1-.65-.65l2-5a.5.5 0 0 1 .11-.168l10-10zM11.207 2.5 13.5 4.793 14.793 3.5 12.5 1.207 11.207 2.5zm1.586 3L10.5 3.207 4 9.707V10h.5a.5.5 0 0 1 .5.5v.5h.5a.5.5 0 0 1 .5.5v.5h.293l6.5-6.5zm-9.761 5.175-.106.106-1.528 3.821 3.821-1.528.106-.106A.5.5 0 0 1 5 12.5V12h-.5a.5.5 0 0 1-.5-.5V11h-.5a.5.5 0 0 1-.468-.325z"/>
+                </svg>
+            `;
+            renameBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.startRenameSession(item, session);
+            });
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'ai-chat-message-action ai-chat-session-delete';
+            deleteBtn.title = this.lang.sessionDelete;
+            deleteBtn.setAttribute('aria-label', this.lang.sessionDelete);
+            deleteBtn.innerHTML = `
+                <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true" focusable="false">
+                    <path d="M5.5 5.5A.5.5 0 0 1 6 6v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm2.5 0a.5.5 0 0 1 .5.5v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm3 .5a.5.5 0 0 0-1 0v6a.5.5 0 0 0 1 0V6z"/>
+                    <path fill-rule="evenodd" d="M14.5 3a1 1 0 0 1-1 1H13v9a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V4h-.5a1 1 0 0 1-1-1V2a1 1 0 0 1 1-1H6a1 1 0 0 1 1-1h2a1 1 0 0 1 1 1h3.5a1 1 0 0 1 1 1v1zM4.118 4 4 4.059V13a1 1 0 0 0 1 1h6a1 1 0 0 0 1-1V4.059L11.882 4H4.118zM2.5 3V2h11v1h-11z"/>
+                </svg>
+            `;
+            deleteBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.deleteSession(session);
+            });
+
+            item.appendChild(openBtn);
+            item.appendChild(renameBtn);
+            item.appendChild(deleteBtn);
+            this.sessionsList.appendChild(item);
+        });
+    }
+
+    /**
+     * Format a server timestamp for the conversation list
+     * @private
+     * @param {string|null} timestamp - Timestamp as "Y-m-d H:i:s"
+     * @returns {string} Localized date or time
+     */
+    formatSessionDate(timestamp) {
+        if (!timestamp) {
+            return '';
+        }
+
+        const date = new Date(timestamp.replace(' ', 'T'));
+        if (isNaN(date.getTime())) {
+            return '';
+        }
+
+        const isToday = date.toDateString() === new Date().toDateString();
+        return isToday
+            ? date.toLocaleTimeString([], {hour: '2-digit', minute: '2-digit'})
+            : date.toLocaleDateString();
+    }
+
+    /**
+     * Forget all messages of the displayed conversation
+     * @private
+     */
+    resetConversationState() {
+        this.messageNodes.clear();
+        this.activeLeafId = null;
+        this.messageHistory = [];
+    }
+
+    /**
+     * Show a conversation loaded from the server
+     * @private
+     * @param {Array<Object>} messages - Messages of the selected branch
+     * @param {boolean} [hasMore=false] - Whether older messages can be loaded
+     */
+    showSessionMessages(messages, hasMore = false) {
+        this.resetConversationState();
+        this.hasOlderMessages = hasMore;
+        this.mergeServerMessages(messages);
+        if (messages.length > 0) {
+            this.activeLeafId = String(messages[messages.length - 1].message_id);
+        }
+        this.rebuildMessageHistory();
+        this.renderActiveBranch();
+        this.saveChatHistory();
+    }
+
+    /**
+     * Switch to another conversation
+     *
+     * @async
+     * @private
+     * @param {string} sessionId - Conversation to show
+     * @returns {Promise<void>}
+     */
+    async switchSession(sessionId) {
+        if (this.isLoading) {
+            return;
+        }
+        if (sessionId === this.currentSessionId) {
+            this.toggleSessionsDrawer(false);
+            return;
+        }
+
+        try {
+            const data = await this.requestSessionAction('load_session', {session_id: sessionId});
+            this.currentSessionId = data.session.session_id;
+            this.showSessionMessages(data.messages || [], !!data.has_more);
+            this.toggleSessionsDrawer(false);
+            this.inputArea.focus();
+        } catch (error) {
+            debugError('AIChatPageComponent: Failed to switch conversation:', error);
+            this.showAlert(this.lang.sessionLoadFailed);
+        }
     }
-    
-    formatFileSize(bytes) {
-        if (bytes === 0) return '0 B';
-        const k = 1024;
-        const sizes = ['B', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+
+    /**
+     * Start a new, empty conversation
+     *
+     * @async
+     * @private
+     * @returns {Promise<void>}
+     */
+    async createSession() {
+        if (this.isLoading) {
+            return;
+        }
+
+        try {
+            const data = await this.requestSessionAction('create_session', {session_id: this.currentSessionId});
+            this.currentSessionId = data.session.session_id;
+            this.showSessionMessages([]);
+            this.toggleSessionsDrawer(false);
+            this.inputArea.focus();
+        } catch (error) {
+            debugError('AIChatPageComponent: Failed to create conversation:', error);
+            this.showAlert(this.lang.sessionLoadFailed);
+        }
     }
-    
-    async createImagePreview(file) {
-        return new Promise((resolve) => {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                resolve(e.target.result);
-            };
-            reader.onerror = () => {
-                resolve(null);
-            };
-            reader.readAsDataURL(file);
+
+    /**
+     * Replace a conversation title with an inline text field
+     *
+     * Enter saves, Escape cancels.
+     *
+     * @private
+     * @param {HTMLElement} item - List item of the conversation
+     * @param {Object} session - Conversation data
+     */
+    startRenameSession(item, session) {
+        const openBtn = item.querySelector('.ai-chat-session-open');
+        if (!openBtn || item.querySelector('.ai-chat-session-rename-input')) {
+            return;
+        }
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'ai-chat-session-rename-input';
+        input.value = session.title || session.preview || '';
+        input.maxLength = 255;
+        input.setAttribute('aria-label', this.lang.sessionRename);
+
+        let done = false;
+        const finish = (save) => {
+            if (done) {
+                return;
+            }
+            done = true;
+            if (save && input.value.trim() !== (session.title || '')) {
+                this.renameSession(session.session_id, input.value.trim());
+            } else {
+                this.renderSessionList();
+            }
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                finish(false);
+            }
         });
+        input.addEventListener('blur', () => finish(true));
+
+        openBtn.replaceWith(input);
+        input.focus();
+        input.select();
     }
-    
+
     /**
-     * Disable input and show a notice when no AI service is configured.
-     * History (if persistent) is still loaded and readable.
+     * Rename a conversation
+     *
+     * @async
+     * @private
+     * @param {string} sessionId - Conversation to rename
+     * @param {string} name - New title (empty to fall back to the preview)
+     * @returns {Promise<void>}
      */
-    disableInputForUnavailableService(showMessage = true) {
-        this.serviceUnavailable = true;
+    async renameSession(sessionId, name) {
+        try {
+            const data = await this.requestSessionAction('rename_session', {session_id: sessionId, name: name});
+            this.sessions = this.sessions.map(session =>
+                session.session_id === sessionId ? {...session, title: data.session.title} : session
+            );
+        } catch (error) {
+            debugError('AIChatPageComponent: Failed to rename conversation:', error);
+        }
+        this.renderSessionList();
+    }
 
-        if (this.inputArea) this.inputArea.disabled = true;
+    /**
+     * Delete a conversation after confirmation
+     *
+     * When the displayed conversation is deleted, the conversation the server
+     * reports as current is shown instead (or an empty chat if none is left).
+     *
+     * @async
+     * @private
+     * @param {Object} session - Conversation data
+     * @returns {Promise<void>}
+     */
+    async deleteSession(session) {
+        if (this.isLoading) {
+            return;
+        }
 
-        const sendBtn = this.container.querySelector('.ai-chat-send');
-        if (sendBtn) sendBtn.disabled = true;
+        const confirmed = await this.showCustomConfirmDialog(this.lang.sessionDeleteConfirm);
+        if (!confirmed) {
+            return;
+        }
 
-        const attachBtn = this.container.querySelector('.ai-chat-attach-btn');
-        if (attachBtn) attachBtn.disabled = true;
+        try {
+            const data = await this.requestSessionAction('delete_session', {session_id: session.session_id});
 
-        if (showMessage) {
-            const notice = this.container.dataset.noServiceAvailable
-                || 'No AI service is currently available.';
-            setTimeout(() => this.addMessageToDisplay('system', notice), 100);
+            if (session.session_id === this.currentSessionId) {
+                this.currentSessionId = null;
+                if (data.current_session_id) {
+                    await this.switchSession(data.current_session_id);
+                } else {
+                    this.showSessionMessages([]);
+                }
+            }
+        } catch (error) {
+            debugError('AIChatPageComponent: Failed to delete conversation:', error);
+            this.showAlert(this.lang.sessionLoadFailed);
         }
+
+        this.fetchSessions();
     }
 
     saveChatHistory() {
         // Anonymous sessions are ephemeral – nothing to persist
         if (this.isAnonymous) return;
-        localStorage.setItem(`ai_chat_${this.chatId}`, JSON.stringify(this.messageHistory));
+        // Only the selected branch is kept locally, limited to the memory window
+        const history = this.messageHistory.slice(-this.maxMemory * 2);
+        localStorage.setItem(`ai_chat_${this.chatId}`, JSON.stringify(history));
     }
     
     async loadChatHistory() {
@@ -3404,7 +8624,8 @@ class AIChatPageComponent {
                     },
                     body: JSON.stringify({
                         action: 'load_chat',
-                        chat_id: this.chatId
+                        chat_id: this.chatId,
+                        session_id: this.currentSessionId
                     })
                 });
                 
@@ -3413,27 +8634,18 @@ class AIChatPageComponent {
                     debug('AIChatPageComponent: Loaded chat data:', data);
                     if (data.success && data.messages) {
                         debug('AIChatPageComponent: Raw messages from server:', data.messages);
-                        this.messageHistory = data.messages.map(msg => ({
-                            role: msg.role,
-                            content: msg.content || msg.message || '',
-                            timestamp: msg.timestamp || Date.now(),
-                            attachments: msg.attachments || [],
-                            sources: msg.sources || null,
-                            usage: msg.usage || null
-                        }));
+                        this.currentSessionId = data.session ? data.session.session_id : null;
+                        this.hasOlderMessages = !!data.has_more;
+                        this.mergeServerMessages(data.messages);
+                        if (data.messages.length > 0) {
+                            this.activeLeafId = String(data.messages[data.messages.length - 1].message_id);
+                        }
+                        this.rebuildMessageHistory();
 
                         debug('AIChatPageComponent: Processed message history:', this.messageHistory);
-                        this.messageHistory.forEach(msg => {
-                            if (msg.role !== 'system') {
-                                debug('AIChatPageComponent: Displaying message:', msg);
-                                // Skip empty messages (usually from file uploads without text)
-                                if (msg.content.trim() === '' && (!msg.attachments || msg.attachments.length === 0)) {
-                                    debug('AIChatPageComponent: Skipping empty message');
-                                    return;
-                                }
-                                this.displayMessageOnly(msg.role, msg.content, msg.attachments || [], msg.sources, msg.usage);
-                            }
-                        });
+                        if (this.messageHistory.length > 0) {
+                            this.renderActiveBranch();
+                        }
                     }
                 }
             } catch (e) {
@@ -3459,12 +8671,15 @@ class AIChatPageComponent {
         const saved = localStorage.getItem(`ai_chat_${this.chatId}`);
         if (saved) {
             try {
-                this.messageHistory = JSON.parse(saved);
-                this.messageHistory.forEach(msg => {
-                    if (msg.role !== 'system') {
-                        this.displayMessageOnly(msg.role, msg.content, msg.attachments || []);
-                    }
-                });
+                // Stored history is a single branch; chain it in order
+                JSON.parse(saved)
+                    .filter(msg => msg.role === 'user' || msg.role === 'assistant')
+                    .forEach(msg => {
+                        this.addMessageNode(msg.role, msg.content, msg.attachments || [], msg.sources || null, msg.usage || null, msg.id || null);
+                    });
+                if (this.messageHistory.length > 0) {
+                    this.renderActiveBranch();
+                }
             } catch (e) {
                 debugError('Failed to load local chat history:', e);
             }
@@ -3478,93 +8693,81 @@ class AIChatPageComponent {
     
     showWelcomeMessage() {
         this.messagesArea.innerHTML = `<div class="ai-chat-welcome">${this.lang.welcomeMessage}</div>`;
+        this.renderStarterPrompts(this.messagesArea.querySelector('.ai-chat-welcome'));
     }
     
     /**
      * Copy message content to clipboard
      */
     /**
-     * Regenerate the last assistant response
+     * Regenerate an assistant response as a new version
+     *
+     * The previous answer stays in the message tree and can be brought back
+     * with the version switcher; the new answer becomes the selected branch.
+     *
+     * @async
+     * @private
+     * @param {HTMLElement} messageDiv - Assistant message to regenerate
+     * @returns {Promise<void>}
      */
     async regenerateResponse(messageDiv) {
         debug('AIChatPageComponent: Regenerating response');
-        
-        // Find the last user message to regenerate from
-        const messages = this.messagesArea.querySelectorAll('.ai-chat-message');
-        let lastUserMessage = null;
-        let lastUserAttachments = [];
-        
-        for (let i = messages.length - 1; i >= 0; i--) {
-            if (messages[i] === messageDiv) {
-                // Find the user message before this assistant message
-                for (let j = i - 1; j >= 0; j--) {
-                    if (messages[j].classList.contains('user')) {
-                        lastUserMessage = messages[j];
-                        break;
-                    }
-                }
-                break;
-            }
+
+        if (this.isLoading) {
+            return;
         }
-        
-        if (!lastUserMessage) {
+
+        const node = this.messageNodes.get(messageDiv.dataset.messageId);
+        const userNode = node ? this.messageNodes.get(node.parentId) : null;
+
+        if (!userNode || userNode.role !== 'user') {
             debugError('AIChatPageComponent: Could not find user message to regenerate from');
             return;
         }
-        
-        // Get the user message content
-        const userContent = lastUserMessage.querySelector('.ai-chat-message-content').textContent;
-        
-        // Get attachments if any
-        const attachmentDivs = lastUserMessage.querySelectorAll('.ai-chat-message-image img, .ai-chat-message-attachment');
-        for (let attachmentDiv of attachmentDivs) {
-            if (attachmentDiv.tagName === 'IMG') {
-                // Extract attachment info from data attributes or stored data
-                const attachmentId = attachmentDiv.dataset.attachmentId;
-                if (attachmentId) {
-                    // Find attachment in message history
-                    const historyMsg = this.messageHistory.find(msg => 
-                        msg.attachments && msg.attachments.some(att => att.id == attachmentId)
-                    );
-                    if (historyMsg) {
-                        lastUserAttachments = historyMsg.attachments;
-                    }
-                }
-            }
-        }
-        
-        debug('AIChatPageComponent: Regenerating with message:', userContent);
-        debug('AIChatPageComponent: With attachments:', lastUserAttachments);
-        
-        // Remove the assistant message
-        messageDiv.remove();
-        
+
+        debug('AIChatPageComponent: Regenerating with message:', userNode.content);
+
+        // Continue from the user message; the old answer becomes a sibling
+        this.activeLeafId = userNode.id;
+        this.rebuildMessageHistory();
+        this.renderActiveBranch();
+        this.pendingRegenerateId = userNode.id;
+
         // Show loading
         this.setLoading(true);
-        
+
+        // Stored messages keep their attachments on the server; only
+        // unsaved ones need to be sent again
+        const attachments = this.isServerMessageId(userNode.id) ? [] : userNode.attachments;
+
         // Regenerate the response
         try {
-            if (lastUserAttachments.length > 0) {
+            if (attachments.length > 0) {
                 if (this.enableStreaming) {
-                    await this.sendMessageToAIStream(userContent, lastUserAttachments);
+                    await this.sendMessageToAIStream(userNode.content, attachments);
                 } else {
-                    await this.sendMessageWithFiles(userContent, lastUserAttachments);
+                    await this.sendMessageWithFiles(userNode.content, attachments);
                 }
             } else {
                 if (this.enableStreaming) {
-                    await this.sendMessageToAIStream(userContent);
+                    await this.sendMessageToAIStream(userNode.content);
                 } else {
-                    await this.sendMessageToAI(userContent);
+                    await this.sendMessageToAI(userNode.content);
                 }
             }
         } catch (error) {
             debugError('AIChatPageComponent: Regenerate failed:', error);
             this.setLoading(false);
             this.addMessageToDisplay('system', this.lang.regenerateFailed);
+        } finally {
+            this.pendingRegenerateId = null;
         }
     }
     
     copyMessageToClipboard(content, button) {
+        // Reasoning is not part of the answer
+        content = this.stripReasoning(content);
+
         // Try to copy to clipboard
         if (navigator.clipboard && window.isSecureContext) {
             navigator.clipboard.writeText(content).then(() => {
@@ -3749,7 +8952,8 @@ class AIChatPageComponent {
                 },
                 body: JSON.stringify({
                     action: 'clear_chat',
-                    chat_id: this.chatId
+                    chat_id: this.chatId,
+                    session_id: this.currentSessionId
                 })
             });
             
@@ -3762,8 +8966,14 @@ class AIChatPageComponent {
                 if (data.success) {
                     debug('AIChatPageComponent: Chat cleared successfully, updating UI');
                     // Clear UI
-                    this.messagesArea.innerHTML = `<div class="ai-chat-welcome">${this.lang.welcomeMessage || 'Start a conversation...'}</div>`;
-                    this.messageHistory = [];
+                    this.showWelcomeMessage();
+                    this.resetConversationState();
+
+                    // The cleared conversation is gone; the server started an empty one
+                    this.currentSessionId = data.session ? data.session.session_id : null;
+                    if (this.isSessionsDrawerOpen()) {
+                        this.fetchSessions();
+                    }
                     
                     // Clear local storage for non-persistent chats
                     if (!this.persistent) {
@@ -4228,6 +9438,9 @@ class AIChatPageComponent {
      */
     handleSessionExpired() {
         debug('AIChatPageComponent: Session expired detected');
+
+        // The draft is restored after logging in again
+        this.flushDraftSave();
         
         // Show user-friendly session expired message
         const sessionExpiredMsg = this.container.dataset.sessionExpiredMessage || 
@@ -4355,10 +9568,17 @@ class AIChatPageComponent {
     
     /**
      * Format message content (for streaming and regular messages)
-     * Uses the same renderMarkdown method as non-streaming for consistency
+     * Uses the same renderMarkdown method as non-streaming for consistency;
+     * reasoning is rendered as a collapsed disclosure above the answer
+     *
+     * @param {string} content - Raw message content
+     * @param {number|null} [reasoningSeconds=null] - Reasoning time, if known
+     * @returns {string} HTML string
      */
-    formatMessage(content) {
-        return this.renderMarkdown(content);
+    formatMessage(content, reasoningSeconds = null) {
+        const { reasoning, answer } = this.splitReasoning(content);
+        const html = this.renderMarkdown(answer);
+        return reasoning ? this.buildReasoningHtml(reasoning, reasoningSeconds) + html : html;
     }
     
     /**
@@ -4373,8 +9593,10 @@ class AIChatPageComponent {
     /**
      * Create message action buttons (copy, regenerate)
      * Sources are now handled separately via renderSourcesRow
+     *
+     * @param {string} rawContent - Markdown source of the message, copied without reasoning
      */
-    createMessageActions() {
+    createMessageActions(rawContent) {
         const actionsDiv = document.createElement('div');
         actionsDiv.className = 'ai-chat-message-actions';
 
@@ -4390,10 +9612,7 @@ class AIChatPageComponent {
         `;
         copyBtn.addEventListener('click', (e) => {
             e.preventDefault();
-            const messageDiv = e.target.closest('.ai-chat-message');
-            const contentDiv = messageDiv.querySelector('.ai-chat-message-content');
-            const content = contentDiv ? contentDiv.textContent : '';
-            this.copyMessageToClipboard(content, copyBtn);
+            this.copyMessageToClipboard(rawContent || '', copyBtn);
         });
 
         // Regenerate button
@@ -4440,6 +9659,209 @@ class AIChatPageComponent {
         return actionsDiv;
     }
 
+    /**
+     * Create message action buttons for user messages (copy, edit)
+     *
+     * @private
+     * @param {string} content - Message text to copy
+     * @returns {HTMLElement} Actions container
+     */
+    createUserMessageActions(content) {
+        const actionsDiv = document.createElement('div');
+        actionsDiv.className = 'ai-chat-message-actions';
+
+        // Copy button
+        const copyBtn = document.createElement('button');
+        copyBtn.className = 'ai-chat-message-action';
+        copyBtn.title = this.lang.copyMessageTitle;
+        copyBtn.innerHTML = `
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true" focusable="false">
+                <path d="M4 1.5H3a2 2 0 0 0-2 2V14a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2V3.5a2 2 0 0 0-2-2h-1v1h1a1 1 0 0 1 1 1V14a1 1 0 0 1-1 1H3a1 1 0 0 1-1-1V3.5a1 1 0 0 1 1-1h1v-1z"/>
+                <path d="M9.5 1a.5.5 0 0 1 .5.5v1a.5.5 0 0 1-.5.5h-3a.5.5 0 0 1-.5-.5v-1a.5.5 0 0 1 .5-.5h3zm-3-1A1.5 1.5 0 0 0 5 1.5v1A1.5 1.5 0 0 0 6.5 4h3A1.5 1.5 0 0 0 11 2.5v-1A1.5 1.5 0 0 0 9.5 0h-3z"/>
+            </svg>
+        `;
+        copyBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.copyMessageToClipboard(content, copyBtn);
+        });
+
+        // Edit button
+        const editBtn = document.createElement('button');
+        editBtn.className = 'ai-chat-message-action ai-chat-edit-btn';
+        editBtn.title = this.lang.editMessageTitle;
+        editBtn.setAttribute('aria-label', this.lang.editMessageTitle);
+        editBtn.innerHTML = `
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true" focusable="false">
+                <path d="M12.146.146a.5.5 0 0 1 .708 0l3 3a.5.5 0 0 1 0 .708l-10 10a.5.5 0 0 1-.168.11l-5 2a.5.5 0 0 1-.65-.65l2-5a.5.5 0 0 1 .11-.168l10-10zM11.207 2.5 13.5 4.793 14.793 3.5 12.5 1.207 11.207 2.5zm1.586 3L10.5 3.207 4 9.707V10h.5a.5.5 0 0 1 .5.5v.5h.5a.5.5 0 0 1 .5.5v.5h.293l6.5-6.5zm-9.761 5.175-.106.106-1.528 3.821 3.821-1.528.106-.106A.5.5 0 0 1 5 12.5V12h-.5a.5.5 0 0 1-.5-.5V11h-.5a.5.5 0 0 1-.468-.325z"/>
+            </svg>
+        `;
+        editBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            const messageDiv = e.target.closest('.ai-chat-message');
+            this.editUserMessage(messageDiv);
+        });
+
+        actionsDiv.appendChild(copyBtn);
+        actionsDiv.appendChild(editBtn);
+
+        return actionsDiv;
+    }
+
+    /**
+     * Turn a user message into an inline editor
+     *
+     * Enter sends the edited text, Shift+Enter adds a line break and Escape
+     * cancels without changes.
+     *
+     * @private
+     * @param {HTMLElement} messageDiv - User message element
+     */
+    editUserMessage(messageDiv) {
+        if (this.isLoading || !messageDiv || messageDiv.classList.contains('editing')) {
+            return;
+        }
+
+        const node = this.messageNodes.get(messageDiv.dataset.messageId);
+        if (!node || node.role !== 'user' || !this.canEditMessage(node.id)) {
+            return;
+        }
+
+        messageDiv.classList.add('editing');
+
+        const form = document.createElement('div');
+        form.className = 'ai-chat-edit-form';
+
+        const textarea = document.createElement('textarea');
+        textarea.className = 'ai-chat-edit-input';
+        textarea.value = node.content;
+        textarea.maxLength = this.charLimit;
+        textarea.setAttribute('aria-label', this.lang.editMessageTitle);
+
+        const resize = () => {
+            textarea.style.height = 'auto';
+            textarea.style.height = textarea.scrollHeight + 'px';
+        };
+
+        const buttons = document.createElement('div');
+        buttons.className = 'ai-chat-edit-buttons';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'ai-chat-edit-cancel';
+        cancelBtn.textContent = this.lang.editMessageCancel;
+
+        const saveBtn = document.createElement('button');
+        saveBtn.type = 'button';
+        saveBtn.className = 'ai-chat-edit-save';
+        saveBtn.textContent = this.lang.editMessageSave;
+
+        const close = () => {
+            form.remove();
+            messageDiv.classList.remove('editing');
+        };
+
+        const submit = () => {
+            const text = textarea.value.trim();
+            if (!text) {
+                textarea.focus();
+                return;
+            }
+            close();
+            if (text !== node.content) {
+                this.resendEditedMessage(node, text);
+            }
+        };
+
+        cancelBtn.addEventListener('click', close);
+        saveBtn.addEventListener('click', submit);
+        textarea.addEventListener('input', resize);
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                close();
+            } else if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                submit();
+            }
+        });
+
+        buttons.appendChild(cancelBtn);
+        buttons.appendChild(saveBtn);
+        form.appendChild(textarea);
+        form.appendChild(buttons);
+        messageDiv.appendChild(form);
+
+        resize();
+        textarea.focus();
+        textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+    }
+
+    /**
+     * Send an edited user message as a new version of the original
+     *
+     * The conversation is cut back to the point before the original message;
+     * the original and everything that followed stays reachable through the
+     * version switcher. Attachments of the original message are kept.
+     *
+     * @async
+     * @private
+     * @param {Object} node - Tree node of the original user message
+     * @param {string} text - Edited message text
+     * @returns {Promise<void>}
+     */
+    async resendEditedMessage(node, text) {
+        if (this.isLoading) {
+            return;
+        }
+
+        if (!this.isSessionValid()) {
+            this.handleSessionExpired();
+            return;
+        }
+
+        debug('AIChatPageComponent: Resending edited message:', text);
+
+        // Branch off before the original message
+        this.activeLeafId = node.parentId;
+        this.rebuildMessageHistory();
+        this.renderActiveBranch();
+
+        const welcomeMsg = this.container.querySelector('.ai-chat-welcome');
+        if (welcomeMsg) {
+            welcomeMsg.remove();
+        }
+
+        this.pendingEditId = node.id;
+        this.addMessageToDisplay('user', text, node.attachments);
+        this.setLoading(true);
+
+        // Stored attachments are copied by the server; only unsaved ones
+        // need to be sent again
+        const attachments = this.isServerMessageId(node.id) ? [] : node.attachments;
+
+        try {
+            if (attachments.length > 0) {
+                if (this.enableStreaming) {
+                    await this.sendMessageToAIStream(text, attachments);
+                } else {
+                    await this.sendMessageWithFiles(text, attachments);
+                }
+            } else {
+                if (this.enableStreaming) {
+                    await this.sendMessageToAIStream(text);
+                } else {
+                    await this.sendMessageToAI(text);
+                }
+            }
+        } catch (error) {
+            debugError('AIChatPageComponent: Resending edited message failed:', error);
+            this.setLoading(false);
+            this.addMessageToDisplay('system', this.getErrorMessage(error));
+        } finally {
+            this.pendingEditId = null;
+        }
+    }
+
     /**
      * Detect source type from filename
      * @param {string} filename - Source filename
@@ -4583,12 +10005,12 @@ class AIChatPageComponent {
                 pageInfo = `<span class="ai-chat-source-pages">S. ${source.pages.join(', ')}</span>`;
             }
 
-            const nameHtml = source.url
-                ? `<a class="ai-chat-source-link" href="${this.escapeHtml(source.url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(source.filename)}</a>`
+            const nameHtml = source.url && this.isSafeUrl(source.url)
+                ? `<a class="ai-chat-source-link" href="${this.escapeAttribute(source.url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(source.filename)}</a>`
                 : `<span class="ai-chat-source-name">${this.escapeHtml(source.filename)}</span>`;
 
-            const downloadBtn = source.download_url
-                ? `<a class="ai-chat-source-download" href="${this.escapeHtml(source.download_url)}" target="_blank" rel="noopener noreferrer" title="Herunterladen" aria-label="Datei herunterladen"><svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/></svg></a>`
+            const downloadBtn = source.download_url && this.isSafeUrl(source.download_url)
+                ? `<a class="ai-chat-source-download" href="${this.escapeAttribute(source.download_url)}" target="_blank" rel="noopener noreferrer" title="Herunterladen" aria-label="Datei herunterladen"><svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/></svg></a>`
                 : '';
 
             item.innerHTML = `
@@ -4866,6 +10288,30 @@ function copyCodeToClipboard(button) {
     }
 }
 
+// Global function for code downloads, the file extension follows the fence language
+function downloadCodeBlock(button) {
+    const codeBlock = button.closest('.ai-chat-code-block');
+    const code = codeBlock.querySelector('.ai-chat-code-content code').textContent;
+    const extension = codeBlock.dataset.extension || 'txt';
+
+    // Java only compiles when the file is named after its public class
+    let basename = 'code';
+    if (extension === 'java') {
+        const match = code.match(/public\s+(?:(?:final|abstract)\s+)*(?:class|interface|enum|record)\s+(\w+)/);
+        if (match) basename = match[1];
+    }
+
+    const url = URL.createObjectURL(new Blob([code], { type: 'text/plain;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${basename}.${extension}`;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 function fallbackCopyToClipboard(text, button) {
     // Fallback for older browsers
     const textArea = document.createElement('textarea');
@@ -0,0 +1,8 @@
+/**
+ * Prism configuration, loaded before js/vendor/prism.min.js
+ *
+ * Manual mode: only code rendered by the AI chat is highlighted (via
+ * Prism.highlight()), never code elsewhere on the ILIAS page.
+ */
+window.Prism = window.Prism || {};
+window.Prism.manual = true;
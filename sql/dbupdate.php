@@ -815,3 +815,280 @@ if ($db->tableExists('pcaic_chats')) {
     }
 }
 ?>
+
+<#11>
+<?php
+/**
+ * Step 11: Create stream buffer table for resumable streaming (v1.6.0)
+ *
+ * Stores the chunks of in-flight streamed responses so clients can reconnect
+ * after a dropped connection. Rows are short-lived and cleaned up lazily.
+ */
+global $DIC;
+$db = $DIC->database();
+
+if (!$db->tableExists('pcaic_streams')) {
+    $fields = array(
+        'stream_id' => array(
+            'type' => 'text',
+            'length' => 64,
+            'notnull' => true
+        ),
+        'chat_id' => array(
+            'type' => 'text',
+            'length' => 255,
+            'notnull' => true
+        ),
+        'user_id' => array(
+            'type' => 'integer',
+            'length' => 4,
+            'notnull' => true
+        ),
+        'status' => array(
+            'type' => 'text',
+            'length' => 16,
+            'notnull' => true,
+            'default' => 'running'
+        ),
+        'chunks' => array(
+            'type' => 'clob',
+            'notnull' => false
+        ),
+        'last_seq' => array(
+            'type' => 'integer',
+            'length' => 4,
+            'notnull' => true,
+            'default' => 0
+        ),
+        'payload' => array(
+            'type' => 'clob',
+            'notnull' => false
+        ),
+        'created_at' => array(
+            'type' => 'timestamp',
+            'notnull' => true
+        ),
+        'updated_at' => array(
+            'type' => 'timestamp',
+            'notnull' => true
+        )
+    );
+
+    $db->createTable('pcaic_streams', $fields);
+    $db->addPrimaryKey('pcaic_streams', array('stream_id'));
+    $db->addIndex('pcaic_streams', array('updated_at'), 'i1');
+}
+?>
+
+<#12>
+<?php
+/**
+ * Step 12: Add message tree columns for conversation branching (v1.6.0)
+ *
+ * parent_id:         parent message of a message (0 = root). NULL marks legacy
+ *                    messages, which are chained to their chronological predecessor.
+ * active_message_id: leaf of the branch currently selected in a session
+ *                    (NULL = most recent message).
+ */
+global $DIC;
+$db = $DIC->database();
+
+if ($db->tableExists('pcaic_messages')) {
+    if (!$db->tableColumnExists('pcaic_messages', 'parent_id')) {
+        $db->addTableColumn('pcaic_messages', 'parent_id', array(
+            'type' => 'integer',
+            'length' => 4,
+            'notnull' => false
+        ));
+    }
+}
+
+if ($db->tableExists('pcaic_sessions')) {
+    if (!$db->tableColumnExists('pcaic_sessions', 'active_message_id')) {
+        $db->addTableColumn('pcaic_sessions', 'active_message_id', array(
+            'type' => 'integer',
+            'length' => 4,
+            'notnull' => false
+        ));
+    }
+}
+?>
+
+<#13>
+<?php
+/**
+ * Step 13: Create chunked upload table for large attachments (v1.6.0)
+ *
+ * Tracks files uploaded in chunks. Received bytes are stored in part files in
+ * the client data directory; rows are identified by user, chat and content
+ * hash so uploads can be resumed after a page reload.
+ */
+global $DIC;
+$db = $DIC->database();
+
+if (!$db->tableExists('pcaic_uploads')) {
+    $fields = array(
+        'upload_id' => array(
+            'type' => 'text',
+            'length' => 64,
+            'notnull' => true
+        ),
+        'chat_id' => array(
+            'type' => 'text',
+            'length' => 255,
+            'notnull' => true
+        ),
+        'user_id' => array(
+            'type' => 'integer',
+            'length' => 4,
+            'notnull' => true
+        ),
+        'file_name' => array(
+            'type' => 'text',
+            'length' => 255,
+            'notnull' => true
+        ),
+        'mime_type' => array(
+            'type' => 'text',
+            'length' => 128,
+            'notnull' => false
+        ),
+        'file_size' => array(
+            'type' => 'integer',
+            'length' => 8,
+            'notnull' => true
+        ),
+        'file_hash' => array(
+            'type' => 'text',
+            'length' => 64,
+            'notnull' => true
+        ),
+        'received_bytes' => array(
+            'type' => 'integer',
+            'length' => 8,
+            'notnull' => true,
+            'default' => 0
+        ),
+        'created_at' => array(
+            'type' => 'timestamp',
+            'notnull' => true
+        ),
+        'updated_at' => array(
+            'type' => 'timestamp',
+            'notnull' => true
+        )
+    );
+
+    $db->createTable('pcaic_uploads', $fields);
+    $db->addPrimaryKey('pcaic_uploads', array('upload_id'));
+    $db->addIndex('pcaic_uploads', array('user_id', 'chat_id'), 'i1');
+    $db->addIndex('pcaic_uploads', array('updated_at'), 'i2');
+}
+?>
+
+<#14>
+<?php
+/**
+ * Step 14: Add starter prompts to chat configuration (v1.6.0)
+ *
+ * JSON list of {"title", "prompt"} entries shown as suggestions in the
+ * welcome state of a chat. Prompts may contain {placeholders}.
+ */
+global $DIC;
+$db = $DIC->database();
+
+if ($db->tableExists('pcaic_chats')) {
+    if (!$db->tableColumnExists('pcaic_chats', 'starter_prompts')) {
+        $db->addTableColumn('pcaic_chats', 'starter_prompts', array(
+            'type' => 'clob',
+            'notnull' => false
+        ));
+    }
+}
+?>
+
+<#15>
+<?php
+/**
+ * Step 15: Add cancellation flag to stream buffers (v1.6.0)
+ *
+ * Set by the cancel_stream request when the user stops a generation. The
+ * process writing the stream polls it and aborts the request to the AI service.
+ */
+global $DIC;
+$db = $DIC->database();
+
+if ($db->tableExists('pcaic_streams')) {
+    if (!$db->tableColumnExists('pcaic_streams', 'cancelled')) {
+        $db->addTableColumn('pcaic_streams', 'cancelled', array(
+            'type' => 'integer',
+            'length' => 1,
+            'notnull' => true,
+            'default' => 0
+        ));
+    }
+}
+?>
+
+<#16>
+<?php
+/**
+ * Step 16: Mark imported messages (v1.6.0)
+ *
+ * Messages restored from an exported conversation were not sent today and
+ * must not count toward the daily message limit.
+ */
+global $DIC;
+$db = $DIC->database();
+
+if ($db->tableExists('pcaic_messages')) {
+    if (!$db->tableColumnExists('pcaic_messages', 'imported')) {
+        $db->addTableColumn('pcaic_messages', 'imported', array(
+            'type' => 'integer',
+            'length' => 1,
+            'notnull' => true,
+            'default' => 0
+        ));
+    }
+}
+?>
+
+<#17>
+<?php
+/**
+ * Step 17: Store stream chunks as appended rows (v1.6.0)
+ *
+ * Each flush of a stream buffer inserts the chunks received since the last
+ * one (JSON list, last_seq = sequence number of its last chunk) instead of
+ * rewriting all chunks in pcaic_streams.chunks, which is dropped. Buffers are
+ * short-lived, so running streams simply lose their replay during the update.
+ */
+global $DIC;
+$db = $DIC->database();
+
+if (!$db->tableExists('pcaic_stream_chunks')) {
+    $fields = array(
+        'stream_id' => array(
+            'type' => 'text',
+            'length' => 64,
+            'notnull' => true
+        ),
+        'last_seq' => array(
+            'type' => 'integer',
+            'length' => 4,
+            'notnull' => true
+        ),
+        'chunks' => array(
+            'type' => 'clob',
+            'notnull' => false
+        )
+    );
+
+    $db->createTable('pcaic_stream_chunks', $fields);
+    $db->addPrimaryKey('pcaic_stream_chunks', array('stream_id', 'last_seq'));
+}
+
+if ($db->tableExists('pcaic_streams') && $db->tableColumnExists('pcaic_streams', 'chunks')) {
+    $db->dropTableColumn('pcaic_streams', 'chunks');
+}
+?>
@@ -363,6 +363,45 @@ class Attachment
         
         return $attachment;
     }
+
+    /**
+     * Copy attachment to another message
+     *
+     * Clones the stored file in ResourceStorage so both messages own an
+     * independent resource and can be deleted separately. RAG references
+     * are not copied.
+     *
+     * @param int $message_id Message ID to associate the copy with
+     *
+     * @return self|null New attachment instance or null if the file is not available
+     */
+    public function copyToMessage(int $message_id): ?self
+    {
+        $identification = $this->getResourceIdentification();
+        if ($identification === null) {
+            return null;
+        }
+
+        try {
+            $clone_id = $this->resource_storage->manage()->clone($identification);
+        } catch (Exception $e) {
+            $this->logger->warning("Failed to copy attachment resource", [
+                'attachment_id' => $this->id,
+                'error' => $e->getMessage()
+            ]);
+            return null;
+        }
+
+        $attachment = new self();
+        $attachment->setMessageId($message_id);
+        $attachment->setChatId($this->chat_id);
+        $attachment->setUserId($this->user_id);
+        $attachment->setResourceId($clone_id->serialize());
+        $attachment->setTimestamp(date('Y-m-d H:i:s'));
+        $attachment->save();
+
+        return $attachment;
+    }
     
     public function getResourceIdentification(): ?\ILIAS\ResourceStorage\Identification\ResourceIdentification
     {
@@ -12,6 +12,9 @@ namespace ILIAS\Plugin\pcaic\Model;
  */
 class ChatConfig
 {
+    /** Maximum number of starter prompts per chat */
+    public const MAX_STARTER_PROMPTS = 8;
+
     private string $chatId;
     private int $pageId = 0;
     private int $parentId = 0;
@@ -30,6 +33,7 @@ class ChatConfig
     private bool $allowSourceDownloads = true;
     private bool $isOnline = true;
     private string $disclaimer = '';
+    private array $starterPrompts = [];
     private ?string $ragCollectionId = null;
     private ?\DateTime $createdAt = null;
     private ?\DateTime $updatedAt = null;
@@ -83,6 +87,8 @@ class ChatConfig
             $this->allowSourceDownloads = (bool)($row['allow_source_downloads'] ?? true);
             $this->isOnline = (bool)($row['is_online'] ?? true);
             $this->disclaimer = $row['disclaimer'] ?? '';
+            $starter_prompts = json_decode($row['starter_prompts'] ?? '', true);
+            $this->setStarterPrompts(is_array($starter_prompts) ? $starter_prompts : []);
             $this->ragCollectionId = $row['rag_collection_id'] ?? null;
 
             $this->createdAt = $row['created_at'] ? new \DateTime($row['created_at']) : null;
@@ -174,6 +180,7 @@ class ChatConfig
             'allow_source_downloads' => ['integer', $this->allowSourceDownloads ? 1 : 0],
             'is_online' => ['integer', $this->isOnline ? 1 : 0],
             'disclaimer' => ['clob', $this->disclaimer],
+            'starter_prompts' => ['clob', json_encode($this->starterPrompts)],
             'rag_collection_id' => ['text', $this->ragCollectionId],
             'updated_at' => ['timestamp', $this->updatedAt->format('Y-m-d H:i:s')]
         ];
@@ -283,11 +290,36 @@ class ChatConfig
     public function setIsOnline(bool $isOnline): void { $this->isOnline = $isOnline; }
     public function getDisclaimer(): string { return $this->disclaimer; }
     public function setDisclaimer(string $disclaimer): void { $this->disclaimer = $disclaimer; }
+    public function getStarterPrompts(): array { return $this->starterPrompts; }
     public function getRAGCollectionId(): ?string { return $this->ragCollectionId; }
     public function setRAGCollectionId(?string $ragCollectionId): void { $this->ragCollectionId = $ragCollectionId; }
     public function getCreatedAt(): ?\DateTime { return $this->createdAt; }
     public function getUpdatedAt(): ?\DateTime { return $this->updatedAt; }
 
+    /**
+     * Set the starter prompts shown in the welcome state
+     *
+     * Entries without title or prompt are dropped; the list is limited to
+     * MAX_STARTER_PROMPTS entries.
+     *
+     * @param array $starterPrompts List of ['title' => string, 'prompt' => string]
+     */
+    public function setStarterPrompts(array $starterPrompts): void
+    {
+        $this->starterPrompts = [];
+        foreach ($starterPrompts as $starter) {
+            if (!is_array($starter)) {
+                continue;
+            }
+            $title = trim((string)($starter['title'] ?? ''));
+            $prompt = trim((string)($starter['prompt'] ?? ''));
+            if ($title !== '' && $prompt !== '') {
+                $this->starterPrompts[] = ['title' => $title, 'prompt' => $prompt];
+            }
+        }
+        $this->starterPrompts = array_slice($this->starterPrompts, 0, self::MAX_STARTER_PROMPTS);
+    }
+
     /**
      * Convert configuration to array representation
      *
@@ -312,6 +344,7 @@ class ChatConfig
             'allow_source_downloads' => $this->allowSourceDownloads,
             'is_online' => $this->isOnline,
             'disclaimer' => $this->disclaimer,
+            'starter_prompts' => $this->starterPrompts,
             'rag_collection_id' => $this->ragCollectionId,
             'created_at' => $this->createdAt?->format('Y-m-d H:i:s'),
             'updated_at' => $this->updatedAt?->format('Y-m-d H:i:s')
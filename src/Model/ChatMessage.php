@@ -14,11 +14,13 @@ class ChatMessage
 {
     private ?int $messageId = null;
     private string $sessionId;
+    private ?int $parentId = null;    // Parent in the message tree (0 = root, null = legacy)
     private string $role;
     private string $message;
     private ?\DateTime $timestamp = null;
     private ?array $metadata = null;  // RAG source citations
     private ?array $usage = null;     // Token usage data
+    private bool $imported = false;   // Restored from an exported conversation
 
     /**
      * Constructor
@@ -48,7 +50,7 @@ class ChatMessage
 
         $query = "SELECT message_id FROM pcaic_messages 
                   WHERE session_id = " . $db->quote($sessionId, 'text') . "
-                  ORDER BY timestamp ASC";
+                  ORDER BY timestamp ASC, message_id ASC";
         
         $result = $db->query($query);
         $messages = [];
@@ -119,9 +121,11 @@ class ChatMessage
         
         if ($row = $db->fetchAssoc($result)) {
             $this->sessionId = $row['session_id'];
+            $this->parentId = isset($row['parent_id']) ? (int)$row['parent_id'] : null;
             $this->role = $row['role'];
             $this->message = $row['message'];
             $this->timestamp = $row['timestamp'] ? new \DateTime($row['timestamp']) : null;
+            $this->imported = (bool)($row['imported'] ?? false);
 
             // Load metadata (RAG sources) if present
             if (!empty($row['metadata'])) {
@@ -157,11 +161,13 @@ class ChatMessage
 
         $values = [
             'session_id' => ['text', $this->sessionId],
+            'parent_id' => ['integer', $this->parentId],
             'role' => ['text', $this->role],
             'message' => ['clob', $this->message],
             'timestamp' => ['timestamp', $this->timestamp->format('Y-m-d H:i:s')],
             'metadata' => ['clob', $this->metadata ? json_encode($this->metadata) : null],
-            'usage' => ['clob', $this->usage ? json_encode($this->usage) : null]
+            'usage' => ['clob', $this->usage ? json_encode($this->usage) : null],
+            'imported' => ['integer', $this->imported ? 1 : 0]
         ];
 
         if ($this->messageId) {
@@ -243,6 +249,8 @@ class ChatMessage
     public function getMessageId(): ?int { return $this->messageId; }
     public function getSessionId(): string { return $this->sessionId; }
     public function setSessionId(string $sessionId): void { $this->sessionId = $sessionId; }
+    public function getParentId(): ?int { return $this->parentId; }
+    public function setParentId(?int $parentId): void { $this->parentId = $parentId; }
     public function getRole(): string { return $this->role; }
     public function setRole(string $role): void { $this->role = $role; }
     public function getMessage(): string { return $this->message; }
@@ -250,6 +258,13 @@ class ChatMessage
     public function getTimestamp(): ?\DateTime { return $this->timestamp; }
     public function setTimestamp(\DateTime $timestamp): void { $this->timestamp = $timestamp; }
 
+    /**
+     * Whether the message was restored from an exported conversation
+     * @return bool True for imported messages (not counted toward the daily limit)
+     */
+    public function isImported(): bool { return $this->imported; }
+    public function setImported(bool $imported): void { $this->imported = $imported; }
+
     /**
      * Get RAG metadata (source citations)
      * @return array|null Array of source objects with filename, page_numbers, text
@@ -342,6 +357,7 @@ class ChatMessage
         return [
             'message_id' => $this->messageId,
             'session_id' => $this->sessionId,
+            'parent_id' => $this->parentId,
             'role' => $this->role,
             'content' => $this->message,
             'message' => $this->message,
@@ -5,8 +5,13 @@ namespace ILIAS\Plugin\pcaic\Model;
 /**
  * Chat session model
  *
- * Represents a user's chat session. Each user-chat combination has its own session
- * that stores message history and activity tracking.
+ * Represents a user's chat session (conversation). A user can keep several named
+ * conversations per chat; the most recently active one is the current conversation
+ * that new messages are added to.
+ *
+ * Messages form a tree: regenerating or editing creates sibling messages under the
+ * same parent. The session remembers the leaf of the currently selected branch,
+ * and only that branch is used as conversation history.
  *
  * @author Nadimo Staszak <nadimo.staszak@uni-koeln.de>
  */
@@ -19,6 +24,7 @@ class ChatSession
     private ?\DateTime $createdAt = null;
     private ?\DateTime $lastActivity = null;
     private bool $isActive = true;
+    private ?int $activeMessageId = null;
 
     /**
      * Constructor
@@ -102,6 +108,52 @@ class ChatSession
         return $session;
     }
 
+    /**
+     * Find all conversations of a user in a chat
+     *
+     * @param int $userId User ID
+     * @param string $chatId Chat ID
+     * @return self[] Sessions ordered by last activity, most recent (current) first
+     */
+    public static function findAllForUserAndChat(int $userId, string $chatId): array
+    {
+        global $DIC;
+        $db = $DIC->database();
+
+        $query = "SELECT session_id FROM pcaic_sessions 
+                  WHERE user_id = " . $db->quote($userId, 'integer') . "
+                  AND chat_id = " . $db->quote($chatId, 'text') . "
+                  AND is_active = 1
+                  ORDER BY last_activity DESC";
+
+        $result = $db->query($query);
+        $sessions = [];
+        while ($row = $db->fetchAssoc($result)) {
+            $sessions[] = new self($row['session_id']);
+        }
+
+        return $sessions;
+    }
+
+    /**
+     * Find a specific conversation, ensuring it belongs to the user and chat
+     *
+     * @param string $sessionId Session ID
+     * @param int $userId User ID
+     * @param string $chatId Chat ID
+     * @return self|null ChatSession instance or null if not found or not owned
+     */
+    public static function findByIdForUserAndChat(string $sessionId, int $userId, string $chatId): ?self
+    {
+        $session = new self($sessionId);
+        if (!$session->exists()
+            || $session->getUserId() !== $userId
+            || $session->getChatId() !== $chatId) {
+            return null;
+        }
+        return $session;
+    }
+
     /**
      * Load session data from database
      *
@@ -122,6 +174,7 @@ class ChatSession
             $this->createdAt = $row['created_at'] ? new \DateTime($row['created_at']) : null;
             $this->lastActivity = $row['last_activity'] ? new \DateTime($row['last_activity']) : null;
             $this->isActive = (bool)$row['is_active'];
+            $this->activeMessageId = isset($row['active_message_id']) ? (int)$row['active_message_id'] : null;
             
             return true;
         }
@@ -153,7 +206,8 @@ class ChatSession
             'user_id' => ['integer', $this->userId],
             'session_name' => ['text', $this->sessionName],
             'last_activity' => ['timestamp', $this->lastActivity->format('Y-m-d H:i:s')],
-            'is_active' => ['integer', $this->isActive ? 1 : 0]
+            'is_active' => ['integer', $this->isActive ? 1 : 0],
+            'active_message_id' => ['integer', $this->activeMessageId]
         ];
 
         if ($exists) {
@@ -185,6 +239,42 @@ class ChatSession
         return true;
     }
 
+    /**
+     * Delete session together with its messages and attachments
+     *
+     * Attachments are deleted one by one so that their files are removed from
+     * ResourceStorage and RAG collections.
+     *
+     * @return bool Always returns true
+     */
+    public function deleteWithMessages(): bool
+    {
+        global $DIC;
+        $db = $DIC->database();
+
+        $query = "SELECT a.id FROM pcaic_attachments a
+                  INNER JOIN pcaic_messages m ON a.message_id = m.message_id
+                  WHERE m.session_id = " . $db->quote($this->sessionId, 'text');
+        $result = $db->query($query);
+
+        while ($row = $db->fetchAssoc($result)) {
+            try {
+                $attachment = new Attachment((int)$row['id']);
+                $attachment->delete();
+            } catch (\Exception $e) {
+                $DIC->logger()->pcaic()->warning("Failed to delete attachment of session", [
+                    'session_id' => $this->sessionId,
+                    'attachment_id' => $row['id'],
+                    'error' => $e->getMessage()
+                ]);
+            }
+        }
+
+        $db->manipulate("DELETE FROM pcaic_messages WHERE session_id = " . $db->quote($this->sessionId, 'text'));
+
+        return $this->delete();
+    }
+
     /**
      * Mark session as inactive
      *
@@ -233,33 +323,228 @@ class ChatSession
     }
 
     /**
-     * Get recent messages with limit
+     * Count all messages of this session (all branches)
+     *
+     * @return int Number of messages
+     */
+    public function getMessageCount(): int
+    {
+        global $DIC;
+        $db = $DIC->database();
+
+        $query = "SELECT COUNT(*) AS cnt FROM pcaic_messages
+                  WHERE session_id = " . $db->quote($this->sessionId, 'text');
+        $row = $db->fetchAssoc($db->query($query));
+
+        return (int)($row['cnt'] ?? 0);
+    }
+
+    /**
+     * Get a short preview of the conversation for untitled sessions
+     *
+     * @param int $length Maximum preview length in characters
+     * @return string Beginning of the first user message, empty if there is none
+     */
+    public function getPreview(int $length = 60): string
+    {
+        global $DIC;
+        $db = $DIC->database();
+
+        $query = "SELECT message FROM pcaic_messages
+                  WHERE session_id = " . $db->quote($this->sessionId, 'text') . "
+                  AND role = " . $db->quote('user', 'text') . "
+                  ORDER BY timestamp ASC, message_id ASC LIMIT 1";
+        $row = $db->fetchAssoc($db->query($query));
+
+        $text = trim(preg_replace('/\s+/', ' ', (string)($row['message'] ?? '')));
+        if (mb_strlen($text) > $length) {
+            $text = rtrim(mb_substr($text, 0, $length - 1)) . '…';
+        }
+
+        return $text;
+    }
+
+    /**
+     * Get recent messages of the selected branch with limit
      *
      * @param int $limit Maximum number of messages to retrieve
      * @return ChatMessage[] Array of recent messages in chronological order
      */
     public function getRecentMessages(int $limit = 10): array
     {
-        return ChatMessage::getRecentForSession($this->sessionId, $limit);
+        $ids = array_slice($this->getActivePathIds(), -$limit);
+        return array_map(fn($id) => new ChatMessage($id), $ids);
+    }
+
+    /**
+     * Get one page of the selected branch, walking backwards in time
+     *
+     * The cursor is the oldest message the client already has; the page
+     * contains the messages directly before it.
+     *
+     * @param int $limit Maximum number of messages per page
+     * @param int|null $beforeId Message ID cursor (null = newest page)
+     * @param array|null $tree Optional pre-loaded result of getMessageTree()
+     * @return array{messages: ChatMessage[], has_more: bool} Messages in chronological order and whether older ones exist
+     */
+    public function getActivePathPage(int $limit, ?int $beforeId = null, ?array $tree = null): array
+    {
+        $ids = $this->getActivePathIds($tree);
+
+        if ($beforeId !== null) {
+            $position = array_search($beforeId, $ids, true);
+            $ids = $position === false ? [] : array_slice($ids, 0, $position);
+        }
+
+        $start = max(0, count($ids) - $limit);
+
+        return [
+            'messages' => array_map(fn($id) => new ChatMessage($id), array_slice($ids, $start)),
+            'has_more' => $start > 0
+        ];
+    }
+
+    /**
+     * Search the selected branch for messages containing a text
+     *
+     * @param string $query Search text (matched as case-insensitive substring)
+     * @param int $limit Maximum number of results
+     * @return ChatMessage[] Matching messages in chronological order
+     */
+    public function searchActivePath(string $query, int $limit = 100): array
+    {
+        global $DIC;
+        $db = $DIC->database();
+
+        // ilDB builds a case-insensitive LIKE that works for CLOB columns on all backends,
+        // but leaves wildcards in the value alone, so "_" and "%" are escaped here
+        $pattern = '%' . addcslashes($query, '%_\\') . '%';
+        $sql = "SELECT message_id FROM pcaic_messages
+                WHERE session_id = " . $db->quote($this->sessionId, 'text') . "
+                AND role IN ('user', 'assistant')
+                AND " . $db->like('message', 'clob', $pattern);
+        $result = $db->query($sql);
+
+        $matches = [];
+        while ($row = $db->fetchAssoc($result)) {
+            $matches[(int)$row['message_id']] = true;
+        }
+
+        // Keep only hits on the selected branch, in conversation order
+        $ids = array_values(array_filter($this->getActivePathIds(), fn($id) => isset($matches[$id])));
+
+        return array_map(fn($id) => new ChatMessage($id), array_slice($ids, 0, $limit));
+    }
+
+    /**
+     * Load the message tree structure of this session
+     *
+     * Only IDs are read, so this is cheap even for long sessions. Legacy messages
+     * without parent_id are chained to their chronological predecessor.
+     *
+     * @return array{parents: array<int, int>, children: array<int, int[]>} Parent per message (0 = root) and children per parent
+     */
+    public function getMessageTree(): array
+    {
+        global $DIC;
+        $db = $DIC->database();
+
+        $query = "SELECT message_id, parent_id FROM pcaic_messages
+                  WHERE session_id = " . $db->quote($this->sessionId, 'text') . "
+                  ORDER BY timestamp ASC, message_id ASC";
+        $result = $db->query($query);
+
+        $parents = [];
+        $children = [];
+        $previous = 0;
+        while ($row = $db->fetchAssoc($result)) {
+            $id = (int)$row['message_id'];
+            $parent = $row['parent_id'] !== null ? (int)$row['parent_id'] : $previous;
+            $parents[$id] = $parent;
+            $children[$parent][] = $id;
+            $previous = $id;
+        }
+
+        return ['parents' => $parents, 'children' => $children];
+    }
+
+    /**
+     * Get the message IDs of the selected branch from root to leaf
+     *
+     * @param array|null $tree Optional pre-loaded result of getMessageTree()
+     * @return int[] Message IDs in conversation order
+     */
+    public function getActivePathIds(?array $tree = null): array
+    {
+        $tree = $tree ?? $this->getMessageTree();
+        $parents = $tree['parents'];
+
+        $leaf = $this->activeMessageId;
+        if ($leaf === null || !isset($parents[$leaf])) {
+            $leaf = array_key_last($parents);
+        }
+
+        $path = [];
+        while ($leaf && isset($parents[$leaf]) && count($path) <= count($parents)) {
+            $path[] = $leaf;
+            $leaf = $parents[$leaf];
+        }
+
+        return array_reverse($path);
+    }
+
+    /**
+     * Select the branch that contains the given message
+     *
+     * The new leaf is found by following the most recent child from the given
+     * message downwards, so switching to a version shows its latest continuation.
+     *
+     * @param int $messageId Message of this session to switch to
+     * @return bool True if the branch was selected, false if the message is unknown
+     */
+    public function selectBranch(int $messageId): bool
+    {
+        $tree = $this->getMessageTree();
+        if (!isset($tree['parents'][$messageId])) {
+            return false;
+        }
+
+        $leaf = $messageId;
+        while (!empty($tree['children'][$leaf])) {
+            $leaf = end($tree['children'][$leaf]);
+        }
+
+        $this->activeMessageId = $leaf;
+        return $this->save();
     }
 
     /**
      * Add new message to session
      *
-     * Automatically updates session activity timestamp.
+     * The message is attached below the given parent (default: leaf of the
+     * selected branch) and becomes the new leaf. Automatically updates session
+     * activity timestamp.
      *
      * @param string $role Message role (user|assistant|system)
      * @param string $content Message content
+     * @param int|null $parentId Parent message ID (0 = root, null = current leaf)
      * @return ChatMessage The created message object
      */
-    public function addMessage(string $role, string $content): ChatMessage
+    public function addMessage(string $role, string $content, ?int $parentId = null): ChatMessage
     {
+        if ($parentId === null) {
+            $path = $this->getActivePathIds();
+            $parentId = $path ? end($path) : 0;
+        }
+
         $message = new ChatMessage();
         $message->setSessionId($this->sessionId);
+        $message->setParentId($parentId);
         $message->setRole($role);
         $message->setMessage($content);
         $message->save();
 
+        $this->activeMessageId = $message->getMessageId();
         $this->touch();
 
         return $message;
@@ -286,6 +571,8 @@ class ChatSession
     public function getLastActivity(): ?\DateTime { return $this->lastActivity; }
     public function isActive(): bool { return $this->isActive; }
     public function setActive(bool $isActive): void { $this->isActive = $isActive; }
+    public function getActiveMessageId(): ?int { return $this->activeMessageId; }
+    public function setActiveMessageId(?int $activeMessageId): void { $this->activeMessageId = $activeMessageId; }
 
     /**
      * Convert session to array representation
@@ -301,7 +588,8 @@ class ChatSession
             'session_name' => $this->sessionName,
             'created_at' => $this->createdAt?->format('Y-m-d H:i:s'),
             'last_activity' => $this->lastActivity?->format('Y-m-d H:i:s'),
-            'is_active' => $this->isActive
+            'is_active' => $this->isActive,
+            'active_message_id' => $this->activeMessageId
         ];
     }
 }
\ No newline at end of file
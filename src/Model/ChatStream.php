@@ -0,0 +1,405 @@
+<?php
+
+namespace ILIAS\Plugin\pcaic\Model;
+
+/**
+ * Chat stream buffer model
+ *
+ * Buffers the chunks of a streamed AI response server-side so that a client
+ * whose connection dropped mid-answer can reconnect and resume from the last
+ * sequence number it received, or fetch the completed message.
+ *
+ * Chunks are numbered from 1. They are kept in memory and appended to
+ * pcaic_stream_chunks in batches: at most once per FLUSH_INTERVAL while
+ * streaming, and always when the stream completes or fails. Earlier batches
+ * are never rewritten.
+ *
+ * While the answer is generated, the writing process sends a heartbeat
+ * (updated_at) even when no chunks arrive, e.g. while the model is still
+ * thinking, and picks up a cancellation requested by the user.
+ *
+ * @author Nadimo Staszak <nadimo.staszak@uni-koeln.de>
+ */
+class ChatStream
+{
+    public const STATUS_RUNNING = 'running';
+    public const STATUS_COMPLETE = 'complete';
+    public const STATUS_ERROR = 'error';
+
+    /** Minimum seconds between buffer writes while streaming */
+    private const FLUSH_INTERVAL = 1.0;
+
+    /** Seconds between heartbeats of the writing process */
+    private const HEARTBEAT_INTERVAL = 2;
+
+    /** Seconds without heartbeat after which the writing process is considered dead */
+    public const HEARTBEAT_TIMEOUT = 60;
+
+    private string $streamId;
+    private string $chatId = '';
+    private int $userId = 0;
+    private string $status = self::STATUS_RUNNING;
+    /** Chunks not yet written to the database */
+    private array $pendingChunks = [];
+    private int $lastSeq = 0;
+    private ?array $payload = null;
+    private ?\DateTime $createdAt = null;
+    private ?\DateTime $updatedAt = null;
+    private float $lastFlush = 0.0;
+    private float $lastHeartbeat = 0.0;
+    private bool $cancelled = false;
+    private bool $loaded = false;
+
+    /**
+     * Constructor
+     *
+     * @param string|null $streamId Optional stream ID to load existing stream
+     */
+    public function __construct(string $streamId = null)
+    {
+        if ($streamId) {
+            $this->streamId = $streamId;
+            $this->loaded = $this->load();
+        } else {
+            $this->streamId = bin2hex(random_bytes(16));
+            $this->createdAt = new \DateTime();
+            $this->updatedAt = new \DateTime();
+        }
+    }
+
+    /**
+     * Factory method to create and persist a new stream buffer
+     *
+     * @param string $chatId Chat ID
+     * @param int $userId User ID
+     * @return self New ChatStream instance
+     */
+    public static function createForUserAndChat(string $chatId, int $userId): self
+    {
+        $stream = new self();
+        $stream->chatId = $chatId;
+        $stream->userId = $userId;
+        $stream->save();
+        return $stream;
+    }
+
+    /**
+     * Delete stream buffers that have not been updated for a while
+     *
+     * @param int $maxAgeSeconds Age after which a buffer is considered abandoned
+     * @return void
+     */
+    public static function cleanupExpired(int $maxAgeSeconds = 3600): void
+    {
+        global $DIC;
+        $db = $DIC->database();
+
+        $threshold = $db->quote((new \DateTime())->modify('-' . $maxAgeSeconds . ' seconds')->format('Y-m-d H:i:s'), 'timestamp');
+        $db->manipulate(
+            "DELETE FROM pcaic_stream_chunks WHERE stream_id IN (SELECT stream_id FROM pcaic_streams WHERE updated_at < " . $threshold . ")"
+        );
+        $db->manipulate("DELETE FROM pcaic_streams WHERE updated_at < " . $threshold);
+    }
+
+    /**
+     * Load stream data from database
+     *
+     * @return bool True if stream was found and loaded, false otherwise
+     */
+    private function load(): bool
+    {
+        global $DIC;
+        $db = $DIC->database();
+
+        $query = "SELECT * FROM pcaic_streams WHERE stream_id = " . $db->quote($this->streamId, 'text');
+        $result = $db->query($query);
+
+        if ($row = $db->fetchAssoc($result)) {
+            $this->chatId = $row['chat_id'];
+            $this->userId = (int)$row['user_id'];
+            $this->status = $row['status'];
+            $this->lastSeq = (int)$row['last_seq'];
+            $this->payload = $row['payload'] ? json_decode($row['payload'], true) : null;
+            $this->cancelled = (bool)($row['cancelled'] ?? false);
+            $this->createdAt = $row['created_at'] ? new \DateTime($row['created_at']) : null;
+            $this->updatedAt = $row['updated_at'] ? new \DateTime($row['updated_at']) : null;
+
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Re-read the buffer from the database
+     *
+     * Used by resume requests that poll a stream written by another process.
+     *
+     * @return bool True if the stream still exists
+     */
+    public function refresh(): bool
+    {
+        $this->loaded = $this->load();
+        return $this->loaded;
+    }
+
+    /**
+     * Save stream to database
+     *
+     * Appends the pending chunks as one row and updates the stream state.
+     *
+     * @return bool Always returns true
+     */
+    public function save(): bool
+    {
+        global $DIC;
+        $db = $DIC->database();
+
+        $this->updatedAt = new \DateTime();
+        $this->lastFlush = microtime(true);
+
+        if (!empty($this->pendingChunks)) {
+            $db->insert('pcaic_stream_chunks', [
+                'stream_id' => ['text', $this->streamId],
+                'last_seq' => ['integer', $this->lastSeq],
+                'chunks' => ['clob', json_encode($this->pendingChunks)]
+            ]);
+            $this->pendingChunks = [];
+        }
+
+        $values = [
+            'chat_id' => ['text', $this->chatId],
+            'user_id' => ['integer', $this->userId],
+            'status' => ['text', $this->status],
+            'last_seq' => ['integer', $this->lastSeq],
+            'payload' => ['clob', $this->payload !== null ? json_encode($this->payload) : null],
+            'updated_at' => ['timestamp', $this->updatedAt->format('Y-m-d H:i:s')]
+        ];
+
+        if ($this->loaded) {
+            $db->update('pcaic_streams', $values, ['stream_id' => ['text', $this->streamId]]);
+        } else {
+            $values['stream_id'] = ['text', $this->streamId];
+            $values['created_at'] = ['timestamp', $this->createdAt->format('Y-m-d H:i:s')];
+            $db->insert('pcaic_streams', $values);
+            $this->loaded = true;
+        }
+
+        return true;
+    }
+
+    /**
+     * Delete stream from database
+     *
+     * @return bool Always returns true
+     */
+    public function delete(): bool
+    {
+        global $DIC;
+        $db = $DIC->database();
+
+        $db->manipulate("DELETE FROM pcaic_stream_chunks WHERE stream_id = " . $db->quote($this->streamId, 'text'));
+        $db->manipulate("DELETE FROM pcaic_streams WHERE stream_id = " . $db->quote($this->streamId, 'text'));
+
+        return true;
+    }
+
+    /**
+     * Check if stream exists in database
+     *
+     * @return bool True if stream exists, false otherwise
+     */
+    public function exists(): bool
+    {
+        return $this->loaded;
+    }
+
+    /**
+     * Append a chunk to the buffer
+     *
+     * @param string $content Chunk text
+     * @return int Sequence number assigned to the chunk
+     */
+    public function appendChunk(string $content): int
+    {
+        $this->pendingChunks[] = $content;
+        $this->lastSeq++;
+
+        if (microtime(true) - $this->lastFlush >= self::FLUSH_INTERVAL) {
+            $this->save();
+        }
+
+        return $this->lastSeq;
+    }
+
+    /**
+     * Mark the stream as complete and store the final event payload
+     *
+     * @param array $payload The 'complete' event data sent to the client
+     * @return void
+     */
+    public function complete(array $payload): void
+    {
+        $this->status = self::STATUS_COMPLETE;
+        $this->payload = $payload;
+        $this->save();
+    }
+
+    /**
+     * Mark the stream as failed
+     *
+     * @param string $error Client-facing error message
+     * @return void
+     */
+    public function fail(string $error): void
+    {
+        $this->status = self::STATUS_ERROR;
+        $this->payload = ['type' => 'error', 'error' => $error];
+        $this->save();
+    }
+
+    /**
+     * Ask the writing process to stop generating
+     *
+     * Only the cancelled column is written, so the writer's own saves do not
+     * undo the request.
+     *
+     * @return void
+     */
+    public function cancel(): void
+    {
+        global $DIC;
+        $db = $DIC->database();
+
+        $db->update(
+            'pcaic_streams',
+            ['cancelled' => ['integer', 1]],
+            ['stream_id' => ['text', $this->streamId]]
+        );
+        $this->cancelled = true;
+    }
+
+    /**
+     * Signal that the writing process is alive and check for cancellation
+     *
+     * Called frequently by the writer (also while no chunks arrive); the
+     * database is only touched every HEARTBEAT_INTERVAL seconds.
+     *
+     * @return bool True if the user cancelled the stream
+     */
+    public function heartbeat(): bool
+    {
+        if ($this->cancelled || microtime(true) - $this->lastHeartbeat < self::HEARTBEAT_INTERVAL) {
+            return $this->cancelled;
+        }
+
+        global $DIC;
+        $db = $DIC->database();
+
+        $this->lastHeartbeat = microtime(true);
+        $this->updatedAt = new \DateTime();
+        $db->update(
+            'pcaic_streams',
+            ['updated_at' => ['timestamp', $this->updatedAt->format('Y-m-d H:i:s')]],
+            ['stream_id' => ['text', $this->streamId]]
+        );
+
+        $result = $db->query("SELECT cancelled FROM pcaic_streams WHERE stream_id = " . $db->quote($this->streamId, 'text'));
+        if ($row = $db->fetchAssoc($result)) {
+            $this->cancelled = (bool)$row['cancelled'];
+        }
+
+        return $this->cancelled;
+    }
+
+    /**
+     * Whether a running stream lost its writer (no heartbeat for HEARTBEAT_TIMEOUT seconds)
+     *
+     * @return bool
+     */
+    public function isStale(): bool
+    {
+        return $this->isRunning()
+            && $this->updatedAt !== null
+            && $this->updatedAt->getTimestamp() < time() - self::HEARTBEAT_TIMEOUT;
+    }
+
+    /**
+     * Get stored chunks with a sequence number greater than the given one
+     *
+     * Only the batches containing such chunks are read.
+     *
+     * @param int $seq Last sequence number the client received
+     * @return array<int, string> Map of sequence number => chunk content
+     */
+    public function getChunksAfter(int $seq): array
+    {
+        global $DIC;
+        $db = $DIC->database();
+
+        $query = "SELECT last_seq, chunks FROM pcaic_stream_chunks
+                  WHERE stream_id = " . $db->quote($this->streamId, 'text') . "
+                  AND last_seq > " . $db->quote($seq, 'integer') . "
+                  ORDER BY last_seq";
+        $rows = $db->query($query);
+
+        $result = [];
+        while ($row = $db->fetchAssoc($rows)) {
+            $batch = json_decode($row['chunks'] ?? '', true) ?: [];
+            $first = (int)$row['last_seq'] - count($batch) + 1;
+            foreach ($batch as $index => $content) {
+                if ($first + $index > $seq) {
+                    $result[$first + $index] = $content;
+                }
+            }
+        }
+        return $result;
+    }
+
+    // Getters
+
+    public function getStreamId(): string
+    {
+        return $this->streamId;
+    }
+
+    public function getChatId(): string
+    {
+        return $this->chatId;
+    }
+
+    public function getUserId(): int
+    {
+        return $this->userId;
+    }
+
+    public function getStatus(): string
+    {
+        return $this->status;
+    }
+
+    public function isRunning(): bool
+    {
+        return $this->status === self::STATUS_RUNNING;
+    }
+
+    public function isCancelled(): bool
+    {
+        return $this->cancelled;
+    }
+
+    public function getLastSeq(): int
+    {
+        return $this->lastSeq;
+    }
+
+    public function getPayload(): ?array
+    {
+        return $this->payload;
+    }
+
+    public function getUpdatedAt(): ?\DateTime
+    {
+        return $this->updatedAt;
+    }
+}
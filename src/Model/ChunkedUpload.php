@@ -0,0 +1,359 @@
+<?php
+
+namespace ILIAS\Plugin\pcaic\Model;
+
+/**
+ * Chunked upload model
+ *
+ * Tracks a file that is uploaded in chunks, for files that exceed PHP's
+ * upload_max_filesize / post_max_size. The received bytes are appended to a
+ * part file in the client data directory; the database row records how far
+ * the upload got.
+ *
+ * An upload is identified by user, chat, file size and SHA-256 hash of the
+ * content, so a client can resume the same file after a page reload. Once
+ * all bytes are received and the hash matches, the part file is handed to
+ * the resource storage and the upload is deleted.
+ *
+ * @author Nadimo Staszak <nadimo.staszak@uni-koeln.de>
+ */
+class ChunkedUpload
+{
+    /** Seconds after which an unfinished upload is abandoned */
+    public const MAX_AGE = 86400;
+
+    private string $uploadId;
+    private string $chatId = '';
+    private int $userId = 0;
+    private string $fileName = '';
+    private string $mimeType = '';
+    private int $fileSize = 0;
+    private string $fileHash = '';
+    private int $receivedBytes = 0;
+    private ?\DateTime $createdAt = null;
+    private ?\DateTime $updatedAt = null;
+    private bool $loaded = false;
+
+    /**
+     * Constructor
+     *
+     * @param string|null $uploadId Optional upload ID to load existing upload
+     */
+    public function __construct(string $uploadId = null)
+    {
+        if ($uploadId) {
+            $this->uploadId = $uploadId;
+            $this->loaded = $this->load();
+        } else {
+            $this->uploadId = bin2hex(random_bytes(16));
+            $this->createdAt = new \DateTime();
+            $this->updatedAt = new \DateTime();
+        }
+    }
+
+    /**
+     * Find an unfinished upload of the same file, or start a new one
+     *
+     * @param string $chatId Chat ID
+     * @param int $userId User ID
+     * @param string $fileName Original file name
+     * @param string $mimeType MIME type reported by the client
+     * @param int $fileSize Total size in bytes
+     * @param string $fileHash SHA-256 of the complete file (hex)
+     * @return self Resumable or new upload
+     */
+    public static function findOrCreate(string $chatId, int $userId, string $fileName, string $mimeType, int $fileSize, string $fileHash): self
+    {
+        global $DIC;
+        $db = $DIC->database();
+
+        $result = $db->queryF(
+            "SELECT upload_id FROM pcaic_uploads WHERE user_id = %s AND chat_id = %s AND file_size = %s AND file_hash = %s",
+            ['integer', 'text', 'integer', 'text'],
+            [$userId, $chatId, $fileSize, $fileHash]
+        );
+        if ($row = $db->fetchAssoc($result)) {
+            $upload = new self($row['upload_id']);
+            // The part file may have been removed in the meantime
+            if ($upload->exists() && $upload->syncReceivedBytes()) {
+                return $upload;
+            }
+            $upload->delete();
+        }
+
+        $upload = new self();
+        $upload->chatId = $chatId;
+        $upload->userId = $userId;
+        $upload->fileName = $fileName;
+        $upload->mimeType = $mimeType;
+        $upload->fileSize = $fileSize;
+        $upload->fileHash = $fileHash;
+        $upload->save();
+        return $upload;
+    }
+
+    /**
+     * Delete uploads (and their part files) that have not been updated for a while
+     *
+     * @param int $maxAgeSeconds Age after which an upload is considered abandoned
+     * @return void
+     */
+    public static function cleanupExpired(int $maxAgeSeconds = self::MAX_AGE): void
+    {
+        global $DIC;
+        $db = $DIC->database();
+
+        $threshold = (new \DateTime())->modify('-' . $maxAgeSeconds . ' seconds');
+        $result = $db->query(
+            "SELECT upload_id FROM pcaic_uploads WHERE updated_at < " . $db->quote($threshold->format('Y-m-d H:i:s'), 'timestamp')
+        );
+        while ($row = $db->fetchAssoc($result)) {
+            (new self($row['upload_id']))->delete();
+        }
+    }
+
+    /**
+     * Directory holding the part files of all chunked uploads
+     *
+     * @return string Absolute path
+     */
+    public static function getStorageDirectory(): string
+    {
+        $base = defined('CLIENT_DATA_DIR') ? CLIENT_DATA_DIR : sys_get_temp_dir();
+        return rtrim($base, '/') . '/pcaic_uploads';
+    }
+
+    /**
+     * Load upload data from database
+     *
+     * @return bool True if upload was found and loaded, false otherwise
+     */
+    private function load(): bool
+    {
+        global $DIC;
+        $db = $DIC->database();
+
+        $query = "SELECT * FROM pcaic_uploads WHERE upload_id = " . $db->quote($this->uploadId, 'text');
+        $result = $db->query($query);
+
+        if ($row = $db->fetchAssoc($result)) {
+            $this->chatId = $row['chat_id'];
+            $this->userId = (int)$row['user_id'];
+            $this->fileName = $row['file_name'];
+            $this->mimeType = $row['mime_type'] ?? '';
+            $this->fileSize = (int)$row['file_size'];
+            $this->fileHash = $row['file_hash'];
+            $this->receivedBytes = (int)$row['received_bytes'];
+            $this->createdAt = $row['created_at'] ? new \DateTime($row['created_at']) : null;
+            $this->updatedAt = $row['updated_at'] ? new \DateTime($row['updated_at']) : null;
+
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Save upload to database
+     *
+     * @return bool Always returns true
+     */
+    public function save(): bool
+    {
+        global $DIC;
+        $db = $DIC->database();
+
+        $this->updatedAt = new \DateTime();
+
+        $values = [
+            'chat_id' => ['text', $this->chatId],
+            'user_id' => ['integer', $this->userId],
+            'file_name' => ['text', $this->fileName],
+            'mime_type' => ['text', $this->mimeType],
+            'file_size' => ['integer', $this->fileSize],
+            'file_hash' => ['text', $this->fileHash],
+            'received_bytes' => ['integer', $this->receivedBytes],
+            'updated_at' => ['timestamp', $this->updatedAt->format('Y-m-d H:i:s')]
+        ];
+
+        if ($this->loaded) {
+            $db->update('pcaic_uploads', $values, ['upload_id' => ['text', $this->uploadId]]);
+        } else {
+            $values['upload_id'] = ['text', $this->uploadId];
+            $values['created_at'] = ['timestamp', $this->createdAt->format('Y-m-d H:i:s')];
+            $db->insert('pcaic_uploads', $values);
+            $this->loaded = true;
+        }
+
+        return true;
+    }
+
+    /**
+     * Delete upload from database together with its part file
+     *
+     * @return bool Always returns true
+     */
+    public function delete(): bool
+    {
+        global $DIC;
+        $db = $DIC->database();
+
+        $db->manipulate("DELETE FROM pcaic_uploads WHERE upload_id = " . $db->quote($this->uploadId, 'text'));
+
+        $path = $this->getPartPath();
+        if (is_file($path)) {
+            @unlink($path);
+        }
+
+        return true;
+    }
+
+    /**
+     * Check if upload exists in database
+     *
+     * @return bool True if upload exists, false otherwise
+     */
+    public function exists(): bool
+    {
+        return $this->loaded;
+    }
+
+    /**
+     * Append a received chunk to the part file
+     *
+     * The offset must match the number of bytes received so far, so chunks
+     * that are sent twice (e.g. after a lost response) are not stored twice.
+     *
+     * @param string $chunkPath Path of the uploaded chunk
+     * @param int $offset Position of the chunk in the file
+     * @return void
+     * @throws \RuntimeException If the offset does not match or the chunk exceeds the file size
+     */
+    public function appendChunk(string $chunkPath, int $offset): void
+    {
+        if ($offset !== $this->receivedBytes) {
+            throw new \RuntimeException('Unexpected chunk offset');
+        }
+
+        $chunkSize = (int)filesize($chunkPath);
+        if ($chunkSize === 0 || $this->receivedBytes + $chunkSize > $this->fileSize) {
+            throw new \RuntimeException('Chunk exceeds file size');
+        }
+
+        $directory = self::getStorageDirectory();
+        if (!is_dir($directory) && !mkdir($directory, 0770, true) && !is_dir($directory)) {
+            throw new \RuntimeException('Upload directory could not be created');
+        }
+
+        $source = fopen($chunkPath, 'rb');
+        $target = fopen($this->getPartPath(), 'ab');
+        if ($source === false || $target === false) {
+            throw new \RuntimeException('Chunk could not be stored');
+        }
+        $copied = stream_copy_to_stream($source, $target);
+        fclose($source);
+        fclose($target);
+
+        if ($copied !== $chunkSize) {
+            // Drop the partial write so the client can send the chunk again
+            $this->truncatePart($this->receivedBytes);
+            throw new \RuntimeException('Chunk could not be stored');
+        }
+
+        $this->receivedBytes += $chunkSize;
+        $this->save();
+    }
+
+    /**
+     * Whether all bytes were received and match the announced hash
+     *
+     * @return bool
+     */
+    public function isCompleteAndValid(): bool
+    {
+        $path = $this->getPartPath();
+        return $this->receivedBytes === $this->fileSize
+            && is_file($path)
+            && hash_equals($this->fileHash, (string)hash_file('sha256', $path));
+    }
+
+    /**
+     * Path of the part file
+     *
+     * @return string Absolute path
+     */
+    public function getPartPath(): string
+    {
+        return self::getStorageDirectory() . '/' . $this->uploadId . '.part';
+    }
+
+    /**
+     * Align the recorded progress with the part file on disk
+     *
+     * @return bool False if the part file is missing although bytes were recorded
+     */
+    private function syncReceivedBytes(): bool
+    {
+        $path = $this->getPartPath();
+        $size = is_file($path) ? (int)filesize($path) : 0;
+        if ($size < $this->receivedBytes) {
+            return false;
+        }
+        if ($size > $this->receivedBytes) {
+            $this->truncatePart($this->receivedBytes);
+        }
+        return true;
+    }
+
+    /**
+     * Cut the part file back to the given length
+     *
+     * @param int $length Length in bytes
+     * @return void
+     */
+    private function truncatePart(int $length): void
+    {
+        $handle = @fopen($this->getPartPath(), 'r+b');
+        if ($handle !== false) {
+            ftruncate($handle, $length);
+            fclose($handle);
+        }
+    }
+
+    // Getters
+
+    public function getUploadId(): string
+    {
+        return $this->uploadId;
+    }
+
+    public function getChatId(): string
+    {
+        return $this->chatId;
+    }
+
+    public function getUserId(): int
+    {
+        return $this->userId;
+    }
+
+    public function getFileName(): string
+    {
+        return $this->fileName;
+    }
+
+    public function getMimeType(): string
+    {
+        return $this->mimeType;
+    }
+
+    public function getFileSize(): int
+    {
+        return $this->fileSize;
+    }
+
+    public function getReceivedBytes(): int
+    {
+        return $this->receivedBytes;
+    }
+}
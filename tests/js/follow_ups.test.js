@@ -0,0 +1,50 @@
+/**
+ * Regression tests for AIChatPageComponent.stripFollowUpsBlock(), run by follow_ups.html
+ *
+ * Only a follow-up block that ends the answer may be removed; answers that
+ * merely mention the format must stay complete. The server applies the same
+ * rule in AIChatPageComponentLLM::extractFollowUps().
+ */
+
+'use strict';
+
+(function () {
+    const chat = Object.create(AIChatPageComponent.prototype);
+    const block = '```followups\n["What is X?", "Why Y?"]\n```';
+    const mention = 'Suggestions go into a ```followups block at the end. They are optional.';
+
+    // [name, text, complete, expected]
+    const cases = [
+        ['trailing block', 'Answer.\n\n' + block, true, 'Answer.'],
+        ['trailing block with trailing whitespace', 'Answer.\n\n' + block + '\n\n', true, 'Answer.'],
+        ['trailing block without closing fence', 'Answer.\n\n```followups\n["What is X?"]', true, 'Answer.'],
+        ['fence mentioned mid-text', mention, true, mention],
+        ['fence mentioned mid-text while streaming', mention, false, mention],
+        ['fence mentioned mid-text before a real block', mention + '\n\n' + block, true, mention],
+        ['fence example inside the answer', 'Use:\n\n```followups\n["a"]\n```\n\nThen continue.', true, 'Use:\n\n```followups\n["a"]\n```\n\nThen continue.'],
+        ['block still being received', 'Answer.\n\n```followups\n["What is', false, 'Answer.'],
+        ['fence still being received', 'Answer.\n\n```followups', false, 'Answer.'],
+        ['no block', 'Answer.', true, 'Answer.']
+    ];
+
+    const results = document.getElementById('results');
+    let failures = 0;
+
+    cases.forEach(([name, text, complete, expected]) => {
+        const actual = chat.stripFollowUpsBlock(text, complete);
+        const passed = actual === expected;
+        const item = document.createElement('li');
+        item.className = passed ? 'pass' : 'fail';
+        item.textContent = (passed ? 'PASS ' : 'FAIL ') + name
+            + (passed ? '' : ': got ' + JSON.stringify(actual) + ', expected ' + JSON.stringify(expected));
+        results.appendChild(item);
+        if (!passed) {
+            failures++;
+        }
+    });
+
+    document.getElementById('summary').textContent = failures === 0
+        ? 'All tests passed'
+        : failures + ' test(s) failed';
+    document.title = failures === 0 ? 'PASS' : 'FAIL: ' + failures;
+})();
@@ -0,0 +1,151 @@
+/**
+ * Regression tests for AIChatPageComponent.sanitizeHtml(), run by sanitize_html.html
+ *
+ * Known XSS payloads are fed through the sanitiser (and through the full
+ * markdown renderer) and the result is parsed again, so mutation XSS that only
+ * appears after re-serialisation is caught as well.
+ */
+
+'use strict';
+
+(function () {
+    const chat = Object.create(AIChatPageComponent.prototype);
+
+    const DANGEROUS_TAGS = ['script', 'iframe', 'object', 'embed', 'style', 'form', 'base', 'meta', 'link', 'foreignobject'];
+    const URL_ATTRIBUTES = ['href', 'src', 'xlink:href', 'action', 'formaction', 'srcdoc'];
+    const CHAT_ACTION_ATTRIBUTES = ['data-table-action', 'data-starter-index', 'data-starter-action', 'data-follow-up-index'];
+
+    /**
+     * Collect everything in an HTML string that could execute script
+     *
+     * @param {string} html - Sanitised HTML
+     * @returns {string[]} Findings (empty if safe)
+     */
+    function findProblems(html) {
+        const problems = [];
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        template.content.querySelectorAll('*').forEach(element => {
+            const tag = element.localName.toLowerCase();
+            if (DANGEROUS_TAGS.includes(tag)) {
+                problems.push('<' + tag + '> element');
+            }
+            Array.from(element.attributes).forEach(attribute => {
+                const name = attribute.name.toLowerCase();
+                const value = attribute.value.replace(/[\s\u0000-\u001f]/g, '').toLowerCase();
+                if (name.startsWith('on')) {
+                    problems.push(name + ' on <' + tag + '>');
+                }
+                if (URL_ATTRIBUTES.includes(name) && /^(javascript|vbscript|data:text|data:image\/svg)/.test(value)) {
+                    problems.push(name + '="' + attribute.value + '" on <' + tag + '>');
+                }
+                // Typeset math keeps its inline styles, but nothing may cover the page
+                if (name === 'style' && (!element.closest('.katex') || /position|z-index|url\s*\(/i.test(attribute.value))) {
+                    problems.push('style on <' + tag + '>');
+                }
+                if (CHAT_ACTION_ATTRIBUTES.includes(name)) {
+                    problems.push(name + ' on <' + tag + '>');
+                }
+            });
+        });
+
+        return problems;
+    }
+
+    /**
+     * Sanitise once, then re-parse the output twice (mutation XSS) and check each stage
+     *
+     * @param {string} input - Untrusted HTML
+     * @returns {string[]} Findings (empty if safe)
+     */
+    function checkPayload(input) {
+        const once = chat.sanitizeHtml(input);
+        const reparsed = document.createElement('template');
+        reparsed.innerHTML = once;
+        const twice = reparsed.innerHTML;
+        reparsed.innerHTML = twice;
+
+        return findProblems(once)
+            .concat(findProblems(twice))
+            .concat(findProblems(reparsed.innerHTML));
+    }
+
+    const payloads = {
+        'img onerror': '<img src=x onerror=alert(1)>',
+        'img onerror (upper case)': '<IMG SRC=x ONERROR="alert(1)">',
+        'javascript: href': '<a href="javascript:alert(1)">link</a>',
+        'javascript: href with entities and tabs': '<a href="java&#x09;script&#58;alert(1)">link</a>',
+        'javascript: href with leading whitespace': '<a href=" \u0001javascript:alert(1)">link</a>',
+        'data: href': '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">link</a>',
+        'svg data: image': '<img src="data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+">',
+        'svg script': '<svg><script>alert(1)</script></svg>',
+        'svg onload': '<svg onload="alert(1)"><path d="M0 0"/></svg>',
+        'svg animate href': '<svg><a><animate attributeName="href" values="javascript:alert(1)"/><text>x</text></a></svg>',
+        'svg foreignObject': '<svg><foreignObject><iframe src="javascript:alert(1)"></iframe></foreignObject></svg>',
+        'math href': '<math href="javascript:alert(1)"><mi>x</mi></math>',
+        'math xlink:href': '<math><mi xlink:href="javascript:alert(1)">x</mi></math>',
+        'mXSS noscript': '<noscript><p title="</noscript><img src=x onerror=alert(1)>">',
+        'mXSS svg style': '<svg></p><style><a id="</style><img src=1 onerror=alert(1)>">',
+        'mXSS math mglyph': '<math><mtext><table><mglyph><style><!--</style><img title="--&gt;&lt;/mglyph&gt;&lt;img&Tab;src=1&Tab;onerror=alert(1)&gt;">',
+        'mXSS form nesting': '<form><math><mtext></form><form><mglyph><svg><mtext><style><path id="</style><img onerror=alert(1) src>">',
+        'formaction': '<form><button formaction="javascript:alert(1)">go</button></form>',
+        'formaction without form': '<button formaction="javascript:alert(1)">go</button>',
+        'input formaction': '<input type="checkbox" formaction="javascript:alert(1)">',
+        'iframe srcdoc': '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+        'details ontoggle': '<details open ontoggle="alert(1)"><summary>x</summary></details>',
+        'base href': '<base href="javascript:alert(1)//">',
+        'meta refresh': '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+        'inline style': '<p style="position:fixed;inset:0">cover</p>',
+        'inline style overlay': '<a href="https://evil.example/" style="position:absolute;inset:0;opacity:0">cover</a>',
+        'style on spoofed KaTeX': '<span class="katex"><span style="background:url(//evil.example/x)">x</span></span>',
+        'overlay in spoofed KaTeX': '<span class="katex"><a href="https://evil.example/" style="position:absolute;top:0;left:0;width:100vw;height:100vh;z-index:9999;opacity:0">x</a></span>',
+        'overlay in spoofed KaTeX next to math': '$x$ <span class="katex"><a href="https://evil.example/" style="position:absolute;z-index:9999">x</a></span>',
+        'chat action attributes': '<button data-follow-up-index="0" data-starter-index="0" data-table-action="copy-csv" data-starter-action="insert">go</button>',
+        'markdown link': '[click](javascript:alert(1))',
+        'markdown image': '![x](javascript:alert(1))'
+    };
+
+    const results = document.getElementById('results');
+    let failures = 0;
+
+    /**
+     * Record one test result on the page
+     *
+     * @param {string} name - Test name
+     * @param {string[]} problems - Findings (empty if passed)
+     */
+    function report(name, problems) {
+        const item = document.createElement('li');
+        item.className = problems.length === 0 ? 'pass' : 'fail';
+        item.textContent = (problems.length === 0 ? 'PASS ' : 'FAIL ') + name
+            + (problems.length === 0 ? '' : ': ' + problems.join(', '));
+        results.appendChild(item);
+        if (problems.length > 0) {
+            failures++;
+        }
+    }
+
+    Object.entries(payloads).forEach(([name, input]) => {
+        report(name, checkPayload(input));
+        report(name + ' (markdown renderer)', findProblems(chat.renderMarkdown(input)));
+    });
+
+    // Allowed content must survive
+    const kept = [];
+    if (!/href="https:\/\/example\.org\/"/.test(chat.sanitizeHtml('<a href="https://example.org/">ok</a>'))) {
+        kept.push('https link');
+    }
+    if (!/<img[^>]+src="data:image\/png;base64,/.test(chat.sanitizeHtml('<img src="data:image/png;base64,iVBORw0KGgo=">'))) {
+        kept.push('raster data image');
+    }
+    if (typeof katex !== 'undefined' && !/class="katex"[\s\S]*style="/.test(chat.renderMarkdown('$\\frac{a}{b}$'))) {
+        kept.push('KaTeX inline styles');
+    }
+    report('allowed content is kept', kept.map(item => item + ' removed'));
+
+    document.getElementById('summary').textContent = failures === 0
+        ? 'All tests passed'
+        : failures + ' test(s) failed';
+    document.title = failures === 0 ? 'PASS' : 'FAIL: ' + failures;
+})();